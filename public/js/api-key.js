@@ -0,0 +1,65 @@
+/**
+ * API Key Support
+ * Adds the stored API key to the pages' requests to this server and asks
+ * for one when the server answers 401
+ */
+
+(function () {
+    const STORAGE_KEY = 'e2eApiKey';
+    const COOKIE_NAME = 'e2e_api_key';
+    const originalFetch = window.fetch.bind(window);
+
+    function storeKey(key) {
+        localStorage.setItem(STORAGE_KEY, key);
+        // Report views and downloads are opened by navigation, which cannot
+        // send headers; the server accepts this cookie for GET requests
+        document.cookie = `${COOKIE_NAME}=${encodeURIComponent(key)}; path=/; SameSite=Strict`;
+    }
+
+    function isApiRequest(input) {
+        const url = new URL(input instanceof Request ? input.url : input, window.location.href);
+        return url.origin === window.location.origin &&
+            (url.pathname.startsWith('/api/') || url.pathname.startsWith('/webhook-test/'));
+    }
+
+    function withKey(init, key) {
+        const headers = new Headers(init && init.headers);
+        if (key) {
+            headers.set('X-API-Key', key);
+        }
+        return { ...init, headers };
+    }
+
+    window.fetch = async function (input, init) {
+        if (!isApiRequest(input)) {
+            return originalFetch(input, init);
+        }
+
+        const storedKey = localStorage.getItem(STORAGE_KEY);
+        const response = await originalFetch(input, withKey(init, storedKey));
+        if (response.status !== 401) {
+            return response;
+        }
+
+        // Parallel requests share the key entered for the first one
+        const currentKey = localStorage.getItem(STORAGE_KEY);
+        if (currentKey && currentKey !== storedKey) {
+            return originalFetch(input, withKey(init, currentKey));
+        }
+
+        const key = (window.prompt(storedKey
+            ? 'The stored API key was rejected. Enter an API key:'
+            : 'This server requires an API key. Enter your API key:') || '').trim();
+        if (!key) {
+            return response;
+        }
+
+        storeKey(key);
+        return originalFetch(input, withKey(init, key));
+    };
+
+    const storedKey = localStorage.getItem(STORAGE_KEY);
+    if (storedKey) {
+        storeKey(storedKey);
+    }
+})();
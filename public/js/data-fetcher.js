@@ -1,6 +1,6 @@
 /**
  * Data Fetcher Utility
- * Handles fetching data from n8n webhooks with caching and error handling
+ * Handles fetching dropdown data from the server's /api/data routes with caching and error handling
  */
 
 class DataFetcher {
@@ -89,7 +89,10 @@ fi
 
 # Set proper permissions
 print_header "Setting up permissions..."
-chmod -R 755 test-runs reports logs temp
+# Test code runs as the sandbox user, which may only enter test-runs
+mkdir -p data
+chmod 711 test-runs
+chmod 700 reports logs temp data
 chmod +x scripts/*.sh 2>/dev/null || true
 print_status "Permissions set successfully"
 
@@ -102,12 +105,20 @@ NODE_ENV=development
 PORT=3000
 LOG_LEVEL=info
 
+# Bootstrap admin key: the server does not start without an API key
+ADMIN_API_KEY=$(openssl rand -hex 32)
+
+# Test code runs as this unprivileged user (the server must run as root).
+# "none" runs it as the server user: only for local development.
+# SANDBOX_USER=e2e-sandbox
+
 # Optional: Uncomment and configure as needed
 # BROWSER_TIMEOUT=30000
 # MAX_CONCURRENT_TESTS=5
 # CLEANUP_INTERVAL=6
 # REPORT_RETENTION_HOURS=24
 EOF
+    chmod 600 .env
     print_status "Environment file created (.env)"
 else
     print_status "Environment file already exists"
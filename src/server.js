@@ -9,8 +9,46 @@ const { v4: uuidv4 } = require('uuid');
 
 const TestRunner = require('./services/TestRunner');
 const ZipService = require('./services/ZipService');
+const ProjectSettingsService = require('./services/ProjectSettingsService');
+const SecretsService = require('./services/SecretsService');
+const RunHistoryService = require('./services/RunHistoryService');
+const CatalogService = require('./services/CatalogService');
+const DataSourceService = require('./services/DataSourceService');
+const CallbackService = require('./services/CallbackService');
+const WebhookService = require('./services/WebhookService');
+const ApiKeyService = require('./services/ApiKeyService');
+const ScheduleService = require('./services/ScheduleService');
+const RunQuotaService = require('./services/RunQuotaService');
+const VisualService = require('./services/VisualService');
 const logger = require('./utils/logger');
-const { convertRecordedTestToAPI, validateTestCode } = require('./utils/testConverter');
+const { convertRecordedTestToAPI, extractAndCleanTestBody, validateTestCode } = require('./utils/testConverter');
+const {
+  validateContextOptions,
+  validateRetries,
+  validateHeadless,
+  validateViewport,
+  validateTimeouts,
+  validateTags,
+  validateAccessibility,
+  validateHar,
+  validateCallbackUrl,
+  PERFORMANCE_METRICS,
+  performanceBudgetApplies
+} = require('./utils/runOptions');
+const { TRIGGER_SOURCES, parseRunListQuery, parsePerformanceQuery, parseNetworkQuery } = require('./utils/listQuery');
+const { METRIC_LABELS, escapeHtml, formatValue, renderTrendChart } = require('./utils/performanceChart');
+const { readRunRequests, filterRequests } = require('./utils/harLog');
+const { checkSandbox } = require('./utils/sandbox');
+const { resolveRegularFile } = require('./utils/runFiles');
+const {
+  ROLE_PERMISSIONS,
+  hasPermission,
+  canAccessProject,
+  canGrantProjects,
+  getPresentedKey,
+  createAuthMiddleware
+} = require('./utils/auth');
+const { HEADER: IDEMPOTENCY_HEADER, createIdempotencyMiddleware } = require('./utils/idempotency');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -23,35 +61,197 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 50, // Reduced limit for testing platform
-  message: {
-    error: 'Too many requests from this IP, please try again later.',
-    retryAfter: '15 minutes'
-  }
-});
-app.use('/api/', limiter);
-
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
 // Services
-const testRunner = new TestRunner();
+const projectSettings = new ProjectSettingsService();
+const secretsService = new SecretsService();
+const runHistory = new RunHistoryService();
+const catalog = new CatalogService();
+const dataSource = new DataSourceService({ services: { catalog, runHistory } });
+const callbacks = new CallbackService({ history: runHistory });
+const visual = new VisualService({ projectSettings });
+const testRunner = new TestRunner({ projectSettings, secrets: secretsService, history: runHistory, visual });
+const publicUrl = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
+const webhooks = new WebhookService({ callbacks, history: runHistory, publicUrl });
+webhooks.attach(testRunner);
+const schedules = new ScheduleService({ testRunner, catalog, callbacks, publicUrl, launch: startScheduledRun });
+const apiKeys = new ApiKeyService({ catalog });
+const runQuotas = new RunQuotaService({ history: runHistory, projectSettings });
+
+// Authentication: every /api and /webhook-test route needs an API key;
+// permissions come from the key's user role
+const { authenticate, authorize } = createAuthMiddleware({ apiKeys });
+app.use('/api/', authenticate);
+app.use('/webhook-test/', authenticate);
+
+// Retried run requests carrying an Idempotency-Key get the original
+// response back. Replays are answered before rate limiting, so they do not
+// use up the run budget.
+const idempotency = createIdempotencyMiddleware({
+  history: runHistory,
+  windowMs: (parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24) * 60 * 60 * 1000
+});
+app.post(['/api/test/run', '/webhook-test/run-tests'], idempotency);
+
+// Rate limiting, after authentication so limits follow the API key. Reads
+// and run starts have separate budgets: reads per key (per IP without
+// one), run starts per project.
+function isRunRequest(req) {
+  if (req.method !== 'POST') {
+    return false;
+  }
+  const route = req.originalUrl.split('?')[0];
+  return route === '/api/test/run' || route === '/webhook-test/run-tests' ||
+    (route === '/api/test/convert' && !!(req.body && req.body.autoExecute));
+}
+
+function rateLimitExceeded(req, res, next, options) {
+  const resetAt = req.rateLimit.resetTime || new Date(Date.now() + options.windowMs);
+  const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: 'Rate limit exceeded',
+    message: options.message,
+    limit: req.rateLimit.limit,
+    resetAt: resetAt.toISOString(),
+    retryAfter
+  });
+}
+
+const readLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: parseInt(process.env.RATE_LIMIT_READ_PER_MINUTE, 10) || 300,
+  standardHeaders: 'draft-6',
+  legacyHeaders: false,
+  skip: isRunRequest,
+  keyGenerator: req => (req.principal && req.principal.keyId ? `key:${req.principal.keyId}` : `ip:${req.ip}`),
+  message: 'Too many requests for this API key; slow down and retry after resetAt',
+  handler: rateLimitExceeded
+});
+
+const runLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: parseInt(process.env.RATE_LIMIT_RUNS_PER_HOUR, 10) || 60,
+  standardHeaders: 'draft-6',
+  legacyHeaders: false,
+  skip: req => !isRunRequest(req),
+  // convert falls back to the converter's default project
+  keyGenerator: req => `project:${req.body.projectId || req.body.project_id || 'recorded-test'}`,
+  message: 'Too many runs started for this project this hour',
+  handler: rateLimitExceeded
+});
+
+app.use(['/api/', '/webhook-test/'], readLimiter, runLimiter);
+
+/**
+ * Reject a run when the project has used up today's run minutes
+ * @returns {Promise<boolean>} - Whether the response was sent
+ */
+async function rejectOverQuota(res, projectId) {
+  const quota = await runQuotas.getUsage(projectId);
+  if (!quota.exceeded) {
+    return false;
+  }
+
+  res.set('Retry-After', String(Math.ceil((Date.parse(quota.resetAt) - Date.now()) / 1000)));
+  res.status(429).json({
+    error: 'Run quota exceeded',
+    message: `Project ${projectId} has used ${quota.usedMinutes} of its ${quota.limitMinutes} daily run minutes`,
+    projectId,
+    limitMinutes: quota.limitMinutes,
+    usedMinutes: quota.usedMinutes,
+    resetAt: quota.resetAt
+  });
+  return true;
+}
+
+function forbidProject(res, projectId) {
+  return res.status(403).json({
+    error: 'Forbidden',
+    message: 'This API key is not allowed to access the project',
+    projectId
+  });
+}
+
+// Routes addressing a run, project, test case, schedule or webhook by ID are limited
+// to the projects of the caller's API key
+app.param('testId', (req, res, next, testId) => {
+  const run = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)
+    ? runHistory.getRunSummary(testId)
+    : null;
+  if (run && !canAccessProject(req.principal, run.projectId)) {
+    return forbidProject(res, run.projectId);
+  }
+  next();
+});
+
+app.param('projectId', (req, res, next, projectId) => {
+  if (!canAccessProject(req.principal, projectId)) {
+    return forbidProject(res, projectId);
+  }
+  next();
+});
+
+app.param('testCaseId', async (req, res, next, testCaseId) => {
+  try {
+    const testCase = await catalog.getTestCase(testCaseId);
+    if (testCase && !canAccessProject(req.principal, testCase.project_id)) {
+      return forbidProject(res, testCase.project_id);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.param('scheduleId', async (req, res, next, scheduleId) => {
+  try {
+    const schedule = await schedules.getSchedule(scheduleId);
+    if (schedule && !canAccessProject(req.principal, schedule.projectId)) {
+      return forbidProject(res, schedule.projectId);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.param('webhookId', async (req, res, next, webhookId) => {
+  try {
+    const webhook = await webhooks.getWebhook(webhookId);
+    if (webhook && !canAccessProject(req.principal, webhook.projectId)) {
+      return forbidProject(res, webhook.projectId);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 const zipService = new ZipService();
 
-// Ensure required directories exist
+// Ensure required directories exist. Only the server user may read them:
+// test processes run as the sandbox user, which can enter test-runs to
+// reach its own run directory but can't list it.
 async function initializeDirectories() {
-  const dirs = [
-    'test-runs',
-    'reports',
-    'reports/zips',
-    'temp'
-  ];
+  const dirs = {
+    'test-runs': 0o711,
+    'reports': 0o700,
+    'reports/zips': 0o700,
+    'reports/visual': 0o700,
+    'temp': 0o700,
+    'data': 0o700,
+    'logs': 0o700
+  };
   
-  for (const dir of dirs) {
-    await fs.mkdir(dir, { recursive: true });
+  // Relative to the repository, where the services read and write them,
+  // whatever directory the server was started from
+  for (const [dir, mode] of Object.entries(dirs)) {
+    const dirPath = path.join(__dirname, '..', dir);
+    await fs.mkdir(dirPath, { recursive: true });
+    await fs.chmod(dirPath, mode);
   }
 }
 
@@ -73,9 +273,27 @@ app.get('/', (req, res) => {
       runTestsUI: 'GET /run-tests',
       reportsUI: 'GET /reports',
       testStatus: 'GET /api/test/status/:testId',
+      testEvents: 'GET /api/test/:testId/events',
+      cancelTest: 'POST /api/test/:testId/cancel',
+      testCallbacks: 'GET /api/test/:testId/callbacks, POST /api/test/:testId/callbacks/:deliveryId/redeliver',
+      testSnapshots: 'GET /api/test/:testId/snapshots, GET /api/test/:testId/snapshots/:snapshotKey/:image, POST /api/test/:testId/snapshots/approve',
+      users: 'GET|POST /api/users, GET|PUT|DELETE /api/users/:userId',
+      projects: 'GET|POST /api/projects, GET|PUT|DELETE /api/projects/:projectId',
+      testCases: 'GET|POST /api/test-cases, GET|PUT|DELETE /api/test-cases/:testCaseId',
+      projectSettings: 'GET|PUT /api/projects/:projectId/settings',
+      projectQuota: 'GET /api/projects/:projectId/quota',
+      projectBaselines: 'GET /api/projects/:projectId/baselines, GET /api/projects/:projectId/baselines/:snapshotKey/image, DELETE /api/projects/:projectId/baselines/:snapshotKey',
+      projectPerformance: 'GET /api/projects/:projectId/performance, GET /api/projects/:projectId/performance/trend, GET /api/projects/:projectId/performance/view',
+      projectSecrets: 'GET /api/projects/:projectId/secrets, PUT|DELETE /api/projects/:projectId/secrets/:name',
+      callbackSecret: 'GET|POST|DELETE /api/projects/:projectId/callback-secret',
+      webhooks: 'GET|POST /api/webhooks, GET|PUT|DELETE /api/webhooks/:webhookId, GET /api/webhooks/:webhookId/deliveries',
+      schedules: 'GET|POST /api/schedules, GET|PUT|DELETE /api/schedules/:scheduleId, POST /api/schedules/:scheduleId/run, GET /api/schedules/:scheduleId/runs',
+      authMe: 'GET /api/auth/me',
+      apiKeys: 'GET|POST /api/keys, DELETE /api/keys/:keyId',
       reportInfo: 'GET /api/report/:testId',
       reportView: 'GET /api/report/:testId/view',
       reportHtml: 'GET /api/report/:testId/html',
+      reportNetwork: 'GET /api/report/:testId/network',
       download: 'GET /api/download/:filename',
       deleteReport: 'DELETE /api/report/:testId',
       webhookRunTests: 'POST /webhook-test/run-tests',
@@ -97,7 +315,9 @@ app.get('/health', (req, res) => {
     uptime: process.uptime(),
     memory: process.memoryUsage(),
     platform: process.platform,
-    nodeVersion: process.version
+    nodeVersion: process.version,
+    testQueue: testRunner.getQueueStats(),
+    dataSource: dataSource.getStatus()
   });
 });
 
@@ -145,17 +365,29 @@ app.get('/api/docs', (req, res) => {
   res.json({
     title: 'E2E Testing Platform API Documentation',
     version: '1.0.0',
+    authentication: 'Send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"',
+    idempotency: 'POST /api/test/run, /webhook-test/run-tests and /api/webhook/n8n accept an Idempotency-Key header; repeating a request with the same key within IDEMPOTENCY_WINDOW_HOURS returns the original response instead of starting another run',
     endpoints: {
       'POST /api/test/run': {
         description: 'Execute a Playwright test',
         body: {
           projectId: 'string (required) - Project identifier',
           testName: 'string (required) - Name of the test',
-          testCode: 'string (required) - Playwright test code',
+          testCode: 'string (required unless testCases is given) - Playwright test code',
+          testCases: 'array (optional) - [{ name, testCode, describe? }] to run several named tests in one run; cases sharing a describe value are grouped',
           browserType: 'string (optional) - chromium, firefox, or webkit (default: chromium)',
+          browsers: 'array (optional) - Run across several browsers and/or Playwright device profiles in one request, e.g. ["chromium", "firefox", "webkit", "iPhone 13"]. Overrides browserType',
+          device: 'string (optional) - Any Playwright device descriptor name to emulate, e.g. "iPhone 13" or "Pixel 7"',
+          contextOptions: 'object (optional) - Browser context options: locale, timezoneId, geolocation, permissions, colorScheme, userAgent, extraHTTPHeaders, httpCredentials',
+          retries: 'number (optional) - Retries for failed tests (default: project setting, else 0). Tests passing only on retry mark the run "flaky"',
+          timeouts: 'object (optional) - { test, expect, action, navigation } in ms (defaults: project setting, else 30000/5000/10000/30000). A run exceeding its overall budget ends with status "timedOut"',
+          tags: 'array (optional) - Labels for filtering the test list, e.g. ["smoke", "release:2.4"]',
           headless: 'boolean (optional) - Run in headless mode (default: true)',
           viewport: 'object (optional) - {width: 1280, height: 720}',
-          callbackUrl: 'string (optional) - URL to send results callback'
+          performance: 'boolean (optional) - Measure navigation timing, Web Vitals (LCP, CLS, TBT and INP approximations), requests and transfer size for each page.goto; always on for projects with performanceBudgets',
+          accessibility: 'boolean|object (optional) - Audit pages with axe-core: true, or { audit: "navigation" (after each page.goto/reload, default) | "checkpoint" (only at await checkAccessibility(page, \'name\')), tags, disableRules }. Violations at or above the project\'s accessibilityFailOn fail the run',
+          har: 'boolean|object (optional) - Record a HAR of each test\'s network traffic: true, or { content: "omit" (default) | "embed" (keep response bodies), urlFilter: glob of URLs to record, slowThreshold: ms from which a request counts as slow (default 1000) }. The summary is in the report and the requests at /api/report/:testId/network',
+          callbackUrl: 'string (optional) - http(s) URL that receives the results as a signed POST, retried with backoff until it answers 2xx'
         },
         response: {
           testId: 'Generated test ID',
@@ -183,7 +415,221 @@ app.get('/api/docs', (req, res) => {
       },
       'GET /api/test/status/:testId': {
         description: 'Get test execution status',
-        response: 'Test status and results'
+        response: 'Test status and results (queued runs include queuePosition and estimatedStartTime)'
+      },
+      'GET /api/test/:testId/events': {
+        description: 'Server-Sent Events stream of live output (stdout, stderr), test and step progress (testBegin, testEnd, stepBegin, stepEnd) and the final "end" event',
+        response: 'text/event-stream'
+      },
+      'POST /api/test/:testId/cancel': {
+        description: 'Cancel a queued or running test. The run finishes with status "cancelled", partial artifacts are zipped and the callbackUrl is notified',
+        response: 'Previous status and cancellation state'
+      },
+      'GET /api/test/:testId/callbacks': {
+        description: 'Delivery log of the run\'s result callbacks and webhook events: status (pending, delivered, failed, cancelled), attempts and the response of each attempt',
+        response: { testId: 'Test ID', deliveries: 'Deliveries, oldest first' }
+      },
+      'POST /api/test/:testId/callbacks/:deliveryId/redeliver': {
+        description: 'Send a delivery\'s payload again as a new delivery',
+        response: 'The new delivery (202)'
+      },
+      'GET /api/test/:testId/snapshots': {
+        description: 'Visual snapshots the run took with await snapshot(page, \'name\') and how each compared with its baseline: passed, changed (mismatch above the project\'s visualThreshold; fails the run), new (no baseline yet) or error',
+        response: { threshold: 'Mismatch percent allowed', snapshots: '[{ key, test, name, browser, viewport, status, mismatchPercent, images }]' }
+      },
+      'GET /api/test/:testId/snapshots/:snapshotKey/:image': {
+        description: 'Snapshot image as PNG: actual, baseline (as compared) or diff (changed pixels in red)'
+      },
+      'POST /api/test/:testId/snapshots/approve': {
+        description: 'Make the run\'s snapshots the project\'s baselines (lead_tester, admin)',
+        body: {
+          snapshotKeys: 'array (optional) - Snapshots to approve (default: every new and changed snapshot of the run)'
+        }
+      },
+      'GET /api/report/:testId/network': {
+        description: 'Requests recorded by a run with the har option, from the last attempt of each test',
+        query: {
+          status: 'string (optional) - Comma-separated status codes, classes or "failed" (no response), e.g. 4xx,5xx,failed',
+          url: 'string (optional) - Substring of the URL, or a pattern with * wildcards matching the whole URL',
+          method: 'string (optional) - HTTP method',
+          test: 'string (optional) - Exact test title',
+          browser: 'string (optional) - Browser or device',
+          minDuration: 'number (optional) - Requests taking at least this many ms',
+          maxDuration: 'number (optional) - Requests taking at most this many ms',
+          sort: 'string (optional) - start (default) or duration',
+          order: 'string (optional) - asc (default) or desc',
+          limit: 'number (optional) - Page size, 1-1000 (default: 100)',
+          offset: 'number (optional) - Requests to skip'
+        },
+        response: {
+          summary: '{ requests, failed, status4xx, status5xx, slow, slowThreshold, transferBytes }',
+          total: 'Requests matching the filters',
+          requests: '[{ test, browser, method, url, status, statusText, failure, resourceType, mimeType, startedAt, duration, transferSize, timings }]'
+        }
+      },
+      'GET /api/test/list': {
+        description: 'List runs from the run history, newest first',
+        query: {
+          projectId: 'string (optional) - Exact project',
+          status: 'string (optional) - Comma-separated statuses, e.g. failed,timedOut',
+          browser: 'string (optional) - Browser or device the run used',
+          testName: 'string (optional) - Substring of the test name',
+          from: 'ISO date (optional) - Runs created at or after',
+          to: 'ISO date (optional) - Runs created at or before',
+          tag: 'string (optional) - Runs carrying this tag',
+          source: 'string (optional) - api, convert, webhook, n8n or schedule',
+          scheduleId: 'string (optional) - Runs started by this schedule',
+          sort: 'string (optional) - createdAt (default), duration, testName or status',
+          order: 'string (optional) - desc (default) or asc',
+          limit: 'number (optional) - Page size, 1-500 (default: 100)',
+          cursor: 'string (optional) - nextCursor from the previous page'
+        },
+        response: {
+          total: 'Runs matching the filters',
+          nextCursor: 'Cursor for the next page, or null on the last page',
+          tests: 'Page of runs'
+        }
+      },
+      'GET|POST /api/users, GET|PUT|DELETE /api/users/:userId': {
+        description: 'Manage users. PUT changes only the fields given; a user still referenced by a project or test case cannot be deleted (409)',
+        body: {
+          name: 'string (required)',
+          email: 'string (required) - Unique email address',
+          role: 'string (required) - manager, tester, lead_tester or admin'
+        }
+      },
+      'GET|POST /api/projects, GET|PUT|DELETE /api/projects/:projectId': {
+        description: 'Manage projects. A project with test cases cannot be deleted (409)',
+        body: {
+          name: 'string (required)',
+          environment: 'string (required) - dev, staging or prod',
+          base_url: 'string (required) - Application URL the project\'s tests run against',
+          description: 'string (optional)',
+          project_manager_id: 'string (required) - User ID',
+          testers: 'array (optional) - [{ tester_id, role: tester | lead_tester }]'
+        }
+      },
+      'GET|POST /api/test-cases, GET|PUT|DELETE /api/test-cases/:testCaseId': {
+        description: 'Manage test cases. GET /api/test-cases accepts ?project_id= to list one project\'s test cases',
+        body: {
+          project_id: 'string (required) - Project ID',
+          test_name: 'string (required)',
+          test_type: 'string (required) - ui, api, integration or e2e',
+          priority: 'string (required) - low, medium, high or critical',
+          script_json: 'string (optional) - Playwright test script, empty to add later',
+          tags: 'array (optional) - Labels for the test case',
+          created_by: 'string (required) - User ID'
+        }
+      },
+      'POST /webhook-test/run-tests': {
+        description: 'Run stored test cases of a project as one suite against the project\'s base_url. Status and callback results are keyed by test case ID',
+        body: {
+          project_id: 'string (required) - Project ID',
+          test_case_ids: 'array (required) - Test case IDs of that project',
+          run_by_user_id: 'string (optional) - User ID recorded with the run; defaults to the API key\'s user',
+          base_url: 'string (optional) - Overrides the project\'s base_url',
+          callback_url: 'string (optional) - http(s) URL that receives per-test-case results (signed and retried like callbackUrl)'
+        }
+      },
+      'GET|PUT /api/projects/:projectId/settings': {
+        description: 'Read or update per-project run defaults (retries, timeouts, sandbox access). Send null for a key to clear it',
+        body: {
+          retries: 'number (optional) - Default retries for the project\'s runs',
+          timeouts: 'object (optional) - Default { test, expect, action, navigation } timeouts in ms',
+          allowSystemAccess: 'boolean (optional) - Let testCode use child_process, fs and process.env (default: false)',
+          dailyRunMinutes: 'number (optional) - Run minutes the project may use per UTC day (default: DAILY_RUN_MINUTES); admin only',
+          visualThreshold: 'number (optional) - Percent of pixels a visual snapshot may differ from its baseline and still pass (default: 0)',
+          accessibilityFailOn: 'string (optional) - Lowest accessibility violation impact that fails a run: minor, moderate, serious, critical or none (default: serious)',
+          performanceBudgets: 'array (optional) - [{ metric, max, level: "fail" (default) | "warn", url? }] caps on page metrics (ttfb, domContentLoaded, load, fcp, lcp, cls, tbt, inp, requests, failedRequests, transferBytes); url is a pattern with * wildcards, matched against the path unless it has a scheme. Projects with budgets measure every run'
+        }
+      },
+      'GET /api/projects/:projectId/quota': {
+        description: 'Today\'s run-minute usage of a project against its daily quota; runs are refused with 429 once it is used up, until resetAt'
+      },
+      'GET /api/projects/:projectId/baselines': {
+        description: 'Approved visual baselines of a project, one per test, snapshot name, browser and viewport, with the run each was approved from'
+      },
+      'GET|DELETE /api/projects/:projectId/baselines/:snapshotKey': {
+        description: 'GET .../image serves the baseline PNG; DELETE removes it (lead_tester, admin), so the next capture is reported as new'
+      },
+      'GET /api/projects/:projectId/performance': {
+        description: 'Pages the project\'s runs measured (per browser, with sample counts) and its performance budgets',
+        query: {
+          from: 'string (optional) - ISO 8601 date; measurements before it are ignored',
+          to: 'string (optional) - ISO 8601 date; measurements after it are ignored'
+        }
+      },
+      'GET /api/projects/:projectId/performance/trend': {
+        description: 'Metrics of one page over time, oldest first, with the budgets that apply to it',
+        query: {
+          url: 'string (required) - Page URL; query string and fragment are ignored',
+          browser: 'string (optional) - Only measurements in this browser',
+          from: 'string (optional) - ISO 8601 date',
+          to: 'string (optional) - ISO 8601 date',
+          limit: 'number (optional) - Most recent measurements to return (default and max: 500)'
+        }
+      },
+      'GET /api/projects/:projectId/performance/view': {
+        description: 'HTML charts of the measured pages: every metric over time against its budgets. Takes the same url and browser query as /trend; without url it lists the pages'
+      },
+      'GET /api/projects/:projectId/secrets': {
+        description: 'List secret names for a project (values are never returned)'
+      },
+      'PUT|DELETE /api/projects/:projectId/secrets/:name': {
+        description: 'Store (encrypted with SECRETS_MASTER_KEY) or delete a secret; reference it in test code as secrets.NAME',
+        body: {
+          value: 'string (required for PUT) - Secret value, 4 to 4096 characters'
+        }
+      },
+      'GET|POST|DELETE /api/projects/:projectId/callback-secret': {
+        description: 'Callback signing secret. POST creates or rotates it and returns it once; callbacks then carry X-E2E-Timestamp and X-E2E-Signature (sha256=HMAC-SHA256 of "<timestamp>.<body>"). Requires SECRETS_MASTER_KEY'
+      },
+      'GET|POST /api/webhooks, GET|PUT|DELETE /api/webhooks/:webhookId': {
+        description: 'Subscribe a URL to a project\'s run lifecycle events. Deliveries are signed and retried like result callbacks; GET /api/webhooks accepts ?projectId=',
+        body: {
+          projectId: 'string (required) - Project whose runs raise the events',
+          url: 'string (required) - http(s) URL the events are POSTed to',
+          events: 'array (required) - run.queued, run.started, run.completed (any final status), run.failed (failed or timedOut), run.flaky',
+          filters: 'object (optional) - { sources, tags, testName }: only runs from these sources, carrying one of these tags, or whose name contains testName',
+          payloadTemplate: 'object (optional) - JSON body with {{event}}, {{run.*}}, {{links.*}} placeholders; default is the full event context',
+          description: 'string (optional)',
+          active: 'boolean (optional) - Pause the subscription with false (default: true)'
+        }
+      },
+      'GET /api/webhooks/:webhookId/deliveries': {
+        description: 'Deliveries of a subscription, newest first (?limit=, default 50)'
+      },
+      'GET|POST /api/schedules, GET|PUT|DELETE /api/schedules/:scheduleId': {
+        description: 'Recurring runs of a project on a cron expression. A run is skipped while the schedule\'s previous run is still queued or running; GET /api/schedules accepts ?projectId=',
+        body: {
+          projectId: 'string (required) - Project the runs belong to',
+          name: 'string (required) - Test name of the runs',
+          cron: 'string (required) - minute hour day-of-month month day-of-week, e.g. "0 6 * * 1-5", or @hourly, @daily, @weekly, @monthly',
+          timezone: 'string (optional) - IANA time zone the cron expression is read in (default: UTC)',
+          testCaseIds: 'array (testCaseIds or testCode required) - Stored test cases of the project, run as one suite',
+          testCode: 'string (testCaseIds or testCode required) - Inline Playwright test code',
+          options: 'object (optional) - { browsers, headless, viewport, contextOptions, retries, timeouts, tags, baseUrl, accessibility, performance, har }; replaced as a whole on update',
+          notifications: 'array (optional) - [{ url, events? }]: POST the result to url for run.completed (default), run.failed or run.flaky; signed and retried like callbacks',
+          active: 'boolean (optional) - Pause the schedule with false (default: true)'
+        }
+      },
+      'POST /api/schedules/:scheduleId/run': {
+        description: 'Start a schedule\'s run now (202); 409 while its previous run is active'
+      },
+      'GET /api/schedules/:scheduleId/runs': {
+        description: 'Runs a schedule started, with the GET /api/test/list query parameters'
+      },
+      'GET /api/auth/me': {
+        description: 'Role, project scope and permissions of the calling API key'
+      },
+      'GET|POST /api/keys, DELETE /api/keys/:keyId': {
+        description: 'Manage API keys (admin only). POST returns the key once; GET /api/keys accepts ?userId=',
+        body: {
+          name: 'string (required) - Label for the key',
+          userId: 'string (required) - Catalog user the key acts as; the user\'s role decides its permissions',
+          projects: 'array (optional) - Project IDs the key is limited to (default: null, all projects)',
+          expiresAt: 'ISO date (optional) - When the key stops working'
+        }
       },
       'GET /api/download/:filename': {
         description: 'Download test report zip file',
@@ -198,7 +644,7 @@ await expect(page.getByText('Success')).toBeVisible();`
   });
 });
 
-app.post('/api/test/run', async (req, res) => {
+app.post('/api/test/run', authorize('runs:execute'), async (req, res) => {
   const testId = uuidv4();
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   
@@ -209,25 +655,88 @@ app.post('/api/test/run', async (req, res) => {
       projectId,
       testName,
       testCode,
+      testCases,
       browserType = 'chromium',
+      browsers,
+      device,
+      contextOptions: rawContextOptions,
+      retries,
+      timeouts,
+      tags,
+      accessibility: rawAccessibility,
+      performance,
+      har: rawHar,
       headless = true,
       viewport = { width: 1280, height: 720 },
       callbackUrl
     } = req.body;
 
     // Validate required fields
-    if (!projectId || !testName || !testCode) {
+    if (!projectId || !testName || (!testCode && !testCases)) {
       return res.status(400).json({
         error: 'Missing required fields',
-        required: ['projectId', 'testName', 'testCode'],
+        required: ['projectId', 'testName', 'testCode or testCases'],
         received: {
           projectId: !!projectId,
           testName: !!testName,
-          testCode: !!testCode
+          testCode: !!testCode,
+          testCases: !!testCases
         }
       });
     }
 
+    if (!canAccessProject(req.principal, projectId)) {
+      return forbidProject(res, projectId);
+    }
+
+    if (await rejectOverQuota(res, projectId)) {
+      return;
+    }
+
+    // Validate test cases for multi-test runs
+    if (testCases !== undefined) {
+      const issues = Array.isArray(testCases) && testCases.length > 0
+        ? testRunner.validateTestCases(testCases)
+        : ['testCases must be a non-empty array of { name, testCode, describe? }'];
+
+      if (issues.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid test cases',
+          issues
+        });
+      }
+    }
+
+    // Sandbox pre-check: no child_process, fs or process.env access unless
+    // the project allows it
+    const accessIssues = testRunner.checkCodeAccess(
+      testCases || [{ name: testName, testCode }],
+      await projectSettings.getSettings(projectId)
+    );
+    if (accessIssues.length > 0) {
+      return res.status(400).json({
+        error: 'Test code not allowed',
+        issues: accessIssues,
+        message: 'Enable allowSystemAccess in the project settings to permit this code'
+      });
+    }
+
+    // Every secrets.NAME the code uses must exist in the project's vault
+    const referencedSecrets = testRunner.getSecretReferences(testCases || [{ name: testName, testCode }]);
+    if (referencedSecrets.length > 0) {
+      const storedNames = (await secretsService.listSecrets(projectId)).map(secret => secret.name);
+      const missingSecrets = referencedSecrets.filter(name => !storedNames.includes(name));
+      if (missingSecrets.length > 0 || !secretsService.isConfigured()) {
+        return res.status(400).json({
+          error: 'Unknown secrets',
+          missing: missingSecrets,
+          message: secretsService.isConfigured()
+            ? `Create them with PUT /api/projects/${projectId}/secrets/:name`
+            : 'Secrets vault not configured; set SECRETS_MASTER_KEY'
+        });
+      }
+    }
+
     // Validate browserType
     const validBrowsers = ['chromium', 'firefox', 'webkit'];
     if (!validBrowsers.includes(browserType)) {
@@ -238,15 +747,148 @@ app.post('/api/test/run', async (req, res) => {
       });
     }
 
+    // Validate browser matrix
+    if (browsers !== undefined) {
+      const issues = testRunner.validateBrowsers(browsers);
+      if (issues.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid browsers',
+          issues,
+          validBrowsers
+        });
+      }
+    }
+
+    // Validate device emulation
+    if (device !== undefined) {
+      if (browsers !== undefined) {
+        return res.status(400).json({
+          error: 'Invalid device',
+          message: 'Use either device or browsers, not both. Device profiles can be listed in browsers.'
+        });
+      }
+      if (!testRunner.isDeviceProfile(device)) {
+        return res.status(400).json({
+          error: 'Invalid device',
+          message: `Unknown Playwright device descriptor: ${device}`,
+          received: device
+        });
+      }
+    }
+
+    // Validate browser context options
+    const { issues: contextIssues, contextOptions } = validateContextOptions(rawContextOptions);
+    if (contextIssues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid context options',
+        issues: contextIssues
+      });
+    }
+
+    // headless and viewport are written into the run's Playwright config
+    const modeIssues = [...validateHeadless(headless), ...validateViewport(viewport)];
+    if (modeIssues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid browser options',
+        issues: modeIssues
+      });
+    }
+
+    // Validate retries (omit to use the project's default)
+    if (retries !== undefined) {
+      const issues = validateRetries(retries);
+      if (issues.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid retries',
+          issues
+        });
+      }
+    }
+
+    // Validate timeouts (unset keys use the project's defaults)
+    if (timeouts !== undefined) {
+      const { issues } = validateTimeouts(timeouts);
+      if (issues.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid timeouts',
+          issues
+        });
+      }
+    }
+
+    // Validate tags
+    if (tags !== undefined) {
+      const issues = validateTags(tags);
+      if (issues.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid tags',
+          issues
+        });
+      }
+    }
+
+    // Validate accessibility audits
+    const { issues: accessibilityIssues, accessibility } = validateAccessibility(rawAccessibility);
+    if (accessibilityIssues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid accessibility option',
+        issues: accessibilityIssues
+      });
+    }
+
+    // Validate performance metrics
+    if (performance !== undefined && typeof performance !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid performance option',
+        issues: ['performance must be a boolean']
+      });
+    }
+
+    // Validate HAR recording
+    const { issues: harIssues, har } = validateHar(rawHar);
+    if (harIssues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid har option',
+        issues: harIssues
+      });
+    }
+
+    // Validate callback URL
+    if (callbackUrl !== undefined) {
+      const issues = validateCallbackUrl(callbackUrl);
+      if (issues.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid callbackUrl',
+          issues
+        });
+      }
+    }
+
+    // Runs forwarded by the integration endpoints say where they came from
+    const source = TRIGGER_SOURCES.includes(req.get('X-Trigger-Source')) ? req.get('X-Trigger-Source') : 'api';
+
+    const runBrowsers = browsers || [device || browserType];
+
     // Start test execution (don't await - run async)
     const testPromise = testRunner.runTest({
       testId,
       projectId,
       testName,
       testCode,
-      browserType,
+      testCases,
+      browserType: runBrowsers[0],
+      browsers: runBrowsers,
       headless,
-      viewport
+      viewport,
+      contextOptions,
+      retries,
+      timeouts,
+      tags,
+      accessibility,
+      performance,
+      har,
+      source,
+      runByUserId: req.principal.userId || undefined
     }).then(async (testResult) => {
       try {
         // Create zip file after test completion
@@ -262,9 +904,7 @@ app.post('/api/test/run', async (req, res) => {
 
         // Update the stored test result with zip information
         try {
-          const testDir = path.join(__dirname, '../test-runs', testId);
-          const resultPath = path.join(testDir, 'result.json');
-          await fs.writeFile(resultPath, JSON.stringify(testResult, null, 2));
+          await testRunner.saveTestResult(testId, testResult);
 
           // Also update the in-memory cache
           testRunner.runningTests.set(testId, testResult);
@@ -274,11 +914,13 @@ app.post('/api/test/run', async (req, res) => {
           logger.error('Failed to save updated test result', { testId, error: saveError.message });
         }
 
-        // Send callback if provided
+        // Queue the callback; it is signed and retried until delivered
         if (callbackUrl) {
-          try {
-            const axios = require('axios');
-            const callbackData = {
+          callbacks.enqueue({
+            testId,
+            projectId,
+            url: callbackUrl,
+            payload: {
               testId,
               projectId,
               testName,
@@ -288,27 +930,19 @@ app.post('/api/test/run', async (req, res) => {
               report: {
                 passed: testResult.passed,
                 failed: testResult.failed,
+                flaky: testResult.flaky,
+                skipped: testResult.skipped,
+                retries: testResult.retries,
+                timedOut: testResult.timedOut,
+                timeouts: testResult.timeouts,
+                total: testResult.total,
                 duration: testResult.duration,
-                errors: testResult.errors
+                errors: testResult.errors,
+                tests: testResult.tests,
+                browsers: testResult.browserResults
               }
-            };
-            
-            await axios.post(callbackUrl, callbackData, {
-              timeout: 30000,
-              headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'E2E-Testing-Platform/1.0'
-              }
-            });
-            
-            logger.info(`Callback sent successfully to ${callbackUrl}`, { testId });
-          } catch (callbackError) {
-            logger.error('Failed to send callback', { 
-              testId, 
-              callbackUrl, 
-              error: callbackError.message 
-            });
-          }
+            }
+          });
         }
 
         return testResult;
@@ -321,14 +955,17 @@ app.post('/api/test/run', async (req, res) => {
     // Return immediate response with report URLs
     const baseUrl = `${req.protocol}://${req.get('host')}`;
     const zipFileName = `${projectId}_${testId}_${timestamp}.zip`;
+    const queueInfo = testRunner.getQueueInfo(testId);
 
     res.status(202).json({
       testId,
       projectId,
       testName,
-      status: 'started',
+      testCount: testCases ? testCases.length : 1,
+      status: queueInfo ? 'queued' : 'started',
       timestamp,
-      message: 'Test execution started',
+      message: queueInfo ? 'Test queued for execution' : 'Test execution started',
+      queue: queueInfo,
       statusUrl: `${baseUrl}/api/test/status/${testId}`,
       reportUrls: {
         info: `${baseUrl}/api/report/${testId}`,
@@ -355,7 +992,7 @@ app.post('/api/test/run', async (req, res) => {
 });
 
 // Convert recorded test endpoint
-app.post('/api/test/convert', async (req, res) => {
+app.post('/api/test/convert', authorize('runs:read'), async (req, res) => {
   try {
     logger.info('Converting recorded test', { body: req.body });
 
@@ -400,13 +1037,48 @@ app.post('/api/test/convert', async (req, res) => {
 
     // If autoExecute is true, run the test immediately
     if (autoExecute) {
+      if (!hasPermission(req.principal, 'runs:execute')) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `Role ${req.principal.role} lacks the runs:execute permission needed for autoExecute`,
+          permission: 'runs:execute'
+        });
+      }
+      if (!canAccessProject(req.principal, convertedTest.projectId)) {
+        return forbidProject(res, convertedTest.projectId);
+      }
+      if (await rejectOverQuota(res, convertedTest.projectId)) {
+        return;
+      }
+
+      const modeIssues = [...validateHeadless(convertedTest.headless), ...validateViewport(convertedTest.viewport)];
+      if (modeIssues.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid browser options',
+          issues: modeIssues
+        });
+      }
+
+      const accessIssues = testRunner.checkCodeAccess(
+        [{ name: convertedTest.testName, testCode: convertedTest.testCode }],
+        await projectSettings.getSettings(convertedTest.projectId)
+      );
+      if (accessIssues.length > 0) {
+        return res.status(400).json({
+          error: 'Test code not allowed',
+          issues: accessIssues,
+          message: 'Enable allowSystemAccess in the project settings to permit this code'
+        });
+      }
+
       const testId = uuidv4();
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
 
       // Start test execution (don't await - run async)
       testRunner.runTest({
         testId,
-        ...convertedTest
+        ...convertedTest,
+        source: 'convert'
       }).then(async (testResult) => {
         try {
           // Create zip file after test completion
@@ -422,9 +1094,7 @@ app.post('/api/test/convert', async (req, res) => {
 
           // Update the stored test result with zip information
           try {
-            const testDir = path.join(__dirname, '../test-runs', testId);
-            const resultPath = path.join(testDir, 'result.json');
-            await fs.writeFile(resultPath, JSON.stringify(testResult, null, 2));
+            await testRunner.saveTestResult(testId, testResult);
 
             // Also update the in-memory cache
             testRunner.runningTests.set(testId, testResult);
@@ -449,10 +1119,12 @@ app.post('/api/test/convert', async (req, res) => {
 
       const baseUrl = `${req.protocol}://${req.get('host')}`;
       const zipFileName = `${convertedTest.projectId}_${testId}_${timestamp}.zip`;
+      const queueInfo = testRunner.getQueueInfo(testId);
 
       response.autoExecution = {
         testId,
-        status: 'started',
+        status: queueInfo ? 'queued' : 'started',
+        queue: queueInfo,
         statusUrl: `${baseUrl}/api/test/status/${testId}`,
         reportUrls: {
           info: `${baseUrl}/api/report/${testId}`,
@@ -460,7 +1132,7 @@ app.post('/api/test/convert', async (req, res) => {
           direct: `${baseUrl}/api/report/${testId}/html`,
           download: `${baseUrl}/api/download/${zipFileName}` // Will be available after test completion
         },
-        message: 'Test execution started automatically'
+        message: queueInfo ? 'Test queued for automatic execution' : 'Test execution started automatically'
       };
     }
 
@@ -480,7 +1152,7 @@ app.post('/api/test/convert', async (req, res) => {
   }
 });
 
-app.get('/api/test/status/:testId', async (req, res) => {
+app.get('/api/test/status/:testId', authorize('runs:read'), async (req, res) => {
   try {
     const { testId } = req.params;
     const status = await testRunner.getTestStatus(testId);
@@ -488,7 +1160,7 @@ app.get('/api/test/status/:testId', async (req, res) => {
     // Add download URL if zip exists
     const baseUrl = `${req.protocol}://${req.get('host')}`;
 
-    if (status.status !== 'running' && !status.downloadUrl) {
+    if (!['queued', 'running'].includes(status.status) && !status.downloadUrl) {
       const timestamp = new Date(status.startTime).toISOString().replace(/[:.]/g, '-');
       const zipFileName = `${status.projectId}_${testId}_${timestamp}.zip`;
       const zipPath = path.join(__dirname, '../reports/zips', zipFileName);
@@ -524,61 +1196,8 @@ app.get('/api/test/status/:testId', async (req, res) => {
   }
 });
 
-app.get('/api/download/:filename', async (req, res) => {
-  try {
-    const filename = req.params.filename;
-    
-    // Validate filename format
-    if (!/^[a-zA-Z0-9_\-]+\.zip$/.test(filename)) {
-      return res.status(400).json({ error: 'Invalid filename format' });
-    }
-    
-    const filePath = path.join(__dirname, '../reports/zips', filename);
-    
-    // Check if file exists
-    await fs.access(filePath);
-    
-    // Get file info
-    const stats = await fs.stat(filePath);
-    const zipInfo = await zipService.getZipInfo(filePath);
-    
-    // Set appropriate headers
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Length', stats.size);
-    res.setHeader('Cache-Control', 'no-cache');
-    
-    logger.info(`Download started: ${filename}`, { 
-      size: zipInfo.sizeInMB + 'MB',
-      userAgent: req.get('User-Agent') 
-    });
-    
-    // Stream the file
-    const fileStream = require('fs').createReadStream(filePath);
-    fileStream.pipe(res);
-    
-    fileStream.on('end', () => {
-      logger.info(`Download completed: ${filename}`);
-    });
-    
-    fileStream.on('error', (error) => {
-      logger.error(`Download error: ${filename}`, { error: error.message });
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Download failed' });
-      }
-    });
-    
-  } catch (error) {
-    logger.error('Download error', { filename: req.params.filename, error: error.message });
-    res.status(404).json({ 
-      error: 'File not found',
-      filename: req.params.filename 
-    });
-  }
-});
-
-// Serve HTML reports directly via URL
-app.get('/api/report/:testId', async (req, res) => {
+// Cancel a queued or running test
+app.post('/api/test/:testId/cancel', authorize('runs:execute'), async (req, res) => {
   try {
     const { testId } = req.params;
 
@@ -587,7 +1206,6 @@ app.get('/api/report/:testId', async (req, res) => {
       return res.status(400).json({ error: 'Invalid test ID format' });
     }
 
-    // Get test status to verify it exists
     let testStatus;
     try {
       testStatus = await testRunner.getTestStatus(testId);
@@ -599,216 +1217,662 @@ app.get('/api/report/:testId', async (req, res) => {
       });
     }
 
-    // Check if test is completed
-    if (testStatus.status === 'running') {
-      return res.status(202).json({
-        error: 'Test still running',
+    const { cancelled, previousStatus } = await testRunner.cancelTest(testId);
+
+    if (!cancelled) {
+      return res.status(409).json({
+        error: 'Test cannot be cancelled',
         testId,
         status: testStatus.status,
-        message: 'Test report is not yet available. Please wait for test completion.',
-        statusUrl: `/api/test/status/${testId}`
+        message: 'Only queued or running tests can be cancelled'
       });
     }
 
-    // Check if HTML report exists
-    const reportPath = path.join(__dirname, '../test-runs', testId, 'playwright-report', 'index.html');
-    try {
-      await fs.access(reportPath);
-    } catch (error) {
+    logger.info(`Test cancellation requested: ${testId}`, { previousStatus });
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    res.status(202).json({
+      success: true,
+      testId,
+      previousStatus,
+      status: previousStatus === 'queued' ? 'cancelled' : 'cancelling',
+      message: previousStatus === 'queued'
+        ? 'Test removed from the queue'
+        : 'Test process is being terminated',
+      statusUrl: `${baseUrl}/api/test/status/${testId}`
+    });
+
+  } catch (error) {
+    logger.error('Test cancellation failed', {
+      testId: req.params.testId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Test cancellation failed',
+      testId: req.params.testId,
+      message: error.message
+    });
+  }
+});
+
+// Delivery log of a run's result callbacks, oldest first
+app.get('/api/test/:testId/callbacks', authorize('runs:read'), async (req, res) => {
+  try {
+    const { testId } = req.params;
+
+    // Validate testId format (UUID)
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
+      return res.status(400).json({ error: 'Invalid test ID format' });
+    }
+
+    if (!runHistory.getRun(testId)) {
       return res.status(404).json({
-        error: 'Report not found',
+        error: 'Test not found',
         testId,
-        message: 'HTML report file does not exist or has been cleaned up'
+        message: 'No test found with the provided ID'
       });
     }
 
-    // Return report information and URLs
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    res.json({
+      testId,
+      deliveries: runHistory.listDeliveries(testId)
+    });
+  } catch (error) {
+    logger.error('Failed to list callback deliveries', { testId: req.params.testId, error: error.message });
+    res.status(500).json({ error: 'Failed to list callback deliveries' });
+  }
+});
 
-    // Ensure download URL includes full domain
-    let downloadUrl = null;
-    if (testStatus.downloadUrl) {
-      downloadUrl = testStatus.downloadUrl.startsWith('http')
-        ? testStatus.downloadUrl
-        : `${baseUrl}${testStatus.downloadUrl}`;
+// Send a callback again, e.g. after fixing the receiver
+app.post('/api/test/:testId/callbacks/:deliveryId/redeliver', authorize('runs:execute'), async (req, res) => {
+  try {
+    const { testId, deliveryId } = req.params;
+
+    const original = runHistory.getDelivery(deliveryId);
+    if (!original || original.testId !== testId) {
+      return res.status(404).json({
+        error: 'Delivery not found',
+        testId,
+        deliveryId
+      });
+    }
+
+    const delivery = callbacks.redeliver(deliveryId);
+
+    res.status(202).json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    logger.error('Callback redelivery failed', { testId: req.params.testId, deliveryId: req.params.deliveryId, error: error.message });
+    res.status(500).json({ error: 'Callback redelivery failed' });
+  }
+});
+
+// Visual snapshots of a run and how they compared with the baselines
+app.get('/api/test/:testId/snapshots', authorize('runs:read'), async (req, res) => {
+  try {
+    const { testId } = req.params;
+
+    // Validate testId format (UUID)
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
+      return res.status(400).json({ error: 'Invalid test ID format' });
+    }
+
+    let testStatus;
+    try {
+      testStatus = await testRunner.getTestStatus(testId);
+    } catch (error) {
+      return res.status(404).json({
+        error: 'Test not found',
+        testId,
+        message: 'No test found with the provided ID'
+      });
     }
 
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const visualResult = testStatus.visual || { total: 0, snapshots: [] };
     res.json({
       testId,
       projectId: testStatus.projectId,
-      testName: testStatus.testName,
       status: testStatus.status,
-      reportUrls: {
-        view: `${baseUrl}/api/report/${testId}/view`,
-        direct: `${baseUrl}/api/report/${testId}/html`,
-        download: downloadUrl
-      },
-      testDetails: {
-        duration: testStatus.duration,
-        passed: testStatus.passed,
-        failed: testStatus.failed,
-        startTime: testStatus.startTime,
-        endTime: testStatus.endTime
-      }
+      ...visualResult,
+      snapshots: visualResult.snapshots.map(snapshot => ({
+        ...snapshot,
+        images: Object.fromEntries(VisualService.SNAPSHOT_IMAGES
+          .filter(image => image === 'actual' || snapshot.mismatchPercent !== null)
+          .map(image => [image, `${baseUrl}/api/test/${testId}/snapshots/${snapshot.key}/${image}`]))
+      }))
     });
-
   } catch (error) {
-    logger.error('Report endpoint error', {
-      testId: req.params.testId,
-      error: error.message
+    logger.error('Failed to list visual snapshots', { testId: req.params.testId, error: error.message });
+    res.status(500).json({ error: 'Failed to list visual snapshots' });
+  }
+});
+
+// Snapshot images: the run's actual capture, the baseline it was compared with, and the diff
+app.get('/api/test/:testId/snapshots/:snapshotKey/:image', authorize('runs:read'), async (req, res) => {
+  const { testId, snapshotKey, image } = req.params;
+
+  // Validate testId format (UUID)
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
+    return res.status(400).json({ error: 'Invalid test ID format' });
+  }
+
+  if (!visual.getRunImagePath(testId, snapshotKey, image)) {
+    return res.status(400).json({
+      error: 'Invalid snapshot image',
+      message: `Image must be one of: ${VisualService.SNAPSHOT_IMAGES.join(', ')}`
     });
+  }
 
-    res.status(500).json({
-      error: 'Failed to get report information',
-      testId: req.params.testId,
-      message: error.message
+  const imagePath = await visual.resolveRunImage(testId, snapshotKey, image);
+  if (!imagePath) {
+    return res.status(404).json({
+      error: 'Snapshot image not found',
+      testId,
+      snapshotKey,
+      image
     });
   }
+
+  res.type('png').sendFile(imagePath);
 });
 
-// Serve HTML report viewer interface
-app.get('/api/report/:testId/view', async (req, res) => {
+// Make a run's snapshots the project's baselines (by default every new or changed one)
+app.post('/api/test/:testId/snapshots/approve', authorize('baselines:approve'), async (req, res) => {
   try {
     const { testId } = req.params;
 
     // Validate testId format (UUID)
     if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
-      return res.status(400).send(`
-        <html><body>
-          <h1>Invalid Test ID</h1>
-          <p>The provided test ID format is invalid.</p>
-          <a href="/">← Back to Dashboard</a>
-        </body></html>
-      `);
+      return res.status(400).json({ error: 'Invalid test ID format' });
     }
 
-    // Get test status
     let testStatus;
     try {
       testStatus = await testRunner.getTestStatus(testId);
     } catch (error) {
-      return res.status(404).send(`
-        <html><body>
-          <h1>Test Not Found</h1>
-          <p>No test found with ID: ${testId}</p>
-          <a href="/">← Back to Dashboard</a>
-        </body></html>
-      `);
+      return res.status(404).json({
+        error: 'Test not found',
+        testId,
+        message: 'No test found with the provided ID'
+      });
     }
 
-    // Check if test is completed
-    if (testStatus.status === 'running') {
-      return res.send(`
-        <html>
-          <head>
-            <title>Test Report - ${testStatus.testName}</title>
-            <meta http-equiv="refresh" content="5">
-            <style>
-              body { font-family: Arial, sans-serif; max-width: 800px; margin: 50px auto; padding: 20px; }
-              .status { padding: 20px; background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 5px; }
-            </style>
-          </head>
-          <body>
-            <h1>Test Report - ${testStatus.testName}</h1>
-            <div class="status">
-              <h2>⏳ Test Still Running</h2>
-              <p>Test ID: ${testId}</p>
-              <p>Project: ${testStatus.projectId}</p>
-              <p>Status: ${testStatus.status}</p>
-              <p>This page will automatically refresh every 5 seconds until the test completes.</p>
-            </div>
-            <a href="/">← Back to Dashboard</a>
-          </body>
-        </html>
-      `);
+    if (['queued', 'running'].includes(testStatus.status)) {
+      return res.status(409).json({
+        error: 'Test still running',
+        testId,
+        status: testStatus.status,
+        message: 'Snapshots can be approved once the run has finished'
+      });
     }
 
-    // Check if HTML report exists
-    const reportPath = path.join(__dirname, '../test-runs', testId, 'playwright-report', 'index.html');
-    try {
-      await fs.access(reportPath);
-    } catch (error) {
-      return res.status(404).send(`
-        <html><body>
-          <h1>Report Not Available</h1>
-          <p>HTML report for test ${testId} is not available or has been cleaned up.</p>
-          <a href="/">← Back to Dashboard</a>
-        </body></html>
-      `);
+    const { issues, approved } = await visual.approveSnapshots(
+      testStatus,
+      (req.body || {}).snapshotKeys,
+      req.principal.name
+    );
+
+    if (approved.length === 0 && issues.length > 0) {
+      return res.status(400).json({
+        error: 'Snapshots not approved',
+        issues
+      });
     }
 
-    // Generate report viewer HTML
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const reportViewerHtml = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Test Report - ${testStatus.testName}</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            margin: 0;
-            padding: 0;
-            background-color: #f5f5f5;
-        }
-        .header {
-            background: white;
-            padding: 20px;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-            margin-bottom: 20px;
-        }
-        .header h1 {
-            margin: 0 0 10px 0;
-            color: #333;
-        }
-        .test-info {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 20px;
-            margin-bottom: 20px;
-        }
-        .info-card {
-            background: #f8f9fa;
-            padding: 15px;
-            border-radius: 5px;
-            border-left: 4px solid #007bff;
-        }
-        .info-card.passed { border-left-color: #28a745; }
-        .info-card.failed { border-left-color: #dc3545; }
-        .info-label {
-            font-weight: bold;
-            color: #666;
-            font-size: 12px;
-            text-transform: uppercase;
-            margin-bottom: 5px;
-        }
-        .info-value {
-            font-size: 16px;
-            color: #333;
-        }
-        .actions {
-            margin-bottom: 20px;
+    res.json({
+      success: true,
+      testId,
+      projectId: testStatus.projectId,
+      approved,
+      issues
+    });
+  } catch (error) {
+    logger.error('Failed to approve visual snapshots', { testId: req.params.testId, error: error.message });
+    res.status(500).json({ error: 'Failed to approve visual snapshots' });
+  }
+});
+
+// Stream live test output and progress as Server-Sent Events
+app.get('/api/test/:testId/events', authorize('runs:read'), async (req, res) => {
+  const { testId } = req.params;
+
+  // Validate testId format (UUID)
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
+    return res.status(400).json({ error: 'Invalid test ID format' });
+  }
+
+  let testStatus;
+  try {
+    testStatus = await testRunner.getTestStatus(testId);
+  } catch (error) {
+    return res.status(404).json({
+      error: 'Test not found',
+      testId,
+      message: 'No test found with the provided ID'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Replay what the client missed (EventSource sends Last-Event-ID on reconnect)
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  const missedEvents = testRunner.getRunEvents(testId, lastEventId);
+  missedEvents.forEach(sendEvent);
+
+  if (!['queued', 'running'].includes(testStatus.status)) {
+    if (!missedEvents.some(event => event.type === 'end')) {
+      sendEvent({
+        id: lastEventId + missedEvents.length + 1,
+        testId,
+        type: 'end',
+        timestamp: new Date().toISOString(),
+        data: {
+          status: testStatus.status,
+          passed: testStatus.passed,
+          failed: testStatus.failed,
+          duration: testStatus.duration
         }
-        .btn {
-            display: inline-block;
-            padding: 10px 20px;
-            margin-right: 10px;
-            background: #007bff;
-            color: white;
-            text-decoration: none;
-            border-radius: 5px;
-            font-size: 14px;
-        }
-        .btn:hover {
-            background: #0056b3;
+      });
+    }
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    testRunner.removeListener('event', onEvent);
+  };
+
+  const onEvent = (event) => {
+    if (event.testId !== testId) {
+      return;
+    }
+    sendEvent(event);
+    if (event.type === 'end') {
+      cleanup();
+      res.end();
+    }
+  };
+
+  testRunner.on('event', onEvent);
+  req.on('close', cleanup);
+});
+
+app.get('/api/download/:filename', authorize('runs:read'), async (req, res) => {
+  try {
+    const filename = req.params.filename;
+    
+    // Validate filename format
+    if (!/^[a-zA-Z0-9_\-]+\.zip$/.test(filename)) {
+      return res.status(400).json({ error: 'Invalid filename format' });
+    }
+
+    // Zips of runs missing from run history are for unscoped keys only
+    const zipRun = runHistory.getRunByZip(filename);
+    if (zipRun ? !canAccessProject(req.principal, zipRun.projectId) : req.principal.projects !== null) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This API key is not allowed to download this report',
+        filename
+      });
+    }
+    
+    const filePath = path.join(__dirname, '../reports/zips', filename);
+    
+    // Check if file exists
+    await fs.access(filePath);
+    
+    // Get file info
+    const stats = await fs.stat(filePath);
+    const zipInfo = await zipService.getZipInfo(filePath);
+    
+    // Set appropriate headers
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', stats.size);
+    res.setHeader('Cache-Control', 'no-cache');
+    
+    logger.info(`Download started: ${filename}`, { 
+      size: zipInfo.sizeInMB + 'MB',
+      userAgent: req.get('User-Agent') 
+    });
+    
+    // Stream the file
+    const fileStream = require('fs').createReadStream(filePath);
+    fileStream.pipe(res);
+    
+    fileStream.on('end', () => {
+      logger.info(`Download completed: ${filename}`);
+    });
+    
+    fileStream.on('error', (error) => {
+      logger.error(`Download error: ${filename}`, { error: error.message });
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Download failed' });
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Download error', { filename: req.params.filename, error: error.message });
+    res.status(404).json({ 
+      error: 'File not found',
+      filename: req.params.filename 
+    });
+  }
+});
+
+// Serve HTML reports directly via URL
+app.get('/api/report/:testId', authorize('runs:read'), async (req, res) => {
+  try {
+    const { testId } = req.params;
+
+    // Validate testId format (UUID)
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
+      return res.status(400).json({ error: 'Invalid test ID format' });
+    }
+
+    // Get test status to verify it exists
+    let testStatus;
+    try {
+      testStatus = await testRunner.getTestStatus(testId);
+    } catch (error) {
+      return res.status(404).json({
+        error: 'Test not found',
+        testId,
+        message: 'No test found with the provided ID'
+      });
+    }
+
+    // Check if test is completed
+    if (['queued', 'running'].includes(testStatus.status)) {
+      return res.status(202).json({
+        error: 'Test still running',
+        testId,
+        status: testStatus.status,
+        queuePosition: testStatus.queuePosition,
+        message: 'Test report is not yet available. Please wait for test completion.',
+        statusUrl: `/api/test/status/${testId}`
+      });
+    }
+
+    // Check if HTML report exists
+    const reportPath = path.join(__dirname, '../test-runs', testId, 'playwright-report', 'index.html');
+    try {
+      await fs.access(reportPath);
+    } catch (error) {
+      return res.status(404).json({
+        error: 'Report not found',
+        testId,
+        message: 'HTML report file does not exist or has been cleaned up'
+      });
+    }
+
+    // Return report information and URLs
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    // Ensure download URL includes full domain
+    let downloadUrl = null;
+    if (testStatus.downloadUrl) {
+      downloadUrl = testStatus.downloadUrl.startsWith('http')
+        ? testStatus.downloadUrl
+        : `${baseUrl}${testStatus.downloadUrl}`;
+    }
+
+    res.json({
+      testId,
+      projectId: testStatus.projectId,
+      testName: testStatus.testName,
+      status: testStatus.status,
+      reportUrls: {
+        view: `${baseUrl}/api/report/${testId}/view`,
+        direct: `${baseUrl}/api/report/${testId}/html`,
+        download: downloadUrl
+      },
+      testDetails: {
+        duration: testStatus.duration,
+        passed: testStatus.passed,
+        failed: testStatus.failed,
+        flaky: testStatus.flaky,
+        skipped: testStatus.skipped,
+        total: testStatus.total,
+        timedOut: testStatus.timedOut,
+        timeouts: testStatus.timeouts,
+        startTime: testStatus.startTime,
+        endTime: testStatus.endTime,
+        tests: testStatus.tests,
+        browsers: testStatus.browserResults,
+        visual: testStatus.visual,
+        accessibility: testStatus.accessibility,
+        performance: testStatus.performance,
+        network: testStatus.network
+      }
+    });
+
+  } catch (error) {
+    logger.error('Report endpoint error', {
+      testId: req.params.testId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Failed to get report information',
+      testId: req.params.testId,
+      message: error.message
+    });
+  }
+});
+
+// Serve HTML report viewer interface
+app.get('/api/report/:testId/view', authorize('runs:read'), async (req, res) => {
+  try {
+    const { testId } = req.params;
+
+    // Validate testId format (UUID)
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
+      return res.status(400).send(`
+        <html><body>
+          <h1>Invalid Test ID</h1>
+          <p>The provided test ID format is invalid.</p>
+          <a href="/">← Back to Dashboard</a>
+        </body></html>
+      `);
+    }
+
+    // Get test status
+    let testStatus;
+    try {
+      testStatus = await testRunner.getTestStatus(testId);
+    } catch (error) {
+      return res.status(404).send(`
+        <html><body>
+          <h1>Test Not Found</h1>
+          <p>No test found with ID: ${testId}</p>
+          <a href="/">← Back to Dashboard</a>
+        </body></html>
+      `);
+    }
+
+    // Check if test is completed
+    if (['queued', 'running'].includes(testStatus.status)) {
+      return res.send(`
+        <html>
+          <head>
+            <title>Test Report - ${testStatus.testName}</title>
+            <style>
+              body { font-family: Arial, sans-serif; max-width: 800px; margin: 50px auto; padding: 20px; }
+              .status { padding: 20px; background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 5px; }
+              .progress { margin: 20px 0; }
+              .progress .passed { color: #28a745; }
+              .progress .failed, .progress .timedOut { color: #dc3545; }
+              .log { background: #1e1e1e; color: #d4d4d4; padding: 15px; border-radius: 5px; height: 300px; overflow-y: auto; font-size: 12px; white-space: pre-wrap; }
+              .log .stderr { color: #f48771; }
+              .log .step { color: #9cdcfe; }
+            </style>
+          </head>
+          <body>
+            <h1>Test Report - ${testStatus.testName}</h1>
+            <div class="status">
+              <h2>⏳ ${testStatus.status === 'queued' ? 'Test Queued' : 'Test Still Running'}</h2>
+              <p>Test ID: ${testId}</p>
+              <p>Project: ${testStatus.projectId}</p>
+              <p>Status: ${testStatus.status}</p>
+              ${testStatus.queuePosition ? `<p>Queue position: ${testStatus.queuePosition} (estimated start: ${new Date(testStatus.estimatedStartTime).toLocaleTimeString()})</p>` : ''}
+              <p id="liveStatus">Connecting to live output...</p>
+            </div>
+            <div class="progress" id="progress"></div>
+            <div class="log" id="log"></div>
+            <a href="/">← Back to Dashboard</a>
+            <script>
+              const log = document.getElementById('log');
+              const progress = document.getElementById('progress');
+              const liveStatus = document.getElementById('liveStatus');
+
+              function appendLine(text, className) {
+                const line = document.createElement('div');
+                line.className = className || '';
+                line.textContent = text;
+                log.appendChild(line);
+                log.scrollTop = log.scrollHeight;
+              }
+
+              const source = new EventSource('/api/test/${testId}/events');
+              source.onopen = () => { liveStatus.textContent = 'Streaming live output. This page reloads when the test completes.'; };
+              source.addEventListener('status', (e) => { liveStatus.textContent = 'Status: ' + JSON.parse(e.data).data.status; });
+              source.addEventListener('stdout', (e) => appendLine(JSON.parse(e.data).data.line));
+              source.addEventListener('stderr', (e) => appendLine(JSON.parse(e.data).data.line, 'stderr'));
+              source.addEventListener('stepEnd', (e) => {
+                const step = JSON.parse(e.data).data;
+                appendLine((step.error ? '✗ ' : '✓ ') + step.title + ' (' + step.duration + 'ms)', 'step');
+              });
+              source.addEventListener('testBegin', (e) => {
+                const test = JSON.parse(e.data).data;
+                const item = document.createElement('div');
+                item.id = 'test-' + test.id;
+                item.textContent = '▶ ' + test.title + (test.retry ? ' (retry ' + test.retry + ')' : '');
+                progress.appendChild(item);
+              });
+              source.addEventListener('testEnd', (e) => {
+                const test = JSON.parse(e.data).data;
+                const item = document.getElementById('test-' + test.id);
+                if (item) {
+                  item.className = test.status;
+                  item.textContent = (test.status === 'passed' ? '✅ ' : '❌ ') + test.title + ' - ' + test.status + ' (' + test.duration + 'ms)';
+                }
+              });
+              source.addEventListener('end', () => {
+                source.close();
+                liveStatus.textContent = 'Test finished. Loading report...';
+                setTimeout(() => window.location.reload(), 2000);
+              });
+              source.onerror = () => { liveStatus.textContent = 'Live output disconnected, retrying...'; };
+            </script>
+          </body>
+        </html>
+      `);
+    }
+
+    // Check if HTML report exists
+    const reportPath = path.join(__dirname, '../test-runs', testId, 'playwright-report', 'index.html');
+    try {
+      await fs.access(reportPath);
+    } catch (error) {
+      return res.status(404).send(`
+        <html><body>
+          <h1>Report Not Available</h1>
+          <p>HTML report for test ${testId} is not available or has been cleaned up.</p>
+          <a href="/">← Back to Dashboard</a>
+        </body></html>
+      `);
+    }
+
+    // Generate report viewer HTML
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const reportViewerHtml = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Test Report - ${testStatus.testName}</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            margin: 0;
+            padding: 0;
+            background-color: #f5f5f5;
         }
-        .btn.secondary {
-            background: #6c757d;
+        .header {
+            background: white;
+            padding: 20px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            margin-bottom: 20px;
         }
-        .btn.secondary:hover {
-            background: #545b62;
+        .header h1 {
+            margin: 0 0 10px 0;
+            color: #333;
+        }
+        .test-info {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: 20px;
+            margin-bottom: 20px;
+        }
+        .info-card {
+            background: #f8f9fa;
+            padding: 15px;
+            border-radius: 5px;
+            border-left: 4px solid #007bff;
+        }
+        .info-card.passed { border-left-color: #28a745; }
+        .info-card.failed { border-left-color: #dc3545; }
+        .info-card.flaky { border-left-color: #fd7e14; }
+        .info-card.timedOut { border-left-color: #dc3545; }
+        .info-label {
+            font-weight: bold;
+            color: #666;
+            font-size: 12px;
+            text-transform: uppercase;
+            margin-bottom: 5px;
+        }
+        .info-value {
+            font-size: 16px;
+            color: #333;
+        }
+        .actions {
+            margin-bottom: 20px;
+        }
+        .btn {
+            display: inline-block;
+            padding: 10px 20px;
+            margin-right: 10px;
+            background: #007bff;
+            color: white;
+            text-decoration: none;
+            border-radius: 5px;
+            font-size: 14px;
+        }
+        .btn:hover {
+            background: #0056b3;
+        }
+        .btn.secondary {
+            background: #6c757d;
+        }
+        .btn.secondary:hover {
+            background: #545b62;
         }
         .report-frame {
             width: 100%;
@@ -822,282 +1886,1576 @@ app.get('/api/report/:testId/view', async (req, res) => {
             margin: 0 auto;
             padding: 0 20px;
         }
+        .snapshot {
+            background: white;
+            border: 1px solid #ddd;
+            border-left: 4px solid #007bff;
+            border-radius: 5px;
+            padding: 15px;
+            margin-bottom: 20px;
+        }
+        .snapshot.passed { border-left-color: #28a745; }
+        .snapshot.changed, .snapshot.error { border-left-color: #dc3545; }
+        .snapshot.new { border-left-color: #fd7e14; }
+        .snapshot h3 {
+            margin: 0 0 10px 0;
+            font-size: 15px;
+            color: #333;
+        }
+        .snapshot-images {
+            display: grid;
+            grid-template-columns: repeat(3, 1fr);
+            gap: 15px;
+        }
+        .snapshot-images img {
+            width: 100%;
+            border: 1px solid #ddd;
+        }
+        .metrics {
+            width: 100%;
+            border-collapse: collapse;
+            background: white;
+            margin-bottom: 20px;
+        }
+        .metrics th, .metrics td {
+            text-align: left;
+            padding: 8px 12px;
+            border-bottom: 1px solid #eee;
+            font-size: 14px;
+        }
+        .metrics .over-fail { color: #dc3545; font-weight: bold; }
+        .metrics .over-warn { color: #fd7e14; font-weight: bold; }
+        .metrics td.url {
+            max-width: 600px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        .network-filters {
+            margin-bottom: 10px;
+        }
+        .network-filters input {
+            padding: 6px 8px;
+            margin-right: 8px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div class="container">
+            <h1>📊 Test Report: ${testStatus.testName}</h1>
+            <div class="test-info">
+                <div class="info-card">
+                    <div class="info-label">Test ID</div>
+                    <div class="info-value">${testId}</div>
+                </div>
+                <div class="info-card">
+                    <div class="info-label">Project</div>
+                    <div class="info-value">${testStatus.projectId}</div>
+                </div>
+                <div class="info-card ${testStatus.status}">
+                    <div class="info-label">Status</div>
+                    <div class="info-value">${testStatus.status.toUpperCase()}</div>
+                </div>
+                <div class="info-card">
+                    <div class="info-label">Duration</div>
+                    <div class="info-value">${testStatus.duration}ms</div>
+                </div>
+                <div class="info-card ${testStatus.passed > 0 ? 'passed' : ''}">
+                    <div class="info-label">Passed</div>
+                    <div class="info-value">${testStatus.passed}</div>
+                </div>
+                <div class="info-card ${testStatus.failed > 0 ? 'failed' : ''}">
+                    <div class="info-label">Failed</div>
+                    <div class="info-value">${testStatus.failed}</div>
+                </div>
+                ${testStatus.flaky > 0 ? `
+                <div class="info-card flaky">
+                    <div class="info-label">Flaky</div>
+                    <div class="info-value">${testStatus.flaky}</div>
+                </div>` : ''}
+            </div>
+            ${Object.keys(testStatus.browserResults || {}).length > 1 ? `
+            <div class="test-info">
+                ${Object.entries(testStatus.browserResults).map(([browser, result]) => `
+                <div class="info-card ${result.status}">
+                    <div class="info-label">${browser}</div>
+                    <div class="info-value">${result.status.toUpperCase()} · ${result.passed}/${result.total} passed</div>
+                </div>`).join('')}
+            </div>` : ''}
+            <div class="actions">
+                <a href="${baseUrl}/api/report/${testId}/html" target="_blank" class="btn">🔗 Open Report in New Tab</a>
+                ${testStatus.downloadUrl ? `<a href="${baseUrl}${testStatus.downloadUrl}" class="btn secondary">📦 Download Full Report</a>` : ''}
+                <a href="${baseUrl}/" class="btn secondary">← Back to Dashboard</a>
+            </div>
+        </div>
+    </div>
+    ${testStatus.visual && testStatus.visual.snapshots.length > 0 ? `
+    <div class="container">
+        <h2>🖼️ Visual Snapshots</h2>
+        <p>${testStatus.visual.passed} passed · ${testStatus.visual.changed} changed · ${testStatus.visual.new} new · threshold ${testStatus.visual.threshold}%</p>
+        ${testStatus.visual.snapshots.map(snapshot => `
+        <div class="snapshot ${snapshot.status}">
+            <h3>${snapshot.test} › ${snapshot.name} · ${snapshot.browser} · ${snapshot.viewport} — ${snapshot.status.toUpperCase()}${snapshot.mismatchPercent !== null ? ` (${snapshot.mismatchPercent}% different)` : ''}</h3>
+            <div class="snapshot-images">
+                ${VisualService.SNAPSHOT_IMAGES.map(image => `
+                <div>
+                    <div class="info-label">${image}</div>
+                    ${image === 'actual' || snapshot.mismatchPercent !== null
+                      ? `<a href="${baseUrl}/api/test/${testId}/snapshots/${snapshot.key}/${image}" target="_blank"><img src="${baseUrl}/api/test/${testId}/snapshots/${snapshot.key}/${image}" alt="${image}" loading="lazy"></a>`
+                      : `<p>${snapshot.status === 'new' ? 'No baseline yet' : '—'}</p>`}
+                </div>`).join('')}
+            </div>
+        </div>`).join('')}
+    </div>` : ''}
+    ${testStatus.performance && testStatus.performance.results.length > 0 ? `
+    <div class="container">
+        <h2>⚡ Performance</h2>
+        <p>${testStatus.performance.navigations} page loads measured · budgets ${testStatus.performance.status}</p>
+        <table class="metrics">
+            <tr><th>Page</th><th>Test</th>${PERFORMANCE_METRICS.map(metric => `<th title="${METRIC_LABELS[metric].title}">${metric}</th>`).join('')}</tr>
+            ${testStatus.performance.results.map(measurement => `
+            <tr>
+                <td>${measurement.url
+                  ? `<a href="${baseUrl}/api/projects/${encodeURIComponent(testStatus.projectId)}/performance/view?url=${encodeURIComponent(measurement.url)}&browser=${encodeURIComponent(measurement.browser)}" target="_blank">${escapeHtml(measurement.url)}</a>`
+                  : escapeHtml(measurement.requestedUrl)}</td>
+                <td>${escapeHtml(measurement.test)} (${escapeHtml(measurement.browser)})</td>
+                ${measurement.metrics ? PERFORMANCE_METRICS.map(metric => {
+                  const over = testStatus.performance.violations.find(violation => violation.metric === metric &&
+                    violation.url === measurement.url && violation.test === measurement.test && violation.browser === measurement.browser);
+                  return `<td class="${over ? `over-${over.level}` : ''}">${measurement.metrics[metric] !== null ? formatValue(metric, measurement.metrics[metric]) : '—'}</td>`;
+                }).join('') : `<td colspan="${PERFORMANCE_METRICS.length}">${escapeHtml(measurement.error || 'Not measured')}</td>`}
+            </tr>`).join('')}
+        </table>
+    </div>` : ''}
+    ${testStatus.network ? `
+    <div class="container">
+        <h2>🌐 Network</h2>
+        <p>${testStatus.network.requests} requests · ${testStatus.network.failed} failed · ${testStatus.network.status4xx} 4xx · ${testStatus.network.status5xx} 5xx · ${testStatus.network.slow} slower than ${testStatus.network.slowThreshold} ms · ${Math.round(testStatus.network.transferBytes / 1024)} KB transferred</p>
+        <form id="networkFilters" class="network-filters">
+            <input name="status" placeholder="Status, e.g. 4xx,5xx,failed" value="${testStatus.network.failed + testStatus.network.status4xx + testStatus.network.status5xx > 0 ? '4xx,5xx,failed' : ''}">
+            <input name="url" placeholder="URL contains or matches *">
+            <input name="minDuration" type="number" min="0" placeholder="Min duration (ms)">
+            <button type="submit" class="btn">Filter</button>
+        </form>
+        <p id="networkCount"></p>
+        <table class="metrics">
+            <thead><tr><th>Status</th><th>Method</th><th>URL</th><th>Duration</th><th>Size</th><th>Test</th></tr></thead>
+            <tbody id="networkRequests"></tbody>
+        </table>
+        <script>
+          const networkFilters = document.getElementById('networkFilters');
+
+          async function loadNetworkRequests() {
+            const query = new URLSearchParams({ limit: '200' });
+            new FormData(networkFilters).forEach((value, name) => { if (value) query.set(name, value); });
+            const response = await fetch('/api/report/${testId}/network?' + query, { credentials: 'same-origin' });
+            const data = await response.json();
+            const rows = document.getElementById('networkRequests');
+            rows.replaceChildren();
+            if (!response.ok) {
+              document.getElementById('networkCount').textContent = (data.issues || [data.message || data.error]).join('; ');
+              return;
+            }
+            document.getElementById('networkCount').textContent = 'Showing ' + data.count + ' of ' + data.total + ' matching requests';
+            data.requests.forEach(request => {
+              const row = rows.insertRow();
+              [
+                request.status !== null ? request.status : (request.failure || 'failed'),
+                request.method,
+                request.url,
+                request.duration !== null ? request.duration + ' ms' : '—',
+                Math.round(request.transferSize / 1024 * 10) / 10 + ' KB',
+                request.test + ' (' + request.browser + ')'
+              ].forEach(value => { row.insertCell().textContent = value; });
+              row.cells[2].className = 'url';
+              row.cells[2].title = request.url;
+              if (request.failure || request.status >= 400) {
+                row.cells[0].className = 'over-fail';
+              } else if (request.duration >= ${testStatus.network.slowThreshold}) {
+                row.cells[3].className = 'over-warn';
+              }
+            });
+          }
+
+          networkFilters.addEventListener('submit', event => {
+            event.preventDefault();
+            loadNetworkRequests();
+          });
+          loadNetworkRequests();
+        </script>
+    </div>` : ''}
+    <div class="container">
+        <iframe src="${baseUrl}/api/report/${testId}/html" class="report-frame" frameborder="0"></iframe>
+    </div>
+</body>
+</html>`;
+
+    res.send(reportViewerHtml);
+
+  } catch (error) {
+    logger.error('Report viewer error', {
+      testId: req.params.testId,
+      error: error.message
+    });
+
+    res.status(500).send(`
+      <html><body>
+        <h1>Error Loading Report</h1>
+        <p>Failed to load report for test ${req.params.testId}</p>
+        <p>Error: ${error.message}</p>
+        <a href="/">← Back to Dashboard</a>
+      </body></html>
+    `);
+  }
+});
+
+/**
+ * Resolve a file of a finished run's Playwright report for serving. The run
+ * directory is the server's again once the run is over; symlinks in it must
+ * resolve to a regular file inside the report.
+ * @param {string} testId - Test ID
+ * @param {string} filePath - Requested file inside the report
+ * @returns {Promise<string|null>} - Real path, or null when it can't be served
+ */
+async function resolveReportFile(testId, filePath) {
+  const run = testRunner.runningTests.get(testId);
+  if (run && ['queued', 'running'].includes(run.status)) {
+    return null;
+  }
+  return resolveRegularFile(path.join(__dirname, '../test-runs', testId, 'playwright-report'), filePath);
+}
+
+// Serve raw HTML report files
+app.get('/api/report/:testId/html', authorize('runs:read'), async (req, res) => {
+  try {
+    const { testId } = req.params;
+
+    // Validate testId format (UUID)
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
+      return res.status(400).send('Invalid test ID format');
+    }
+
+    // Check if HTML report exists
+    const reportPath = await resolveReportFile(testId, path.join(__dirname, '../test-runs', testId, 'playwright-report', 'index.html'));
+    if (!reportPath) {
+      return res.status(404).send('Report not found');
+    }
+
+    // Serve the HTML report file
+    res.sendFile(reportPath);
+
+  } catch (error) {
+    logger.error('HTML report serving error', {
+      testId: req.params.testId,
+      error: error.message
+    });
+
+    res.status(500).send('Failed to serve HTML report');
+  }
+});
+
+// Requests recorded by a run with the har option, filtered and paged
+app.get('/api/report/:testId/network', authorize('runs:read'), async (req, res) => {
+  try {
+    const { testId } = req.params;
+
+    // Validate testId format (UUID)
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
+      return res.status(400).json({ error: 'Invalid test ID format' });
+    }
+
+    const { issues, filters } = parseNetworkQuery(req.query);
+    if (issues.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', issues });
+    }
+
+    let testStatus;
+    try {
+      testStatus = await testRunner.getTestStatus(testId);
+    } catch (error) {
+      return res.status(404).json({
+        error: 'Test not found',
+        testId,
+        message: 'No test found with the provided ID'
+      });
+    }
+
+    if (['queued', 'running'].includes(testStatus.status)) {
+      return res.status(202).json({
+        error: 'Test still running',
+        testId,
+        status: testStatus.status,
+        message: 'Network requests are available once the test completes.',
+        statusUrl: `/api/test/status/${testId}`
+      });
+    }
+    if (!testStatus.network) {
+      return res.status(404).json({
+        error: 'Network recording not found',
+        testId,
+        message: 'The run was not started with the har option'
+      });
+    }
+
+    const { failedRequests, slowRequests, hars, ...summary } = testStatus.network;
+    const { requests } = await readRunRequests(path.join(__dirname, '../test-runs', testId, 'har'), hars);
+    const page = filterRequests(requests, filters);
+
+    res.json({
+      testId,
+      projectId: testStatus.projectId,
+      summary,
+      total: page.total,
+      offset: filters.offset,
+      limit: filters.limit,
+      count: page.requests.length,
+      requests: page.requests
+    });
+  } catch (error) {
+    logger.error('Failed to list network requests', { testId: req.params.testId, error: error.message });
+    res.status(500).json({ error: 'Failed to list network requests' });
+  }
+});
+
+// Serve static assets for HTML reports (CSS, JS, images, etc.)
+app.use('/api/report/:testId/*', authorize('runs:read'), async (req, res, next) => {
+  const { testId } = req.params;
+
+  // Validate testId format (UUID)
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
+    return res.status(400).send('Invalid test ID format');
+  }
+
+  // Skip if this is one of our API endpoints
+  const remainingPath = req.params[0];
+  if (remainingPath === 'view' || remainingPath === 'html' || remainingPath === 'network' || remainingPath === '') {
+    return next();
+  }
+
+  // Serve static files from the playwright-report directory
+  const reportAssetsPath = path.join(__dirname, '../test-runs', testId, 'playwright-report');
+  const filePath = path.join(reportAssetsPath, remainingPath);
+
+  // Security check: ensure the file path is within the report directory
+  const normalizedReportPath = path.normalize(reportAssetsPath);
+  const normalizedFilePath = path.normalize(filePath);
+
+  if (!normalizedFilePath.startsWith(normalizedReportPath)) {
+    return res.status(403).send('Access denied');
+  }
+
+  // Check if file exists and serve it
+  try {
+    const assetPath = await resolveReportFile(testId, filePath);
+    if (!assetPath) {
+      return res.status(404).send('Asset not found');
+    }
+    res.sendFile(assetPath);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete test report and associated files
+app.delete('/api/report/:testId', authorize('reports:delete'), async (req, res) => {
+  try {
+    const { testId } = req.params;
+
+    // Validate testId format (UUID)
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
+      return res.status(400).json({ error: 'Invalid test ID format' });
+    }
+
+    // Get test status to verify it exists and get project info
+    let testStatus;
+    try {
+      testStatus = await testRunner.getTestStatus(testId);
+    } catch (error) {
+      return res.status(404).json({
+        error: 'Test not found',
+        testId,
+        message: 'No test found with the provided ID'
+      });
+    }
+
+    // Define paths to delete
+    const testRunDir = path.join(__dirname, '../test-runs', testId);
+    const timestamp = new Date(testStatus.startTime).toISOString().replace(/[:.]/g, '-');
+    const zipFileName = `${testStatus.projectId}_${testId}_${timestamp}.zip`;
+    const zipPath = path.join(__dirname, '../reports/zips', zipFileName);
+
+    let deletedItems = [];
+    let errors = [];
+
+    // Delete test run directory
+    try {
+      await fs.access(testRunDir);
+      await fs.rm(testRunDir, { recursive: true, force: true });
+      await visual.removeRunImages(testId);
+      deletedItems.push('test-run-directory');
+      logger.info(`Deleted test run directory: ${testId}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        errors.push(`Failed to delete test run directory: ${error.message}`);
+        logger.error(`Failed to delete test run directory: ${testId}`, { error: error.message });
+      }
+    }
+
+    // Delete zip file
+    try {
+      await fs.access(zipPath);
+      await fs.unlink(zipPath);
+      deletedItems.push('zip-file');
+      logger.info(`Deleted zip file: ${zipFileName}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        errors.push(`Failed to delete zip file: ${error.message}`);
+        logger.error(`Failed to delete zip file: ${zipFileName}`, { error: error.message });
+      }
+    }
+
+    // Remove from test runner's internal tracking
+    try {
+      await testRunner.removeTestStatus(testId);
+      deletedItems.push('test-status');
+      logger.info(`Removed test status tracking: ${testId}`);
+    } catch (error) {
+      errors.push(`Failed to remove test status: ${error.message}`);
+      logger.error(`Failed to remove test status: ${testId}`, { error: error.message });
+    }
+
+    // Return response
+    if (deletedItems.length > 0) {
+      res.json({
+        success: true,
+        testId,
+        message: 'Test report deleted successfully',
+        deletedItems,
+        errors: errors.length > 0 ? errors : undefined
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        testId,
+        message: 'No files found to delete',
+        errors
+      });
+    }
+
+  } catch (error) {
+    logger.error('Delete test report error', {
+      testId: req.params.testId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete test report',
+      testId: req.params.testId,
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/test/list', authorize('runs:read'), async (req, res) => {
+  try {
+    const { issues, filters } = parseRunListQuery(req.query);
+    if (issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid list query',
+        issues
+      });
+    }
+
+    if (filters.projectId !== undefined && !canAccessProject(req.principal, filters.projectId)) {
+      return forbidProject(res, filters.projectId);
+    }
+    if (req.principal.projects !== null) {
+      filters.projectIds = req.principal.projects;
+    }
+
+    // Run history outlives the test-runs/ artifacts
+    const { total, runs, nextCursor } = runHistory.listRuns(filters);
+
+    res.json({
+      total,
+      limit: filters.limit,
+      nextCursor,
+      tests: runs.map(run => ({
+        testId: run.testId,
+        projectId: run.projectId,
+        testName: run.testName,
+        status: run.status,
+        browsers: run.browsers,
+        passed: run.passed,
+        failed: run.failed,
+        flaky: run.flaky,
+        duration: run.duration,
+        tags: run.tags,
+        source: run.source,
+        scheduleId: run.scheduleId,
+        queuedAt: run.queuedAt,
+        startTime: run.startTime,
+        endTime: run.endTime
+      }))
+    });
+    
+  } catch (error) {
+    logger.error('Failed to list tests', { error: error.message });
+    res.status(500).json({ error: 'Failed to retrieve test list' });
+  }
+});
+
+// Local catalog of users, projects and test cases
+app.get('/api/users', authorize('catalog:read'), async (req, res) => {
+  try {
+    const users = await catalog.listUsers();
+    res.json({
+      users,
+      total: users.length
+    });
+  } catch (error) {
+    logger.error('Failed to list users', { error: error.message });
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+app.post('/api/users', authorize('users:write'), async (req, res) => {
+  try {
+    const { issues, user } = await catalog.createUser(req.body);
+    if (issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid user',
+        issues
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    logger.error('Failed to create user', { error: error.message });
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+app.get('/api/users/:userId', authorize('catalog:read'), async (req, res) => {
+  try {
+    const user = await catalog.getUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found', userId: req.params.userId });
+    }
+
+    res.json({ user });
+  } catch (error) {
+    logger.error('Failed to get user', { userId: req.params.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to get user' });
+  }
+});
+
+app.put('/api/users/:userId', authorize('users:write'), async (req, res) => {
+  try {
+    const result = await catalog.updateUser(req.params.userId, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'User not found', userId: req.params.userId });
+    }
+    if (result.issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid user',
+        issues: result.issues
+      });
+    }
+
+    res.json({
+      success: true,
+      user: result.user
+    });
+  } catch (error) {
+    logger.error('Failed to update user', { userId: req.params.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+app.delete('/api/users/:userId', authorize('users:write'), async (req, res) => {
+  try {
+    const result = await catalog.deleteUser(req.params.userId);
+    if (!result) {
+      return res.status(404).json({ error: 'User not found', userId: req.params.userId });
+    }
+    if (result.conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'User is still referenced',
+        message: 'Reassign the projects and test cases that refer to this user first',
+        conflicts: result.conflicts
+      });
+    }
+
+    res.json({
+      success: true,
+      userId: req.params.userId,
+      message: 'User deleted'
+    });
+  } catch (error) {
+    logger.error('Failed to delete user', { userId: req.params.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+app.get('/api/projects', authorize('catalog:read'), async (req, res) => {
+  try {
+    const projects = (await catalog.listProjects())
+      .filter(project => canAccessProject(req.principal, project.id));
+    res.json({
+      projects,
+      total: projects.length
+    });
+  } catch (error) {
+    logger.error('Failed to list projects', { error: error.message });
+    res.status(500).json({ error: 'Failed to list projects' });
+  }
+});
+
+app.post('/api/projects', authorize('projects:write'), async (req, res) => {
+  try {
+    // A new project is outside every project-scoped key
+    if (req.principal.projects !== null) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Project-scoped API keys cannot create projects'
+      });
+    }
+
+    const { issues, project } = await catalog.createProject(req.body);
+    if (issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid project',
+        issues
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      project
+    });
+  } catch (error) {
+    logger.error('Failed to create project', { error: error.message });
+    res.status(500).json({ error: 'Failed to create project' });
+  }
+});
+
+app.get('/api/projects/:projectId', authorize('catalog:read'), async (req, res) => {
+  try {
+    const project = await catalog.getProject(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found', projectId: req.params.projectId });
+    }
+
+    res.json({ project });
+  } catch (error) {
+    logger.error('Failed to get project', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to get project' });
+  }
+});
+
+app.put('/api/projects/:projectId', authorize('projects:write'), async (req, res) => {
+  try {
+    const result = await catalog.updateProject(req.params.projectId, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'Project not found', projectId: req.params.projectId });
+    }
+    if (result.issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid project',
+        issues: result.issues
+      });
+    }
+
+    res.json({
+      success: true,
+      project: result.project
+    });
+  } catch (error) {
+    logger.error('Failed to update project', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to update project' });
+  }
+});
+
+app.delete('/api/projects/:projectId', authorize('projects:write'), async (req, res) => {
+  try {
+    const result = await catalog.deleteProject(req.params.projectId);
+    if (!result) {
+      return res.status(404).json({ error: 'Project not found', projectId: req.params.projectId });
+    }
+    if (result.conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'Project is still referenced',
+        message: 'Delete the test cases of this project first',
+        conflicts: result.conflicts
+      });
+    }
+
+    res.json({
+      success: true,
+      projectId: req.params.projectId,
+      message: 'Project deleted'
+    });
+  } catch (error) {
+    logger.error('Failed to delete project', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
+
+app.get('/api/test-cases', authorize('catalog:read'), async (req, res) => {
+  try {
+    const testCases = (await catalog.listTestCases({ project_id: req.query.project_id }))
+      .filter(testCase => canAccessProject(req.principal, testCase.project_id));
+    res.json({
+      testCases,
+      total: testCases.length
+    });
+  } catch (error) {
+    logger.error('Failed to list test cases', { error: error.message });
+    res.status(500).json({ error: 'Failed to list test cases' });
+  }
+});
+
+app.post('/api/test-cases', authorize('testCases:write'), async (req, res) => {
+  try {
+    if (!canAccessProject(req.principal, req.body.project_id)) {
+      return forbidProject(res, req.body.project_id);
+    }
+
+    const { issues, testCase } = await catalog.createTestCase(req.body);
+    if (issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid test case',
+        issues
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      testCase
+    });
+  } catch (error) {
+    logger.error('Failed to create test case', { error: error.message });
+    res.status(500).json({ error: 'Failed to create test case' });
+  }
+});
+
+app.get('/api/test-cases/:testCaseId', authorize('catalog:read'), async (req, res) => {
+  try {
+    const testCase = await catalog.getTestCase(req.params.testCaseId);
+    if (!testCase) {
+      return res.status(404).json({ error: 'Test case not found', testCaseId: req.params.testCaseId });
+    }
+
+    res.json({ testCase });
+  } catch (error) {
+    logger.error('Failed to get test case', { testCaseId: req.params.testCaseId, error: error.message });
+    res.status(500).json({ error: 'Failed to get test case' });
+  }
+});
+
+app.put('/api/test-cases/:testCaseId', authorize('testCases:write'), async (req, res) => {
+  try {
+    if (req.body.project_id !== undefined && !canAccessProject(req.principal, req.body.project_id)) {
+      return forbidProject(res, req.body.project_id);
+    }
+
+    const result = await catalog.updateTestCase(req.params.testCaseId, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'Test case not found', testCaseId: req.params.testCaseId });
+    }
+    if (result.issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid test case',
+        issues: result.issues
+      });
+    }
+
+    res.json({
+      success: true,
+      testCase: result.testCase
+    });
+  } catch (error) {
+    logger.error('Failed to update test case', { testCaseId: req.params.testCaseId, error: error.message });
+    res.status(500).json({ error: 'Failed to update test case' });
+  }
+});
+
+app.delete('/api/test-cases/:testCaseId', authorize('testCases:write'), async (req, res) => {
+  try {
+    const result = await catalog.deleteTestCase(req.params.testCaseId);
+    if (!result) {
+      return res.status(404).json({ error: 'Test case not found', testCaseId: req.params.testCaseId });
+    }
+
+    res.json({
+      success: true,
+      testCaseId: req.params.testCaseId,
+      message: 'Test case deleted'
+    });
+  } catch (error) {
+    logger.error('Failed to delete test case', { testCaseId: req.params.testCaseId, error: error.message });
+    res.status(500).json({ error: 'Failed to delete test case' });
+  }
+});
+
+// Per-project run defaults
+app.get('/api/projects/:projectId/settings', authorize('catalog:read'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const settings = await projectSettings.getSettings(projectId);
+
+    res.json({
+      projectId,
+      settings
+    });
+  } catch (error) {
+    logger.error('Failed to get project settings', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to get project settings' });
+  }
+});
+
+app.put('/api/projects/:projectId/settings', authorize('settings:write'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    if (req.body && req.body.dailyRunMinutes !== undefined && !hasPermission(req.principal, 'quotas:manage')) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Role ${req.principal.role} lacks the quotas:manage permission needed to change dailyRunMinutes`,
+        permission: 'quotas:manage'
+      });
+    }
+
+    const { issues, settings } = await projectSettings.updateSettings(projectId, req.body);
+
+    if (issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid project settings',
+        issues
+      });
+    }
+
+    res.json({
+      success: true,
+      projectId,
+      settings
+    });
+  } catch (error) {
+    logger.error('Failed to update project settings', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to update project settings' });
+  }
+});
+
+app.get('/api/projects/:projectId/quota', authorize('runs:read'), async (req, res) => {
+  try {
+    res.json(await runQuotas.getUsage(req.params.projectId));
+  } catch (error) {
+    logger.error('Failed to get run quota', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to get run quota' });
+  }
+});
+
+// Approved visual baselines of a project
+app.get('/api/projects/:projectId/baselines', authorize('runs:read'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const baselines = await visual.listBaselines(projectId);
+
+    res.json({
+      projectId,
+      threshold: (await projectSettings.getSettings(projectId)).visualThreshold ?? VisualService.DEFAULT_THRESHOLD,
+      baselines: baselines.map(baseline => ({
+        ...baseline,
+        imageUrl: `${baseUrl}/api/projects/${encodeURIComponent(projectId)}/baselines/${baseline.key}/image`
+      }))
+    });
+  } catch (error) {
+    logger.error('Failed to list visual baselines', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to list visual baselines' });
+  }
+});
+
+app.get('/api/projects/:projectId/baselines/:snapshotKey/image', authorize('runs:read'), async (req, res) => {
+  try {
+    const { projectId, snapshotKey } = req.params;
+    if (!(await visual.getBaseline(projectId, snapshotKey))) {
+      return res.status(404).json({ error: 'Baseline not found', projectId, snapshotKey });
+    }
+
+    res.type('png').sendFile(visual.getImagePath(projectId, snapshotKey));
+  } catch (error) {
+    logger.error('Failed to serve visual baseline', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to serve visual baseline' });
+  }
+});
+
+app.delete('/api/projects/:projectId/baselines/:snapshotKey', authorize('baselines:approve'), async (req, res) => {
+  try {
+    const { projectId, snapshotKey } = req.params;
+    if (!(await visual.deleteBaseline(projectId, snapshotKey))) {
+      return res.status(404).json({ error: 'Baseline not found', projectId, snapshotKey });
+    }
+
+    res.json({
+      success: true,
+      projectId,
+      snapshotKey,
+      message: 'Baseline deleted'
+    });
+  } catch (error) {
+    logger.error('Failed to delete visual baseline', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to delete visual baseline' });
+  }
+});
+
+// Page metrics measured by runs with the performance option, over time
+app.get('/api/projects/:projectId/performance', authorize('runs:read'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { issues, filters } = parsePerformanceQuery(req.query, false);
+    if (issues.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', issues });
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const trendPath = `${baseUrl}/api/projects/${encodeURIComponent(projectId)}/performance/trend`;
+
+    res.json({
+      projectId,
+      budgets: (await projectSettings.getSettings(projectId)).performanceBudgets || [],
+      pages: runHistory.listMeasuredPages(projectId, filters).map(page => ({
+        ...page,
+        trendUrl: `${trendPath}?url=${encodeURIComponent(page.url)}&browser=${encodeURIComponent(page.browser)}`
+      })),
+      viewUrl: `${baseUrl}/api/projects/${encodeURIComponent(projectId)}/performance/view`
+    });
+  } catch (error) {
+    logger.error('Failed to list measured pages', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to list measured pages' });
+  }
+});
+
+app.get('/api/projects/:projectId/performance/trend', authorize('runs:read'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { issues, filters } = parsePerformanceQuery(req.query);
+    if (issues.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', issues });
+    }
+
+    const points = runHistory.listPageMetrics(projectId, filters);
+    const budgets = ((await projectSettings.getSettings(projectId)).performanceBudgets || [])
+      .filter(budget => performanceBudgetApplies(budget, filters.url));
+
+    res.json({
+      projectId,
+      url: filters.url,
+      browser: filters.browser || null,
+      budgets,
+      count: points.length,
+      points
+    });
+  } catch (error) {
+    logger.error('Failed to get performance trend', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to get performance trend' });
+  }
+});
+
+// Trend charts: the measured pages, or every metric of one page
+app.get('/api/projects/:projectId/performance/view', authorize('runs:read'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { issues, filters } = parsePerformanceQuery(req.query, false);
+    if (issues.length > 0) {
+      return res.status(400).send(`
+        <html><body>
+          <h1>Invalid Query</h1>
+          <p>${escapeHtml(issues.join('; '))}</p>
+          <a href="/">← Back to Dashboard</a>
+        </body></html>
+      `);
+    }
+
+    const viewPath = `/api/projects/${encodeURIComponent(projectId)}/performance/view`;
+    const budgets = (await projectSettings.getSettings(projectId)).performanceBudgets || [];
+    let content;
+
+    if (!filters.url) {
+      const pages = runHistory.listMeasuredPages(projectId, filters);
+      content = pages.length === 0
+        ? '<p>No page metrics yet. Run tests with <code>"performance": true</code> or set performance budgets for the project.</p>'
+        : `<table>
+            <tr><th>Page</th><th>Browser</th><th>Samples</th><th>Last measured</th></tr>
+            ${pages.map(page => `
+            <tr>
+              <td><a href="${viewPath}?url=${encodeURIComponent(page.url)}&browser=${encodeURIComponent(page.browser)}">${escapeHtml(page.url)}</a></td>
+              <td>${escapeHtml(page.browser)}</td>
+              <td>${page.samples}</td>
+              <td>${escapeHtml(page.lastMeasuredAt)}</td>
+            </tr>`).join('')}
+          </table>`;
+    } else {
+      const points = runHistory.listPageMetrics(projectId, filters);
+      const pageBudgets = budgets.filter(budget => performanceBudgetApplies(budget, filters.url));
+      content = `
+        <p><a href="${viewPath}">← All pages</a></p>
+        <h2>${escapeHtml(filters.url)}${filters.browser ? ` · ${escapeHtml(filters.browser)}` : ''}</h2>
+        <p>${points.length} measurement${points.length === 1 ? '' : 's'}${points.length > 0 ? `, latest ${escapeHtml(points[points.length - 1].measuredAt)}` : ''}</p>
+        <div class="charts">
+          ${PERFORMANCE_METRICS.map(metric => {
+            const metricBudgets = pageBudgets.filter(budget => budget.metric === metric);
+            const latest = [...points].reverse().find(point => typeof point.metrics[metric] === 'number');
+            return `
+          <div class="chart">
+            <h3>${METRIC_LABELS[metric].title}${latest ? ` <span>${escapeHtml(formatValue(metric, latest.metrics[metric]))}</span>` : ''}</h3>
+            ${renderTrendChart(points, metric, metricBudgets)}
+          </div>`;
+          }).join('')}
+        </div>`;
+    }
+
+    res.send(`
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Performance - ${escapeHtml(projectId)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background-color: #f5f5f5; }
+        .container { max-width: 1400px; margin: 0 auto; }
+        table { width: 100%; border-collapse: collapse; background: white; }
+        th, td { text-align: left; padding: 8px 12px; border-bottom: 1px solid #eee; }
+        .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(480px, 1fr)); gap: 20px; }
+        .chart { background: white; border: 1px solid #ddd; border-radius: 5px; padding: 15px; }
+        .chart h3 { margin: 0 0 10px 0; font-size: 15px; color: #333; }
+        .chart h3 span { float: right; color: #007bff; }
+        .empty { color: #999; }
     </style>
 </head>
 <body>
-    <div class="header">
-        <div class="container">
-            <h1>📊 Test Report: ${testStatus.testName}</h1>
-            <div class="test-info">
-                <div class="info-card">
-                    <div class="info-label">Test ID</div>
-                    <div class="info-value">${testId}</div>
-                </div>
-                <div class="info-card">
-                    <div class="info-label">Project</div>
-                    <div class="info-value">${testStatus.projectId}</div>
-                </div>
-                <div class="info-card ${testStatus.status}">
-                    <div class="info-label">Status</div>
-                    <div class="info-value">${testStatus.status.toUpperCase()}</div>
-                </div>
-                <div class="info-card">
-                    <div class="info-label">Duration</div>
-                    <div class="info-value">${testStatus.duration}ms</div>
-                </div>
-                <div class="info-card ${testStatus.passed > 0 ? 'passed' : ''}">
-                    <div class="info-label">Passed</div>
-                    <div class="info-value">${testStatus.passed}</div>
-                </div>
-                <div class="info-card ${testStatus.failed > 0 ? 'failed' : ''}">
-                    <div class="info-label">Failed</div>
-                    <div class="info-value">${testStatus.failed}</div>
-                </div>
-            </div>
-            <div class="actions">
-                <a href="${baseUrl}/api/report/${testId}/html" target="_blank" class="btn">🔗 Open Report in New Tab</a>
-                ${testStatus.downloadUrl ? `<a href="${baseUrl}${testStatus.downloadUrl}" class="btn secondary">📦 Download Full Report</a>` : ''}
-                <a href="${baseUrl}/" class="btn secondary">← Back to Dashboard</a>
-            </div>
-        </div>
-    </div>
     <div class="container">
-        <iframe src="${baseUrl}/api/report/${testId}/html" class="report-frame" frameborder="0"></iframe>
+        <h1>⚡ Performance: ${escapeHtml(projectId)}</h1>
+        ${budgets.length > 0 ? `<p>${budgets.length} budget${budgets.length === 1 ? '' : 's'} set; dashed lines mark the budgets for this page (red fails the run, orange warns)</p>` : ''}
+        ${content}
+        <p><a href="/">← Back to Dashboard</a></p>
     </div>
 </body>
-</html>`;
+</html>`);
+  } catch (error) {
+    logger.error('Performance view error', { projectId: req.params.projectId, error: error.message });
+    res.status(500).send(`
+      <html><body>
+        <h1>Error Loading Performance Trends</h1>
+        <p>Error: ${escapeHtml(error.message)}</p>
+        <a href="/">← Back to Dashboard</a>
+      </body></html>
+    `);
+  }
+});
 
-    res.send(reportViewerHtml);
+// Project secrets, referenced in test code as secrets.NAME. Values are
+// write-only: they are never returned by the API.
+app.get('/api/projects/:projectId/secrets', authorize('secrets:manage'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    res.json({
+      projectId,
+      secrets: await secretsService.listSecrets(projectId)
+    });
+  } catch (error) {
+    logger.error('Failed to list secrets', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to list secrets' });
+  }
+});
+
+app.put('/api/projects/:projectId/secrets/:name', authorize('secrets:manage'), async (req, res) => {
+  try {
+    const { projectId, name } = req.params;
+
+    if (!secretsService.isConfigured()) {
+      return res.status(503).json({
+        error: 'Secrets vault not configured',
+        message: 'Set SECRETS_MASTER_KEY to store secrets'
+      });
+    }
+
+    const { issues, secret } = await secretsService.setSecret(projectId, name, req.body.value);
+    if (issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid secret',
+        issues
+      });
+    }
+
+    res.json({
+      success: true,
+      projectId,
+      ...secret
+    });
+  } catch (error) {
+    logger.error('Failed to store secret', { projectId: req.params.projectId, name: req.params.name, error: error.message });
+    res.status(500).json({ error: 'Failed to store secret' });
+  }
+});
+
+app.delete('/api/projects/:projectId/secrets/:name', authorize('secrets:manage'), async (req, res) => {
+  try {
+    const { projectId, name } = req.params;
+
+    const deleted = await secretsService.deleteSecret(projectId, name);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Secret not found',
+        projectId,
+        name
+      });
+    }
 
-  } catch (error) {
-    logger.error('Report viewer error', {
-      testId: req.params.testId,
-      error: error.message
+    res.json({
+      success: true,
+      projectId,
+      name,
+      message: 'Secret deleted'
     });
+  } catch (error) {
+    logger.error('Failed to delete secret', { projectId: req.params.projectId, name: req.params.name, error: error.message });
+    res.status(500).json({ error: 'Failed to delete secret' });
+  }
+});
 
-    res.status(500).send(`
-      <html><body>
-        <h1>Error Loading Report</h1>
-        <p>Failed to load report for test ${req.params.testId}</p>
-        <p>Error: ${error.message}</p>
-        <a href="/">← Back to Dashboard</a>
-      </body></html>
-    `);
+// Callback signing secret. Callbacks of a project with a secret carry
+// X-E2E-Timestamp and X-E2E-Signature headers; the secret itself is only
+// returned when it is created.
+app.get('/api/projects/:projectId/callback-secret', authorize('secrets:manage'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    res.json({
+      projectId,
+      ...(await callbacks.getSigningSecretInfo(projectId))
+    });
+  } catch (error) {
+    logger.error('Failed to get callback secret', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to get callback secret' });
   }
 });
 
-// Serve raw HTML report files
-app.get('/api/report/:testId/html', async (req, res) => {
+app.post('/api/projects/:projectId/callback-secret', authorize('secrets:manage'), async (req, res) => {
   try {
-    const { testId } = req.params;
+    const { projectId } = req.params;
 
-    // Validate testId format (UUID)
-    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
-      return res.status(400).send('Invalid test ID format');
+    if (!callbacks.canSign()) {
+      return res.status(503).json({
+        error: 'Secrets vault not configured',
+        message: 'Set SECRETS_MASTER_KEY to sign callbacks'
+      });
     }
 
-    // Check if HTML report exists
-    const reportPath = path.join(__dirname, '../test-runs', testId, 'playwright-report', 'index.html');
-    try {
-      await fs.access(reportPath);
-    } catch (error) {
-      return res.status(404).send('Report not found');
+    const { secret, updatedAt } = await callbacks.rotateSigningSecret(projectId);
+
+    res.status(201).json({
+      success: true,
+      projectId,
+      secret,
+      updatedAt,
+      message: 'Store this secret now; it will not be shown again'
+    });
+  } catch (error) {
+    logger.error('Failed to rotate callback secret', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to rotate callback secret' });
+  }
+});
+
+app.delete('/api/projects/:projectId/callback-secret', authorize('secrets:manage'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const deleted = await callbacks.deleteSigningSecret(projectId);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Callback secret not found',
+        projectId
+      });
     }
 
-    // Serve the HTML report file
-    res.sendFile(reportPath);
+    res.json({
+      success: true,
+      projectId,
+      message: 'Callbacks of this project are no longer signed'
+    });
+  } catch (error) {
+    logger.error('Failed to delete callback secret', { projectId: req.params.projectId, error: error.message });
+    res.status(500).json({ error: 'Failed to delete callback secret' });
+  }
+});
 
+// Project-level webhook subscriptions to run lifecycle events
+app.get('/api/webhooks', authorize('webhooks:manage'), async (req, res) => {
+  try {
+    const list = (await webhooks.listWebhooks({ projectId: req.query.projectId }))
+      .filter(webhook => canAccessProject(req.principal, webhook.projectId));
+    res.json({ webhooks: list, total: list.length });
   } catch (error) {
-    logger.error('HTML report serving error', {
-      testId: req.params.testId,
-      error: error.message
+    logger.error('Failed to list webhooks', { error: error.message });
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+app.post('/api/webhooks', authorize('webhooks:manage'), async (req, res) => {
+  try {
+    if (!canAccessProject(req.principal, req.body.projectId)) {
+      return forbidProject(res, req.body.projectId);
+    }
+
+    const { issues, webhook } = await webhooks.createWebhook(req.body);
+    if (issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid webhook',
+        issues
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      webhook
     });
+  } catch (error) {
+    logger.error('Failed to create webhook', { error: error.message });
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
 
-    res.status(500).send('Failed to serve HTML report');
+app.get('/api/webhooks/:webhookId', authorize('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await webhooks.getWebhook(req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found', webhookId: req.params.webhookId });
+    }
+
+    res.json({ webhook });
+  } catch (error) {
+    logger.error('Failed to get webhook', { webhookId: req.params.webhookId, error: error.message });
+    res.status(500).json({ error: 'Failed to get webhook' });
   }
 });
 
-// Serve static assets for HTML reports (CSS, JS, images, etc.)
-app.use('/api/report/:testId/*', (req, res, next) => {
-  const { testId } = req.params;
+app.put('/api/webhooks/:webhookId', authorize('webhooks:manage'), async (req, res) => {
+  try {
+    if (req.body.projectId !== undefined && !canAccessProject(req.principal, req.body.projectId)) {
+      return forbidProject(res, req.body.projectId);
+    }
 
-  // Validate testId format (UUID)
-  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
-    return res.status(400).send('Invalid test ID format');
+    const result = await webhooks.updateWebhook(req.params.webhookId, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'Webhook not found', webhookId: req.params.webhookId });
+    }
+    if (result.issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid webhook',
+        issues: result.issues
+      });
+    }
+
+    res.json({
+      success: true,
+      webhook: result.webhook
+    });
+  } catch (error) {
+    logger.error('Failed to update webhook', { webhookId: req.params.webhookId, error: error.message });
+    res.status(500).json({ error: 'Failed to update webhook' });
   }
+});
 
-  // Skip if this is one of our API endpoints
-  const remainingPath = req.params[0];
-  if (remainingPath === 'view' || remainingPath === 'html' || remainingPath === '') {
-    return next();
+app.delete('/api/webhooks/:webhookId', authorize('webhooks:manage'), async (req, res) => {
+  try {
+    const deleted = await webhooks.deleteWebhook(req.params.webhookId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found', webhookId: req.params.webhookId });
+    }
+
+    res.json({
+      success: true,
+      webhookId: req.params.webhookId,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    logger.error('Failed to delete webhook', { webhookId: req.params.webhookId, error: error.message });
+    res.status(500).json({ error: 'Failed to delete webhook' });
   }
+});
 
-  // Serve static files from the playwright-report directory
-  const reportAssetsPath = path.join(__dirname, '../test-runs', testId, 'playwright-report');
-  const filePath = path.join(reportAssetsPath, remainingPath);
+app.get('/api/webhooks/:webhookId/deliveries', authorize('webhooks:manage'), async (req, res) => {
+  try {
+    const { webhookId } = req.params;
 
-  // Security check: ensure the file path is within the report directory
-  const normalizedReportPath = path.normalize(reportAssetsPath);
-  const normalizedFilePath = path.normalize(filePath);
+    if (!(await webhooks.getWebhook(webhookId))) {
+      return res.status(404).json({ error: 'Webhook not found', webhookId });
+    }
 
-  if (!normalizedFilePath.startsWith(normalizedReportPath)) {
-    return res.status(403).send('Access denied');
-  }
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        issues: ['limit must be an integer between 1 and 500']
+      });
+    }
 
-  // Check if file exists and serve it
-  fs.access(filePath)
-    .then(() => {
-      res.sendFile(filePath);
-    })
-    .catch(() => {
-      res.status(404).send('Asset not found');
+    res.json({
+      webhookId,
+      deliveries: runHistory.listWebhookDeliveries(webhookId, limit)
     });
+  } catch (error) {
+    logger.error('Failed to list webhook deliveries', { webhookId: req.params.webhookId, error: error.message });
+    res.status(500).json({ error: 'Failed to list webhook deliveries' });
+  }
 });
 
-// Delete test report and associated files
-app.delete('/api/report/:testId', async (req, res) => {
+// Recurring runs on a cron expression
+app.get('/api/schedules', authorize('runs:read'), async (req, res) => {
   try {
-    const { testId } = req.params;
+    const list = (await schedules.listSchedules({ projectId: req.query.projectId }))
+      .filter(schedule => canAccessProject(req.principal, schedule.projectId))
+      .map(schedule => schedules.toPublicSchedule(schedule));
+    res.json({ schedules: list, total: list.length });
+  } catch (error) {
+    logger.error('Failed to list schedules', { error: error.message });
+    res.status(500).json({ error: 'Failed to list schedules' });
+  }
+});
 
-    // Validate testId format (UUID)
-    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(testId)) {
-      return res.status(400).json({ error: 'Invalid test ID format' });
+app.post('/api/schedules', authorize('schedules:manage'), async (req, res) => {
+  try {
+    if (!canAccessProject(req.principal, req.body.projectId)) {
+      return forbidProject(res, req.body.projectId);
     }
 
-    // Get test status to verify it exists and get project info
-    let testStatus;
-    try {
-      testStatus = await testRunner.getTestStatus(testId);
-    } catch (error) {
-      return res.status(404).json({
-        error: 'Test not found',
-        testId,
-        message: 'No test found with the provided ID'
+    const { issues, schedule } = await schedules.createSchedule(req.body, req.principal.userId);
+    if (issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid schedule',
+        issues
       });
     }
 
-    // Define paths to delete
-    const testRunDir = path.join(__dirname, '../test-runs', testId);
-    const timestamp = new Date(testStatus.startTime).toISOString().replace(/[:.]/g, '-');
-    const zipFileName = `${testStatus.projectId}_${testId}_${timestamp}.zip`;
-    const zipPath = path.join(__dirname, '../reports/zips', zipFileName);
+    res.status(201).json({
+      success: true,
+      schedule: schedules.toPublicSchedule(schedule)
+    });
+  } catch (error) {
+    logger.error('Failed to create schedule', { error: error.message });
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
 
-    let deletedItems = [];
-    let errors = [];
+app.get('/api/schedules/:scheduleId', authorize('runs:read'), async (req, res) => {
+  try {
+    const schedule = await schedules.getSchedule(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found', scheduleId: req.params.scheduleId });
+    }
 
-    // Delete test run directory
-    try {
-      await fs.access(testRunDir);
-      await fs.rm(testRunDir, { recursive: true, force: true });
-      deletedItems.push('test-run-directory');
-      logger.info(`Deleted test run directory: ${testId}`);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        errors.push(`Failed to delete test run directory: ${error.message}`);
-        logger.error(`Failed to delete test run directory: ${testId}`, { error: error.message });
-      }
+    res.json({ schedule: schedules.toPublicSchedule(schedule) });
+  } catch (error) {
+    logger.error('Failed to get schedule', { scheduleId: req.params.scheduleId, error: error.message });
+    res.status(500).json({ error: 'Failed to get schedule' });
+  }
+});
+
+app.put('/api/schedules/:scheduleId', authorize('schedules:manage'), async (req, res) => {
+  try {
+    if (req.body.projectId !== undefined && !canAccessProject(req.principal, req.body.projectId)) {
+      return forbidProject(res, req.body.projectId);
     }
 
-    // Delete zip file
-    try {
-      await fs.access(zipPath);
-      await fs.unlink(zipPath);
-      deletedItems.push('zip-file');
-      logger.info(`Deleted zip file: ${zipFileName}`);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        errors.push(`Failed to delete zip file: ${error.message}`);
-        logger.error(`Failed to delete zip file: ${zipFileName}`, { error: error.message });
-      }
+    const result = await schedules.updateSchedule(req.params.scheduleId, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'Schedule not found', scheduleId: req.params.scheduleId });
+    }
+    if (result.issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid schedule',
+        issues: result.issues
+      });
     }
 
-    // Remove from test runner's internal tracking
-    try {
-      await testRunner.removeTestStatus(testId);
-      deletedItems.push('test-status');
-      logger.info(`Removed test status tracking: ${testId}`);
-    } catch (error) {
-      errors.push(`Failed to remove test status: ${error.message}`);
-      logger.error(`Failed to remove test status: ${testId}`, { error: error.message });
+    res.json({
+      success: true,
+      schedule: schedules.toPublicSchedule(result.schedule)
+    });
+  } catch (error) {
+    logger.error('Failed to update schedule', { scheduleId: req.params.scheduleId, error: error.message });
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+app.delete('/api/schedules/:scheduleId', authorize('schedules:manage'), async (req, res) => {
+  try {
+    const deleted = await schedules.deleteSchedule(req.params.scheduleId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule not found', scheduleId: req.params.scheduleId });
     }
 
-    // Return response
-    if (deletedItems.length > 0) {
-      res.json({
-        success: true,
-        testId,
-        message: 'Test report deleted successfully',
-        deletedItems,
-        errors: errors.length > 0 ? errors : undefined
+    res.json({
+      success: true,
+      scheduleId: req.params.scheduleId,
+      message: 'Schedule deleted'
+    });
+  } catch (error) {
+    logger.error('Failed to delete schedule', { scheduleId: req.params.scheduleId, error: error.message });
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+app.post('/api/schedules/:scheduleId/run', authorize('runs:execute'), async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const schedule = await schedules.getSchedule(scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found', scheduleId });
+    }
+    if (await rejectOverQuota(res, schedule.projectId)) {
+      return;
+    }
+
+    const { status, testId, error } = await schedules.runNow(scheduleId);
+    if (status === 'skipped') {
+      return res.status(409).json({
+        error: 'Run in progress',
+        message: 'The schedule\'s previous run is still queued or running',
+        scheduleId,
+        testId
       });
-    } else {
-      res.status(404).json({
-        success: false,
-        testId,
-        message: 'No files found to delete',
-        errors
+    }
+    if (status === 'error') {
+      return res.status(400).json({
+        error: 'Scheduled run could not start',
+        message: error,
+        scheduleId
+      });
+    }
+
+    res.status(202).json({
+      scheduleId,
+      testId,
+      status: 'started',
+      statusUrl: `${req.protocol}://${req.get('host')}/api/test/status/${testId}`
+    });
+  } catch (error) {
+    logger.error('Failed to run schedule', { scheduleId: req.params.scheduleId, error: error.message });
+    res.status(500).json({ error: 'Failed to run schedule' });
+  }
+});
+
+app.get('/api/schedules/:scheduleId/runs', authorize('runs:read'), async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const { issues, filters } = parseRunListQuery(req.query);
+    if (issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid list query',
+        issues
+      });
+    }
+
+    if (req.principal.projects !== null) {
+      filters.projectIds = req.principal.projects;
+    }
+
+    // Runs outlive their schedule, so a deleted schedule's runs are listed too
+    const { total, runs, nextCursor } = runHistory.listRuns({ ...filters, scheduleId });
+    res.json({ scheduleId, total, limit: filters.limit, nextCursor, runs });
+  } catch (error) {
+    logger.error('Failed to list schedule runs', { scheduleId: req.params.scheduleId, error: error.message });
+    res.status(500).json({ error: 'Failed to list schedule runs' });
+  }
+});
+
+// The caller's identity and permissions
+app.get('/api/auth/me', (req, res) => {
+  const { keyId, name, userId, role, projects } = req.principal;
+  res.json({
+    keyId,
+    name,
+    userId,
+    role,
+    projects,
+    permissions: ROLE_PERMISSIONS[role] || []
+  });
+});
+
+// API keys. Only hashes are stored; a key is shown once, when created.
+app.get('/api/keys', authorize('apiKeys:manage'), async (req, res) => {
+  try {
+    const keys = await apiKeys.listKeys({ userId: req.query.userId });
+    res.json({ keys, total: keys.length });
+  } catch (error) {
+    logger.error('Failed to list API keys', { error: error.message });
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+app.post('/api/keys', authorize('apiKeys:manage'), async (req, res) => {
+  try {
+    const projects = req.body && req.body.projects !== undefined ? req.body.projects : null;
+    if (!canGrantProjects(req.principal, projects)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'A project-scoped API key can only create keys limited to its own projects',
+        projects: req.principal.projects
       });
     }
 
-  } catch (error) {
-    logger.error('Delete test report error', {
-      testId: req.params.testId,
-      error: error.message,
-      stack: error.stack
-    });
+    const { issues, key, token } = await apiKeys.createKey(req.body, req.principal.keyId);
+    if (issues.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid API key',
+        issues
+      });
+    }
 
-    res.status(500).json({
-      success: false,
-      error: 'Failed to delete test report',
-      testId: req.params.testId,
-      message: error.message
+    res.status(201).json({
+      success: true,
+      key,
+      token,
+      message: 'Store this key now; it will not be shown again'
     });
+  } catch (error) {
+    logger.error('Failed to create API key', { error: error.message });
+    res.status(500).json({ error: 'Failed to create API key' });
   }
 });
 
-app.get('/api/test/list', async (req, res) => {
+app.delete('/api/keys/:keyId', authorize('apiKeys:manage'), async (req, res) => {
   try {
-    const testRunsDir = path.join(__dirname, '../test-runs');
-    const entries = await fs.readdir(testRunsDir);
-    
-    const tests = [];
-    for (const entry of entries) {
-      try {
-        const resultPath = path.join(testRunsDir, entry, 'result.json');
-        const resultData = await fs.readFile(resultPath, 'utf8');
-        const testResult = JSON.parse(resultData);
-        
-        tests.push({
-          testId: testResult.testId,
-          projectId: testResult.projectId,
-          testName: testResult.testName,
-          status: testResult.status,
-          duration: testResult.duration,
-          startTime: testResult.startTime,
-          endTime: testResult.endTime
-        });
-      } catch (error) {
-        // Skip invalid entries
-        continue;
-      }
+    const deleted = await apiKeys.deleteKey(req.params.keyId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'API key not found', keyId: req.params.keyId });
     }
-    
-    // Sort by start time, newest first
-    tests.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
-    
+
     res.json({
-      total: tests.length,
-      tests: tests.slice(0, 100) // Limit to latest 100 tests
+      success: true,
+      keyId: req.params.keyId,
+      message: 'API key revoked'
     });
-    
   } catch (error) {
-    logger.error('Failed to list tests', { error: error.message });
-    res.status(500).json({ error: 'Failed to retrieve test list' });
+    logger.error('Failed to revoke API key', { keyId: req.params.keyId, error: error.message });
+    res.status(500).json({ error: 'Failed to revoke API key' });
   }
 });
 
 // Webhook endpoint for n8n integration
-app.post('/api/webhook/n8n', async (req, res) => {
+app.post('/api/webhook/n8n', authorize('runs:execute'), async (req, res) => {
   try {
     logger.info('Received n8n webhook', { body: req.body });
     
@@ -1110,11 +3468,15 @@ app.post('/api/webhook/n8n', async (req, res) => {
       });
     }
     
-    // Forward to main test endpoint
+    // Forward to main test endpoint, as the same caller
+    const apiKey = getPresentedKey(req);
     const testResponse = await fetch(`${req.protocol}://${req.get('host')}/api/test/run`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'X-Trigger-Source': 'n8n',
+        ...(apiKey ? { 'X-API-Key': apiKey } : {}),
+        ...(req.get(IDEMPOTENCY_HEADER) ? { [IDEMPOTENCY_HEADER]: req.get(IDEMPOTENCY_HEADER) } : {})
       },
       body: JSON.stringify({
         projectId,
@@ -1126,7 +3488,7 @@ app.post('/api/webhook/n8n', async (req, res) => {
     });
     
     const result = await testResponse.json();
-    res.json(result);
+    res.status(testResponse.status).json(result);
     
   } catch (error) {
     logger.error('n8n webhook error', { error: error.message });
@@ -1139,63 +3501,37 @@ app.post('/api/webhook/callback', (req, res) => {
   res.json({ received: true });
 });
 
-// Data fetching endpoints for n8n webhooks
-app.get('/api/data/users', async (req, res) => {
-  try {
-    logger.info('Fetching users from n8n webhook');
-
-    const response = await fetch('https://dipv-digiflux-4.app.n8n.cloud/webhook/data/user');
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-
-    // Ensure we return an array even if the response is not as expected
-    const users = Array.isArray(data) ? data : (data.users ? data.users : []);
+// Dropdown data for the UI pages, from the configured data source
+app.get('/api/data/:resource', authorize('catalog:read'), async (req, res) => {
+  const { resource } = req.params;
 
-    res.json({
-      success: true,
-      data: users,
-      count: users.length
-    });
-
-  } catch (error) {
-    logger.error('Failed to fetch users', { error: error.message });
-    res.json({
+  if (!dataSource.isResource(resource)) {
+    return res.status(404).json({
       success: false,
-      data: [],
-      error: error.message,
-      count: 0
+      error: 'Unknown data resource',
+      resource
     });
   }
-});
 
-app.get('/api/data/projects', async (req, res) => {
   try {
-    logger.info('Fetching projects from n8n webhook');
-
-    const response = await fetch('https://dipv-digiflux-4.app.n8n.cloud/webhook/data/project');
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-
-    // Ensure we return an array even if the response is not as expected
-    const projects = Array.isArray(data) ? data : (data.projects ? data.projects : []);
+    const result = await dataSource.get(resource);
+    const { source, cached, stale, fetchedAt } = result;
+    // Project-scoped keys only see their projects' records
+    const data = dataSource.filterByProjects(resource, result.data, req.principal.projects);
 
     res.json({
       success: true,
-      data: projects,
-      count: projects.length
+      data,
+      count: data.length,
+      source,
+      cached,
+      stale,
+      fetchedAt
     });
 
   } catch (error) {
-    logger.error('Failed to fetch projects', { error: error.message });
-    res.json({
+    logger.error(`Failed to fetch ${resource}`, { source: dataSource.adapter.name, error: error.message });
+    res.status(502).json({
       success: false,
       data: [],
       error: error.message,
@@ -1204,178 +3540,209 @@ app.get('/api/data/projects', async (req, res) => {
   }
 });
 
-app.get('/api/data/project-testers', async (req, res) => {
+// Webhook endpoint for external test execution (like from n8n run-tests webhook)
+app.post('/webhook-test/run-tests', authorize('runs:execute'), async (req, res) => {
   try {
-    logger.info('Fetching project testers from n8n webhook');
+    logger.info('Received external run-tests webhook', { body: req.body });
 
-    const response = await fetch('https://dipv-digiflux-4.app.n8n.cloud/webhook/data/project-tester');
+    const {
+      project_id,
+      test_case_ids,
+      run_by_user_id,
+      base_url,
+      callback_url,
+      ...options
+    } = req.body;
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    if (!project_id || !test_case_ids || !Array.isArray(test_case_ids) || test_case_ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields for run-tests webhook',
+        required: ['project_id', 'test_case_ids (array)']
+      });
     }
 
-    const data = await response.json();
-
-    // Ensure we return an array even if the response is not as expected
-    const testers = Array.isArray(data) ? data : (data.testers ? data.testers : []);
-
-    res.json({
-      success: true,
-      data: testers,
-      count: testers.length
-    });
-
-  } catch (error) {
-    logger.error('Failed to fetch project testers', { error: error.message });
-    res.json({
-      success: false,
-      data: [],
-      error: error.message,
-      count: 0
-    });
-  }
-});
-
-app.get('/api/data/test-cases', async (req, res) => {
-  try {
-    logger.info('Fetching test cases from n8n webhook');
-
-    const response = await fetch('https://dipv-digiflux-4.app.n8n.cloud/webhook/data/test-cases');
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    if (!canAccessProject(req.principal, project_id)) {
+      return forbidProject(res, project_id);
     }
 
-    const data = await response.json();
-
-    // Ensure we return an array even if the response is not as expected
-    const testCases = Array.isArray(data) ? data : (data.test_cases ? data.test_cases : []);
-
-    res.json({
-      success: true,
-      data: testCases,
-      count: testCases.length
-    });
-
-  } catch (error) {
-    logger.error('Failed to fetch test cases', { error: error.message });
-    res.json({
-      success: false,
-      data: [],
-      error: error.message,
-      count: 0
-    });
-  }
-});
-
-app.get('/api/data/test-automation', async (req, res) => {
-  try {
-    logger.info('Fetching test automation from n8n webhook');
+    if (await rejectOverQuota(res, project_id)) {
+      return;
+    }
 
-    const response = await fetch('https://dipv-digiflux-4.app.n8n.cloud/webhook/data/test-automation');
+    if (options.browsers !== undefined) {
+      const issues = testRunner.validateBrowsers(options.browsers);
+      if (issues.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid browsers',
+          issues
+        });
+      }
+    }
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    const { issues: contextIssues, contextOptions } = validateContextOptions(options.contextOptions);
+    if (contextIssues.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid context options',
+        issues: contextIssues
+      });
     }
 
-    const data = await response.json();
+    const modeIssues = [
+      ...(options.headless !== undefined ? validateHeadless(options.headless) : []),
+      ...(options.viewport !== undefined ? validateViewport(options.viewport) : [])
+    ];
+    if (modeIssues.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid browser options',
+        issues: modeIssues
+      });
+    }
 
-    // Ensure we return an array even if the response is not as expected
-    const automation = Array.isArray(data) ? data : (data.automation ? data.automation : []);
+    const retryIssues = options.retries !== undefined ? validateRetries(options.retries) : [];
+    if (retryIssues.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid retries',
+        issues: retryIssues
+      });
+    }
 
-    res.json({
-      success: true,
-      data: automation,
-      count: automation.length
-    });
+    const timeoutIssues = options.timeouts !== undefined ? validateTimeouts(options.timeouts).issues : [];
+    if (timeoutIssues.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timeouts',
+        issues: timeoutIssues
+      });
+    }
 
-  } catch (error) {
-    logger.error('Failed to fetch test automation', { error: error.message });
-    res.json({
-      success: false,
-      data: [],
-      error: error.message,
-      count: 0
-    });
-  }
-});
+    const tagIssues = options.tags !== undefined ? validateTags(options.tags) : [];
+    if (tagIssues.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tags',
+        issues: tagIssues
+      });
+    }
 
-app.get('/api/data/test-results', async (req, res) => {
-  try {
-    logger.info('Fetching test results from n8n webhook');
+    // Resolve the run against the local catalog
+    const project = await catalog.getProject(project_id);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        project_id
+      });
+    }
 
-    const response = await fetch('https://dipv-digiflux-4.app.n8n.cloud/webhook/data/test-results');
+    const caseIssues = [];
+    const uniqueIds = [...new Set(test_case_ids)];
+    if (uniqueIds.length !== test_case_ids.length) {
+      caseIssues.push('test_case_ids must not contain duplicates');
+    }
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    const testCases = [];
+    for (const testCaseId of uniqueIds) {
+      const testCase = typeof testCaseId === 'string' ? await catalog.getTestCase(testCaseId) : null;
+      if (!testCase || testCase.project_id !== project_id) {
+        caseIssues.push(`Test case ${testCaseId} not found in project ${project_id}`);
+      } else if (!testCase.script_json.trim()) {
+        caseIssues.push(`Test case ${testCaseId} has no script`);
+      } else {
+        testCases.push(testCase);
+      }
     }
 
-    const data = await response.json();
+    if (callback_url !== undefined) {
+      caseIssues.push(...validateCallbackUrl(callback_url, 'callback_url'));
+    }
 
-    // Ensure we return an array even if the response is not as expected
-    const results = Array.isArray(data) ? data : (data.results ? data.results : []);
+    if (run_by_user_id !== undefined && !(await catalog.getUser(run_by_user_id))) {
+      caseIssues.push('run_by_user_id must be an existing user');
+    }
 
-    res.json({
-      success: true,
-      data: results,
-      count: results.length
-    });
+    // Runs are recorded under the key's user unless the caller names one
+    const runByUserId = run_by_user_id !== undefined ? run_by_user_id : req.principal.userId || undefined;
 
-  } catch (error) {
-    logger.error('Failed to fetch test results', { error: error.message });
-    res.json({
-      success: false,
-      data: [],
-      error: error.message,
-      count: 0
-    });
-  }
-});
+    const runBaseUrl = base_url || project.base_url;
+    try {
+      if (!['http:', 'https:'].includes(new URL(runBaseUrl).protocol)) {
+        throw new Error('Unsupported protocol');
+      }
+    } catch (error) {
+      caseIssues.push('base_url must be an http(s) URL');
+    }
 
-// Webhook endpoint for external test execution (like from n8n run-tests webhook)
-app.post('/webhook-test/run-tests', async (req, res) => {
-  try {
-    logger.info('Received external run-tests webhook', { body: req.body });
+    if (caseIssues.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid test cases',
+        issues: caseIssues
+      });
+    }
 
-    const {
-      project_id,
-      test_case_ids,
-      run_by_user_id,
-      base_url,
-      ...options
-    } = req.body;
+    // Recorded scripts navigate with absolute URLs, which baseURL doesn't change
+    const { suiteCases, issues: rebaseIssues } = base_url
+      ? rebaseSuiteCases(toSuiteCases(testCases), project.base_url, base_url)
+      : { suiteCases: toSuiteCases(testCases), issues: [] };
+    const suiteIssues = [...rebaseIssues, ...testRunner.validateTestCases(suiteCases)];
+    if (suiteIssues.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid test cases',
+        issues: suiteIssues
+      });
+    }
 
-    if (!project_id || !test_case_ids || !Array.isArray(test_case_ids) || test_case_ids.length === 0) {
+    const accessIssues = testRunner.checkCodeAccess(suiteCases, await projectSettings.getSettings(project_id));
+    if (accessIssues.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields for run-tests webhook',
-        required: ['project_id', 'test_case_ids (array)']
+        error: 'Test code not allowed',
+        issues: accessIssues,
+        message: 'Enable allowSystemAccess in the project settings to permit this code'
       });
     }
 
-    // For now, we'll create a simple test execution
-    // In a real implementation, you'd fetch test cases from a database
+    const referencedSecrets = testRunner.getSecretReferences(suiteCases);
+    if (referencedSecrets.length > 0) {
+      const storedNames = (await secretsService.listSecrets(project_id)).map(secret => secret.name);
+      const missingSecrets = referencedSecrets.filter(name => !storedNames.includes(name));
+      if (missingSecrets.length > 0 || !secretsService.isConfigured()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Unknown secrets',
+          missing: missingSecrets
+        });
+      }
+    }
+
     const testId = uuidv4();
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const baseUrl = `${req.protocol}://${req.get('host')}`;
-
-    // Create a sample test based on the provided information
-    const testName = `Test Run for Project ${project_id}`;
-    const testCode = `
-      await page.goto('${base_url || 'https://example.com'}');
-      await page.waitForLoadState('networkidle');
-      await expect(page).toHaveTitle(/.*/);
-    `;
+    const testName = `Test Run for ${project.name}`;
 
     // Start test execution using the existing test runner
     const testPromise = testRunner.runTest({
       testId,
       projectId: project_id,
       testName,
-      testCode,
+      testCases: suiteCases,
       browserType: options.browserType || 'chromium',
+      browsers: options.browsers,
       headless: options.headless !== false,
-      viewport: options.viewport || { width: 1280, height: 720 }
+      viewport: options.viewport || { width: 1280, height: 720 },
+      contextOptions,
+      retries: options.retries,
+      timeouts: options.timeouts,
+      tags: options.tags,
+      baseUrl: runBaseUrl,
+      runByUserId,
+      source: 'webhook'
     }).then(async (testResult) => {
       try {
         // Create zip file after test completion
@@ -1391,9 +3758,7 @@ app.post('/webhook-test/run-tests', async (req, res) => {
 
         // Update the stored test result with zip information
         try {
-          const testDir = path.join(__dirname, '../test-runs', testId);
-          const resultPath = path.join(testDir, 'result.json');
-          await fs.writeFile(resultPath, JSON.stringify(testResult, null, 2));
+          await testRunner.saveTestResult(testId, testResult);
 
           // Also update the in-memory cache
           testRunner.runningTests.set(testId, testResult);
@@ -1407,6 +3772,33 @@ app.post('/webhook-test/run-tests', async (req, res) => {
           status: testResult.status
         });
 
+        // Queue the callback; it is signed and retried until delivered
+        if (callback_url) {
+          callbacks.enqueue({
+            testId,
+            projectId: project_id,
+            url: callback_url,
+            payload: {
+              run_id: testId,
+              project_id,
+              run_by_user_id: runByUserId || null,
+              base_url: runBaseUrl,
+              status: testResult.status,
+              download_url: `${baseUrl}/api/download/${zipFileName}`,
+              summary: {
+                passed: testResult.passed,
+                failed: testResult.failed,
+                flaky: testResult.flaky,
+                skipped: testResult.skipped,
+                total: testResult.total,
+                duration: testResult.duration,
+                timedOut: testResult.timedOut
+              },
+              test_cases: testResult.testCaseResults
+            }
+          });
+        }
+
         return testResult;
       } catch (error) {
         logger.error('Post-test processing failed for webhook test', { testId, error: error.message });
@@ -1415,12 +3807,18 @@ app.post('/webhook-test/run-tests', async (req, res) => {
     });
 
     // Return immediate response with full URLs
+    const queueInfo = testRunner.getQueueInfo(testId);
+
     res.status(200).json({
       success: true,
       run_id: testId,
-      status: 'started',
+      status: queueInfo ? 'queued' : 'started',
+      queue_position: queueInfo ? queueInfo.queuePosition : 0,
       message: 'Test execution started successfully',
-      test_count: test_case_ids.length,
+      test_count: suiteCases.length,
+      test_cases: Object.fromEntries(suiteCases.map(testCase => [testCase.testCaseId, { name: testCase.name }])),
+      base_url: runBaseUrl,
+      run_by_user_id: runByUserId || null,
       estimated_completion: '30-60 seconds',
       results_url: `${baseUrl}/api/report/${testId}`,
       status_url: `${baseUrl}/api/test/status/${testId}`,
@@ -1441,6 +3839,173 @@ app.post('/webhook-test/run-tests', async (req, res) => {
   }
 });
 
+/**
+ * Stored scripts are recorded specs; run their bodies as one suite.
+ * Titles must be unique, so repeated names get a counter.
+ * @param {Array} testCases - Catalog test cases
+ * @returns {Array} - [{ name, testCode, testCaseId }]
+ */
+function toSuiteCases(testCases) {
+  const nameCounts = new Map();
+  return testCases.map(testCase => {
+    const name = testRunner.sanitizeTestName(testCase.test_name) || 'Test case';
+    const count = (nameCounts.get(name) || 0) + 1;
+    nameCounts.set(name, count);
+
+    return {
+      name: count > 1 ? `${name} ${count}` : name,
+      testCode: extractAndCleanTestBody(testCase.script_json),
+      testCaseId: testCase.id
+    };
+  });
+}
+
+/**
+ * Point stored test cases at a run's base URL override. Absolute URLs on
+ * the project's base_url origin are moved to the override's origin;
+ * page.goto calls to any other absolute URL are reported, since the
+ * override would not apply to them.
+ * @param {Array} suiteCases - From toSuiteCases()
+ * @param {string} projectBaseUrl - The project's stored base_url
+ * @param {string} runBaseUrl - The run's base URL
+ * @returns {Object} - { suiteCases, issues }
+ */
+function rebaseSuiteCases(suiteCases, projectBaseUrl, runBaseUrl) {
+  const originOf = (url) => {
+    try {
+      return new URL(url).origin;
+    } catch (error) {
+      return null;
+    }
+  };
+  const fromOrigin = originOf(projectBaseUrl);
+  const toOrigin = originOf(runBaseUrl);
+  // The origin followed by anything that can't extend its host or port
+  const projectOrigin = fromOrigin && fromOrigin !== toOrigin
+    ? new RegExp(`${fromOrigin.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w.:-])`, 'gi')
+    : null;
+
+  const issues = [];
+  const rebased = suiteCases.map((suiteCase) => {
+    const testCode = projectOrigin ? suiteCase.testCode.replace(projectOrigin, toOrigin) : suiteCase.testCode;
+
+    for (const [, , url] of testCode.matchAll(/\.goto\(\s*(['"`])(https?:\/\/[^'"`\s]+)\1/g)) {
+      if (originOf(url) !== toOrigin) {
+        issues.push(`${suiteCase.name}: page.goto('${url}') is not on the project's base_url, so base_url does not apply to it; use a relative URL`);
+      }
+    }
+    return { ...suiteCase, testCode };
+  });
+
+  return { suiteCases: rebased, issues };
+}
+
+/**
+ * Start a schedule's run with the same checks as API runs. Errors are
+ * recorded on the schedule as lastError.
+ * @param {Object} schedule - Schedule (see ScheduleService)
+ * @returns {Promise<Object>} - { testId }
+ */
+async function startScheduledRun(schedule) {
+  const { projectId, options } = schedule;
+
+  const quota = await runQuotas.getUsage(projectId);
+  if (quota.exceeded) {
+    throw new Error(`Daily run quota used up (${quota.usedMinutes} of ${quota.limitMinutes} minutes) until ${quota.resetAt}`);
+  }
+
+  let testCases;
+  let baseUrl = options.baseUrl;
+  if (schedule.testCaseIds) {
+    const project = await catalog.getProject(projectId);
+    if (!project) {
+      throw new Error(`Project ${projectId} not found`);
+    }
+
+    const stored = [];
+    for (const testCaseId of schedule.testCaseIds) {
+      const testCase = await catalog.getTestCase(testCaseId);
+      if (!testCase || testCase.project_id !== projectId || !testCase.script_json.trim()) {
+        throw new Error(`Test case ${testCaseId} not found in project ${projectId} or has no script`);
+      }
+      stored.push(testCase);
+    }
+    testCases = toSuiteCases(stored);
+    if (baseUrl) {
+      const rebased = rebaseSuiteCases(testCases, project.base_url, baseUrl);
+      if (rebased.issues.length > 0) {
+        throw new Error(`Test cases ignore baseUrl: ${rebased.issues.join('; ')}`);
+      }
+      testCases = rebased.suiteCases;
+    }
+    baseUrl = baseUrl || project.base_url;
+  }
+
+  const code = testCases || [{ name: schedule.name, testCode: schedule.testCode }];
+  const issues = [
+    ...(testCases ? testRunner.validateTestCases(testCases) : []),
+    ...testRunner.checkCodeAccess(code, await projectSettings.getSettings(projectId))
+  ];
+  if (issues.length > 0) {
+    throw new Error(`Test code not allowed: ${issues.join('; ')}`);
+  }
+
+  const referencedSecrets = testRunner.getSecretReferences(code);
+  if (referencedSecrets.length > 0) {
+    const storedNames = (await secretsService.listSecrets(projectId)).map(secret => secret.name);
+    const missingSecrets = referencedSecrets.filter(name => !storedNames.includes(name));
+    if (missingSecrets.length > 0 || !secretsService.isConfigured()) {
+      throw new Error(`Unknown secrets: ${missingSecrets.join(', ') || 'secrets vault not configured'}`);
+    }
+  }
+
+  const testId = uuidv4();
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const browsers = options.browsers || ['chromium'];
+
+  testRunner.runTest({
+    testId,
+    projectId,
+    testName: schedule.name,
+    testCode: testCases ? undefined : schedule.testCode,
+    testCases,
+    browserType: browsers[0],
+    browsers,
+    headless: options.headless !== false,
+    viewport: options.viewport || { width: 1280, height: 720 },
+    contextOptions: options.contextOptions,
+    retries: options.retries,
+    timeouts: options.timeouts,
+    tags: options.tags,
+    accessibility: options.accessibility,
+    performance: options.performance,
+    har: options.har,
+    baseUrl,
+    runByUserId: schedule.createdBy || undefined,
+    source: 'schedule',
+    scheduleId: schedule.id
+  }).then(async (testResult) => {
+    // Create zip file after test completion
+    const zipFileName = `${projectId}_${testId}_${timestamp}.zip`;
+    testResult.artifacts.zipPath = await zipService.createZip({
+      testId,
+      reportPath: testResult.artifacts.reportPath,
+      zipFileName
+    });
+    testResult.downloadUrl = `/api/download/${zipFileName}`;
+
+    await testRunner.saveTestResult(testId, testResult);
+    testRunner.runningTests.set(testId, testResult);
+
+    logger.info(`Scheduled test completed: ${testId}`, { scheduleId: schedule.id, status: testResult.status });
+    await schedules.notify(schedule.id, testResult);
+  }).catch((error) => {
+    logger.error('Post-test processing failed for scheduled test', { testId, scheduleId: schedule.id, error: error.message });
+  });
+
+  return { testId };
+}
+
 // Cleanup old test runs (older than 24 hours)
 async function cleanupOldTests() {
   try {
@@ -1456,6 +4021,7 @@ async function cleanupOldTests() {
       
       if (stats.isDirectory() && stats.mtime.getTime() < cutoffTime) {
         await fs.rm(entryPath, { recursive: true, force: true });
+        await visual.removeRunImages(entry);
         logger.info(`Cleaned up old test run: ${entry}`);
       }
     }
@@ -1512,12 +4078,66 @@ app.use((req, res) => {
       'GET /reports',
       'POST /api/test/run',
       'GET /api/test/status/:testId',
+      'POST /api/test/:testId/cancel',
+      'GET /api/test/:testId/events',
+      'GET /api/test/:testId/callbacks',
+      'POST /api/test/:testId/callbacks/:deliveryId/redeliver',
+      'GET /api/test/:testId/snapshots',
+      'GET /api/test/:testId/snapshots/:snapshotKey/:image',
+      'POST /api/test/:testId/snapshots/approve',
       'GET /api/test/list',
       'GET /api/report/:testId',
       'GET /api/report/:testId/view',
       'GET /api/report/:testId/html',
+      'GET /api/report/:testId/network',
       'DELETE /api/report/:testId',
       'GET /api/download/:filename',
+      'GET /api/users',
+      'POST /api/users',
+      'GET /api/users/:userId',
+      'PUT /api/users/:userId',
+      'DELETE /api/users/:userId',
+      'GET /api/projects',
+      'POST /api/projects',
+      'GET /api/projects/:projectId',
+      'PUT /api/projects/:projectId',
+      'DELETE /api/projects/:projectId',
+      'GET /api/test-cases',
+      'POST /api/test-cases',
+      'GET /api/test-cases/:testCaseId',
+      'PUT /api/test-cases/:testCaseId',
+      'DELETE /api/test-cases/:testCaseId',
+      'GET /api/projects/:projectId/settings',
+      'PUT /api/projects/:projectId/settings',
+      'GET /api/projects/:projectId/baselines',
+      'GET /api/projects/:projectId/baselines/:snapshotKey/image',
+      'DELETE /api/projects/:projectId/baselines/:snapshotKey',
+      'GET /api/projects/:projectId/performance',
+      'GET /api/projects/:projectId/performance/trend',
+      'GET /api/projects/:projectId/performance/view',
+      'GET /api/projects/:projectId/secrets',
+      'PUT /api/projects/:projectId/secrets/:name',
+      'DELETE /api/projects/:projectId/secrets/:name',
+      'GET /api/projects/:projectId/callback-secret',
+      'POST /api/projects/:projectId/callback-secret',
+      'DELETE /api/projects/:projectId/callback-secret',
+      'GET /api/webhooks',
+      'POST /api/webhooks',
+      'GET /api/webhooks/:webhookId',
+      'PUT /api/webhooks/:webhookId',
+      'DELETE /api/webhooks/:webhookId',
+      'GET /api/webhooks/:webhookId/deliveries',
+      'GET /api/schedules',
+      'POST /api/schedules',
+      'GET /api/schedules/:scheduleId',
+      'PUT /api/schedules/:scheduleId',
+      'DELETE /api/schedules/:scheduleId',
+      'POST /api/schedules/:scheduleId/run',
+      'GET /api/schedules/:scheduleId/runs',
+      'GET /api/auth/me',
+      'GET /api/keys',
+      'POST /api/keys',
+      'DELETE /api/keys/:keyId',
       'GET /api/data/users',
       'GET /api/data/projects',
       'GET /api/data/project-testers',
@@ -1547,6 +4167,18 @@ process.on('SIGINT', async () => {
 async function startServer() {
   try {
     await initializeDirectories();
+
+    // Refuses to start when testCode would run as the server user
+    checkSandbox().forEach(warning => logger.warn(warning));
+
+    await runHistory.importResults(path.join(__dirname, '../test-runs'));
+    callbacks.start();
+    await schedules.start();
+
+    // Without any key nobody could use the API, not even to create one
+    if (!process.env.ADMIN_API_KEY && (await apiKeys.listKeys()).length === 0) {
+      throw new Error('No API keys exist; set ADMIN_API_KEY to create the first ones');
+    }
     
     app.listen(PORT, () => {
       logger.info(`E2E Testing Platform started on port ${PORT}`);
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const KEY_PREFIX = 'e2e_';
+const MAX_PROJECTS = 50;
+
+// Write lastUsedAt at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashKey(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function toPublicKey({ hash, ...key }) {
+  return key;
+}
+
+/**
+ * API keys for authenticating requests. Each key belongs to a catalog user,
+ * whose role decides what the key may do, and can be limited to a set of
+ * projects. Only a SHA-256 hash of each key is stored; the key itself is
+ * returned once, when it is created.
+ */
+class ApiKeyService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(__dirname, '../../data/api-keys.json');
+    this.catalog = options.catalog;
+    const adminKey = options.adminKey || process.env.ADMIN_API_KEY;
+    this.adminKeyHash = adminKey ? hashKey(adminKey) : null;
+    this.keys = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.keys) {
+      this.keys = await readJsonFile(this.filePath, []);
+    }
+    return this.keys;
+  }
+
+  /**
+   * List keys (never their hashes)
+   * @param {Object} filters - userId (optional)
+   * @returns {Promise<Array>} - Keys
+   */
+  async listKeys(filters = {}) {
+    const keys = await this.load();
+    return keys
+      .filter(key => !filters.userId || key.userId === filters.userId)
+      .map(toPublicKey);
+  }
+
+  /**
+   * Create a key
+   * @param {Object} fields - name, userId, projects (null for all), expiresAt (optional)
+   * @param {string} createdBy - ID of the key that created it
+   * @returns {Promise<Object>} - { issues, key, token }; the only time the token is returned
+   */
+  async createKey(fields, createdBy) {
+    const keys = await this.load();
+    const { name, userId, projects = null, expiresAt = null } = fields || {};
+
+    const issues = [];
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+      issues.push('name is required (max 100 characters)');
+    }
+    if (!(await this.catalog.getUser(userId))) {
+      issues.push('userId must be an existing user');
+    }
+    if (projects !== null && (!Array.isArray(projects) || projects.length === 0 ||
+      projects.length > MAX_PROJECTS ||
+      !projects.every(projectId => typeof projectId === 'string' && projectId.trim() !== '' && projectId.length <= 200))) {
+      issues.push(`projects must be null (all projects) or an array of 1 to ${MAX_PROJECTS} project IDs`);
+    }
+    if (expiresAt !== null && !(Date.parse(expiresAt) > Date.now())) {
+      issues.push('expiresAt must be a future ISO date');
+    }
+    if (issues.length > 0) {
+      return { issues, key: null, token: null };
+    }
+
+    const token = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const key = {
+      id: uuidv4(),
+      name,
+      userId,
+      projects: projects === null ? null : [...new Set(projects)],
+      prefix: token.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(token),
+      createdBy,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+      lastUsedAt: null
+    };
+
+    keys.push(key);
+    await this.save();
+
+    logger.info('API key created', { keyId: key.id, userId, projects: key.projects, createdBy });
+    return { issues: [], key: toPublicKey(key), token };
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} keyId - Key ID
+   * @returns {Promise<boolean>} - Whether it existed
+   */
+  async deleteKey(keyId) {
+    const keys = await this.load();
+    const index = keys.findIndex(key => key.id === keyId);
+    if (index === -1) {
+      return false;
+    }
+
+    keys.splice(index, 1);
+    await this.save();
+
+    logger.info('API key revoked', { keyId });
+    return true;
+  }
+
+  /**
+   * Resolve a presented key to the principal it authenticates
+   * @param {string} token - Key from the request
+   * @returns {Promise<Object|null>} - { keyId, name, userId, role, projects },
+   *   null for unknown, expired or orphaned keys
+   */
+  async authenticate(token) {
+    if (typeof token !== 'string' || token === '') {
+      return null;
+    }
+
+    const hash = hashKey(token);
+    if (this.adminKeyHash && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(this.adminKeyHash))) {
+      return { keyId: 'admin', name: 'ADMIN_API_KEY', userId: null, role: 'admin', projects: null };
+    }
+
+    // Keys are found by hash, so lookup timing reveals nothing about stored keys
+    const keys = await this.load();
+    const key = keys.find(candidate => candidate.hash === hash);
+    if (!key || (key.expiresAt && Date.parse(key.expiresAt) <= Date.now())) {
+      return null;
+    }
+
+    // The role comes from the user, so role changes apply to existing keys
+    const user = await this.catalog.getUser(key.userId);
+    if (!user) {
+      return null;
+    }
+
+    if (!key.lastUsedAt || Date.now() - Date.parse(key.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+      key.lastUsedAt = new Date().toISOString();
+      this.save().catch(error => logger.error('Failed to record API key use', { keyId: key.id, error: error.message }));
+    }
+
+    return { keyId: key.id, name: key.name, userId: user.id, role: user.role, projects: key.projects };
+  }
+
+  save() {
+    // Serialize writes so concurrent updates cannot interleave
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => writeJsonFile(this.filePath, this.keys, { mode: 0o600 }));
+    return this.writeQueue;
+  }
+}
+
+module.exports = ApiKeyService;
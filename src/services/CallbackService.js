@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const SecretsService = require('./SecretsService');
+
+// Name of the signing secret in the signing secret store
+const SIGNING_SECRET_NAME = 'callback';
+
+/**
+ * Result callbacks (POSTs to a run's callbackUrl). Deliveries are stored
+ * in the run history database, signed with the project's signing secret,
+ * and retried with exponential backoff until they succeed or run out of
+ * attempts, including across restarts.
+ */
+class CallbackService {
+  constructor(options = {}) {
+    this.history = options.history;
+    this.signingSecrets = options.signingSecrets || new SecretsService({
+      filePath: path.join(__dirname, '../../data/signing-secrets.json')
+    });
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.CALLBACK_MAX_ATTEMPTS, 10) || 8;
+    this.retryBaseMs = options.retryBaseMs || parseInt(process.env.CALLBACK_RETRY_BASE_MS, 10) || 30000;
+    this.maxRetryDelayMs = options.maxRetryDelayMs || 6 * 60 * 60 * 1000;
+    this.timeout = options.timeout || 30000;
+    this.timer = null;
+    this.processing = null;
+  }
+
+  /**
+   * Resume pending deliveries (e.g. after a restart)
+   */
+  start() {
+    this.schedule();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue a callback for delivery
+   * @param {Object} callback - { testId, projectId, url, event, payload, webhookId }
+   * @returns {Object} - Stored delivery
+   */
+  enqueue({ testId, projectId, url, event = 'run.completed', payload, webhookId }) {
+    const delivery = this.history.createDelivery({ id: uuidv4(), testId, projectId, url, event, payload, webhookId });
+    logger.info('Callback queued', { testId, deliveryId: delivery.id, event, url });
+    this.schedule(0);
+    return delivery;
+  }
+
+  /**
+   * Send a delivery's payload again as a new delivery
+   * @param {string} deliveryId - Delivery to repeat
+   * @returns {Object|null} - New delivery, null if not found
+   */
+  redeliver(deliveryId) {
+    const original = this.history.getDelivery(deliveryId);
+    if (!original) {
+      return null;
+    }
+
+    const delivery = this.history.createDelivery({
+      id: uuidv4(),
+      testId: original.testId,
+      projectId: original.projectId,
+      url: original.url,
+      event: original.event,
+      payload: original.payload,
+      redeliveryOf: original.id,
+      webhookId: original.webhookId
+    });
+    logger.info('Callback redelivery queued', { testId: original.testId, deliveryId: delivery.id, redeliveryOf: original.id });
+    this.schedule(0);
+    return delivery;
+  }
+
+  /**
+   * Arm the timer for the next due delivery
+   * @param {number} delay - Run after this many ms instead of looking it up
+   */
+  schedule(delay) {
+    clearTimeout(this.timer);
+
+    if (delay === undefined) {
+      const next = this.history.getNextDeliveryTime();
+      if (!next) {
+        this.timer = null;
+        return;
+      }
+      // Re-check at least once a minute so long backoffs survive clock changes
+      delay = Math.min(Math.max(0, Date.parse(next) - Date.now()), 60000);
+    }
+
+    this.timer = setTimeout(() => this.processDue(), delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Attempt every due delivery, then schedule the next check
+   */
+  async processDue() {
+    if (this.processing) {
+      return this.processing;
+    }
+
+    this.processing = (async () => {
+      try {
+        let due;
+        while ((due = this.history.getDueDeliveries(new Date().toISOString(), 10)).length > 0) {
+          for (const delivery of due) {
+            await this.attempt(delivery);
+          }
+        }
+      } catch (error) {
+        logger.error('Callback processing failed', { error: error.message });
+      } finally {
+        this.processing = null;
+        this.schedule();
+      }
+    })();
+
+    return this.processing;
+  }
+
+  async attempt(delivery) {
+    const attempt = delivery.attempts + 1;
+    const attemptedAt = new Date().toISOString();
+    const startTime = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const body = JSON.stringify(delivery.payload);
+      const response = await axios.post(delivery.url, body, {
+        timeout: this.timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'E2E-Testing-Platform/1.0',
+          'X-E2E-Delivery': delivery.id,
+          'X-E2E-Event': delivery.event,
+          ...(delivery.webhookId ? { 'X-E2E-Webhook': delivery.webhookId } : {}),
+          ...(await this.getSignatureHeaders(delivery.projectId, body))
+        },
+        // Any status is recorded; only 2xx counts as delivered
+        validateStatus: () => true,
+        maxRedirects: 0
+      });
+
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Receiver responded with HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const delivered = error === null;
+    const exhausted = !delivered && attempt >= this.maxAttempts;
+    const retryDelay = Math.min(this.retryBaseMs * 2 ** (attempt - 1), this.maxRetryDelayMs);
+
+    this.history.recordDeliveryAttempt({
+      deliveryId: delivery.id,
+      attempt,
+      attemptedAt,
+      statusCode,
+      error,
+      duration: Date.now() - startTime
+    }, {
+      id: delivery.id,
+      status: delivered ? 'delivered' : (exhausted ? 'failed' : 'pending'),
+      attempts: attempt,
+      nextAttemptAt: delivered || exhausted ? null : new Date(Date.now() + retryDelay).toISOString(),
+      deliveredAt: delivered ? new Date().toISOString() : null
+    });
+
+    if (delivered) {
+      logger.info(`Callback sent successfully to ${delivery.url}`, { testId: delivery.testId, deliveryId: delivery.id, attempt });
+    } else if (exhausted) {
+      logger.error('Callback delivery failed, giving up', { testId: delivery.testId, deliveryId: delivery.id, attempt, error });
+    } else {
+      logger.warn('Callback delivery failed, will retry', { testId: delivery.testId, deliveryId: delivery.id, attempt, retryDelay, error });
+    }
+  }
+
+  /**
+   * Signature headers for a request body. The signature is an HMAC-SHA256
+   * of "<timestamp>.<body>" keyed with the project's signing secret;
+   * projects without one get unsigned callbacks.
+   * @param {string} projectId - Project identifier
+   * @param {string} body - Request body
+   * @returns {Promise<Object>} - Headers
+   */
+  async getSignatureHeaders(projectId, body) {
+    const { values } = await this.signingSecrets.getSecretValues(projectId, [SIGNING_SECRET_NAME]);
+    const secret = values[SIGNING_SECRET_NAME];
+    if (!secret) {
+      return {};
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return {
+      'X-E2E-Timestamp': timestamp,
+      'X-E2E-Signature': `sha256=${signature}`
+    };
+  }
+
+  /**
+   * Whether callbacks can be signed (the secrets vault is configured)
+   * @returns {boolean}
+   */
+  canSign() {
+    return this.signingSecrets.isConfigured();
+  }
+
+  /**
+   * Signing secret state of a project (never the secret itself)
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<Object>} - { configured, updatedAt }
+   */
+  async getSigningSecretInfo(projectId) {
+    const secret = (await this.signingSecrets.listSecrets(projectId))
+      .find(({ name }) => name === SIGNING_SECRET_NAME);
+    return { configured: !!secret, updatedAt: secret ? secret.updatedAt : null };
+  }
+
+  /**
+   * Create or replace a project's signing secret
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<Object>} - { secret, updatedAt }; the only time the secret is returned
+   */
+  async rotateSigningSecret(projectId) {
+    const secret = `whsec_${crypto.randomBytes(32).toString('hex')}`;
+    const { secret: stored } = await this.signingSecrets.setSecret(projectId, SIGNING_SECRET_NAME, secret);
+    logger.info('Callback signing secret rotated', { projectId });
+    return { secret, updatedAt: stored.updatedAt };
+  }
+
+  /**
+   * Stop signing a project's callbacks
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<boolean>} - Whether a secret existed
+   */
+  deleteSigningSecret(projectId) {
+    return this.signingSecrets.deleteSecret(projectId, SIGNING_SECRET_NAME);
+  }
+}
+
+module.exports = CallbackService;
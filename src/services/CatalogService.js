@@ -0,0 +1,363 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const USER_ROLES = ['manager', 'tester', 'lead_tester', 'admin'];
+const PROJECT_ENVIRONMENTS = ['dev', 'staging', 'prod'];
+const TESTER_ROLES = ['tester', 'lead_tester'];
+const TEST_TYPES = ['ui', 'api', 'integration', 'e2e'];
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Fields a client may set on each record type
+const FIELDS = {
+  users: ['name', 'email', 'role'],
+  projects: ['name', 'environment', 'base_url', 'description', 'project_manager_id', 'testers'],
+  testCases: ['project_id', 'test_name', 'test_type', 'priority', 'script_json', 'tags', 'created_by']
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_TAGS = 20;
+
+function isNonEmptyString(value, max) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function pickFields(collection, fields) {
+  return Object.fromEntries(Object.entries(fields || {})
+    .filter(([key]) => FIELDS[collection].includes(key)));
+}
+
+/**
+ * Local catalog of users, projects and test cases, using the field names
+ * of the create-* forms. Stored as one JSON file with a collection per
+ * record type; ids are UUIDs.
+ */
+class CatalogService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(__dirname, '../../data/catalog.json');
+    this.catalog = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.catalog) {
+      this.catalog = await readJsonFile(this.filePath, { users: [], projects: [], testCases: [] });
+    }
+    return this.catalog;
+  }
+
+  // Users
+
+  async listUsers() {
+    const { users } = await this.load();
+    return users;
+  }
+
+  async getUser(userId) {
+    const { users } = await this.load();
+    return users.find(user => user.id === userId) || null;
+  }
+
+  /**
+   * Create a user
+   * @param {Object} fields - name, email, role
+   * @returns {Promise<Object>} - { issues, user }
+   */
+  async createUser(fields) {
+    return this.createRecord('users', fields, this.validateUser, 'user');
+  }
+
+  /**
+   * Change fields of a user
+   * @param {string} userId - User ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object|null>} - { issues, user }, null if not found
+   */
+  async updateUser(userId, updates) {
+    return this.updateRecord('users', userId, updates, this.validateUser, 'user');
+  }
+
+  /**
+   * Delete a user that no project or test case refers to
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - { conflicts }, null if not found
+   */
+  async deleteUser(userId) {
+    const { projects, testCases } = await this.load();
+    const conflicts = [
+      ...projects
+        .filter(project => project.project_manager_id === userId ||
+          project.testers.some(tester => tester.tester_id === userId))
+        .map(project => `project ${project.id}`),
+      ...testCases
+        .filter(testCase => testCase.created_by === userId)
+        .map(testCase => `test case ${testCase.id}`)
+    ];
+    return this.deleteRecord('users', userId, conflicts);
+  }
+
+  validateUser(user) {
+    const issues = [];
+    if (!isNonEmptyString(user.name, 200)) {
+      issues.push('name is required (max 200 characters)');
+    }
+    if (typeof user.email !== 'string' || !EMAIL_PATTERN.test(user.email)) {
+      issues.push('email must be a valid email address');
+    } else if (this.catalog.users.some(other => other.id !== user.id &&
+      other.email.toLowerCase() === user.email.toLowerCase())) {
+      issues.push('email is already in use');
+    }
+    if (!USER_ROLES.includes(user.role)) {
+      issues.push(`role must be one of: ${USER_ROLES.join(', ')}`);
+    }
+    return issues;
+  }
+
+  // Projects
+
+  async listProjects() {
+    const { projects } = await this.load();
+    return projects;
+  }
+
+  async getProject(projectId) {
+    const { projects } = await this.load();
+    return projects.find(project => project.id === projectId) || null;
+  }
+
+  /**
+   * Create a project
+   * @param {Object} fields - name, environment, base_url, description,
+   *   project_manager_id, testers [{ tester_id, role }]
+   * @returns {Promise<Object>} - { issues, project }
+   */
+  async createProject(fields) {
+    return this.createRecord('projects', { description: '', testers: [], ...fields }, this.validateProject, 'project');
+  }
+
+  /**
+   * Change fields of a project
+   * @param {string} projectId - Project ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object|null>} - { issues, project }, null if not found
+   */
+  async updateProject(projectId, updates) {
+    return this.updateRecord('projects', projectId, updates, this.validateProject, 'project');
+  }
+
+  /**
+   * Delete a project that has no test cases
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object|null>} - { conflicts }, null if not found
+   */
+  async deleteProject(projectId) {
+    const { testCases } = await this.load();
+    const conflicts = testCases
+      .filter(testCase => testCase.project_id === projectId)
+      .map(testCase => `test case ${testCase.id}`);
+    return this.deleteRecord('projects', projectId, conflicts);
+  }
+
+  /**
+   * Tester assignments of every project, one row per tester
+   * @returns {Promise<Array>} - [{ project_id, tester_id, role }]
+   */
+  async listProjectTesters() {
+    const { projects } = await this.load();
+    return projects.flatMap(project => project.testers.map(tester => ({
+      project_id: project.id,
+      ...tester
+    })));
+  }
+
+  validateProject(project) {
+    const issues = [];
+    if (!isNonEmptyString(project.name, 200)) {
+      issues.push('name is required (max 200 characters)');
+    }
+    if (!PROJECT_ENVIRONMENTS.includes(project.environment)) {
+      issues.push(`environment must be one of: ${PROJECT_ENVIRONMENTS.join(', ')}`);
+    }
+    if (!isHttpUrl(project.base_url)) {
+      issues.push('base_url must be an http(s) URL');
+    }
+    if (typeof project.description !== 'string' || project.description.length > 2000) {
+      issues.push('description must be a string of at most 2000 characters');
+    }
+    if (!this.catalog.users.some(user => user.id === project.project_manager_id)) {
+      issues.push('project_manager_id must be an existing user');
+    }
+    if (!Array.isArray(project.testers)) {
+      issues.push('testers must be an array of { tester_id, role }');
+    } else {
+      project.testers.forEach((tester, index) => {
+        if (!tester || !this.catalog.users.some(user => user.id === tester.tester_id)) {
+          issues.push(`testers[${index}].tester_id must be an existing user`);
+        } else if (!TESTER_ROLES.includes(tester.role)) {
+          issues.push(`testers[${index}].role must be one of: ${TESTER_ROLES.join(', ')}`);
+        }
+      });
+    }
+    return issues;
+  }
+
+  // Test cases
+
+  /**
+   * List test cases
+   * @param {Object} filters - project_id (optional)
+   * @returns {Promise<Array>} - Test cases
+   */
+  async listTestCases(filters = {}) {
+    const { testCases } = await this.load();
+    return filters.project_id
+      ? testCases.filter(testCase => testCase.project_id === filters.project_id)
+      : testCases;
+  }
+
+  async getTestCase(testCaseId) {
+    const { testCases } = await this.load();
+    return testCases.find(testCase => testCase.id === testCaseId) || null;
+  }
+
+  /**
+   * Create a test case
+   * @param {Object} fields - project_id, test_name, test_type, priority,
+   *   script_json, tags, created_by
+   * @returns {Promise<Object>} - { issues, testCase }
+   */
+  async createTestCase(fields) {
+    return this.createRecord('testCases', { script_json: '', tags: [], ...fields }, this.validateTestCase, 'testCase');
+  }
+
+  /**
+   * Change fields of a test case
+   * @param {string} testCaseId - Test case ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object|null>} - { issues, testCase }, null if not found
+   */
+  async updateTestCase(testCaseId, updates) {
+    return this.updateRecord('testCases', testCaseId, updates, this.validateTestCase, 'testCase');
+  }
+
+  async deleteTestCase(testCaseId) {
+    return this.deleteRecord('testCases', testCaseId, []);
+  }
+
+  validateTestCase(testCase) {
+    const issues = [];
+    if (!this.catalog.projects.some(project => project.id === testCase.project_id)) {
+      issues.push('project_id must be an existing project');
+    }
+    if (!isNonEmptyString(testCase.test_name, 200)) {
+      issues.push('test_name is required (max 200 characters)');
+    }
+    if (!TEST_TYPES.includes(testCase.test_type)) {
+      issues.push(`test_type must be one of: ${TEST_TYPES.join(', ')}`);
+    }
+    if (!PRIORITIES.includes(testCase.priority)) {
+      issues.push(`priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
+    if (typeof testCase.script_json !== 'string') {
+      issues.push('script_json must be a string (empty to add the script later)');
+    }
+    if (!Array.isArray(testCase.tags) || testCase.tags.length > MAX_TAGS ||
+      !testCase.tags.every(tag => isNonEmptyString(tag, 50))) {
+      issues.push(`tags must be an array of at most ${MAX_TAGS} non-empty strings (max 50 characters)`);
+    }
+    if (!this.catalog.users.some(user => user.id === testCase.created_by)) {
+      issues.push('created_by must be an existing user');
+    }
+    return issues;
+  }
+
+  // Shared record handling
+
+  async createRecord(collection, fields, validate, label) {
+    await this.load();
+    const now = new Date().toISOString();
+    const record = {
+      id: uuidv4(),
+      ...pickFields(collection, fields),
+      created_at: now,
+      updated_at: now
+    };
+
+    const issues = validate.call(this, record);
+    if (issues.length > 0) {
+      return { issues, [label]: null };
+    }
+
+    this.catalog[collection].push(record);
+    await this.save();
+
+    logger.info('Catalog record created', { collection, id: record.id });
+    return { issues: [], [label]: record };
+  }
+
+  async updateRecord(collection, id, updates, validate, label) {
+    await this.load();
+    const index = this.catalog[collection].findIndex(record => record.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const record = {
+      ...this.catalog[collection][index],
+      ...pickFields(collection, updates),
+      updated_at: new Date().toISOString()
+    };
+
+    const issues = validate.call(this, record);
+    if (issues.length > 0) {
+      return { issues, [label]: null };
+    }
+
+    this.catalog[collection][index] = record;
+    await this.save();
+
+    logger.info('Catalog record updated', { collection, id, keys: Object.keys(pickFields(collection, updates)) });
+    return { issues: [], [label]: record };
+  }
+
+  async deleteRecord(collection, id, conflicts) {
+    await this.load();
+    const index = this.catalog[collection].findIndex(record => record.id === id);
+    if (index === -1) {
+      return null;
+    }
+    if (conflicts.length > 0) {
+      return { conflicts };
+    }
+
+    this.catalog[collection].splice(index, 1);
+    await this.save();
+
+    logger.info('Catalog record deleted', { collection, id });
+    return { conflicts: [] };
+  }
+
+  save() {
+    // Serialize writes so concurrent updates cannot interleave
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => writeJsonFile(this.filePath, this.catalog));
+    return this.writeQueue;
+  }
+}
+
+CatalogService.USER_ROLES = USER_ROLES;
+CatalogService.PROJECT_ENVIRONMENTS = PROJECT_ENVIRONMENTS;
+CatalogService.TEST_TYPES = TEST_TYPES;
+CatalogService.PRIORITIES = PRIORITIES;
+
+module.exports = CatalogService;
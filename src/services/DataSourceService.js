@@ -0,0 +1,143 @@
+const logger = require('../utils/logger');
+const { DATA_RESOURCES, DATA_RESOURCE_PROJECT_FIELDS, createDataSourceAdapter } = require('../utils/dataSourceAdapters');
+
+/**
+ * Dropdown data (users, projects, test cases, ...) from the data source
+ * configured for this deployment. Remote sources are cached, retried with
+ * exponential backoff, and fall back to the last good response while they
+ * are unavailable.
+ */
+class DataSourceService {
+  constructor(options = {}) {
+    this.timeout = options.timeout || parseInt(process.env.DATA_SOURCE_TIMEOUT_MS, 10) || 5000;
+    const envRetries = parseInt(process.env.DATA_SOURCE_RETRIES, 10);
+    this.retries = options.retries ?? (Number.isNaN(envRetries) ? 2 : envRetries);
+    this.retryDelay = options.retryDelay || 250;
+    this.cacheTtl = options.cacheTtl ?? (parseInt(process.env.DATA_SOURCE_CACHE_TTL_MS, 10) || 60000);
+    // How long a cached response may still be served when the source is down
+    this.staleTtl = options.staleTtl ?? (parseInt(process.env.DATA_SOURCE_STALE_TTL_MS, 10) || 24 * 60 * 60 * 1000);
+
+    this.adapter = options.adapter || createDataSourceAdapter({
+      type: process.env.DATA_SOURCE || 'local',
+      baseUrl: process.env.DATA_SOURCE_URL,
+      authHeader: process.env.DATA_SOURCE_AUTH_HEADER,
+      timeout: this.timeout
+    }, options.services);
+
+    this.cache = new Map();
+    this.inFlight = new Map();
+  }
+
+  isResource(resource) {
+    return DATA_RESOURCES.includes(resource);
+  }
+
+  /**
+   * Keep the records of a resource that belong to the given projects.
+   * Records without a project are dropped; resources that do not belong to
+   * projects (users) are returned whole.
+   * @param {string} resource - One of DATA_RESOURCES
+   * @param {Array} data - Records of the resource
+   * @param {Array|null} projects - Project IDs, or null for all projects
+   * @returns {Array} - Matching records
+   */
+  filterByProjects(resource, data, projects) {
+    const fields = DATA_RESOURCE_PROJECT_FIELDS[resource];
+    if (projects === null || !fields) {
+      return data;
+    }
+    return data.filter(record => {
+      const field = fields.find(name => record && record[name] !== undefined);
+      return field !== undefined && projects.includes(String(record[field]));
+    });
+  }
+
+  /**
+   * Get a resource, from cache when fresh
+   * @param {string} resource - One of DATA_RESOURCES
+   * @returns {Promise<Object>} - { data, source, cached, stale, fetchedAt }
+   * @throws {Error} - When the source fails and nothing usable is cached
+   */
+  async get(resource) {
+    if (!this.adapter.cacheable) {
+      const data = await this.adapter.fetchResource(resource);
+      return { data, source: this.adapter.name, cached: false, stale: false, fetchedAt: new Date().toISOString() };
+    }
+
+    const entry = this.cache.get(resource);
+    if (entry && Date.now() - entry.fetchedAt < this.cacheTtl) {
+      return this.fromCache(entry, false);
+    }
+
+    try {
+      // Concurrent requests for the same resource share one fetch
+      if (!this.inFlight.has(resource)) {
+        this.inFlight.set(resource, this.fetchWithRetry(resource)
+          .finally(() => this.inFlight.delete(resource)));
+      }
+      const data = await this.inFlight.get(resource);
+      const fetched = { data, fetchedAt: Date.now() };
+      this.cache.set(resource, fetched);
+      return { ...this.fromCache(fetched, false), cached: false };
+    } catch (error) {
+      if (entry && Date.now() - entry.fetchedAt < this.staleTtl) {
+        logger.warn('Data source unavailable, serving stale data', {
+          source: this.adapter.name,
+          resource,
+          ageMs: Date.now() - entry.fetchedAt,
+          error: error.message
+        });
+        return this.fromCache(entry, true);
+      }
+      throw error;
+    }
+  }
+
+  async fetchWithRetry(resource) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.adapter.fetchResource(resource);
+      } catch (error) {
+        if (attempt >= this.retries || error.retryable === false) {
+          throw error;
+        }
+
+        const delay = this.retryDelay * 2 ** attempt;
+        logger.warn('Data source request failed, retrying', {
+          source: this.adapter.name,
+          resource,
+          attempt: attempt + 1,
+          delay,
+          error: error.message
+        });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  fromCache(entry, stale) {
+    return {
+      data: entry.data,
+      source: this.adapter.name,
+      cached: true,
+      stale,
+      fetchedAt: new Date(entry.fetchedAt).toISOString()
+    };
+  }
+
+  /**
+   * Data source and cache state for the health endpoint
+   * @returns {Object} - { source, cache: { [resource]: { ageMs, count } } }
+   */
+  getStatus() {
+    return {
+      source: this.adapter.name,
+      cache: Object.fromEntries([...this.cache].map(([resource, entry]) => [resource, {
+        ageMs: Date.now() - entry.fetchedAt,
+        count: entry.data.length
+      }]))
+    };
+  }
+}
+
+module.exports = DataSourceService;
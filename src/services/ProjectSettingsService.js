@@ -0,0 +1,73 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { validateProjectSettings } = require('../utils/runOptions');
+
+/**
+ * Per-project run defaults (retries, timeouts, sandbox access) applied when a run request does
+ * not set them itself. Stored as one JSON file keyed by projectId.
+ */
+class ProjectSettingsService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(__dirname, '../../data/project-settings.json');
+    this.settings = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.settings) {
+      this.settings = await readJsonFile(this.filePath, {});
+    }
+    return this.settings;
+  }
+
+  /**
+   * Get the settings of a project
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<Object>} - Settings ({} when none are stored)
+   */
+  async getSettings(projectId) {
+    const settings = await this.load();
+    return settings[projectId] || {};
+  }
+
+  /**
+   * Merge updates into a project's settings. A null value removes a key.
+   * @param {string} projectId - Project identifier
+   * @param {Object} updates - Settings to change
+   * @returns {Promise<Object>} - { issues, settings }
+   */
+  async updateSettings(projectId, updates) {
+    const issues = validateProjectSettings(updates);
+    if (issues.length > 0) {
+      return { issues, settings: null };
+    }
+
+    const settings = await this.load();
+    const projectSettings = { ...(settings[projectId] || {}) };
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (value === null) {
+        delete projectSettings[key];
+      } else {
+        projectSettings[key] = value;
+      }
+    }
+
+    settings[projectId] = projectSettings;
+    await this.save();
+
+    logger.info('Project settings updated', { projectId, keys: Object.keys(updates) });
+    return { issues: [], settings: projectSettings };
+  }
+
+  save() {
+    // Serialize writes so concurrent updates cannot interleave
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => writeJsonFile(this.filePath, this.settings));
+    return this.writeQueue;
+  }
+}
+
+module.exports = ProjectSettingsService;
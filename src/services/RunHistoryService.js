@@ -0,0 +1,882 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const logger = require('../utils/logger');
+const { encodeCursor } = require('../utils/listQuery');
+
+// Schema migrations, applied in order; PRAGMA user_version records how
+// many have run
+const MIGRATIONS = [`
+CREATE TABLE IF NOT EXISTS runs (
+  test_id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  test_name TEXT NOT NULL,
+  status TEXT NOT NULL,
+  browsers TEXT NOT NULL,
+  passed INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  flaky INTEGER NOT NULL DEFAULT 0,
+  skipped INTEGER NOT NULL DEFAULT 0,
+  total INTEGER NOT NULL DEFAULT 0,
+  retries INTEGER NOT NULL DEFAULT 0,
+  timed_out INTEGER NOT NULL DEFAULT 0,
+  duration INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  queued_at TEXT,
+  start_time TEXT,
+  end_time TEXT,
+  download_url TEXT,
+  details TEXT NOT NULL DEFAULT '{}'
+);
+CREATE INDEX IF NOT EXISTS runs_created_at ON runs (created_at DESC);
+CREATE INDEX IF NOT EXISTS runs_project_created_at ON runs (project_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS test_results (
+  test_id TEXT NOT NULL REFERENCES runs (test_id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  describe TEXT NOT NULL DEFAULT '[]',
+  file TEXT,
+  browser TEXT,
+  status TEXT NOT NULL,
+  duration INTEGER NOT NULL DEFAULT 0,
+  retries INTEGER NOT NULL DEFAULT 0,
+  attempts TEXT NOT NULL DEFAULT '[]',
+  errors TEXT NOT NULL DEFAULT '[]',
+  PRIMARY KEY (test_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS run_errors (
+  test_id TEXT NOT NULL REFERENCES runs (test_id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  message TEXT,
+  stack TEXT,
+  test TEXT,
+  retry INTEGER,
+  timestamp TEXT,
+  PRIMARY KEY (test_id, position)
+);
+`, `
+ALTER TABLE runs ADD COLUMN source TEXT NOT NULL DEFAULT 'api';
+CREATE INDEX runs_status_created_at ON runs (status, created_at DESC);
+
+CREATE TABLE run_tags (
+  test_id TEXT NOT NULL REFERENCES runs (test_id) ON DELETE CASCADE,
+  tag TEXT NOT NULL,
+  PRIMARY KEY (test_id, tag)
+);
+CREATE INDEX run_tags_tag ON run_tags (tag);
+`, `
+ALTER TABLE runs ADD COLUMN run_by_user_id TEXT;
+ALTER TABLE test_results ADD COLUMN test_case_id TEXT;
+CREATE INDEX test_results_test_case_id ON test_results (test_case_id);
+`, `
+CREATE TABLE callback_deliveries (
+  id TEXT PRIMARY KEY,
+  test_id TEXT NOT NULL REFERENCES runs (test_id) ON DELETE CASCADE,
+  project_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  event TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TEXT,
+  created_at TEXT NOT NULL,
+  delivered_at TEXT,
+  redelivery_of TEXT
+);
+CREATE INDEX callback_deliveries_due ON callback_deliveries (status, next_attempt_at);
+CREATE INDEX callback_deliveries_test_id ON callback_deliveries (test_id, created_at);
+
+CREATE TABLE callback_attempts (
+  delivery_id TEXT NOT NULL REFERENCES callback_deliveries (id) ON DELETE CASCADE,
+  attempt INTEGER NOT NULL,
+  attempted_at TEXT NOT NULL,
+  status_code INTEGER,
+  error TEXT,
+  duration INTEGER NOT NULL,
+  PRIMARY KEY (delivery_id, attempt)
+);
+`, `
+ALTER TABLE callback_deliveries ADD COLUMN webhook_id TEXT;
+CREATE INDEX callback_deliveries_webhook_id ON callback_deliveries (webhook_id, created_at DESC);
+`, `
+CREATE TABLE idempotency_keys (
+  scope TEXT NOT NULL,
+  key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status_code INTEGER NOT NULL,
+  response TEXT NOT NULL,
+  test_id TEXT,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (scope, key)
+);
+CREATE INDEX idempotency_keys_created_at ON idempotency_keys (created_at);
+`, `
+ALTER TABLE runs ADD COLUMN schedule_id TEXT;
+CREATE INDEX runs_schedule_id_created_at ON runs (schedule_id, created_at DESC);
+`, `
+CREATE TABLE page_metrics (
+  test_id TEXT NOT NULL REFERENCES runs (test_id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  project_id TEXT NOT NULL,
+  page_url TEXT NOT NULL,
+  url TEXT NOT NULL,
+  browser TEXT,
+  test TEXT,
+  measured_at TEXT NOT NULL,
+  ttfb REAL,
+  dom_content_loaded REAL,
+  load REAL,
+  fcp REAL,
+  lcp REAL,
+  cls REAL,
+  tbt REAL,
+  inp REAL,
+  requests INTEGER,
+  failed_requests INTEGER,
+  transfer_bytes INTEGER,
+  PRIMARY KEY (test_id, position)
+);
+CREATE INDEX page_metrics_project_page ON page_metrics (project_id, page_url, measured_at);
+`, `
+CREATE INDEX runs_download_url ON runs (download_url);
+`];
+
+// Page metrics (PERFORMANCE_METRICS) and their page_metrics columns
+const METRIC_COLUMNS = {
+  ttfb: 'ttfb',
+  domContentLoaded: 'dom_content_loaded',
+  load: 'load',
+  fcp: 'fcp',
+  lcp: 'lcp',
+  cls: 'cls',
+  tbt: 'tbt',
+  inp: 'inp',
+  requests: 'requests',
+  failedRequests: 'failed_requests',
+  transferBytes: 'transfer_bytes'
+};
+
+// List sort fields and the columns they map to
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  duration: 'duration',
+  testName: 'test_name',
+  status: 'status'
+};
+
+// Page a measured URL is charted under: origin and path
+function toPageUrl(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    return origin === 'null' ? url.split(/[?#]/)[0] : `${origin}${pathname}`;
+  } catch (error) {
+    return String(url).split(/[?#]/)[0];
+  }
+}
+
+/**
+ * Run history in an embedded SQLite database: run metadata, per-test
+ * results and errors. Outlives the test-runs/ artifacts, which are cleaned
+ * up after 24 hours.
+ */
+class RunHistoryService {
+  constructor(options = {}) {
+    this.dbPath = options.dbPath || path.join(__dirname, '../../data/run-history.db');
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      if (this.dbPath !== ':memory:') {
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+      }
+      this.db = new Database(this.dbPath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('foreign_keys = ON');
+      this.migrate();
+      this.prepareStatements();
+    }
+    return this.db;
+  }
+
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+    for (let index = version; index < MIGRATIONS.length; index++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[index]);
+        this.db.pragma(`user_version = ${index + 1}`);
+      })();
+    }
+  }
+
+  prepareStatements() {
+    this.statements = {
+      upsertRun: this.db.prepare(`
+        INSERT INTO runs (test_id, project_id, test_name, status, browsers, passed, failed, flaky, skipped,
+          total, retries, timed_out, duration, created_at, queued_at, start_time, end_time, download_url, source,
+          run_by_user_id, schedule_id, details)
+        VALUES (@testId, @projectId, @testName, @status, @browsers, @passed, @failed, @flaky, @skipped,
+          @total, @retries, @timedOut, @duration, @createdAt, @queuedAt, @startTime, @endTime, @downloadUrl, @source,
+          @runByUserId, @scheduleId, @details)
+        ON CONFLICT (test_id) DO UPDATE SET
+          status = excluded.status, browsers = excluded.browsers, passed = excluded.passed,
+          failed = excluded.failed, flaky = excluded.flaky, skipped = excluded.skipped,
+          total = excluded.total, retries = excluded.retries, timed_out = excluded.timed_out,
+          duration = excluded.duration, start_time = excluded.start_time, end_time = excluded.end_time,
+          download_url = excluded.download_url, details = excluded.details`),
+      deleteTests: this.db.prepare('DELETE FROM test_results WHERE test_id = ?'),
+      insertTest: this.db.prepare(`
+        INSERT INTO test_results (test_id, position, title, describe, file, browser, status, duration, retries, attempts,
+          errors, test_case_id)
+        VALUES (@testId, @position, @title, @describe, @file, @browser, @status, @duration, @retries, @attempts,
+          @errors, @testCaseId)`),
+      deleteErrors: this.db.prepare('DELETE FROM run_errors WHERE test_id = ?'),
+      deleteMetrics: this.db.prepare('DELETE FROM page_metrics WHERE test_id = ?'),
+      insertMetrics: this.db.prepare(`
+        INSERT INTO page_metrics (test_id, position, project_id, page_url, url, browser, test, measured_at,
+          ${Object.values(METRIC_COLUMNS).join(', ')})
+        VALUES (@testId, @position, @projectId, @pageUrl, @url, @browser, @test, @measuredAt,
+          ${Object.keys(METRIC_COLUMNS).map(metric => `@${metric}`).join(', ')})`),
+      getMeasuredPages: this.db.prepare(`
+        SELECT page_url, browser, COUNT(*) AS samples, MIN(measured_at) AS first_measured_at,
+          MAX(measured_at) AS last_measured_at
+        FROM page_metrics WHERE project_id = @projectId AND measured_at >= @from AND measured_at <= @to
+        GROUP BY page_url, browser ORDER BY page_url, browser`),
+      insertError: this.db.prepare(`
+        INSERT INTO run_errors (test_id, position, message, stack, test, retry, timestamp)
+        VALUES (@testId, @position, @message, @stack, @test, @retry, @timestamp)`),
+      getRun: this.db.prepare('SELECT * FROM runs WHERE test_id = ?'),
+      getRunByDownloadUrl: this.db.prepare('SELECT * FROM runs WHERE download_url = ?'),
+      getTests: this.db.prepare('SELECT * FROM test_results WHERE test_id = ? ORDER BY position'),
+      getErrors: this.db.prepare('SELECT * FROM run_errors WHERE test_id = ? ORDER BY position'),
+      deleteTags: this.db.prepare('DELETE FROM run_tags WHERE test_id = ?'),
+      insertTag: this.db.prepare('INSERT INTO run_tags (test_id, tag) VALUES (?, ?)'),
+      getTags: this.db.prepare('SELECT tag FROM run_tags WHERE test_id = ? ORDER BY tag'),
+      countRuns: this.db.prepare('SELECT COUNT(*) AS count FROM runs'),
+      sumRunTime: this.db.prepare(`
+        SELECT COALESCE(SUM(CASE
+          WHEN status = 'running' THEN (julianday(@now) - julianday(start_time)) * 86400000
+          ELSE duration
+        END), 0) AS ms
+        FROM runs WHERE project_id = @projectId AND created_at >= @since AND start_time IS NOT NULL`),
+      insertDelivery: this.db.prepare(`
+        INSERT INTO callback_deliveries (id, test_id, project_id, url, event, payload, status, next_attempt_at, created_at,
+          redelivery_of, webhook_id)
+        VALUES (@id, @testId, @projectId, @url, @event, @payload, 'pending', @createdAt, @createdAt, @redeliveryOf,
+          @webhookId)`),
+      getDelivery: this.db.prepare('SELECT * FROM callback_deliveries WHERE id = ?'),
+      getDeliveries: this.db.prepare('SELECT * FROM callback_deliveries WHERE test_id = ? ORDER BY created_at, id'),
+      getWebhookDeliveries: this.db.prepare(`
+        SELECT * FROM callback_deliveries WHERE webhook_id = ? ORDER BY created_at DESC, id LIMIT ?`),
+      getDueDeliveries: this.db.prepare(`
+        SELECT * FROM callback_deliveries WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at LIMIT ?`),
+      getNextDeliveryTime: this.db.prepare(
+        "SELECT MIN(next_attempt_at) AS next FROM callback_deliveries WHERE status = 'pending'"),
+      updateDelivery: this.db.prepare(`
+        UPDATE callback_deliveries SET status = @status, attempts = @attempts, next_attempt_at = @nextAttemptAt,
+          delivered_at = @deliveredAt
+        WHERE id = @id AND status = 'pending'`),
+      cancelWebhookDeliveries: this.db.prepare(`
+        UPDATE callback_deliveries SET status = 'cancelled', next_attempt_at = NULL
+        WHERE webhook_id = ? AND status = 'pending'`),
+      insertAttempt: this.db.prepare(`
+        INSERT INTO callback_attempts (delivery_id, attempt, attempted_at, status_code, error, duration)
+        VALUES (@deliveryId, @attempt, @attemptedAt, @statusCode, @error, @duration)`),
+      getAttempts: this.db.prepare('SELECT * FROM callback_attempts WHERE delivery_id = ? ORDER BY attempt'),
+      getIdempotencyKey: this.db.prepare('SELECT * FROM idempotency_keys WHERE scope = ? AND key = ? AND created_at >= ?'),
+      upsertIdempotencyKey: this.db.prepare(`
+        INSERT OR REPLACE INTO idempotency_keys (scope, key, request_hash, status_code, response, test_id, created_at)
+        VALUES (@scope, @key, @requestHash, @statusCode, @response, @testId, @createdAt)`),
+      pruneIdempotencyKeys: this.db.prepare('DELETE FROM idempotency_keys WHERE created_at < ?'),
+      deleteRun: this.db.prepare('DELETE FROM runs WHERE test_id = ?')
+    };
+
+    this.writeAttempt = this.db.transaction((attempt, update) => {
+      this.statements.insertAttempt.run(attempt);
+      this.statements.updateDelivery.run(update);
+    });
+
+    this.writeRun = this.db.transaction((run, tags, tests, errors, metrics) => {
+      this.statements.upsertRun.run(run);
+      this.statements.deleteTags.run(run.testId);
+      tags.forEach(tag => this.statements.insertTag.run(run.testId, tag));
+      this.statements.deleteTests.run(run.testId);
+      tests.forEach(test => this.statements.insertTest.run(test));
+      this.statements.deleteErrors.run(run.testId);
+      errors.forEach(error => this.statements.insertError.run(error));
+      this.statements.deleteMetrics.run(run.testId);
+      metrics.forEach(entry => this.statements.insertMetrics.run(entry));
+    });
+  }
+
+  /**
+   * Insert or update a run from its result object (queued, running or finished)
+   * @param {Object} result - TestRunner result
+   */
+  recordRun(result) {
+    this.open();
+    const { testId } = result;
+
+    const run = {
+      testId,
+      projectId: result.projectId,
+      testName: result.testName,
+      status: result.status,
+      browsers: JSON.stringify(result.browsers || [result.browserType || 'chromium']),
+      passed: result.passed || 0,
+      failed: result.failed || 0,
+      flaky: result.flaky || 0,
+      skipped: result.skipped || 0,
+      total: result.total || 0,
+      retries: result.retries || 0,
+      timedOut: result.timedOut ? 1 : 0,
+      duration: result.duration || 0,
+      createdAt: result.queuedAt || result.startTime || new Date().toISOString(),
+      queuedAt: result.queuedAt || null,
+      startTime: result.startTime || null,
+      endTime: result.endTime || null,
+      downloadUrl: result.downloadUrl || null,
+      source: result.source || 'api',
+      runByUserId: result.runByUserId || null,
+      scheduleId: result.scheduleId || null,
+      details: JSON.stringify({
+        browserType: result.browserType,
+        browserResults: result.browserResults,
+        viewport: result.viewport,
+        contextOptions: result.contextOptions,
+        timeouts: result.timeouts,
+        secrets: result.secrets,
+        baseUrl: result.baseUrl,
+        testCaseResults: result.testCaseResults
+      })
+    };
+
+    const tests = (result.tests || []).map((test, position) => ({
+      testId,
+      position,
+      title: test.title,
+      describe: JSON.stringify(test.describe || []),
+      file: test.file || null,
+      browser: test.project || null,
+      status: test.status,
+      duration: test.duration || 0,
+      retries: test.retries || 0,
+      attempts: JSON.stringify(test.attempts || []),
+      errors: JSON.stringify(test.errors || []),
+      testCaseId: test.testCaseId || null
+    }));
+
+    const errors = (result.errors || []).map((error, position) => ({
+      testId,
+      position,
+      message: error.message || null,
+      stack: error.stack || null,
+      test: error.test || null,
+      retry: error.retry ?? null,
+      timestamp: error.timestamp || null
+    }));
+
+    // Pages measured for performance, kept for trends after the run's artifacts go
+    const metrics = ((result.performance && result.performance.results) || [])
+      .filter(measurement => measurement.metrics && measurement.url)
+      .map((measurement, position) => ({
+        testId,
+        position,
+        projectId: result.projectId,
+        pageUrl: toPageUrl(measurement.url),
+        url: measurement.url,
+        browser: measurement.browser || null,
+        test: measurement.test || null,
+        measuredAt: measurement.timestamp,
+        ...Object.fromEntries(Object.keys(METRIC_COLUMNS).map(metric => [metric, measurement.metrics[metric] ?? null]))
+      }));
+
+    this.writeRun(run, [...new Set(result.tags || [])], tests, errors, metrics);
+  }
+
+  /**
+   * Get one run with its per-test results and errors
+   * @param {string} testId - Test ID
+   * @returns {Object|null} - Result object in TestRunner's shape
+   */
+  getRun(testId) {
+    this.open();
+    const row = this.statements.getRun.get(testId);
+    if (!row) {
+      return null;
+    }
+
+    const tests = this.statements.getTests.all(testId).map(test => {
+      const entry = {
+        title: test.title,
+        describe: JSON.parse(test.describe),
+        file: test.file,
+        project: test.browser,
+        status: test.status,
+        duration: test.duration,
+        retries: test.retries,
+        attempts: JSON.parse(test.attempts),
+        errors: JSON.parse(test.errors)
+      };
+      if (test.test_case_id !== null) {
+        entry.testCaseId = test.test_case_id;
+      }
+      return entry;
+    });
+
+    const errors = this.statements.getErrors.all(testId).map(error => {
+      const entry = { message: error.message, stack: error.stack, timestamp: error.timestamp };
+      if (error.test !== null) {
+        entry.test = error.test;
+      }
+      if (error.retry !== null) {
+        entry.retry = error.retry;
+      }
+      return entry;
+    });
+
+    return {
+      ...this.toSummary(row),
+      ...JSON.parse(row.details),
+      tests,
+      errors
+    };
+  }
+
+  /**
+   * Get one run's summary, without per-test results
+   * @param {string} testId - Test ID
+   * @returns {Object|null} - Summary
+   */
+  getRunSummary(testId) {
+    this.open();
+    const row = this.statements.getRun.get(testId);
+    return row ? this.toSummary(row) : null;
+  }
+
+  /**
+   * Get the summary of the run a report zip was created for. Zips whose URL
+   * was never recorded are named <projectId>_<testId>_<timestamp>.zip, so
+   * the test ID after the project prefix is used for them (project IDs may
+   * contain '_' and UUIDs)
+   * @param {string} filename - Zip file name, as in /api/download/:filename
+   * @returns {Object|null} - Summary
+   */
+  getRunByZip(filename) {
+    this.open();
+    const row = this.statements.getRunByDownloadUrl.get(`/api/download/${filename}`);
+    if (row) {
+      return this.toSummary(row);
+    }
+
+    const match = String(filename).match(/_([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})_[^_]+\.zip$/i);
+    return match ? this.getRunSummary(match[1]) : null;
+  }
+
+  /**
+   * Browser time a project's runs used: the duration of finished runs plus
+   * the time running ones have taken so far
+   * @param {string} projectId - Project identifier
+   * @param {string} since - ISO timestamp; runs queued before it are not counted
+   * @param {string} now - ISO timestamp
+   * @returns {number} - Milliseconds
+   */
+  getRunTime(projectId, since, now) {
+    this.open();
+    return Math.round(this.statements.sumRunTime.get({ projectId, since, now }).ms);
+  }
+
+  /**
+   * Filtered, sorted page of runs with keyset (cursor) pagination
+   * @param {Object} filters - From parseRunListQuery(): projectId, statuses,
+   *   browser, testName, from, to, tag, source, scheduleId, sort, order, limit, cursor;
+   *   projectIds to restrict the list to some projects
+   * @returns {Object} - { total (matching runs), runs: [summary], nextCursor }
+   */
+  listRuns(filters = {}) {
+    this.open();
+    const { sort = 'createdAt', order = 'desc', limit = 100, cursor } = filters;
+    const column = SORT_COLUMNS[sort];
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+    const conditions = [];
+    const params = {};
+
+    if (filters.projectId !== undefined) {
+      conditions.push('project_id = @projectId');
+      params.projectId = filters.projectId;
+    }
+    if (filters.projectIds) {
+      conditions.push(`project_id IN (${filters.projectIds.map((projectId, index) => `@projectId${index}`).join(', ')})`);
+      filters.projectIds.forEach((projectId, index) => { params[`projectId${index}`] = projectId; });
+    }
+    if (filters.statuses) {
+      conditions.push(`status IN (${filters.statuses.map((status, index) => `@status${index}`).join(', ')})`);
+      filters.statuses.forEach((status, index) => { params[`status${index}`] = status; });
+    }
+    if (filters.browser !== undefined) {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(runs.browsers) WHERE value = @browser)');
+      params.browser = filters.browser;
+    }
+    if (filters.testName !== undefined) {
+      conditions.push("test_name LIKE @testName ESCAPE '\\'");
+      params.testName = `%${filters.testName.replace(/[\\%_]/g, '\\$&')}%`;
+    }
+    if (filters.from !== undefined) {
+      conditions.push('created_at >= @from');
+      params.from = filters.from;
+    }
+    if (filters.to !== undefined) {
+      conditions.push('created_at <= @to');
+      params.to = filters.to;
+    }
+    if (filters.tag !== undefined) {
+      conditions.push('EXISTS (SELECT 1 FROM run_tags WHERE run_tags.test_id = runs.test_id AND tag = @tag)');
+      params.tag = filters.tag;
+    }
+    if (filters.source !== undefined) {
+      conditions.push('source = @source');
+      params.source = filters.source;
+    }
+    if (filters.scheduleId !== undefined) {
+      conditions.push('schedule_id = @scheduleId');
+      params.scheduleId = filters.scheduleId;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM runs ${where}`).get(params).count;
+
+    // Continue after the cursor row; test_id breaks ties between equal values
+    const pageConditions = [...conditions];
+    if (cursor) {
+      const comparison = direction === 'ASC' ? '>' : '<';
+      pageConditions.push(`(${column} ${comparison} @cursorValue OR (${column} = @cursorValue AND test_id ${comparison} @cursorId))`);
+      params.cursorValue = cursor.value;
+      params.cursorId = cursor.testId;
+    }
+    const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+
+    const rows = this.db.prepare(`
+      SELECT * FROM runs ${pageWhere}
+      ORDER BY ${column} ${direction}, test_id ${direction}
+      LIMIT @limit`).all({ ...params, limit: limit + 1 });
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      total,
+      runs: page.map(row => this.toSummary(row)),
+      nextCursor: rows.length > limit ? encodeCursor(last[column], last.test_id) : null
+    };
+  }
+
+  /**
+   * Pages a project's runs measured, with how often and when
+   * @param {string} projectId - Project identifier
+   * @param {Object} filters - { from, to } ISO timestamps
+   * @returns {Array} - [{ url, browser, samples, firstMeasuredAt, lastMeasuredAt }]
+   */
+  listMeasuredPages(projectId, filters = {}) {
+    this.open();
+    return this.statements.getMeasuredPages.all({
+      projectId,
+      from: filters.from || '',
+      to: filters.to || '9999'
+    }).map(row => ({
+      url: row.page_url,
+      browser: row.browser,
+      samples: row.samples,
+      firstMeasuredAt: row.first_measured_at,
+      lastMeasuredAt: row.last_measured_at
+    }));
+  }
+
+  /**
+   * Metrics measured for one page of a project over time, oldest first. The
+   * page is its URL without query string and fragment.
+   * @param {string} projectId - Project identifier
+   * @param {Object} filters - url, browser, from, to, limit (most recent measurements kept)
+   * @returns {Array} - [{ testId, measuredAt, url, browser, test, metrics }]
+   */
+  listPageMetrics(projectId, filters = {}) {
+    this.open();
+    const conditions = ['project_id = @projectId', 'page_url = @pageUrl'];
+    const params = { projectId, pageUrl: toPageUrl(filters.url), limit: filters.limit || 500 };
+
+    if (filters.browser !== undefined) {
+      conditions.push('browser = @browser');
+      params.browser = filters.browser;
+    }
+    if (filters.from !== undefined) {
+      conditions.push('measured_at >= @from');
+      params.from = filters.from;
+    }
+    if (filters.to !== undefined) {
+      conditions.push('measured_at <= @to');
+      params.to = filters.to;
+    }
+
+    const rows = this.db.prepare(`
+      SELECT * FROM page_metrics WHERE ${conditions.join(' AND ')}
+      ORDER BY measured_at DESC, test_id DESC, position DESC
+      LIMIT @limit`).all(params);
+
+    return rows.reverse().map(row => ({
+      testId: row.test_id,
+      measuredAt: row.measured_at,
+      url: row.url,
+      browser: row.browser,
+      test: row.test,
+      metrics: Object.fromEntries(Object.entries(METRIC_COLUMNS).map(([metric, column]) => [metric, row[column]]))
+    }));
+  }
+
+  /**
+   * Delete a run and its results
+   * @param {string} testId - Test ID
+   * @returns {boolean} - Whether the run existed
+   */
+  deleteRun(testId) {
+    this.open();
+    return this.statements.deleteRun.run(testId).changes > 0;
+  }
+
+  /**
+   * Seed the database from result.json files of runs recorded before it
+   * existed. Only runs when the database is empty.
+   * @param {string} testRunsDir - Directory holding <testId>/result.json
+   * @returns {Promise<number>} - Number of runs imported
+   */
+  async importResults(testRunsDir) {
+    this.open();
+    if (this.statements.countRuns.get().count > 0) {
+      return 0;
+    }
+
+    let imported = 0;
+    const entries = await fs.promises.readdir(testRunsDir).catch(() => []);
+    for (const entry of entries) {
+      try {
+        const result = JSON.parse(await fs.promises.readFile(path.join(testRunsDir, entry, 'result.json'), 'utf8'));
+        this.recordRun(result);
+        imported++;
+      } catch (error) {
+        // Skip runs without a readable result
+      }
+    }
+
+    if (imported > 0) {
+      logger.info('Imported existing test runs into run history', { imported });
+    }
+    return imported;
+  }
+
+  /**
+   * Store a new callback delivery, due immediately
+   * @param {Object} delivery - { id, testId, projectId, url, event, payload, redeliveryOf, webhookId }
+   * @returns {Object} - Stored delivery
+   */
+  createDelivery(delivery) {
+    this.open();
+    this.statements.insertDelivery.run({
+      id: delivery.id,
+      testId: delivery.testId,
+      projectId: delivery.projectId,
+      url: delivery.url,
+      event: delivery.event,
+      payload: JSON.stringify(delivery.payload),
+      createdAt: new Date().toISOString(),
+      redeliveryOf: delivery.redeliveryOf || null,
+      webhookId: delivery.webhookId || null
+    });
+    return this.getDelivery(delivery.id);
+  }
+
+  /**
+   * Get a callback delivery with its attempt log
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Object|null} - Delivery
+   */
+  getDelivery(deliveryId) {
+    this.open();
+    const row = this.statements.getDelivery.get(deliveryId);
+    return row ? this.toDelivery(row) : null;
+  }
+
+  /**
+   * Callback deliveries of a run, oldest first
+   * @param {string} testId - Test ID
+   * @returns {Array} - Deliveries with their attempt logs
+   */
+  listDeliveries(testId) {
+    this.open();
+    return this.statements.getDeliveries.all(testId).map(row => this.toDelivery(row));
+  }
+
+  /**
+   * Deliveries of a webhook subscription, newest first
+   * @param {string} webhookId - Webhook ID
+   * @param {number} limit - Maximum deliveries
+   * @returns {Array} - Deliveries with their attempt logs
+   */
+  listWebhookDeliveries(webhookId, limit) {
+    this.open();
+    return this.statements.getWebhookDeliveries.all(webhookId, limit).map(row => this.toDelivery(row));
+  }
+
+  /**
+   * Stop retrying the pending deliveries of a webhook subscription
+   * @param {string} webhookId - Webhook ID
+   * @returns {number} - Deliveries cancelled
+   */
+  cancelWebhookDeliveries(webhookId) {
+    this.open();
+    return this.statements.cancelWebhookDeliveries.run(webhookId).changes;
+  }
+
+  /**
+   * Pending deliveries whose next attempt is due
+   * @param {string} now - ISO timestamp
+   * @param {number} limit - Maximum deliveries
+   * @returns {Array} - Deliveries
+   */
+  getDueDeliveries(now, limit) {
+    this.open();
+    return this.statements.getDueDeliveries.all(now, limit).map(row => this.toDelivery(row));
+  }
+
+  /**
+   * When the next pending delivery is due
+   * @returns {string|null} - ISO timestamp, null when nothing is pending
+   */
+  getNextDeliveryTime() {
+    this.open();
+    return this.statements.getNextDeliveryTime.get().next;
+  }
+
+  /**
+   * Log a delivery attempt and update the delivery's state
+   * @param {Object} attempt - { deliveryId, attempt, attemptedAt, statusCode, error, duration }
+   * @param {Object} update - { id, status, attempts, nextAttemptAt, deliveredAt }
+   */
+  recordDeliveryAttempt(attempt, update) {
+    this.open();
+    this.writeAttempt(
+      { statusCode: null, error: null, ...attempt },
+      { nextAttemptAt: null, deliveredAt: null, ...update }
+    );
+  }
+
+  /**
+   * Response stored for an idempotency key
+   * @param {string} scope - Caller the key belongs to
+   * @param {string} key - Idempotency-Key header
+   * @param {string} since - ISO timestamp; older entries have expired
+   * @returns {Object|null} - { requestHash, statusCode, body, testId, createdAt }
+   */
+  getIdempotentResponse(scope, key, since) {
+    this.open();
+    const row = this.statements.getIdempotencyKey.get(scope, key, since);
+    return row
+      ? {
+        requestHash: row.request_hash,
+        statusCode: row.status_code,
+        body: JSON.parse(row.response),
+        testId: row.test_id,
+        createdAt: row.created_at
+      }
+      : null;
+  }
+
+  /**
+   * Store the response of a request made with an idempotency key, replacing
+   * an expired entry for the same key
+   * @param {Object} entry - { scope, key, requestHash, statusCode, body, testId }
+   */
+  saveIdempotentResponse(entry) {
+    this.open();
+    this.statements.upsertIdempotencyKey.run({
+      scope: entry.scope,
+      key: entry.key,
+      requestHash: entry.requestHash,
+      statusCode: entry.statusCode,
+      response: JSON.stringify(entry.body),
+      testId: entry.testId || null,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Delete idempotency keys stored before a time
+   * @param {string} before - ISO timestamp
+   * @returns {number} - Keys deleted
+   */
+  pruneIdempotencyKeys(before) {
+    this.open();
+    return this.statements.pruneIdempotencyKeys.run(before).changes;
+  }
+
+  toDelivery(row) {
+    return {
+      id: row.id,
+      testId: row.test_id,
+      projectId: row.project_id,
+      url: row.url,
+      event: row.event,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at,
+      redeliveryOf: row.redelivery_of,
+      webhookId: row.webhook_id,
+      payload: JSON.parse(row.payload),
+      log: this.statements.getAttempts.all(row.id).map(attempt => ({
+        attempt: attempt.attempt,
+        attemptedAt: attempt.attempted_at,
+        statusCode: attempt.status_code,
+        error: attempt.error,
+        duration: attempt.duration
+      }))
+    };
+  }
+
+  toSummary(row) {
+    return {
+      testId: row.test_id,
+      projectId: row.project_id,
+      testName: row.test_name,
+      status: row.status,
+      browsers: JSON.parse(row.browsers),
+      passed: row.passed,
+      failed: row.failed,
+      flaky: row.flaky,
+      skipped: row.skipped,
+      total: row.total,
+      retries: row.retries,
+      timedOut: row.timed_out === 1,
+      duration: row.duration,
+      queuedAt: row.queued_at,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      downloadUrl: row.download_url,
+      source: row.source,
+      runByUserId: row.run_by_user_id,
+      scheduleId: row.schedule_id,
+      tags: this.statements.getTags.all(row.test_id).map(({ tag }) => tag)
+    };
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = RunHistoryService;
@@ -0,0 +1,42 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Daily run-minute quotas per project. A project's quota is its
+ * dailyRunMinutes setting, else DAILY_RUN_MINUTES; usage is the browser
+ * time of runs queued since midnight UTC, read from the run history.
+ */
+class RunQuotaService {
+  constructor(options = {}) {
+    this.history = options.history;
+    this.projectSettings = options.projectSettings;
+    // 0 means no quota unless the project sets one
+    this.defaultDailyMinutes = options.defaultDailyMinutes ?? (parseInt(process.env.DAILY_RUN_MINUTES, 10) || 0);
+  }
+
+  /**
+   * Today's quota usage of a project
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<Object>} - { projectId, limitMinutes (null when
+   *   unlimited), usedMinutes, remainingMinutes, exceeded, resetAt }
+   */
+  async getUsage(projectId) {
+    const now = Date.now();
+    const dayStart = now - (now % DAY_MS);
+    const settings = await this.projectSettings.getSettings(projectId);
+    const limitMinutes = settings.dailyRunMinutes || this.defaultDailyMinutes || null;
+
+    const usedMs = this.history.getRunTime(projectId, new Date(dayStart).toISOString(), new Date(now).toISOString());
+    const usedMinutes = Math.round(usedMs / 6000) / 10;
+
+    return {
+      projectId,
+      limitMinutes,
+      usedMinutes,
+      remainingMinutes: limitMinutes === null ? null : Math.max(0, Math.round((limitMinutes - usedMinutes) * 10) / 10),
+      exceeded: limitMinutes !== null && usedMinutes >= limitMinutes,
+      resetAt: new Date(dayStart + DAY_MS).toISOString()
+    };
+  }
+}
+
+module.exports = RunQuotaService;
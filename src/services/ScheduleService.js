@@ -0,0 +1,535 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { parseCron, isValidTimeZone, nextCronTime } = require('../utils/cron');
+const {
+  validateContextOptions,
+  maskContextOptions,
+  validateRetries,
+  validateHeadless,
+  validateViewport,
+  validateTimeouts,
+  validateTags,
+  validateAccessibility,
+  validateHar,
+  validateCallbackUrl
+} = require('../utils/runOptions');
+
+// Fields a client may set on a schedule
+const FIELDS = ['projectId', 'name', 'cron', 'timezone', 'testCaseIds', 'testCode', 'options', 'notifications', 'active'];
+
+const OPTION_KEYS = ['browsers', 'headless', 'viewport', 'contextOptions', 'retries', 'timeouts', 'tags', 'accessibility', 'performance', 'har', 'baseUrl'];
+
+// Events a notification target can ask for
+const NOTIFICATION_EVENTS = ['run.completed', 'run.failed', 'run.flaky'];
+
+const MAX_TEST_CASES = 100;
+const MAX_NOTIFICATIONS = 10;
+
+// Final run statuses that also raise run.failed
+const FAILED_STATUSES = ['failed', 'timedOut'];
+
+// Re-check due schedules at least this often, so clock changes and long
+// waits (beyond setTimeout's range) are handled
+const MAX_TIMER_DELAY_MS = 60 * 1000;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function pickFields(fields) {
+  return Object.fromEntries(Object.entries(fields || {})
+    .filter(([key]) => FIELDS.includes(key)));
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Recurring runs per project. Each schedule runs stored test cases or
+ * inline testCode on a cron expression in its time zone; notification
+ * targets receive the result through CallbackService, signed and retried
+ * like result callbacks. Schedules are stored as one JSON file. Runs missed
+ * while the server was down are not made up.
+ */
+class ScheduleService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(__dirname, '../../data/schedules.json');
+    this.testRunner = options.testRunner;
+    this.catalog = options.catalog;
+    this.callbacks = options.callbacks;
+    // Starts a schedule's run and resolves to { testId }
+    this.launch = options.launch;
+    // Public URL of this server, used for links in notifications
+    this.publicUrl = (options.publicUrl || '').replace(/\/+$/, '');
+    this.schedules = null;
+    this.timer = null;
+    this.ticking = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.schedules) {
+      this.schedules = await readJsonFile(this.filePath, []);
+    }
+    return this.schedules;
+  }
+
+  /**
+   * Compute next run times from now and arm the timer
+   */
+  async start() {
+    const schedules = await this.load();
+    schedules.forEach(schedule => this.setNextRun(schedule));
+    await this.save();
+    this.arm();
+    logger.info('Scheduler started', { schedules: schedules.filter(schedule => schedule.active).length });
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * List schedules
+   * @param {Object} filters - projectId (optional)
+   * @returns {Promise<Array>} - Schedules
+   */
+  async listSchedules(filters = {}) {
+    const schedules = await this.load();
+    return filters.projectId
+      ? schedules.filter(schedule => schedule.projectId === filters.projectId)
+      : schedules;
+  }
+
+  async getSchedule(scheduleId) {
+    const schedules = await this.load();
+    return schedules.find(schedule => schedule.id === scheduleId) || null;
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} fields - projectId, name, cron, timezone, testCaseIds or
+   *   testCode, options, notifications, active
+   * @param {string} createdBy - User ID the schedule's runs are recorded for
+   * @returns {Promise<Object>} - { issues, schedule }
+   */
+  async createSchedule(fields, createdBy) {
+    const schedules = await this.load();
+    const now = new Date().toISOString();
+    const schedule = {
+      id: uuidv4(),
+      timezone: 'UTC',
+      options: {},
+      notifications: [],
+      active: true,
+      ...pickFields(fields),
+      createdBy: createdBy || null,
+      createdAt: now,
+      updatedAt: now,
+      nextRunAt: null,
+      lastTriggeredAt: null,
+      lastTestId: null,
+      lastStatus: null,
+      lastError: null
+    };
+
+    const { issues, options } = await this.validateSchedule(schedule);
+    if (issues.length > 0) {
+      return { issues, schedule: null };
+    }
+
+    schedule.options = options;
+    this.setNextRun(schedule);
+    schedules.push(schedule);
+    await this.save();
+    this.arm();
+
+    logger.info('Schedule created', { scheduleId: schedule.id, projectId: schedule.projectId, cron: schedule.cron });
+    return { issues: [], schedule };
+  }
+
+  /**
+   * Change fields of a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} updates - Fields to change; send testCaseIds or testCode
+   *   to switch what the schedule runs
+   * @returns {Promise<Object|null>} - { issues, schedule }, null if not found
+   */
+  async updateSchedule(scheduleId, updates) {
+    const schedules = await this.load();
+    const index = schedules.findIndex(schedule => schedule.id === scheduleId);
+    if (index === -1) {
+      return null;
+    }
+
+    const changes = pickFields(updates);
+    const schedule = { ...schedules[index], ...changes, updatedAt: new Date().toISOString() };
+    if (changes.testCaseIds !== undefined && changes.testCode === undefined) {
+      delete schedule.testCode;
+    } else if (changes.testCode !== undefined && changes.testCaseIds === undefined) {
+      delete schedule.testCaseIds;
+    }
+
+    const { issues, options } = await this.validateSchedule(schedule);
+    if (issues.length > 0) {
+      return { issues, schedule: null };
+    }
+
+    schedule.options = options;
+    this.setNextRun(schedule);
+    schedules[index] = schedule;
+    await this.save();
+    this.arm();
+
+    logger.info('Schedule updated', { scheduleId, keys: Object.keys(changes) });
+    return { issues: [], schedule };
+  }
+
+  /**
+   * Delete a schedule; a run it started keeps running
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<boolean>} - Whether it existed
+   */
+  async deleteSchedule(scheduleId) {
+    const schedules = await this.load();
+    const index = schedules.findIndex(schedule => schedule.id === scheduleId);
+    if (index === -1) {
+      return false;
+    }
+
+    schedules.splice(index, 1);
+    await this.save();
+    this.arm();
+
+    logger.info('Schedule deleted', { scheduleId });
+    return true;
+  }
+
+  /**
+   * Validate a schedule without changing it
+   * @param {Object} schedule - Schedule to check
+   * @returns {Promise<Object>} - { issues, options (normalized copy) }
+   */
+  async validateSchedule(schedule) {
+    const issues = [];
+    if (typeof schedule.projectId !== 'string' || schedule.projectId.trim() === '' || schedule.projectId.length > 200) {
+      issues.push('projectId is required (max 200 characters)');
+    }
+    if (typeof schedule.name !== 'string' || !this.testRunner.sanitizeTestName(schedule.name) || schedule.name.length > 200) {
+      issues.push('name is required (max 200 characters, at least one letter or digit)');
+    }
+    issues.push(...parseCron(schedule.cron).issues);
+    if (!isValidTimeZone(schedule.timezone)) {
+      issues.push('timezone must be an IANA time zone such as Europe/Berlin');
+    }
+
+    if ((schedule.testCaseIds === undefined) === (schedule.testCode === undefined)) {
+      issues.push('Exactly one of testCaseIds or testCode is required');
+    } else if (schedule.testCaseIds !== undefined) {
+      issues.push(...await this.validateTestCaseIds(schedule.testCaseIds, schedule.projectId));
+    } else if (typeof schedule.testCode !== 'string' || schedule.testCode.trim() === '') {
+      issues.push('testCode must be a non-empty string');
+    }
+
+    const { issues: optionIssues, options } = this.validateOptions(schedule.options);
+    issues.push(...optionIssues);
+    issues.push(...this.validateNotifications(schedule.notifications));
+    if (typeof schedule.active !== 'boolean') {
+      issues.push('active must be a boolean');
+    }
+    return { issues, options };
+  }
+
+  async validateTestCaseIds(testCaseIds, projectId) {
+    if (!Array.isArray(testCaseIds) || testCaseIds.length === 0 || testCaseIds.length > MAX_TEST_CASES) {
+      return [`testCaseIds must be an array of 1 to ${MAX_TEST_CASES} test case IDs`];
+    }
+    if (new Set(testCaseIds).size !== testCaseIds.length) {
+      return ['testCaseIds must not contain duplicates'];
+    }
+
+    const issues = [];
+    for (const testCaseId of testCaseIds) {
+      const testCase = typeof testCaseId === 'string' ? await this.catalog.getTestCase(testCaseId) : null;
+      if (!testCase || testCase.project_id !== projectId) {
+        issues.push(`Test case ${testCaseId} not found in project ${projectId}`);
+      }
+    }
+    return issues;
+  }
+
+  // Validates run options; contextOptions, timeouts, accessibility and har
+  // are normalized in the returned copy, never in the options passed in
+  validateOptions(input) {
+    if (!isPlainObject(input)) {
+      return { issues: ['options must be an object'], options: input };
+    }
+    const options = { ...input };
+
+    const issues = Object.keys(options)
+      .filter(key => !OPTION_KEYS.includes(key))
+      .map(key => `Unknown option: ${key}`);
+
+    if (options.browsers !== undefined) {
+      issues.push(...this.testRunner.validateBrowsers(options.browsers));
+    }
+    if (options.headless !== undefined) {
+      issues.push(...validateHeadless(options.headless).map(issue => `options.${issue}`));
+    }
+    if (options.viewport !== undefined) {
+      issues.push(...validateViewport(options.viewport).map(issue => `options.${issue}`));
+    }
+    if (options.contextOptions !== undefined) {
+      const { issues: contextIssues, contextOptions } = validateContextOptions(options.contextOptions);
+      issues.push(...contextIssues);
+      options.contextOptions = contextOptions;
+    }
+    if (options.retries !== undefined) {
+      issues.push(...validateRetries(options.retries));
+    }
+    if (options.timeouts !== undefined) {
+      const { issues: timeoutIssues, timeouts } = validateTimeouts(options.timeouts);
+      issues.push(...timeoutIssues);
+      options.timeouts = timeouts;
+    }
+    if (options.tags !== undefined) {
+      issues.push(...validateTags(options.tags));
+    }
+    if (options.accessibility !== undefined) {
+      const { issues: accessibilityIssues, accessibility } = validateAccessibility(options.accessibility);
+      issues.push(...accessibilityIssues.map(issue => `options.${issue}`));
+      options.accessibility = accessibility;
+    }
+    if (options.performance !== undefined && typeof options.performance !== 'boolean') {
+      issues.push('options.performance must be a boolean');
+    }
+    if (options.har !== undefined) {
+      const { issues: harIssues, har } = validateHar(options.har);
+      issues.push(...harIssues.map(issue => `options.${issue}`));
+      options.har = har;
+    }
+    if (options.baseUrl !== undefined && !isHttpUrl(options.baseUrl)) {
+      issues.push('options.baseUrl must be an http(s) URL');
+    }
+    return { issues, options };
+  }
+
+  validateNotifications(notifications) {
+    if (!Array.isArray(notifications) || notifications.length > MAX_NOTIFICATIONS) {
+      return [`notifications must be an array of at most ${MAX_NOTIFICATIONS} targets`];
+    }
+
+    return notifications.flatMap((target, index) => {
+      if (!isPlainObject(target)) {
+        return [`notifications[${index}] must be an object`];
+      }
+      const issues = validateCallbackUrl(target.url, `notifications[${index}].url`);
+      if (target.events !== undefined && (!Array.isArray(target.events) || target.events.length === 0 ||
+        !target.events.every(event => NOTIFICATION_EVENTS.includes(event)))) {
+        issues.push(`notifications[${index}].events must be a non-empty array of: ${NOTIFICATION_EVENTS.join(', ')}`);
+      }
+      return issues;
+    });
+  }
+
+  setNextRun(schedule) {
+    const { cron } = parseCron(schedule.cron);
+    const next = schedule.active && cron ? nextCronTime(cron, schedule.timezone, new Date()) : null;
+    schedule.nextRunAt = next ? next.toISOString() : null;
+  }
+
+  /**
+   * Arm the timer for the next due schedule
+   */
+  arm() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const times = (this.schedules || [])
+      .filter(schedule => schedule.nextRunAt)
+      .map(schedule => Date.parse(schedule.nextRunAt));
+    if (times.length === 0) {
+      return;
+    }
+
+    const delay = Math.min(Math.max(0, Math.min(...times) - Date.now()), MAX_TIMER_DELAY_MS);
+    this.timer = setTimeout(() => this.tick(), delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Trigger every due schedule, then arm the timer again
+   */
+  async tick() {
+    if (this.ticking) {
+      return this.ticking;
+    }
+
+    this.ticking = (async () => {
+      try {
+        const now = Date.now();
+        const due = (await this.load())
+          .filter(schedule => schedule.nextRunAt && Date.parse(schedule.nextRunAt) <= now);
+
+        for (const schedule of due) {
+          this.setNextRun(schedule);
+          await this.trigger(schedule);
+        }
+        if (due.length > 0) {
+          await this.save();
+        }
+      } catch (error) {
+        logger.error('Schedule processing failed', { error: error.message });
+      } finally {
+        this.ticking = null;
+        this.arm();
+      }
+    })();
+
+    return this.ticking;
+  }
+
+  /**
+   * Start a schedule's run unless its previous run is still queued or running
+   * @param {Object} schedule - Schedule
+   * @returns {Promise<Object>} - { status: started, skipped or error, testId, error }
+   */
+  async trigger(schedule) {
+    schedule.lastTriggeredAt = new Date().toISOString();
+
+    if (schedule.lastTestId && this.testRunner.isRunActive(schedule.lastTestId)) {
+      schedule.lastStatus = 'skipped';
+      schedule.lastError = null;
+      logger.warn('Scheduled run skipped; the previous run is still active', {
+        scheduleId: schedule.id,
+        testId: schedule.lastTestId
+      });
+      return { status: 'skipped', testId: schedule.lastTestId, error: null };
+    }
+
+    try {
+      const { testId } = await this.launch(schedule);
+      Object.assign(schedule, { lastTestId: testId, lastStatus: 'started', lastError: null });
+      logger.info('Scheduled run started', { scheduleId: schedule.id, testId });
+      return { status: 'started', testId, error: null };
+    } catch (error) {
+      Object.assign(schedule, { lastStatus: 'error', lastError: error.message });
+      logger.error('Scheduled run could not start', { scheduleId: schedule.id, error: error.message });
+      return { status: 'error', testId: null, error: error.message };
+    }
+  }
+
+  /**
+   * Run a schedule now, outside its cron times
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} - trigger() result, null if not found
+   */
+  async runNow(scheduleId) {
+    const schedule = await this.getSchedule(scheduleId);
+    if (!schedule) {
+      return null;
+    }
+
+    const result = await this.trigger(schedule);
+    await this.save();
+    return result;
+  }
+
+  /**
+   * Send a finished run's result to the schedule's notification targets
+   * @param {string} scheduleId - Schedule the run belongs to
+   * @param {Object} testResult - Final result
+   */
+  async notify(scheduleId, testResult) {
+    const schedule = await this.getSchedule(scheduleId);
+    if (!schedule) {
+      return;
+    }
+
+    const events = ['run.completed'];
+    if (FAILED_STATUSES.includes(testResult.status)) {
+      events.push('run.failed');
+    } else if (testResult.status === 'flaky') {
+      events.push('run.flaky');
+    }
+
+    for (const target of schedule.notifications) {
+      const event = (target.events || ['run.completed']).find(name => events.includes(name));
+      if (event) {
+        this.callbacks.enqueue({
+          testId: testResult.testId,
+          projectId: schedule.projectId,
+          url: target.url,
+          event,
+          payload: this.buildPayload(schedule, event, testResult)
+        });
+      }
+    }
+  }
+
+  buildPayload(schedule, event, testResult) {
+    return {
+      event,
+      timestamp: new Date().toISOString(),
+      schedule: {
+        id: schedule.id,
+        name: schedule.name,
+        projectId: schedule.projectId,
+        cron: schedule.cron,
+        timezone: schedule.timezone
+      },
+      run: {
+        testId: testResult.testId,
+        status: testResult.status,
+        passed: testResult.passed,
+        failed: testResult.failed,
+        flaky: testResult.flaky,
+        skipped: testResult.skipped,
+        total: testResult.total,
+        duration: testResult.duration,
+        startTime: testResult.startTime || null,
+        endTime: testResult.endTime || null,
+        testCaseResults: testResult.testCaseResults || null
+      },
+      links: {
+        status: `${this.publicUrl}/api/test/status/${testResult.testId}`,
+        report: `${this.publicUrl}/api/report/${testResult.testId}/view`,
+        download: testResult.downloadUrl ? `${this.publicUrl}${testResult.downloadUrl}` : null
+      }
+    };
+  }
+
+  /**
+   * A schedule as returned by the API, with credentials in contextOptions masked
+   * @param {Object} schedule - Schedule
+   * @returns {Object}
+   */
+  toPublicSchedule(schedule) {
+    if (!schedule.options.contextOptions) {
+      return schedule;
+    }
+    return {
+      ...schedule,
+      options: { ...schedule.options, contextOptions: maskContextOptions(schedule.options.contextOptions) }
+    };
+  }
+
+  save() {
+    // Serialize writes so concurrent updates cannot interleave. Context
+    // options may hold credentials, so the file is private.
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => writeJsonFile(this.filePath, this.schedules, { mode: 0o600 }));
+    return this.writeQueue;
+  }
+}
+
+ScheduleService.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+
+module.exports = ScheduleService;
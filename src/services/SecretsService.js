@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const MIN_VALUE_LENGTH = 4;
+const MAX_VALUE_LENGTH = 4096;
+
+/**
+ * Project-scoped secrets (passwords, tokens) for test code. Values are
+ * encrypted with AES-256-GCM under a key derived from SECRETS_MASTER_KEY
+ * and only ever decrypted to hand them to a Playwright run.
+ */
+class SecretsService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(__dirname, '../../data/secrets.json');
+    const masterKey = options.masterKey || process.env.SECRETS_MASTER_KEY;
+    this.key = masterKey ? crypto.scryptSync(masterKey, 'e2e-testing-platform/secrets', 32) : null;
+    this.secrets = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  isConfigured() {
+    return this.key !== null;
+  }
+
+  async load() {
+    if (!this.secrets) {
+      this.secrets = await readJsonFile(this.filePath, {});
+    }
+    return this.secrets;
+  }
+
+  /**
+   * List a project's secret names (never their values)
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<Array>} - [{ name, updatedAt }]
+   */
+  async listSecrets(projectId) {
+    const secrets = await this.load();
+    return Object.entries(secrets[projectId] || {})
+      .map(([name, { updatedAt }]) => ({ name, updatedAt }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create or replace a secret
+   * @param {string} projectId - Project identifier
+   * @param {string} name - Secret name, referenced in test code as secrets.NAME
+   * @param {string} value - Secret value
+   * @returns {Promise<Object>} - { issues, secret }
+   */
+  async setSecret(projectId, name, value) {
+    const issues = [];
+    if (!NAME_PATTERN.test(name)) {
+      issues.push('name must start with a letter or underscore and contain only letters, digits and underscores (max 64)');
+    }
+    if (typeof value !== 'string' || value.length < MIN_VALUE_LENGTH || value.length > MAX_VALUE_LENGTH) {
+      issues.push(`value must be a string of ${MIN_VALUE_LENGTH} to ${MAX_VALUE_LENGTH} characters`);
+    }
+    if (issues.length > 0) {
+      return { issues, secret: null };
+    }
+
+    const secrets = await this.load();
+    const updatedAt = new Date().toISOString();
+    secrets[projectId] = {
+      ...secrets[projectId],
+      [name]: { ...this.encrypt(projectId, name, value), updatedAt }
+    };
+    await this.save();
+
+    logger.info('Secret stored', { projectId, name });
+    return { issues: [], secret: { name, updatedAt } };
+  }
+
+  /**
+   * Delete a secret
+   * @param {string} projectId - Project identifier
+   * @param {string} name - Secret name
+   * @returns {Promise<boolean>} - Whether the secret existed
+   */
+  async deleteSecret(projectId, name) {
+    const secrets = await this.load();
+    if (!secrets[projectId] || !secrets[projectId][name]) {
+      return false;
+    }
+
+    delete secrets[projectId][name];
+    if (Object.keys(secrets[projectId]).length === 0) {
+      delete secrets[projectId];
+    }
+    await this.save();
+
+    logger.info('Secret deleted', { projectId, name });
+    return true;
+  }
+
+  /**
+   * Decrypt the named secrets of a project for a run
+   * @param {string} projectId - Project identifier
+   * @param {Array} names - Secret names the run references
+   * @returns {Promise<Object>} - { values: { NAME: value }, missing: [names] }
+   */
+  async getSecretValues(projectId, names) {
+    const secrets = await this.load();
+    const projectSecrets = secrets[projectId] || {};
+    const values = {};
+    const missing = [];
+
+    for (const name of names) {
+      if (!projectSecrets[name] || !this.isConfigured()) {
+        missing.push(name);
+      } else {
+        try {
+          values[name] = this.decrypt(projectId, name, projectSecrets[name]);
+        } catch (error) {
+          throw new Error(`Secret ${name} could not be decrypted; check SECRETS_MASTER_KEY`);
+        }
+      }
+    }
+
+    return { values, missing };
+  }
+
+  encrypt(projectId, name, value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    // Bind the ciphertext to its project and name so entries cannot be swapped
+    cipher.setAAD(Buffer.from(`${projectId}:${name}`));
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(projectId, name, { iv, tag, data }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(`${projectId}:${name}`));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  save() {
+    // Serialize writes so concurrent updates cannot interleave
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => writeJsonFile(this.filePath, this.secrets, { mode: 0o600 }));
+    return this.writeQueue;
+  }
+}
+
+module.exports = SecretsService;
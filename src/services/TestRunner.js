@@ -1,14 +1,79 @@
-const { exec } = require('child_process');
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
-const { promisify } = require('util');
+const { devices } = require('@playwright/test');
 const logger = require('../utils/logger');
+const StreamReporter = require('../utils/stream-reporter');
+const {
+  maskContextOptions,
+  DEFAULT_TIMEOUTS,
+  ACCESSIBILITY_IMPACTS,
+  DEFAULT_ACCESSIBILITY_FAIL_ON,
+  DEFAULT_ACCESSIBILITY_TAGS,
+  performanceBudgetApplies
+} = require('../utils/runOptions');
+const {
+  SANDBOX_LIMITS,
+  checkTestCode,
+  buildSandboxEnv,
+  buildSandboxCommand,
+  getSandboxUser,
+  createRunCgroup,
+  joinRunCgroup,
+  removeRunCgroup,
+  prepareSandboxDir,
+  reclaimSandboxDir
+} = require('../utils/sandbox');
+const { createSecretMasker, registerSecrets, unregisterSecrets } = require('../utils/secretMask');
+const { scrubArtifacts } = require('../utils/artifactScrubber');
+const { readRunRequests, summarizeRequests } = require('../utils/harLog');
 
-const execAsync = promisify(exec);
+// How test code refers to project secrets
+const SECRET_REFERENCE_PATTERN = /\bsecrets\.([A-Za-z_][A-Za-z0-9_]*)/g;
 
-class TestRunner {
-  constructor() {
+// How test code takes a visual snapshot
+const SNAPSHOT_CALL_PATTERN = /(?<![.\w$])snapshot\s*\(/;
+
+// How test code audits accessibility at a checkpoint
+const ACCESSIBILITY_CALL_PATTERN = /(?<![.\w$])checkAccessibility\s*\(/;
+
+class TestRunner extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0);
     this.runningTests = new Map();
+    this.secrets = options.secrets || null;
+    this.history = options.history || null;
+    this.secretMaskers = new Map(); // testId -> masker for runs using secrets
+
+    // Optional ProjectSettingsService supplying per-project run defaults
+    this.projectSettings = options.projectSettings || null;
+
+    // Optional VisualService comparing snapshots with approved baselines
+    this.visual = options.visual || null;
+
+    // Execution queue: runs wait here until a worker slot frees up
+    this.maxConcurrency = options.maxConcurrency || parseInt(process.env.MAX_CONCURRENT_TESTS, 10) || 3;
+    this.queue = [];
+    this.activeRuns = new Map(); // testId -> projectId
+    this.lastDispatched = new Map(); // projectId -> dispatch sequence number
+    this.dispatchCount = 0;
+    this.recentDurations = [];
+
+    // Child processes of active runs, tracked so runs can be cancelled
+    this.childProcesses = new Map();
+    this.cancelledTests = new Set();
+
+    // Live run events (stdout/stderr lines, test and step progress), kept
+    // in memory so late subscribers can replay what they missed
+    this.runEvents = new Map();
+    this.eventRetentionMs = 10 * 60 * 1000;
+    this.maxEventsPerRun = 2000;
+
+    // Time allowed on top of the test timeouts for npx, browser startup and
+    // report generation before a run's process tree is killed
+    this.processOverheadMs = parseInt(process.env.RUN_OVERHEAD_MS, 10) || 60000;
   }
 
   /**
@@ -77,27 +142,238 @@ class TestRunner {
       .join('\n');
   }
 
-  async runTest(options) {
+  /**
+   * Queue a test run. Runs start as soon as a worker slot is free, so the
+   * returned promise resolves once the run has actually executed.
+   * @param {Object} options - Run options (testId, projectId, testName, testCode, ...)
+   * @returns {Promise<Object>} - Final test result
+   */
+  runTest(options) {
+    const { testId, projectId, testName } = options;
+
+    return new Promise((resolve, reject) => {
+      const enqueuedAt = Date.now();
+
+      this.queue.push({ options, resolve, reject, enqueuedAt });
+      this.runningTests.set(testId, {
+        testId,
+        projectId,
+        testName,
+        status: 'queued',
+        passed: 0,
+        failed: 0,
+        errors: [],
+        duration: 0,
+        browserType: options.browserType || 'chromium',
+        browsers: options.browsers || [options.browserType || 'chromium'],
+        viewport: options.viewport || { width: 1280, height: 720 },
+        tags: options.tags || [],
+        source: options.source || 'api',
+        runByUserId: options.runByUserId,
+        scheduleId: options.scheduleId,
+        queuedAt: new Date(enqueuedAt).toISOString()
+      });
+
+      // Record first so event listeners can look the run up
+      this.recordHistory(this.runningTests.get(testId));
+      this.emitRunEvent(testId, 'status', { status: 'queued' });
+
+      logger.info(`Test queued: ${testName}`, {
+        testId,
+        projectId,
+        queueLength: this.queue.length,
+        activeRuns: this.activeRuns.size
+      });
+
+      this.processQueue();
+    });
+  }
+
+  /**
+   * Start queued runs while worker slots are available
+   */
+  processQueue() {
+    while (this.activeRuns.size < this.maxConcurrency && this.queue.length > 0) {
+      const job = this.queue.splice(this.pickNextJobIndex(this.queue, this.activeRuns, this.lastDispatched), 1)[0];
+      const { testId, projectId } = job.options;
+
+      this.activeRuns.set(testId, projectId);
+      this.lastDispatched.set(projectId, ++this.dispatchCount);
+
+      this.executeTest(job.options)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.activeRuns.delete(testId);
+          this.processQueue();
+        });
+    }
+  }
+
+  /**
+   * Pick the next job to dispatch. Projects with the fewest active runs go
+   * first so one project's burst can't starve the others; among those, the
+   * project served longest ago goes first, so projects take turns even when
+   * none has a run in progress. Within a project, jobs run in FIFO order.
+   * @param {Array} queue - Pending jobs
+   * @param {Map} activeRuns - testId -> projectId of runs in progress
+   * @param {Map} lastDispatched - projectId -> sequence number of its last dispatch
+   * @returns {number} - Index of the job in the queue
+   */
+  pickNextJobIndex(queue, activeRuns, lastDispatched) {
+    const activePerProject = new Map();
+    for (const projectId of activeRuns.values()) {
+      activePerProject.set(projectId, (activePerProject.get(projectId) || 0) + 1);
+    }
+
+    let bestIndex = 0;
+    let bestActive = Infinity;
+    let bestServed = Infinity;
+    queue.forEach((job, index) => {
+      const active = activePerProject.get(job.options.projectId) || 0;
+      const served = lastDispatched.get(job.options.projectId) || 0;
+      if (active < bestActive || (active === bestActive && served < bestServed)) {
+        bestActive = active;
+        bestServed = served;
+        bestIndex = index;
+      }
+    });
+
+    return bestIndex;
+  }
+
+  /**
+   * Whether a run is queued or executing
+   * @param {string} testId - Test ID
+   * @returns {boolean}
+   */
+  isRunActive(testId) {
+    return this.activeRuns.has(testId) || this.queue.some(job => job.options.testId === testId);
+  }
+
+  /**
+   * Get the projected dispatch position (1-based) and ETA of a queued run
+   * @param {string} testId - Test ID
+   * @returns {Object|null} - Queue info, or null if the run is not queued
+   */
+  getQueueInfo(testId) {
+    if (!this.queue.some(job => job.options.testId === testId)) {
+      return null;
+    }
+
+    // Replay the dispatch order against a snapshot of the queue, assuming
+    // runs finish in the order they started
+    const pending = [...this.queue];
+    const active = new Map(this.activeRuns);
+    const lastDispatched = new Map(this.lastDispatched);
+    let dispatchCount = this.dispatchCount;
+    let position = 0;
+
+    while (pending.length > 0) {
+      if (active.size >= this.maxConcurrency) {
+        active.delete(active.keys().next().value);
+      }
+      const job = pending.splice(this.pickNextJobIndex(pending, active, lastDispatched), 1)[0];
+      position++;
+      if (job.options.testId === testId) {
+        break;
+      }
+      active.set(job.options.testId, job.options.projectId);
+      lastDispatched.set(job.options.projectId, ++dispatchCount);
+    }
+
+    const averageDuration = this.getAverageDuration();
+    const runsAhead = this.activeRuns.size + position - 1;
+    const waves = Math.max(0, Math.ceil((runsAhead - this.maxConcurrency + 1) / this.maxConcurrency));
+    const estimatedWaitMs = waves * averageDuration;
+
+    return {
+      queuePosition: position,
+      queueLength: this.queue.length,
+      estimatedWaitMs,
+      estimatedStartTime: new Date(Date.now() + estimatedWaitMs).toISOString()
+    };
+  }
+
+  /**
+   * Get a snapshot of queue and worker usage
+   * @returns {Object} - Queue statistics
+   */
+  getQueueStats() {
+    return {
+      maxConcurrency: this.maxConcurrency,
+      active: this.activeRuns.size,
+      queued: this.queue.length,
+      averageDurationMs: this.getAverageDuration()
+    };
+  }
+
+  /**
+   * Average duration of recent runs, used for queue ETAs
+   * @returns {number} - Duration in milliseconds
+   */
+  getAverageDuration() {
+    if (this.recentDurations.length === 0) {
+      return 60000;
+    }
+    const total = this.recentDurations.reduce((sum, duration) => sum + duration, 0);
+    return Math.round(total / this.recentDurations.length);
+  }
+
+  recordDuration(duration) {
+    this.recentDurations.push(duration);
+    if (this.recentDurations.length > 20) {
+      this.recentDurations.shift();
+    }
+  }
+
+  /**
+   * Retries and timeouts of a run: its own options, else the project's
+   * defaults, else the platform defaults
+   * @param {Object} options - Run options
+   * @param {Object} settings - Project settings
+   * @returns {Object} - { retries, timeouts }
+   */
+  getRunDefaults(options, settings) {
+    return {
+      retries: options.retries ?? settings.retries ?? 0,
+      timeouts: { ...DEFAULT_TIMEOUTS, ...settings.timeouts, ...options.timeouts }
+    };
+  }
+
+  /**
+   * The result record of a run before any test has executed. Runs that
+   * execute and runs cancelled while queued share this shape.
+   * @param {Object} options - Run options
+   * @param {Object} fields - status, total, retries, timeouts and queuedAt
+   * @returns {Object} - Run result
+   */
+  createRunResult(options, { status, total, retries, timeouts, queuedAt }) {
     const {
       testId,
       projectId,
       testName,
-      testCode,
       browserType = 'chromium',
-      headless = true,
-      viewport = { width: 1280, height: 720 }
+      browsers = [browserType],
+      viewport = { width: 1280, height: 720 },
+      contextOptions = {},
+      baseUrl
     } = options;
 
-    logger.info(`Starting test: ${testName}`, { testId, projectId });
-
-    const startTime = Date.now();
-    const testResult = {
+    return {
       testId,
       projectId,
       testName,
-      status: 'running',
+      status,
       passed: 0,
       failed: 0,
+      flaky: 0,
+      skipped: 0,
+      total,
+      retries,
+      timeouts,
+      timedOut: false,
+      secrets: [],
+      tests: [],
       errors: [],
       duration: 0,
       artifacts: {
@@ -105,22 +381,105 @@ class TestRunner {
         zipPath: ''
       },
       browserType,
+      browsers,
+      browserResults: {},
       viewport,
+      contextOptions: maskContextOptions(contextOptions),
+      tags: options.tags || [],
+      source: options.source || 'api',
+      runByUserId: options.runByUserId,
+      scheduleId: options.scheduleId,
+      baseUrl,
+      queuedAt,
       startTime: new Date().toISOString()
     };
+  }
+
+  async executeTest(options) {
+    const {
+      testId,
+      projectId,
+      testName,
+      testCode,
+      testCases,
+      browserType = 'chromium',
+      browsers = [browserType],
+      headless = true,
+      viewport = { width: 1280, height: 720 },
+      contextOptions = {},
+      accessibility = null,
+      har = null,
+      baseUrl
+    } = options;
+
+    // Run options fall back to the project's defaults
+    const settings = await this.getProjectSettings(projectId);
+    const { retries, timeouts } = this.getRunDefaults(options, settings);
+    // Projects with performance budgets measure every run
+    const performance = options.performance === true || (settings.performanceBudgets || []).length > 0;
+
+    // A single testCode is a suite of one test named after the run
+    const suiteCases = Array.isArray(testCases) && testCases.length > 0
+      ? testCases
+      : [{ name: testName, testCode }];
+
+    logger.info(`Starting test: ${testName}`, { testId, projectId, testCount: suiteCases.length });
+
+    const startTime = Date.now();
+    const queuedStatus = this.runningTests.get(testId);
+    let secretValues = {};
+    const testResult = this.createRunResult(options, {
+      status: 'running',
+      total: suiteCases.length,
+      retries,
+      timeouts,
+      queuedAt: queuedStatus?.queuedAt
+    });
 
     this.runningTests.set(testId, testResult);
+    this.recordHistory(testResult);
+    this.emitRunEvent(testId, 'status', { status: 'running' });
 
     try {
+      // Reject code reaching outside the browser before anything is written
+      const accessIssues = this.checkCodeAccess(suiteCases, settings);
+      if (accessIssues.length > 0) {
+        throw new Error(`Test code rejected: ${accessIssues.join('; ')}`);
+      }
+
+      // Decrypt referenced secrets and mask them in everything the run produces
+      const { values, missing } = await this.resolveSecrets(projectId, suiteCases);
+      if (missing.length > 0) {
+        throw new Error(`Unknown secrets: ${missing.join(', ')}`);
+      }
+      secretValues = values;
+      testResult.secrets = Object.keys(secretValues);
+      if (testResult.secrets.length > 0) {
+        this.secretMaskers.set(testId, createSecretMasker(Object.values(secretValues)));
+        registerSecrets(Object.values(secretValues));
+      }
+
       // Create test directory structure
       const testDir = path.join(__dirname, '../../test-runs', testId);
       const testsDir = path.join(testDir, 'tests');
+      const snapshotDir = path.join(testDir, 'snapshots');
+      const accessibilityDir = path.join(testDir, 'accessibility');
+      const performanceDir = path.join(testDir, 'performance');
+      const harDir = path.join(testDir, 'har');
       
       await fs.mkdir(testsDir, { recursive: true });
+      await fs.mkdir(snapshotDir, { recursive: true });
+      await fs.mkdir(accessibilityDir, { recursive: true });
+      if (performance) {
+        await fs.mkdir(performanceDir, { recursive: true });
+      }
+      if (har) {
+        await fs.mkdir(harDir, { recursive: true });
+      }
 
       // Generate test file
       const testFilePath = path.join(testsDir, `${testName.replace(/[^a-zA-Z0-9]/g, '_')}.spec.js`);
-      const testFileContent = this.generateTestFile(testName, testCode);
+      const testFileContent = this.generateTestFile(testName, suiteCases, { accessibility, performance, har });
       
       await fs.writeFile(testFilePath, testFileContent);
 
@@ -130,35 +489,110 @@ class TestRunner {
         testDir: './tests',
         outputDir: './test-results',
         reportDir: './playwright-report',
-        browserType,
+        streamReporterPath: require.resolve('../utils/stream-reporter'),
+        browsers,
         headless,
-        viewport
+        viewport,
+        contextOptions,
+        retries,
+        timeouts,
+        baseUrl
       });
       
       await fs.writeFile(configPath, configContent);
 
-      // Set environment variables
-      const env = {
-        ...process.env,
-        BROWSER_TYPE: browserType,
+      // The run directory becomes the sandbox: its own HOME and TMPDIR,
+      // owned by the unprivileged sandbox user
+      const sandboxUser = getSandboxUser();
+      await prepareSandboxDir(testDir, sandboxUser);
+
+      // Set environment variables (server secrets are not passed through)
+      const env = buildSandboxEnv(testDir, {
+        BROWSER_TYPE: browsers.join(','),
         HEADLESS: headless.toString(),
         VIEWPORT_WIDTH: viewport.width.toString(),
         VIEWPORT_HEIGHT: viewport.height.toString(),
         PWTEST_OUTPUT_DIR: path.join(testDir, 'test-results'),
-        PWTEST_HTML_REPORT_OPEN: 'never'
-      };
+        PWTEST_HTML_REPORT_OPEN: 'never',
+        E2E_SNAPSHOT_DIR: snapshotDir,
+        E2E_ACCESSIBILITY_DIR: accessibilityDir,
+        E2E_PERFORMANCE_DIR: performanceDir,
+        E2E_HAR_DIR: harDir
+      });
+
+      if (accessibility) {
+        env.E2E_ACCESSIBILITY = JSON.stringify(accessibility);
+      }
+      if (har) {
+        env.E2E_HAR = JSON.stringify(har);
+      }
+
+      // Credentials stay out of the config file, which is shipped in the zip
+      if (contextOptions.httpCredentials) {
+        env.E2E_HTTP_CREDENTIALS = JSON.stringify(contextOptions.httpCredentials);
+      }
+
+      // Secrets only ever reach the Playwright process
+      if (testResult.secrets.length > 0) {
+        env.E2E_SECRETS = JSON.stringify(secretValues);
+      }
 
       // Run Playwright test
-      const command = `npx playwright test --config="${configPath}"`;
-      
-      logger.info(`Executing command: ${command}`, { testId, cwd: testDir });
+      const { command, args } = buildSandboxCommand(process.execPath, [
+        require.resolve('@playwright/test/cli'),
+        'test',
+        `--config=${configPath}`
+      ]);
+
+      if (this.cancelledTests.has(testId)) {
+        throw new Error('Test run cancelled');
+      }
+
+      const processTimeout = this.getProcessTimeout({
+        timeouts,
+        retries,
+        testCount: suiteCases.length * browsers.length
+      });
 
-      const { stdout, stderr } = await execAsync(command, {
+      logger.info(`Executing command: playwright test --config="${configPath}"`, {
+        testId,
         cwd: testDir,
-        env,
-        timeout: 300000 // 5 minutes timeout
+        processTimeout,
+        sandboxUser: sandboxUser ? sandboxUser.uid : undefined
       });
 
+      let stdout;
+      let stderr;
+      const cgroup = await createRunCgroup(testId);
+      try {
+        ({ stdout, stderr } = await this.runCommand(testId, command, args, {
+          cwd: testDir,
+          env,
+          timeout: processTimeout,
+          user: sandboxUser,
+          cgroup
+        }));
+      } catch (error) {
+        // Exit code 1 means some tests failed; their results are still in the report
+        if (error.code !== 1 || error.killed || this.cancelledTests.has(testId)) {
+          throw error;
+        }
+        ({ stdout, stderr } = error);
+      } finally {
+        if (cgroup) {
+          const { oomKills } = await removeRunCgroup(cgroup);
+          if (oomKills > 0) {
+            testResult.errors.push({
+              message: `Run exceeded its ${SANDBOX_LIMITS.memoryMb} MB memory limit; ${oomKills} process(es) were killed`,
+              stack: '',
+              timestamp: new Date().toISOString()
+            });
+          }
+        }
+        // Nothing in the run directory is read until test code can no longer change it
+        await reclaimSandboxDir(testDir, sandboxUser);
+      }
+
       logger.info('Playwright execution completed', { testId, stdout: stdout.slice(0, 1000) });
 
       // Parse test results
@@ -174,34 +608,18 @@ class TestRunner {
 
       // Update test result based on Playwright results
       if (playwrightResults) {
-        // Navigate the nested structure: suites[0].suites[0].specs[0].tests[0].results[0]
-        const topSuite = playwrightResults.suites?.[0];
-        if (topSuite) {
-          const nestedSuite = topSuite.suites?.[0];
-          if (nestedSuite) {
-            const spec = nestedSuite.specs?.[0];
-            if (spec) {
-              const test = spec.tests?.[0];
-              if (test) {
-                const result = test.results?.[0];
-                if (result) {
-                  testResult.status = result.status === 'passed' ? 'passed' : 'failed';
-                  testResult.passed = result.status === 'passed' ? 1 : 0;
-                  testResult.failed = result.status === 'passed' ? 0 : 1;
-                  testResult.duration = result.duration || 0;
-
-                  if (result.error) {
-                    testResult.errors.push({
-                      message: result.error.message || 'Test failed',
-                      stack: result.error.stack || '',
-                      timestamp: new Date().toISOString()
-                    });
-                  }
-                }
-              }
-            }
-          }
-        }
+        const summary = this.parsePlaywrightResults(playwrightResults);
+
+        testResult.tests = summary.tests;
+        testResult.browserResults = summary.browserResults;
+        testResult.passed = summary.passed;
+        testResult.failed = summary.failed;
+        testResult.flaky = summary.flaky;
+        testResult.skipped = summary.skipped;
+        testResult.total = summary.tests.length;
+        testResult.duration = summary.duration;
+        testResult.errors.push(...summary.errors);
+        testResult.status = this.getRunStatus(summary);
       }
 
       // If no parsed results, determine status from stdout and stderr
@@ -209,11 +627,18 @@ class TestRunner {
         // Parse stdout for test results
         const passedMatch = stdout.match(/(\d+)\s+passed/);
         const failedMatch = stdout.match(/(\d+)\s+failed/);
+        const flakyMatch = stdout.match(/(\d+)\s+flaky/);
 
         const passedCount = passedMatch ? parseInt(passedMatch[1], 10) : 0;
         const failedCount = failedMatch ? parseInt(failedMatch[1], 10) : 0;
+        const flakyCount = flakyMatch ? parseInt(flakyMatch[1], 10) : 0;
 
-        if (passedCount > 0 && failedCount === 0) {
+        if (flakyCount > 0 && failedCount === 0) {
+          testResult.status = 'flaky';
+          testResult.passed = passedCount;
+          testResult.flaky = flakyCount;
+          testResult.failed = 0;
+        } else if (passedCount > 0 && failedCount === 0) {
           testResult.status = 'passed';
           testResult.passed = passedCount;
           testResult.failed = 0;
@@ -241,6 +666,17 @@ class TestRunner {
         }
       }
 
+      if (this.visual) {
+        await this.compareSnapshots(testResult, testDir);
+      }
+      await this.collectAccessibility(testResult, testDir, accessibility, settings);
+      if (performance) {
+        await this.collectPerformance(testResult, testDir, settings);
+      }
+      if (har) {
+        await this.collectNetwork(testResult, testDir, har);
+      }
+
       // Set artifact paths
       testResult.artifacts.reportPath = path.join(testDir, 'playwright-report');
       
@@ -251,45 +687,1062 @@ class TestRunner {
       });
 
     } catch (error) {
-      testResult.status = 'failed';
-      testResult.failed = 1;
-      testResult.passed = 0;
-      testResult.errors.push({
-        message: error.message,
-        stack: error.stack,
-        timestamp: new Date().toISOString()
-      });
+      if (this.cancelledTests.has(testId)) {
+        testResult.status = 'cancelled';
+        testResult.errors.push({
+          message: 'Test run cancelled',
+          stack: error.stderr || '',
+          timestamp: new Date().toISOString()
+        });
 
-      logger.error(`Test execution failed: ${testName}`, { 
-        testId, 
-        error: error.message,
-        stderr: error.stderr 
-      });
+        logger.info(`Test cancelled: ${testName}`, { testId });
+      } else if (error.timedOut) {
+        testResult.status = 'timedOut';
+        testResult.timedOut = true;
+        testResult.errors.push({
+          message: error.message,
+          stack: error.stderr || '',
+          timestamp: new Date().toISOString()
+        });
+
+        logger.warn(`Test run timed out: ${testName}`, { testId, error: error.message });
+      } else {
+        testResult.status = 'failed';
+        testResult.failed = 1;
+        testResult.passed = 0;
+        testResult.errors.push({
+          message: error.message,
+          stack: error.stack,
+          timestamp: new Date().toISOString()
+        });
+
+        logger.error(`Test execution failed: ${testName}`, { 
+          testId, 
+          error: error.message,
+          stderr: error.stderr 
+        });
+      }
+
+      // Keep whatever partial report Playwright managed to write
+      testResult.artifacts.reportPath = path.join(__dirname, '../../test-runs', testId, 'playwright-report');
     } finally {
+      this.cancelledTests.delete(testId);
+
       // Calculate final duration if not set
       if (!testResult.duration) {
         testResult.duration = Date.now() - startTime;
       }
       
       testResult.endTime = new Date().toISOString();
+
+      if (suiteCases.some(testCase => testCase.testCaseId)) {
+        testResult.testCaseResults = this.summarizeTestCases(suiteCases, testResult);
+      }
+
+      const masker = this.secretMaskers.get(testId);
+      if (masker) {
+        Object.assign(testResult, masker.maskDeep({ ...testResult }));
+        await scrubArtifacts(path.join(__dirname, '../../test-runs', testId), masker, ['home', 'tmp'])
+          .catch(error => logger.error('Failed to scrub secrets from artifacts', { testId, error: error.message }));
+      }
+
       this.runningTests.set(testId, testResult);
+      this.recordDuration(Date.now() - startTime);
+
+      await this.saveTestResult(testId, testResult);
+      this.finishRunEvents(testId, testResult);
+
+      if (masker) {
+        this.secretMaskers.delete(testId);
+        unregisterSecrets(Object.values(secretValues));
+      }
+    }
+
+    return testResult;
+  }
+
+  /**
+   * Record a live event for a run and notify subscribers
+   * @param {string} testId - Test ID
+   * @param {string} type - Event type (status, stdout, stderr, testBegin, stepEnd, end, ...)
+   * @param {Object} data - Event payload
+   */
+  emitRunEvent(testId, type, data = {}) {
+    if (!this.runEvents.has(testId)) {
+      this.runEvents.set(testId, { nextId: 1, events: [] });
+    }
+
+    const log = this.runEvents.get(testId);
+    const event = {
+      id: log.nextId++,
+      testId,
+      type,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    log.events.push(event);
+    if (log.events.length > this.maxEventsPerRun) {
+      log.events.shift();
+    }
+
+    this.emit('event', event);
+  }
+
+  /**
+   * Get buffered events for a run
+   * @param {string} testId - Test ID
+   * @param {number} afterId - Only return events with a greater id
+   * @returns {Array} - Events in order
+   */
+  getRunEvents(testId, afterId = 0) {
+    const log = this.runEvents.get(testId);
+    return log ? log.events.filter(event => event.id > afterId) : [];
+  }
+
+  /**
+   * Emit the terminal 'end' event and drop the buffered events after the
+   * retention window
+   * @param {string} testId - Test ID
+   * @param {Object} testResult - Final result
+   */
+  finishRunEvents(testId, testResult) {
+    this.emitRunEvent(testId, 'end', {
+      status: testResult.status,
+      passed: testResult.passed,
+      failed: testResult.failed,
+      flaky: testResult.flaky,
+      duration: testResult.duration
+    });
+
+    setTimeout(() => this.runEvents.delete(testId), this.eventRetentionMs).unref();
+  }
+
+  /**
+   * Build a handler that splits a chunked stream into lines
+   * @param {Function} onLine - Called with each complete line
+   * @returns {Function} - Chunk handler; call with no argument to flush
+   */
+  createLineSplitter(onLine) {
+    let buffer = '';
+
+    return (chunk) => {
+      if (chunk === undefined) {
+        if (buffer) {
+          onLine(buffer);
+        }
+        buffer = '';
+        return;
+      }
+
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(onLine);
+    };
+  }
+
+  /**
+   * Turn a line of child output into a run event. Lines written by the
+   * stream reporter become structured events; anything else is raw output.
+   * @param {string} testId - Test ID
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {string} line - Output line
+   * @returns {boolean} - True if the line was a reporter event
+   */
+  handleOutputLine(testId, stream, line) {
+    // The dot reporter does not end its line, so events can follow other output
+    const prefixIndex = line.indexOf(StreamReporter.EVENT_PREFIX);
 
-      // Save test result
+    if (prefixIndex !== -1) {
       try {
-        const testDir = path.join(__dirname, '../../test-runs', testId);
-        const resultPath = path.join(testDir, 'result.json');
-        await fs.writeFile(resultPath, JSON.stringify(testResult, null, 2));
+        const { type, data } = JSON.parse(line.slice(prefixIndex + StreamReporter.EVENT_PREFIX.length));
+        if (prefixIndex > 0) {
+          this.emitRunEvent(testId, stream, { line: line.slice(0, prefixIndex) });
+        }
+        this.emitRunEvent(testId, type, data);
+        return true;
       } catch (error) {
-        logger.error('Failed to save test result', { testId, error: error.message });
+        // Not a well-formed event; treat it as plain output
       }
     }
 
-    return testResult;
+    this.emitRunEvent(testId, stream, { line });
+    return false;
   }
 
-  generateTestFile(testName, testCode) {
-    const sanitizedTestName = testName.replace(/[^a-zA-Z0-9\s]/g, '').trim();
-    
+  /**
+   * Mask a run's secret values in a line of its output
+   * @param {string} testId - Test ID
+   * @param {string} line - Output line
+   * @returns {string} - Line with secrets replaced
+   */
+  maskOutput(testId, line) {
+    const masker = this.secretMaskers.get(testId);
+    return masker ? masker.maskText(line) : line;
+  }
+
+  /**
+   * Write result.json for a test run and update its run history entry
+   * @param {string} testId - Test ID
+   * @param {Object} testResult - Result to persist
+   */
+  async saveTestResult(testId, testResult) {
+    try {
+      const testDir = path.join(__dirname, '../../test-runs', testId);
+      await fs.mkdir(testDir, { recursive: true });
+      await fs.writeFile(path.join(testDir, 'result.json'), JSON.stringify(testResult, null, 2));
+    } catch (error) {
+      logger.error('Failed to save test result', { testId, error: error.message });
+    }
+
+    this.recordHistory(testResult);
+  }
+
+  /**
+   * Write a run's current state to the run history database, if configured
+   * @param {Object} testResult - Queued, running or finished result
+   */
+  recordHistory(testResult) {
+    if (!this.history) {
+      return;
+    }
+
+    try {
+      this.history.recordRun(testResult);
+    } catch (error) {
+      logger.error('Failed to record run history', { testId: testResult.testId, error: error.message });
+    }
+  }
+
+  /**
+   * Run a shell command in its own process group so the whole process tree
+   * (npx, Playwright workers, browsers) can be killed on cancel or timeout
+   * @param {string} testId - Test ID the command belongs to
+   * @param {string} command - Executable
+   * @param {Array} args - Arguments
+   * @param {Object} options - cwd, env, timeout (ms), user ({ uid, gid } or
+   *   null) and cgroup (directory from createRunCgroup() or null)
+   * @returns {Promise<Object>} - { stdout, stderr }; rejects on non-zero exit
+   */
+  runCommand(testId, command, args, { cwd, env, timeout, user, cgroup }) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, {
+        cwd,
+        env,
+        detached: process.platform !== 'win32',
+        ...(user ? { uid: user.uid, gid: user.gid } : {})
+      });
+
+      const commandLine = [command, ...args].join(' ');
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+      let startError = null;
+
+      this.childProcesses.set(testId, child);
+
+      // The sandbox wrapper waits for a line on stdin, so the command only
+      // starts once the wrapper is in the run's cgroup
+      child.stdin.on('error', () => {});
+      (cgroup ? joinRunCgroup(cgroup, child.pid) : Promise.resolve()).then(
+        () => child.stdin.end('\n'),
+        (error) => {
+          startError = new Error(`Could not move the run into its cgroup: ${error.message}`);
+          this.killProcessTree(child);
+        }
+      );
+
+      // Stream output line by line; reporter events are not kept in stdout
+      const onStdout = this.createLineSplitter((rawLine) => {
+        const line = this.maskOutput(testId, rawLine);
+        if (!this.handleOutputLine(testId, 'stdout', line)) {
+          stdout += `${line}\n`;
+        }
+      });
+      const onStderr = this.createLineSplitter((rawLine) => {
+        const line = this.maskOutput(testId, rawLine);
+        this.handleOutputLine(testId, 'stderr', line);
+        stderr += `${line}\n`;
+      });
+
+      child.stdout.setEncoding('utf8');
+      child.stderr.setEncoding('utf8');
+      child.stdout.on('data', onStdout);
+      child.stderr.on('data', onStderr);
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        this.killProcessTree(child);
+      }, timeout);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        this.childProcesses.delete(testId);
+        reject(Object.assign(error, { stdout, stderr }));
+      });
+
+      child.on('close', async (code, signal) => {
+        clearTimeout(timer);
+        onStdout();
+        onStderr();
+
+        // Workers and browsers may outlive the group leader (e.g. while
+        // Playwright cleans up its artifacts after a kill); the run's
+        // directory is only settled once the whole group is gone
+        await this.waitForProcessGroupExit(child);
+        this.childProcesses.delete(testId);
+
+        if (startError) {
+          return reject(Object.assign(startError, { stdout, stderr }));
+        }
+        if (code === 0) {
+          return resolve({ stdout, stderr });
+        }
+
+        const error = new Error(timedOut
+          ? `Command timed out after ${timeout}ms: ${commandLine}`
+          : `Command failed: ${commandLine}\n${stderr}`);
+        Object.assign(error, { code, signal, killed: timedOut || !!signal, timedOut, stdout, stderr });
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Upper bound for a whole Playwright run: every test may use its full
+   * timeout on every attempt (one worker runs them in sequence), plus
+   * fixed overhead for startup and reporting
+   * @param {Object} options - timeouts, retries and testCount (tests x browsers)
+   * @returns {number} - Milliseconds before the process tree is killed
+   */
+  getProcessTimeout({ timeouts, retries, testCount }) {
+    return timeouts.test * (retries + 1) * Math.max(testCount, 1) + this.processOverheadMs;
+  }
+
+  /**
+   * Terminate a child process and everything it spawned, escalating to
+   * SIGKILL if it does not exit within a few seconds
+   * @param {ChildProcess} child - Process to kill
+   */
+  killProcessTree(child) {
+    const sendSignal = (signal) => {
+      try {
+        if (process.platform !== 'win32') {
+          process.kill(-child.pid, signal);
+        } else {
+          child.kill(signal);
+        }
+      } catch (error) {
+        // Process already exited
+      }
+    };
+
+    sendSignal('SIGTERM');
+    setTimeout(() => {
+      if (this.isProcessGroupAlive(child)) {
+        sendSignal('SIGKILL');
+      }
+    }, 5000).unref();
+  }
+
+  /**
+   * Whether any process of a child's process group is still running
+   * @param {ChildProcess} child - Group leader
+   * @returns {boolean}
+   */
+  isProcessGroupAlive(child) {
+    if (process.platform === 'win32') {
+      return child.exitCode === null && child.signalCode === null;
+    }
+    try {
+      process.kill(-child.pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM: members exist but run as another user (the sandbox user)
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Wait until every process of a child's process group has exited. Members
+   * left over after the grace period are killed.
+   * @param {ChildProcess} child - Group leader, already exited
+   * @param {number} graceMs - Time the members get to exit on their own
+   * @returns {Promise<void>}
+   */
+  async waitForProcessGroupExit(child, graceMs = 10000) {
+    const deadline = Date.now() + graceMs;
+    while (this.isProcessGroupAlive(child)) {
+      if (Date.now() >= deadline) {
+        logger.warn('Processes outlived the run; killing them', { pid: child.pid });
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // Exited in the meantime
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  /**
+   * Cancel a queued or running test. Queued runs are dropped from the queue;
+   * running ones have their Playwright process tree killed and finish with
+   * status 'cancelled' through the normal result path.
+   * @param {string} testId - Test ID
+   * @returns {Promise<Object>} - { cancelled, previousStatus }
+   */
+  async cancelTest(testId) {
+    const queueIndex = this.queue.findIndex(job => job.options.testId === testId);
+
+    if (queueIndex !== -1) {
+      const [job] = this.queue.splice(queueIndex, 1);
+      const { options } = job;
+      const { retries, timeouts } = this.getRunDefaults(options, await this.getProjectSettings(options.projectId));
+      const testResult = {
+        ...this.createRunResult(options, {
+          status: 'cancelled',
+          total: Array.isArray(options.testCases) && options.testCases.length > 0 ? options.testCases.length : 1,
+          retries,
+          timeouts,
+          queuedAt: this.runningTests.get(testId).queuedAt
+        }),
+        errors: [{
+          message: 'Test run cancelled before it started',
+          stack: '',
+          timestamp: new Date().toISOString()
+        }],
+        endTime: new Date().toISOString()
+      };
+
+      this.runningTests.set(testId, testResult);
+      await this.saveTestResult(testId, testResult);
+      this.finishRunEvents(testId, testResult);
+      job.resolve(testResult);
+
+      logger.info(`Queued test cancelled: ${testResult.testName}`, { testId });
+      return { cancelled: true, previousStatus: 'queued' };
+    }
+
+    if (this.activeRuns.has(testId)) {
+      this.cancelledTests.add(testId);
+
+      const child = this.childProcesses.get(testId);
+      if (child) {
+        this.killProcessTree(child);
+      }
+
+      logger.info('Cancelling running test', { testId });
+      return { cancelled: true, previousStatus: 'running' };
+    }
+
+    return { cancelled: false, previousStatus: null };
+  }
+
+  /**
+   * Load a project's run defaults, tolerating a missing or broken store
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<Object>} - Settings ({} when unavailable)
+   */
+  async getProjectSettings(projectId) {
+    if (!this.projectSettings) {
+      return {};
+    }
+
+    try {
+      return await this.projectSettings.getSettings(projectId);
+    } catch (error) {
+      logger.warn('Could not load project settings', { projectId, error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Names of the secrets a run's test code references as secrets.NAME
+   * @param {Array} testCases - [{ name, testCode }]
+   * @returns {Array} - Distinct secret names
+   */
+  getSecretReferences(testCases) {
+    const names = testCases.flatMap(testCase =>
+      [...String(testCase.testCode || '').matchAll(SECRET_REFERENCE_PATTERN)].map(match => match[1]));
+    return [...new Set(names)];
+  }
+
+  /**
+   * Decrypt the project secrets a run references
+   * @param {string} projectId - Project identifier
+   * @param {Array} testCases - [{ name, testCode }]
+   * @returns {Promise<Object>} - { values: { NAME: value }, missing: [names] }
+   */
+  async resolveSecrets(projectId, testCases) {
+    const names = this.getSecretReferences(testCases);
+    if (names.length === 0) {
+      return { values: {}, missing: [] };
+    }
+    if (!this.secrets) {
+      return { values: {}, missing: names };
+    }
+    return this.secrets.getSecretValues(projectId, names);
+  }
+
+  /**
+   * Static sandbox check of a run's test code. Projects with
+   * allowSystemAccess set skip it.
+   * @param {Array} testCases - [{ name, testCode }]
+   * @param {Object} settings - Project settings
+   * @returns {Array} - Issues, prefixed with the test name for multi-test runs
+   */
+  checkCodeAccess(testCases, settings = {}) {
+    if (settings.allowSystemAccess) {
+      return [];
+    }
+
+    return testCases.flatMap(testCase => checkTestCode(String(testCase.testCode || ''))
+      .map(issue => (testCases.length > 1 ? `${testCase.name}: ${issue}` : issue)));
+  }
+
+  /**
+   * Outcome of each catalog test case in the run, keyed by test case ID.
+   * Tests are matched to their case by describe group and title, and are
+   * tagged with its ID. A case without results (the run failed before
+   * reaching it) takes the run's status.
+   * @param {Array} testCases - [{ name, describe, testCaseId }]
+   * @param {Object} testResult - Run result with parsed tests
+   * @returns {Object} - { [testCaseId]: { name, status, duration, retries, browsers, errors } }
+   */
+  summarizeTestCases(testCases, testResult) {
+    const testCaseResults = {};
+
+    for (const testCase of testCases.filter(item => item.testCaseId)) {
+      const key = `${this.sanitizeTestName(testCase.describe || '')}/${this.sanitizeTestName(testCase.name)}`;
+      const caseTests = testResult.tests.filter(test =>
+        `${(test.describe || []).slice(1).join('/')}/${test.title}` === key);
+      caseTests.forEach(test => { test.testCaseId = testCase.testCaseId; });
+
+      const countStatus = (...statuses) => caseTests.filter(test => statuses.includes(test.status)).length;
+      let status;
+      if (caseTests.length === 0) {
+        status = ['passed', 'flaky'].includes(testResult.status) ? 'skipped' : testResult.status;
+      } else if (countStatus('skipped') === caseTests.length) {
+        status = 'skipped';
+      } else {
+        status = this.getRunStatus({
+          tests: caseTests,
+          failed: countStatus('failed', 'timedOut', 'interrupted'),
+          flaky: countStatus('flaky')
+        });
+      }
+
+      testCaseResults[testCase.testCaseId] = {
+        name: testCase.name,
+        status,
+        duration: caseTests.reduce((total, test) => total + test.duration, 0),
+        retries: caseTests.reduce((total, test) => total + test.retries, 0),
+        browsers: Object.fromEntries(caseTests.map(test => [test.project, test.status])),
+        errors: caseTests.flatMap(test => test.errors.map(error => error.message))
+      };
+    }
+
+    return testCaseResults;
+  }
+
+  /**
+   * Compare the run's visual snapshots with the project's baselines. A
+   * snapshot differing by more than the project's threshold fails the run;
+   * new snapshots only wait for approval.
+   * @param {Object} testResult - Run result, updated in place
+   * @param {string} testDir - The run's working directory
+   */
+  async compareSnapshots(testResult, testDir) {
+    let visual;
+    try {
+      visual = await this.visual.compareRun(testResult.projectId, testDir, testResult.testId);
+    } catch (error) {
+      logger.error('Failed to compare visual snapshots', { testId: testResult.testId, error: error.message });
+      return;
+    }
+    if (!visual) {
+      return;
+    }
+
+    testResult.visual = visual;
+    const changed = visual.snapshots.filter(snapshot => snapshot.status === 'changed');
+    changed.forEach(snapshot => testResult.errors.push({
+      test: snapshot.test,
+      message: `Visual snapshot "${snapshot.name}" (${snapshot.browser}, ${snapshot.viewport}) differs from its baseline by ${snapshot.mismatchPercent}%`,
+      timestamp: new Date().toISOString()
+    }));
+    if (changed.length > 0 && ['passed', 'flaky'].includes(testResult.status)) {
+      testResult.status = 'failed';
+    }
+
+    logger.info('Visual snapshots compared', {
+      testId: testResult.testId,
+      total: visual.total,
+      changed: visual.changed,
+      new: visual.new
+    });
+  }
+
+  /**
+   * Read the JSON entries a spec helper wrote for the server, keeping those
+   * from the last attempt of each test and browser, oldest first
+   * @param {string} testId - Test ID
+   * @param {string} dir - Directory holding <uuid>.json entries
+   * @param {string} kind - What the entries are, for log messages
+   * @param {Function} isValid - Checks an entry's helper-specific fields
+   * @returns {Promise<Object>} - { found (any files written), entries }
+   */
+  async readAttemptEntries(testId, dir, kind, isValid) {
+    let files = [];
+    try {
+      files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read ${kind} files`, { testId, error: error.message });
+      }
+    }
+
+    const entries = [];
+    for (const file of files) {
+      try {
+        const entry = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+        if (typeof entry.test === 'string' && typeof entry.timestamp === 'string' && isValid(entry)) {
+          entries.push(entry);
+        }
+      } catch (error) {
+        logger.warn(`Ignoring unreadable ${kind}`, { testId, file, error: error.message });
+      }
+    }
+
+    const lastRetry = new Map();
+    for (const entry of entries) {
+      const key = `${entry.browser}/${entry.test}`;
+      lastRetry.set(key, Math.max(lastRetry.get(key) ?? 0, entry.retry || 0));
+    }
+
+    return {
+      found: files.length > 0,
+      entries: entries
+        .filter(entry => (entry.retry || 0) === lastRetry.get(`${entry.browser}/${entry.test}`))
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    };
+  }
+
+  /**
+   * Collect the run's accessibility audits into testResult.accessibility.
+   * Only the last attempt of a retried test counts. A violation at or above
+   * the project's accessibilityFailOn impact fails the run.
+   * @param {Object} testResult - Run result, updated in place
+   * @param {string} testDir - The run's working directory
+   * @param {Object|null} accessibility - The run's accessibility option
+   * @param {Object} settings - Project settings
+   */
+  async collectAccessibility(testResult, testDir, accessibility, settings = {}) {
+    const { found, entries: results } = await this.readAttemptEntries(
+      testResult.testId,
+      path.join(testDir, 'accessibility'),
+      'accessibility audit',
+      audit => Array.isArray(audit.violations) || audit.error
+    );
+    if (!accessibility && !found) {
+      return;
+    }
+    results.forEach(audit => { audit.violations = audit.violations || []; });
+
+    const failOn = settings.accessibilityFailOn || DEFAULT_ACCESSIBILITY_FAIL_ON;
+    const failRank = failOn === 'none' ? Infinity : ACCESSIBILITY_IMPACTS.indexOf(failOn);
+    const byImpact = Object.fromEntries(ACCESSIBILITY_IMPACTS.map(impact => [impact, 0]));
+    const blockingRules = new Set();
+    let violations = 0;
+
+    for (const audit of results) {
+      for (const violation of audit.violations) {
+        violations++;
+        if (byImpact[violation.impact] !== undefined) {
+          byImpact[violation.impact]++;
+        }
+        if (ACCESSIBILITY_IMPACTS.indexOf(violation.impact) >= failRank) {
+          blockingRules.add(violation.rule);
+        }
+      }
+    }
+
+    testResult.accessibility = {
+      audit: accessibility ? accessibility.audit : 'checkpoint',
+      tags: accessibility ? accessibility.tags : DEFAULT_ACCESSIBILITY_TAGS,
+      failOn,
+      audits: results.length,
+      violations,
+      byImpact,
+      blocking: results.reduce((total, audit) => total + audit.violations
+        .filter(violation => ACCESSIBILITY_IMPACTS.indexOf(violation.impact) >= failRank).length, 0),
+      auditErrors: results.filter(audit => audit.error).length,
+      results
+    };
+
+    if (blockingRules.size > 0) {
+      testResult.errors.push({
+        message: `Accessibility violations at or above "${failOn}" impact: ${[...blockingRules].join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+      if (['passed', 'flaky'].includes(testResult.status)) {
+        testResult.status = 'failed';
+      }
+    }
+
+    logger.info('Accessibility audits collected', {
+      testId: testResult.testId,
+      audits: results.length,
+      violations,
+      blocking: testResult.accessibility.blocking
+    });
+  }
+
+  /**
+   * Collect the page metrics measured for each page.goto into
+   * testResult.performance and check them against the project's budgets.
+   * Only the last attempt of a retried test counts. A "fail" budget exceeded
+   * fails the run; a "warn" budget only marks the metrics "warned".
+   * @param {Object} testResult - Run result, updated in place
+   * @param {string} testDir - The run's working directory
+   * @param {Object} settings - Project settings
+   */
+  async collectPerformance(testResult, testDir, settings = {}) {
+    const budgets = settings.performanceBudgets || [];
+    const { entries: results } = await this.readAttemptEntries(
+      testResult.testId,
+      path.join(testDir, 'performance'),
+      'performance measurement',
+      measurement => measurement.metrics === null || typeof measurement.metrics === 'object'
+    );
+
+    const violations = [];
+    for (const measurement of results) {
+      for (const budget of budgets) {
+        const value = measurement.metrics ? measurement.metrics[budget.metric] : null;
+        if (typeof value === 'number' && value > budget.max && performanceBudgetApplies(budget, measurement.url)) {
+          violations.push({
+            metric: budget.metric,
+            max: budget.max,
+            value,
+            level: budget.level || 'fail',
+            url: measurement.url,
+            test: measurement.test,
+            browser: measurement.browser
+          });
+        }
+      }
+    }
+
+    const failing = violations.filter(violation => violation.level === 'fail');
+    testResult.performance = {
+      status: failing.length > 0 ? 'failed' : violations.length > 0 ? 'warned' : 'passed',
+      navigations: results.length,
+      budgets,
+      violations,
+      results
+    };
+
+    failing.forEach(violation => testResult.errors.push({
+      test: violation.test,
+      message: `Performance budget exceeded: ${violation.metric} ${violation.value} > ${violation.max} on ${violation.url} (${violation.browser})`,
+      timestamp: new Date().toISOString()
+    }));
+    if (failing.length > 0 && ['passed', 'flaky'].includes(testResult.status)) {
+      testResult.status = 'failed';
+    }
+
+    logger.info('Performance metrics collected', {
+      testId: testResult.testId,
+      navigations: results.length,
+      violations: violations.length,
+      failing: failing.length
+    });
+  }
+
+  /**
+   * Summarize the HARs the run recorded into testResult.network: request
+   * counts, 4xx/5xx responses and the worst failed and slow requests. Only
+   * the last attempt of a retried test counts. Never changes the run's status.
+   * @param {Object} testResult - Run result, updated in place
+   * @param {string} testDir - The run's working directory
+   * @param {Object} har - The run's har option
+   */
+  async collectNetwork(testResult, testDir, har) {
+    const harDir = path.join(testDir, 'har');
+    const { entries } = await this.readAttemptEntries(
+      testResult.testId,
+      harDir,
+      'HAR index entry',
+      entry => typeof entry.file === 'string'
+    );
+    const hars = entries.map(({ test, browser, retry, file }) => ({ test, browser, retry, file }));
+    const { requests, unreadable } = await readRunRequests(harDir, hars);
+
+    testResult.network = {
+      content: har.content,
+      ...summarizeRequests(requests, har.slowThreshold),
+      hars: hars.filter(entry => !unreadable.includes(entry.file))
+    };
+
+    logger.info('Network requests collected', {
+      testId: testResult.testId,
+      hars: testResult.network.hars.length,
+      requests: testResult.network.requests,
+      failed: testResult.network.failed
+    });
+  }
+
+  /**
+   * Overall run status from a parsed summary: any failure fails the run,
+   * otherwise a test that only passed on retry marks the run flaky
+   * @param {Object} summary - Counts from parsePlaywrightResults
+   * @returns {string} - 'passed', 'flaky' or 'failed'
+   */
+  getRunStatus(summary) {
+    if (summary.failed > 0 || summary.tests.length === 0) {
+      return 'failed';
+    }
+    return summary.flaky > 0 ? 'flaky' : 'passed';
+  }
+
+  /**
+   * Build a per-test breakdown from Playwright's JSON report
+   * @param {Object} playwrightResults - Parsed test-results.json
+   * @returns {Object} - { tests, browserResults, passed, failed, flaky, skipped, duration, errors }
+   */
+  parsePlaywrightResults(playwrightResults) {
+    const tests = [];
+    const errors = [];
+
+    // Specs can sit at any depth: file suite > describe blocks > specs
+    const walk = (suite, describePath) => {
+      for (const spec of suite.specs || []) {
+        for (const test of spec.tests || []) {
+          const results = test.results || [];
+          const finalResult = results[results.length - 1] || {};
+          const testErrors = results
+            .filter(result => result.error)
+            .map(result => ({
+              message: result.error.message || 'Test failed',
+              stack: result.error.stack || '',
+              retry: result.retry || 0
+            }));
+
+          // Passing only after a failed attempt makes the test flaky
+          const status = finalResult.status === 'passed' && results.length > 1
+            ? 'flaky'
+            : (finalResult.status || 'skipped');
+
+          tests.push({
+            title: spec.title,
+            describe: describePath,
+            file: spec.file,
+            project: test.projectName,
+            status,
+            duration: results.reduce((total, result) => total + (result.duration || 0), 0),
+            retries: Math.max(0, results.length - 1),
+            attempts: results.map(result => ({
+              retry: result.retry || 0,
+              status: result.status,
+              duration: result.duration || 0,
+              error: result.error ? result.error.message || 'Test failed' : undefined
+            })),
+            errors: testErrors
+          });
+
+          testErrors.forEach(error => errors.push({
+            test: spec.title,
+            retry: error.retry,
+            message: error.message,
+            stack: error.stack,
+            timestamp: new Date().toISOString()
+          }));
+        }
+      }
+
+      for (const child of suite.suites || []) {
+        walk(child, [...describePath, child.title]);
+      }
+    };
+
+    // Top-level suites are spec files, so describe paths start below them
+    for (const fileSuite of playwrightResults.suites || []) {
+      walk(fileSuite, []);
+    }
+
+    const countStatus = (list, ...statuses) => list.filter(test => statuses.includes(test.status)).length;
+
+    // Break results down per Playwright project (browser or device profile)
+    const browserResults = {};
+    for (const project of [...new Set(tests.map(test => test.project))]) {
+      const projectTests = tests.filter(test => test.project === project);
+      const projectSummary = {
+        tests: projectTests,
+        passed: countStatus(projectTests, 'passed'),
+        failed: countStatus(projectTests, 'failed', 'timedOut', 'interrupted'),
+        flaky: countStatus(projectTests, 'flaky')
+      };
+
+      browserResults[project] = {
+        status: this.getRunStatus(projectSummary),
+        passed: projectSummary.passed,
+        failed: projectSummary.failed,
+        flaky: projectSummary.flaky,
+        skipped: countStatus(projectTests, 'skipped'),
+        total: projectTests.length,
+        duration: projectTests.reduce((total, test) => total + test.duration, 0)
+      };
+    }
+
+    return {
+      tests,
+      browserResults,
+      passed: countStatus(tests, 'passed'),
+      failed: countStatus(tests, 'failed', 'timedOut', 'interrupted'),
+      flaky: countStatus(tests, 'flaky'),
+      skipped: countStatus(tests, 'skipped'),
+      duration: Math.round(playwrightResults.stats?.duration
+        || tests.reduce((total, test) => total + test.duration, 0)),
+      errors
+    };
+  }
+
+  /**
+   * Generate a spec file containing every test case of the run. Cases with
+   * a `describe` value are grouped into a nested test.describe block.
+   * @param {string} testName - Suite name
+   * @param {Array} testCases - [{ name, testCode, describe }]
+   * @param {Object} options - { accessibility, performance, har } run options
+   * @returns {string} - Spec file content
+   */
+  generateTestFile(testName, testCases, options = {}) {
+    const sanitizedTestName = this.sanitizeTestName(testName);
+    const groups = new Map();
+    const blocks = [];
+
+    for (const testCase of testCases) {
+      if (testCase.describe) {
+        const groupName = this.sanitizeTestName(testCase.describe);
+        if (!groups.has(groupName)) {
+          groups.set(groupName, []);
+          blocks.push({ group: groupName });
+        }
+        groups.get(groupName).push(testCase);
+      } else {
+        blocks.push({ testCase });
+      }
+    }
+
+    const body = blocks.map(({ group, testCase }) => {
+      if (testCase) {
+        return this.generateTestBlock(testCase.name, testCase.testCode, '  ');
+      }
+
+      const groupTests = groups.get(group)
+        .map(groupCase => this.generateTestBlock(groupCase.name, groupCase.testCode, '    '))
+        .join('\n\n');
+
+      return `  test.describe('${group}', () => {
+${groupTests}
+  });`;
+    }).join('\n\n');
+
+    // Always first, so no other hook navigates before it is installed
+    const navigationPrelude = `\n// page.goto and frame.goto refuse file: URLs
+const { installNavigationGuard } = require(${JSON.stringify(require.resolve('../utils/navigation-guard'))});
+installNavigationGuard(test);\n`;
+
+    // Project secrets arrive through the environment, never in the spec file
+    const secretsPrelude = this.getSecretReferences(testCases).length > 0
+      ? `\n// Project secrets referenced as secrets.NAME
+const secrets = Object.freeze(JSON.parse(process.env.E2E_SECRETS || '{}'));\n`
+      : '';
+
+    // The helper saves snapshots for the server to compare after the run
+    const snapshotPrelude = testCases.some(testCase => SNAPSHOT_CALL_PATTERN.test(testCase.testCode || ''))
+      ? `\n// Visual snapshots taken with await snapshot(page, 'name')
+const { snapshot } = require(${JSON.stringify(require.resolve('../utils/visual-snapshot'))});\n`
+      : '';
+
+    // Declared before the accessibility hooks so audits are not measured
+    const performancePrelude = options.performance
+      ? `\n// Navigation timing, Web Vitals and requests measured for each page.goto
+const { installPerformanceMetrics } = require(${JSON.stringify(require.resolve('../utils/performance-metrics'))});
+installPerformanceMetrics(test);\n`
+      : '';
+
+    // The HAR of each test is written when its browser context closes
+    const harPrelude = options.har
+      ? `\n// Network traffic of each test recorded as a HAR
+const { installHarRecording } = require(${JSON.stringify(require.resolve('../utils/har-recorder'))});
+installHarRecording(test);\n`
+      : '';
+
+    // Audits run in the page; the server applies the project's impact threshold
+    const accessibilityPrelude = options.accessibility ||
+      testCases.some(testCase => ACCESSIBILITY_CALL_PATTERN.test(testCase.testCode || ''))
+      ? `\n// Accessibility audits (axe-core) at await checkAccessibility(page, 'name'), and after
+// each page.goto/page.reload when the run audits on navigation
+const { checkAccessibility, installAccessibilityAudits } = require(${JSON.stringify(require.resolve('../utils/accessibility-audit'))});
+installAccessibilityAudits(test);\n`
+      : '';
+
+    return `const { test, expect } = require('@playwright/test');
+${navigationPrelude}${secretsPrelude}${snapshotPrelude}${harPrelude}${performancePrelude}${accessibilityPrelude}
+test.describe('${sanitizedTestName}', () => {
+${body}
+});`;
+  }
+
+  /**
+   * Strip characters that could break out of a quoted test title
+   * @param {string} name - Raw name
+   * @returns {string} - Sanitized name
+   */
+  sanitizeTestName(name) {
+    return String(name).replace(/[^a-zA-Z0-9\s]/g, '').trim();
+  }
+
+  /**
+   * Validate a list of test cases for a multi-test run
+   * @param {Array} testCases - [{ name, testCode, describe }]
+   * @returns {Array} - Validation issues (empty when valid)
+   */
+  validateTestCases(testCases) {
+    const issues = [];
+    const seen = new Set();
+
+    testCases.forEach((testCase, index) => {
+      if (!testCase || typeof testCase !== 'object') {
+        issues.push(`testCases[${index}] must be an object`);
+        return;
+      }
+      if (!testCase.name || !this.sanitizeTestName(testCase.name)) {
+        issues.push(`testCases[${index}].name is required`);
+      }
+      if (!testCase.testCode || typeof testCase.testCode !== 'string') {
+        issues.push(`testCases[${index}].testCode is required`);
+      }
+
+      // Playwright rejects duplicate titles within the same describe block
+      const key = `${this.sanitizeTestName(testCase.describe || '')}/${this.sanitizeTestName(testCase.name || '')}`;
+      if (seen.has(key)) {
+        issues.push(`testCases[${index}] duplicates the name "${testCase.name}" in the same describe group`);
+      }
+      seen.add(key);
+    });
+
+    return issues;
+  }
+
+  generateTestBlock(name, testCode, indent) {
+    const sanitizedName = this.sanitizeTestName(name);
+
     // Clean the test code and ensure it's properly formatted
     let cleanedCode = testCode.trim();
     
@@ -305,39 +1758,52 @@ class TestRunner {
       .split('\n')
       .map(line => line.trim())
       .filter(line => line.length > 0)
-      .map(line => `    ${line}`)
+      .map(line => `${indent}  ${line}`)
       .join('\n');
 
-    return `const { test, expect } = require('@playwright/test');
-
-test.describe('${sanitizedTestName}', () => {
-  test('${sanitizedTestName}', async ({ page }) => {
-    try {
+    return `${indent}test('${sanitizedName}', async ({ page }) => {
+${indent}  try {
 ${cleanedCode}
-    } catch (error) {
-      console.error('Test execution error:', error);
-      throw error;
-    }
-  });
-});`;
+${indent}  } catch (error) {
+${indent}    console.error('Test execution error:', error);
+${indent}    throw error;
+${indent}  }
+${indent}});`;
   }
 
-  generatePlaywrightConfig({ testDir, outputDir, reportDir, browserType, headless, viewport }) {
+  /**
+   * Generate playwright.config.js for a run. The config runs as Node code
+   * outside the testCode check, so every value is written as a JSON literal.
+   * @param {Object} options - Run directories, browsers and run options
+   * @returns {string} - Config file content
+   */
+  generatePlaywrightConfig({ testDir, outputDir, reportDir, streamReporterPath, browsers, headless, viewport, contextOptions = {}, retries = 0, timeouts = DEFAULT_TIMEOUTS, baseUrl }) {
+    const projects = browsers.map(browser => this.generateProjectConfig(browser, viewport)).join('\n');
+    const { httpCredentials, ...configContextOptions } = contextOptions;
+
     return `const { defineConfig, devices } = require('@playwright/test');
 
+// Browser context options requested for this run; applied after the device
+// descriptor so they win over its defaults
+const contextOptions = ${JSON.stringify(configContextOptions, null, 2)};
+${httpCredentials ? `
+if (process.env.E2E_HTTP_CREDENTIALS) {
+  contextOptions.httpCredentials = JSON.parse(process.env.E2E_HTTP_CREDENTIALS);
+}
+` : ''}
 module.exports = defineConfig({
-  testDir: '${testDir}',
-  timeout: 30 * 1000,
+  testDir: ${JSON.stringify(testDir)},
+  timeout: ${JSON.stringify(timeouts.test)},
   expect: {
-    timeout: 5000,
+    timeout: ${JSON.stringify(timeouts.expect)},
   },
   fullyParallel: false,
-  retries: 0,
+  retries: ${JSON.stringify(retries)},
   workers: 1,
 
   reporter: [
     ['html', {
-      outputFolder: '${reportDir}',
+      outputFolder: ${JSON.stringify(reportDir)},
       open: 'never'
     }],
     ['json', {
@@ -345,50 +1811,108 @@ module.exports = defineConfig({
     }],
     ['junit', {
       outputFile: 'test-results.xml'
-    }]
+    }],
+    [${JSON.stringify(streamReporterPath)}]
   ],
   
   use: {
     trace: 'on',
     video: 'on', 
     screenshot: 'on',
-    headless: ${headless},
-    viewport: { width: ${viewport.width}, height: ${viewport.height} },
-    ignoreHTTPSErrors: true,
-    actionTimeout: 10000,
-    navigationTimeout: 30000,
+    headless: ${JSON.stringify(headless)},
+    viewport: ${JSON.stringify({ width: viewport.width, height: viewport.height })},
+    ignoreHTTPSErrors: true,${baseUrl ? `
+    baseURL: ${JSON.stringify(baseUrl)},` : ''}
+    actionTimeout: ${JSON.stringify(timeouts.action)},
+    navigationTimeout: ${JSON.stringify(timeouts.navigation)},
   },
 
   projects: [
-    {
-      name: '${browserType}',
-      use: { 
-        ...devices[${this.getDeviceConfig(browserType)}] 
-      },
-    },
+${projects}
   ],
 
-  outputDir: '${outputDir}',
+  outputDir: ${JSON.stringify(outputDir)},
 });`;
   }
 
+  /**
+   * Generate one entry of the config's projects array. Desktop browsers get
+   * the requested viewport; device profiles keep their own.
+   * @param {string} browser - Browser name or Playwright device name
+   * @param {Object} viewport - Requested viewport
+   * @returns {string} - Project config source
+   */
+  generateProjectConfig(browser, viewport) {
+    if (this.isDeviceProfile(browser)) {
+      return `    {
+      name: ${JSON.stringify(browser)},
+      use: {
+        ...devices[${JSON.stringify(browser)}],
+        ...contextOptions,
+      },
+    },`;
+    }
+
+    return `    {
+      name: ${JSON.stringify(browser)},
+      use: {
+        ...devices[${JSON.stringify(this.getDeviceConfig(browser))}],
+        viewport: ${JSON.stringify({ width: viewport.width, height: viewport.height })},
+        ...contextOptions,
+      },
+    },`;
+  }
+
+  /**
+   * Check whether a browsers entry names a Playwright device profile
+   * (e.g. "iPhone 13") rather than a desktop browser
+   * @param {string} browser - Browser or device name
+   * @returns {boolean}
+   */
+  isDeviceProfile(browser) {
+    return !TestRunner.BROWSER_NAMES.includes(browser) && Object.prototype.hasOwnProperty.call(devices, browser);
+  }
+
+  /**
+   * Validate the browsers of a matrix run
+   * @param {Array} browsers - Browser names and/or device profile names
+   * @returns {Array} - Validation issues (empty when valid)
+   */
+  validateBrowsers(browsers) {
+    if (!Array.isArray(browsers) || browsers.length === 0) {
+      return ['browsers must be a non-empty array'];
+    }
+
+    const issues = browsers
+      .filter(browser => typeof browser !== 'string' || (!TestRunner.BROWSER_NAMES.includes(browser) && !this.isDeviceProfile(browser)))
+      .map(browser => `Unknown browser or device profile: ${browser}`);
+
+    if (new Set(browsers).size !== browsers.length) {
+      issues.push('browsers must not contain duplicates');
+    }
+
+    return issues;
+  }
+
   getDeviceConfig(browserType) {
     switch (browserType.toLowerCase()) {
       case 'firefox':
-        return "'Desktop Firefox'";
+        return 'Desktop Firefox';
       case 'webkit':
       case 'safari':
-        return "'Desktop Safari'";
+        return 'Desktop Safari';
       case 'chromium':
       case 'chrome':
       default:
-        return "'Desktop Chrome'";
+        return 'Desktop Chrome';
     }
   }
 
   async getTestStatus(testId) {
     if (this.runningTests.has(testId)) {
-      return this.runningTests.get(testId);
+      const status = this.runningTests.get(testId);
+      const queueInfo = status.status === 'queued' ? this.getQueueInfo(testId) : null;
+      return queueInfo ? { ...status, ...queueInfo } : status;
     }
 
     // Try to load from file
@@ -397,6 +1921,11 @@ module.exports = defineConfig({
       const resultData = await fs.readFile(resultPath, 'utf8');
       return JSON.parse(resultData);
     } catch (error) {
+      // Artifacts may have been cleaned up; the run history still has it
+      const run = this.history ? this.history.getRun(testId) : null;
+      if (run) {
+        return run;
+      }
       throw new Error('Test not found');
     }
   }
@@ -407,6 +1936,11 @@ module.exports = defineConfig({
       this.runningTests.delete(testId);
       logger.info(`Removed running test status: ${testId}`);
     }
+    this.runEvents.delete(testId);
+
+    if (this.history) {
+      this.history.deleteRun(testId);
+    }
 
     // Note: The result.json file will be deleted when the test-runs directory is removed
     // This method primarily cleans up the in-memory tracking
@@ -414,4 +1948,6 @@ module.exports = defineConfig({
   }
 }
 
+TestRunner.BROWSER_NAMES = ['chromium', 'firefox', 'webkit'];
+
 module.exports = TestRunner;
\ No newline at end of file
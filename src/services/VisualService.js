@@ -0,0 +1,378 @@
+const fs = require('fs').promises;
+const path = require('path');
+const pixelmatch = require('pixelmatch');
+const { PNG } = require('pngjs');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { readRegularFile, resolveRegularFile } = require('../utils/runFiles');
+const { SNAPSHOT_NAME_PATTERN, snapshotKey } = require('../utils/visual-snapshot');
+
+const KEY_PATTERN = /^[0-9a-f]{24}$/;
+
+// Snapshot images kept for a run: <key>-baseline.png, <key>.png, <key>-diff.png
+const SNAPSHOT_IMAGES = ['baseline', 'actual', 'diff'];
+
+/**
+ * Pixel difference between two decoded PNGs (pixelmatch). Anti-aliased
+ * pixels are not counted; pixels outside the smaller image count as
+ * different. The diff image shows unchanged pixels as a faded copy of the
+ * baseline, changed ones in red and anti-aliasing in yellow.
+ * @param {Object} expected - Baseline ({ width, height, data })
+ * @param {Object} actual - New screenshot
+ * @param {number} colorThreshold - pixelmatch threshold (0-1): how far
+ *   apart two colors may be and still count as equal
+ * @returns {Object} - { mismatchPixels, width, height, diff (PNG) }
+ */
+function diffImages(expected, actual, colorThreshold) {
+  const width = Math.max(expected.width, actual.width);
+  const height = Math.max(expected.height, actual.height);
+  const overlapWidth = Math.min(expected.width, actual.width);
+  const overlapHeight = Math.min(expected.height, actual.height);
+
+  // pixelmatch needs equal sizes: compare the area both images cover
+  const crop = (image) => {
+    if (image.width === overlapWidth && image.height === overlapHeight) {
+      return image;
+    }
+    const cropped = new PNG({ width: overlapWidth, height: overlapHeight });
+    PNG.bitblt(image, cropped, 0, 0, overlapWidth, overlapHeight, 0, 0);
+    return cropped;
+  };
+  const overlapDiff = new PNG({ width: overlapWidth, height: overlapHeight });
+  const overlapMismatch = pixelmatch(crop(expected).data, crop(actual).data, overlapDiff.data,
+    overlapWidth, overlapHeight, { threshold: colorThreshold, includeAA: false });
+
+  const diff = new PNG({ width, height });
+  for (let offset = 0; offset < diff.data.length; offset += 4) {
+    diff.data.set([255, 0, 0, 255], offset);
+  }
+  PNG.bitblt(overlapDiff, diff, 0, 0, overlapWidth, overlapHeight, 0, 0);
+
+  return {
+    mismatchPixels: overlapMismatch + (width * height - overlapWidth * overlapHeight),
+    width,
+    height,
+    diff
+  };
+}
+
+/**
+ * Visual regression baselines per project. Tests capture snapshots with
+ * snapshot(page, name); after a run each one is compared with the approved
+ * baseline for its test, name, browser and viewport, producing a diff image
+ * and a mismatch percentage. A run's snapshots become baselines only when
+ * approved. Baseline metadata is one JSON file; images live under
+ * data/baselines/<projectId>/. Each run's compared images are copied out of
+ * its (sandbox-owned) run directory into reports/visual/<testId>/.
+ */
+class VisualService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(__dirname, '../../data/baselines.json');
+    this.imageDir = options.imageDir || path.join(__dirname, '../../data/baselines');
+    this.runImageDir = options.runImageDir || path.join(__dirname, '../../reports/visual');
+    this.projectSettings = options.projectSettings || null;
+    this.baselines = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.baselines) {
+      this.baselines = await readJsonFile(this.filePath, {});
+    }
+    return this.baselines;
+  }
+
+  getImagePath(projectId, key) {
+    // Project IDs are free-form; keep them to one path segment
+    const projectDir = encodeURIComponent(projectId).replace(/\./g, '%2E');
+    return path.join(this.imageDir, projectDir, `${key}.png`);
+  }
+
+  /**
+   * Baselines of a project
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<Array>} - Baselines sorted by test, name and browser
+   */
+  async listBaselines(projectId) {
+    const baselines = await this.load();
+    return Object.values(baselines[projectId] || {}).sort((a, b) =>
+      a.test.localeCompare(b.test) || a.name.localeCompare(b.name)
+      || a.browser.localeCompare(b.browser) || a.viewport.localeCompare(b.viewport));
+  }
+
+  /**
+   * Get one baseline
+   * @param {string} projectId - Project identifier
+   * @param {string} key - Snapshot key
+   * @returns {Promise<Object|null>}
+   */
+  async getBaseline(projectId, key) {
+    const baselines = await this.load();
+    return (baselines[projectId] || {})[key] || null;
+  }
+
+  /**
+   * Remove a baseline; the snapshot's next capture is reported as new
+   * @param {string} projectId - Project identifier
+   * @param {string} key - Snapshot key
+   * @returns {Promise<boolean>} - false when there was no such baseline
+   */
+  async deleteBaseline(projectId, key) {
+    const baselines = await this.load();
+    if (!baselines[projectId] || !baselines[projectId][key]) {
+      return false;
+    }
+
+    delete baselines[projectId][key];
+    if (Object.keys(baselines[projectId]).length === 0) {
+      delete baselines[projectId];
+    }
+    await this.save();
+    await fs.rm(this.getImagePath(projectId, key), { force: true });
+
+    logger.info('Visual baseline deleted', { projectId, key });
+    return true;
+  }
+
+  /**
+   * Read the snapshot metadata a run wrote, ignoring entries whose fields do
+   * not match their key (test code could write files of its own)
+   * @param {string} snapshotDir - The run's snapshots directory
+   * @returns {Promise<Array>} - [{ key, test, name, browser, viewport }]
+   */
+  async readRunSnapshots(snapshotDir) {
+    let files;
+    try {
+      files = await fs.readdir(snapshotDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files.filter(name => /^[0-9a-f]{24}\.json$/.test(name))) {
+      try {
+        const { key, test, name, browser, viewport } = JSON.parse(await readRegularFile(path.join(snapshotDir, file), 'utf8'));
+        const entry = { key, test, name, browser, viewport };
+        if (`${key}.json` === file && SNAPSHOT_NAME_PATTERN.test(name) && snapshotKey(entry) === key
+          && [test, browser, viewport].every(value => typeof value === 'string')) {
+          entries.push(entry);
+        } else {
+          logger.warn('Ignoring invalid snapshot metadata', { file });
+        }
+      } catch (error) {
+        logger.warn('Ignoring unreadable snapshot metadata', { file, error: error.message });
+      }
+    }
+
+    return entries.sort((a, b) =>
+      a.test.localeCompare(b.test) || a.name.localeCompare(b.name) || a.browser.localeCompare(b.browser));
+  }
+
+  /**
+   * Compare a finished run's snapshots with the project's baselines. Each
+   * snapshot is copied to the run's image directory with the
+   * <key>-baseline.png and <key>-diff.png it was compared against.
+   * @param {string} projectId - Project identifier
+   * @param {string} runDir - The run's working directory
+   * @param {string} testId - Test ID
+   * @returns {Promise<Object|null>} - { threshold, total, passed, changed,
+   *   new, error, snapshots }, or null when the run took no snapshots
+   */
+  async compareRun(projectId, runDir, testId) {
+    const snapshotDir = path.join(runDir, 'snapshots');
+    const entries = await this.readRunSnapshots(snapshotDir);
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const imageDir = this.getRunImageDir(testId);
+    await fs.rm(imageDir, { recursive: true, force: true });
+    await fs.mkdir(imageDir, { recursive: true, mode: 0o700 });
+
+    const settings = this.projectSettings ? await this.projectSettings.getSettings(projectId) : {};
+    const threshold = settings.visualThreshold ?? VisualService.DEFAULT_THRESHOLD;
+    const snapshots = [];
+
+    for (const entry of entries) {
+      const baseline = await this.getBaseline(projectId, entry.key);
+      try {
+        const actualImage = await readRegularFile(path.join(snapshotDir, `${entry.key}.png`));
+        const actual = PNG.sync.read(actualImage);
+        await fs.writeFile(path.join(imageDir, `${entry.key}.png`), actualImage);
+        const snapshot = { ...entry, width: actual.width, height: actual.height };
+
+        if (!baseline) {
+          snapshots.push({ ...snapshot, status: 'new', mismatchPercent: null });
+          continue;
+        }
+
+        const baselineImage = await fs.readFile(this.getImagePath(projectId, entry.key));
+        await fs.writeFile(path.join(imageDir, `${entry.key}-baseline.png`), baselineImage);
+
+        const { mismatchPixels, width, height, diff } = diffImages(PNG.sync.read(baselineImage), actual, VisualService.COLOR_THRESHOLD);
+        await fs.writeFile(path.join(imageDir, `${entry.key}-diff.png`), PNG.sync.write(diff));
+
+        const mismatchPercent = Math.round((mismatchPixels / (width * height)) * 100000) / 1000;
+        snapshots.push({
+          ...snapshot,
+          status: mismatchPercent > threshold ? 'changed' : 'passed',
+          mismatchPercent,
+          mismatchPixels,
+          sizeChanged: baseline.width !== actual.width || baseline.height !== actual.height,
+          baselineApprovedAt: baseline.approvedAt
+        });
+      } catch (error) {
+        logger.error('Failed to compare visual snapshot', { projectId, key: entry.key, error: error.message });
+        snapshots.push({ ...entry, status: 'error', mismatchPercent: null, error: error.message });
+      }
+    }
+
+    const count = status => snapshots.filter(snapshot => snapshot.status === status).length;
+    return {
+      threshold,
+      total: snapshots.length,
+      passed: count('passed'),
+      changed: count('changed'),
+      new: count('new'),
+      error: count('error'),
+      snapshots
+    };
+  }
+
+  /**
+   * Make a run's snapshots the project's baselines
+   * @param {Object} run - Finished run result (testId, projectId, visual)
+   * @param {Array} keys - Snapshot keys to approve; default every new and
+   *   changed snapshot of the run
+   * @param {string} approvedBy - Name of the approving API key or user
+   * @returns {Promise<Object>} - { issues, approved }
+   */
+  async approveSnapshots(run, keys, approvedBy) {
+    const runSnapshots = (run.visual && run.visual.snapshots) || [];
+    if (keys !== undefined && (!Array.isArray(keys) || keys.some(key => typeof key !== 'string'))) {
+      return { issues: ['snapshotKeys must be an array of snapshot keys'], approved: [] };
+    }
+
+    const selected = keys === undefined
+      ? runSnapshots.filter(snapshot => ['new', 'changed'].includes(snapshot.status))
+      : keys.map(key => runSnapshots.find(snapshot => snapshot.key === key) || key);
+    const issues = selected
+      .filter(snapshot => typeof snapshot === 'string')
+      .map(key => `Run ${run.testId} has no snapshot ${key}`);
+    if (issues.length > 0) {
+      return { issues, approved: [] };
+    }
+
+    const baselines = await this.load();
+    const projectBaselines = baselines[run.projectId] || {};
+    const approved = [];
+
+    for (const snapshot of selected) {
+      const imagePath = this.getImagePath(run.projectId, snapshot.key);
+      try {
+        const image = await readRegularFile(this.getRunImagePath(run.testId, snapshot.key, 'actual'));
+        await fs.mkdir(path.dirname(imagePath), { recursive: true });
+        await fs.writeFile(imagePath, image);
+      } catch (error) {
+        issues.push(error.code === 'ENOENT'
+          ? `Snapshot ${snapshot.key} of run ${run.testId} is no longer available`
+          : `Snapshot ${snapshot.key} could not be approved: ${error.message}`);
+        continue;
+      }
+
+      const now = new Date().toISOString();
+      projectBaselines[snapshot.key] = {
+        key: snapshot.key,
+        projectId: run.projectId,
+        test: snapshot.test,
+        name: snapshot.name,
+        browser: snapshot.browser,
+        viewport: snapshot.viewport,
+        width: snapshot.width,
+        height: snapshot.height,
+        approvedFromTestId: run.testId,
+        approvedBy,
+        approvedAt: now,
+        createdAt: (projectBaselines[snapshot.key] || {}).createdAt || now
+      };
+      approved.push(projectBaselines[snapshot.key]);
+    }
+
+    if (approved.length > 0) {
+      baselines[run.projectId] = projectBaselines;
+      await this.save();
+      logger.info('Visual baselines approved', {
+        projectId: run.projectId,
+        testId: run.testId,
+        keys: approved.map(baseline => baseline.key),
+        approvedBy
+      });
+    }
+
+    return { issues, approved };
+  }
+
+  /**
+   * Directory holding a run's compared snapshot images
+   * @param {string} testId - Test ID
+   * @returns {string}
+   */
+  getRunImageDir(testId) {
+    return path.join(this.runImageDir, path.basename(testId));
+  }
+
+  /**
+   * Path of one of a run's snapshot images
+   * @param {string} testId - Test ID
+   * @param {string} key - Snapshot key
+   * @param {string} image - 'actual', 'baseline' or 'diff'
+   * @returns {string|null} - null for an invalid key or image
+   */
+  getRunImagePath(testId, key, image) {
+    if (!KEY_PATTERN.test(key) || !SNAPSHOT_IMAGES.includes(image)) {
+      return null;
+    }
+    const suffix = image === 'actual' ? '' : `-${image}`;
+    return path.join(this.getRunImageDir(testId), `${key}${suffix}.png`);
+  }
+
+  /**
+   * Resolve one of a run's snapshot images for serving
+   * @param {string} testId - Test ID
+   * @param {string} key - Snapshot key
+   * @param {string} image - 'actual', 'baseline' or 'diff'
+   * @returns {Promise<string|null>} - null when missing or not a regular file
+   */
+  async resolveRunImage(testId, key, image) {
+    const imagePath = this.getRunImagePath(testId, key, image);
+    return imagePath ? resolveRegularFile(this.getRunImageDir(testId), imagePath) : null;
+  }
+
+  /**
+   * Delete a run's snapshot images
+   * @param {string} testId - Test ID
+   */
+  async removeRunImages(testId) {
+    await fs.rm(this.getRunImageDir(testId), { recursive: true, force: true });
+  }
+
+  save() {
+    // Serialize writes so concurrent approvals cannot interleave
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => writeJsonFile(this.filePath, this.baselines));
+    return this.writeQueue;
+  }
+}
+
+// Largest mismatch (percent of pixels) a snapshot may have and still pass,
+// unless the project's visualThreshold setting says otherwise
+VisualService.DEFAULT_THRESHOLD = 0;
+VisualService.COLOR_THRESHOLD = 0.1;
+VisualService.KEY_PATTERN = KEY_PATTERN;
+VisualService.SNAPSHOT_IMAGES = SNAPSHOT_IMAGES;
+
+module.exports = VisualService;
@@ -0,0 +1,318 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { validateCallbackUrl, validateTags } = require('../utils/runOptions');
+const { TRIGGER_SOURCES } = require('../utils/listQuery');
+const { validatePayloadTemplate, renderPayloadTemplate } = require('../utils/payloadTemplate');
+
+const WEBHOOK_EVENTS = ['run.queued', 'run.started', 'run.completed', 'run.failed', 'run.flaky'];
+
+// Fields a client may set on a subscription
+const FIELDS = ['projectId', 'url', 'events', 'filters', 'payloadTemplate', 'description', 'active'];
+
+// Final run statuses that also raise run.failed
+const FAILED_STATUSES = ['failed', 'timedOut'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function pickFields(fields) {
+  return Object.fromEntries(Object.entries(fields || {})
+    .filter(([key]) => FIELDS.includes(key)));
+}
+
+function validateFilters(filters) {
+  if (!isPlainObject(filters)) {
+    return ['filters must be an object'];
+  }
+
+  const issues = [];
+  for (const [key, value] of Object.entries(filters)) {
+    if (key === 'sources') {
+      if (!Array.isArray(value) || !value.every(source => TRIGGER_SOURCES.includes(source))) {
+        issues.push(`filters.sources must be an array of: ${TRIGGER_SOURCES.join(', ')}`);
+      }
+    } else if (key === 'tags') {
+      issues.push(...validateTags(value).map(issue => `filters.${issue}`));
+    } else if (key === 'testName') {
+      if (typeof value !== 'string' || value.length === 0 || value.length > 200) {
+        issues.push('filters.testName must be a non-empty string (max 200 characters)');
+      }
+    } else {
+      issues.push(`Unknown filter: ${key}`);
+    }
+  }
+  return issues;
+}
+
+/**
+ * Project-level webhook subscriptions to run lifecycle events. Matching
+ * events are delivered through CallbackService, so they are signed with
+ * the project's signing secret and retried like result callbacks.
+ * Subscriptions are stored as one JSON file.
+ */
+class WebhookService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(__dirname, '../../data/webhooks.json');
+    this.callbacks = options.callbacks;
+    this.history = options.history;
+    // Public URL of this server, used for links in payloads
+    this.publicUrl = (options.publicUrl || '').replace(/\/+$/, '');
+    this.webhooks = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.webhooks) {
+      this.webhooks = await readJsonFile(this.filePath, []);
+    }
+    return this.webhooks;
+  }
+
+  /**
+   * List subscriptions
+   * @param {Object} filters - projectId (optional)
+   * @returns {Promise<Array>} - Subscriptions
+   */
+  async listWebhooks(filters = {}) {
+    const webhooks = await this.load();
+    return filters.projectId
+      ? webhooks.filter(webhook => webhook.projectId === filters.projectId)
+      : webhooks;
+  }
+
+  async getWebhook(webhookId) {
+    const webhooks = await this.load();
+    return webhooks.find(webhook => webhook.id === webhookId) || null;
+  }
+
+  /**
+   * Create a subscription
+   * @param {Object} fields - projectId, url, events, filters, payloadTemplate, description, active
+   * @returns {Promise<Object>} - { issues, webhook }
+   */
+  async createWebhook(fields) {
+    const webhooks = await this.load();
+    const now = new Date().toISOString();
+    const webhook = {
+      id: uuidv4(),
+      filters: {},
+      payloadTemplate: null,
+      description: '',
+      active: true,
+      ...pickFields(fields),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const issues = this.validateWebhook(webhook);
+    if (issues.length > 0) {
+      return { issues, webhook: null };
+    }
+
+    webhooks.push(webhook);
+    await this.save();
+
+    logger.info('Webhook created', { webhookId: webhook.id, projectId: webhook.projectId, events: webhook.events });
+    return { issues: [], webhook };
+  }
+
+  /**
+   * Change fields of a subscription
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object|null>} - { issues, webhook }, null if not found
+   */
+  async updateWebhook(webhookId, updates) {
+    const webhooks = await this.load();
+    const index = webhooks.findIndex(webhook => webhook.id === webhookId);
+    if (index === -1) {
+      return null;
+    }
+
+    const webhook = {
+      ...webhooks[index],
+      ...pickFields(updates),
+      updatedAt: new Date().toISOString()
+    };
+
+    const issues = this.validateWebhook(webhook);
+    if (issues.length > 0) {
+      return { issues, webhook: null };
+    }
+
+    webhooks[index] = webhook;
+    await this.save();
+
+    logger.info('Webhook updated', { webhookId, keys: Object.keys(pickFields(updates)) });
+    return { issues: [], webhook };
+  }
+
+  /**
+   * Delete a subscription; its pending deliveries are cancelled
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<boolean>} - Whether it existed
+   */
+  async deleteWebhook(webhookId) {
+    const webhooks = await this.load();
+    const index = webhooks.findIndex(webhook => webhook.id === webhookId);
+    if (index === -1) {
+      return false;
+    }
+
+    webhooks.splice(index, 1);
+    await this.save();
+    const cancelled = this.history.cancelWebhookDeliveries(webhookId);
+
+    logger.info('Webhook deleted', { webhookId, cancelledDeliveries: cancelled });
+    return true;
+  }
+
+  validateWebhook(webhook) {
+    const issues = [];
+    if (typeof webhook.projectId !== 'string' || webhook.projectId.trim() === '' || webhook.projectId.length > 200) {
+      issues.push('projectId is required (max 200 characters)');
+    }
+    issues.push(...validateCallbackUrl(webhook.url, 'url'));
+    if (!Array.isArray(webhook.events) || webhook.events.length === 0 ||
+      !webhook.events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      issues.push(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+    } else if (new Set(webhook.events).size !== webhook.events.length) {
+      issues.push('events must not contain duplicates');
+    }
+    issues.push(...validateFilters(webhook.filters));
+    if (webhook.payloadTemplate !== null) {
+      issues.push(...validatePayloadTemplate(webhook.payloadTemplate));
+    }
+    if (typeof webhook.description !== 'string' || webhook.description.length > 500) {
+      issues.push('description must be a string of at most 500 characters');
+    }
+    if (typeof webhook.active !== 'boolean') {
+      issues.push('active must be a boolean');
+    }
+    return issues;
+  }
+
+  /**
+   * Deliver lifecycle events of the runner's runs to matching subscriptions
+   * @param {EventEmitter} testRunner - TestRunner emitting 'event'
+   */
+  attach(testRunner) {
+    testRunner.on('event', (event) => {
+      const names = this.toWebhookEvents(event);
+      if (names.length > 0) {
+        this.dispatch(event.testId, names, event.timestamp)
+          .catch(error => logger.error('Webhook dispatch failed', { testId: event.testId, events: names, error: error.message }));
+      }
+    });
+  }
+
+  /**
+   * Webhook events raised by a run event
+   * @param {Object} event - Run event ({ type, data })
+   * @returns {Array} - Webhook event names
+   */
+  toWebhookEvents({ type, data }) {
+    if (type === 'status') {
+      return { queued: ['run.queued'], running: ['run.started'] }[data.status] || [];
+    }
+    if (type !== 'end') {
+      return [];
+    }
+
+    const names = ['run.completed'];
+    if (FAILED_STATUSES.includes(data.status)) {
+      names.push('run.failed');
+    } else if (data.status === 'flaky') {
+      names.push('run.flaky');
+    }
+    return names;
+  }
+
+  async dispatch(testId, names, timestamp) {
+    const run = this.history.getRun(testId);
+    if (!run) {
+      return;
+    }
+
+    const webhooks = (await this.listWebhooks({ projectId: run.projectId }))
+      .filter(webhook => webhook.active && this.matchesFilters(webhook.filters, run));
+
+    for (const name of names) {
+      for (const webhook of webhooks.filter(({ events }) => events.includes(name))) {
+        this.callbacks.enqueue({
+          testId,
+          projectId: run.projectId,
+          url: webhook.url,
+          event: name,
+          webhookId: webhook.id,
+          payload: this.buildPayload(webhook, name, timestamp, run)
+        });
+      }
+    }
+  }
+
+  matchesFilters(filters, run) {
+    if (filters.sources && !filters.sources.includes(run.source)) {
+      return false;
+    }
+    if (filters.tags && !filters.tags.some(tag => run.tags.includes(tag))) {
+      return false;
+    }
+    if (filters.testName && !run.testName.toLowerCase().includes(filters.testName.toLowerCase())) {
+      return false;
+    }
+    return true;
+  }
+
+  buildPayload(webhook, event, timestamp, run) {
+    const context = {
+      event,
+      timestamp,
+      webhook: { id: webhook.id, projectId: webhook.projectId },
+      run: {
+        testId: run.testId,
+        projectId: run.projectId,
+        testName: run.testName,
+        status: run.status,
+        passed: run.passed,
+        failed: run.failed,
+        flaky: run.flaky,
+        skipped: run.skipped,
+        total: run.total,
+        duration: run.duration,
+        browsers: run.browsers,
+        tags: run.tags,
+        source: run.source,
+        runByUserId: run.runByUserId || null,
+        scheduleId: run.scheduleId || null,
+        baseUrl: run.baseUrl || null,
+        queuedAt: run.queuedAt || null,
+        startTime: run.startTime || null,
+        endTime: run.endTime || null,
+        errors: (run.errors || []).map(error => error.message),
+        testCaseResults: run.testCaseResults || null
+      },
+      links: {
+        status: `${this.publicUrl}/api/test/status/${run.testId}`,
+        report: `${this.publicUrl}/api/report/${run.testId}/view`
+      }
+    };
+
+    return webhook.payloadTemplate === null
+      ? context
+      : renderPayloadTemplate(webhook.payloadTemplate, context);
+  }
+
+  save() {
+    // Serialize writes so concurrent updates cannot interleave
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => writeJsonFile(this.filePath, this.webhooks));
+    return this.writeQueue;
+  }
+}
+
+WebhookService.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookService;
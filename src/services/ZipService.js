@@ -3,6 +3,42 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 
+// Playwright's scratch space for artifacts still being written
+const SCRATCH_DIR_PATTERN = /^\.playwright-artifacts-/;
+
+/**
+ * Queue every file below a directory. Files are added one by one rather than
+ * through archive.directory(), whose directory walk stalls for good when a
+ * file disappears between listing and reading; a vanished file here is only
+ * skipped with an ENOENT warning.
+ * @param {Archiver} archive - Archive to add to
+ * @param {string} dir - Directory on disk
+ * @param {string} prefix - Path of the directory inside the zip
+ */
+async function addDirectory(archive, dir, prefix) {
+  let entries = [];
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  for (const entry of entries) {
+    if (SCRATCH_DIR_PATTERN.test(entry.name)) {
+      continue;
+    }
+    const source = path.join(dir, entry.name);
+    const name = path.posix.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      await addDirectory(archive, source, name);
+    } else if (entry.isFile()) {
+      archive.file(source, { name });
+    }
+  }
+}
+
 class ZipService {
   async createZip({ testId, reportPath, zipFileName }) {
     return new Promise(async (resolve, reject) => {
@@ -70,7 +106,7 @@ class ZipService {
         for (const playwrightReportDir of possibleReportDirs) {
           try {
             await fs.promises.access(playwrightReportDir);
-            archive.directory(playwrightReportDir, 'playwright-report');
+            await addDirectory(archive, playwrightReportDir, 'playwright-report');
             logger.info('Added playwright-report to zip', { testId, path: playwrightReportDir });
             reportAdded = true;
             break;
@@ -90,7 +126,7 @@ class ZipService {
         const testResultsDir = path.join(testDir, 'test-results');
         try {
           await fs.promises.access(testResultsDir);
-          archive.directory(testResultsDir, 'test-results');
+          await addDirectory(archive, testResultsDir, 'test-results');
           logger.info('Added test-results to zip', { testId });
         } catch (error) {
           logger.warn('Test results directory not found', { testId, path: testResultsDir });
@@ -100,12 +136,62 @@ class ZipService {
         const testsDir = path.join(testDir, 'tests');
         try {
           await fs.promises.access(testsDir);
-          archive.directory(testsDir, 'tests');
+          await addDirectory(archive, testsDir, 'tests');
           logger.info('Added tests to zip', { testId });
         } catch (error) {
           logger.warn('Tests directory not found', { testId, path: testsDir });
         }
 
+        // Add visual snapshots with the baselines and diffs they were compared
+        // against, as copied out of the run directory by VisualService
+        const snapshotsDir = path.join(__dirname, '../../reports/visual', testId);
+        try {
+          const snapshotFiles = await fs.promises.readdir(snapshotsDir);
+          if (snapshotFiles.length > 0) {
+            await addDirectory(archive, snapshotsDir, 'snapshots');
+            logger.info('Added snapshots to zip', { testId });
+          }
+        } catch (error) {
+          // Runs before visual snapshots existed have no snapshots directory
+        }
+
+        // Add the raw accessibility audits, one JSON file per audit
+        const accessibilityDir = path.join(testDir, 'accessibility');
+        try {
+          const auditFiles = await fs.promises.readdir(accessibilityDir);
+          if (auditFiles.length > 0) {
+            await addDirectory(archive, accessibilityDir, 'accessibility');
+            logger.info('Added accessibility audits to zip', { testId });
+          }
+        } catch (error) {
+          // Runs before accessibility audits existed have no accessibility directory
+        }
+
+        // Add the raw page metrics, one JSON file per page.goto
+        const performanceDir = path.join(testDir, 'performance');
+        try {
+          const metricFiles = await fs.promises.readdir(performanceDir);
+          if (metricFiles.length > 0) {
+            await addDirectory(archive, performanceDir, 'performance');
+            logger.info('Added performance metrics to zip', { testId });
+          }
+        } catch (error) {
+          // Runs without the performance option have no performance directory
+        }
+
+        // Add the recorded HARs with their index entries (open the .har files
+        // in browser devtools or any HAR viewer)
+        const harDir = path.join(testDir, 'har');
+        try {
+          const harFiles = await fs.promises.readdir(harDir);
+          if (harFiles.length > 0) {
+            await addDirectory(archive, harDir, 'har');
+            logger.info('Added HAR recordings to zip', { testId });
+          }
+        } catch (error) {
+          // Runs without the har option have no har directory
+        }
+
         // Add individual result files
         const resultFiles = ['result.json', 'test-results.json', 'test-results.xml', 'playwright.config.js'];
         
@@ -148,6 +234,10 @@ class ZipService {
         'playwright-report/': 'HTML test report with interactive features',
         'test-results/': 'Raw test artifacts (traces, videos, screenshots)',
         'tests/': 'Test specification files',
+        'snapshots/': 'Visual snapshots (<key>.png) with their baseline and diff images',
+        'accessibility/': 'Accessibility audits (axe-core), one JSON file per audit',
+        'performance/': 'Page metrics, one JSON file per page.goto',
+        'har/': 'Network traffic of each test as a HAR, with a JSON index entry naming its test',
         'result.json': 'Structured test execution results',
         'test-results.json': 'Playwright native test results',
         'test-results.xml': 'JUnit XML test results',
@@ -175,9 +265,21 @@ class ZipService {
         status: testResult.status,
         duration: testResult.duration,
         browserType: testResult.browserType,
+        browsers: testResult.browsers || [testResult.browserType],
+        browserResults: testResult.browserResults,
         startTime: testResult.startTime,
         endTime: testResult.endTime
       };
+
+      if (testResult.accessibility) {
+        manifest.accessibility = testResult.accessibility;
+      }
+      if (testResult.performance) {
+        manifest.performance = testResult.performance;
+      }
+      if (testResult.network) {
+        manifest.network = testResult.network;
+      }
     } catch (error) {
       logger.warn('Could not read test result for manifest', { testId, error: error.message });
     }
@@ -193,7 +295,7 @@ class ZipService {
 - **Project ID:** ${manifest.testInfo?.projectId || 'Unknown'}
 - **Status:** ${manifest.testInfo?.status || 'Unknown'}
 - **Duration:** ${manifest.testInfo?.duration ? (manifest.testInfo.duration / 1000).toFixed(2) + 's' : 'Unknown'}
-- **Browser:** ${manifest.testInfo?.browserType || 'Unknown'}
+- **Browser:** ${manifest.testInfo?.browsers?.join(', ') || manifest.testInfo?.browserType || 'Unknown'}
 - **Generated:** ${new Date(manifest.createdAt).toLocaleString()}
 
 ## How to View Results
@@ -221,7 +323,7 @@ npx playwright show-trace test-results/trace.zip
 - \`test-results.json\` - Playwright native results
 - \`test-results.xml\` - JUnit XML format
 
-## Directory Structure
+${this.createAccessibilitySection(manifest.accessibility)}${this.createPerformanceSection(manifest.performance)}${this.createNetworkSection(manifest.network)}## Directory Structure
 \`\`\`
 ${Object.entries(manifest.contents).map(([path, desc]) => `${path.padEnd(25)} - ${desc}`).join('\n')}
 \`\`\`
@@ -236,6 +338,95 @@ Generated by E2E Testing Platform v${manifest.version}
 `;
   }
 
+  /**
+   * README section listing a run's accessibility violations
+   * @param {Object} accessibility - testResult.accessibility, if audited
+   * @returns {string} - Markdown, empty when the run was not audited
+   */
+  createAccessibilitySection(accessibility) {
+    if (!accessibility) {
+      return '';
+    }
+
+    const { byImpact } = accessibility;
+    const rows = accessibility.results.flatMap(audit => audit.violations.map((violation) => {
+      const selector = (violation.nodes[0] || {}).selector || '';
+      const more = violation.nodeCount > 1 ? ` +${violation.nodeCount - 1} more` : '';
+      return `| ${violation.impact} | ${violation.rule} | ${audit.test} (${audit.browser}) | ${audit.url} | \`${selector}\`${more} | [${violation.help}](${violation.helpUrl}) |`;
+    }));
+    const policy = accessibility.failOn === 'none'
+      ? 'Violations do not fail the run'
+      : `Violations at or above **${accessibility.failOn}** impact fail the run${accessibility.blocking > 0 ? ` (${accessibility.blocking} did)` : ''}`;
+    const table = rows.length > 0
+      ? `\n| Impact | Rule | Test | Page | Selector | Help |\n|--------|------|------|------|----------|------|\n${rows.join('\n')}\n`
+      : '';
+
+    return `## Accessibility
+${accessibility.audits} audits, ${accessibility.violations} violations (critical ${byImpact.critical}, serious ${byImpact.serious}, moderate ${byImpact.moderate}, minor ${byImpact.minor}). ${policy}. The full audits are in \`accessibility/\`.
+${table}
+`;
+  }
+
+  /**
+   * README section with the metrics of each measured page and the budgets
+   * they exceeded
+   * @param {Object} performance - testResult.performance, if measured
+   * @returns {string} - Markdown, empty when the run was not measured
+   */
+  createPerformanceSection(performance) {
+    if (!performance) {
+      return '';
+    }
+
+    const value = (metrics, metric, format = String) => (metrics && metrics[metric] !== null ? format(metrics[metric]) : '—');
+    const kilobytes = bytes => `${Math.round(bytes / 1024)} KB`;
+    const rows = performance.results.map(({ metrics, url, requestedUrl, test, browser, error }) =>
+      `| ${url || requestedUrl} | ${test} (${browser}) | ${error ? `failed: ${error}` : `${value(metrics, 'ttfb')} | ${value(metrics, 'fcp')} | ${value(metrics, 'lcp')} | ${value(metrics, 'cls')} | ${value(metrics, 'tbt')} | ${value(metrics, 'inp')} | ${value(metrics, 'requests')} | ${value(metrics, 'transferBytes', kilobytes)}`} |`);
+    const table = rows.length > 0
+      ? `
+| Page | Test | TTFB | FCP | LCP | CLS | TBT | INP | Requests | Transferred |
+|------|------|------|-----|-----|-----|-----|-----|----------|-------------|
+${rows.join('\n')}
+`
+      : '';
+    const violations = performance.violations.length > 0
+      ? `
+Budgets exceeded:
+${performance.violations.map(violation =>
+        `- **${violation.level}** ${violation.metric} ${violation.value} > ${violation.max} on ${violation.url} (${violation.browser})`).join('\n')}
+`
+      : '';
+
+    return `## Performance
+${performance.navigations} page loads measured, ${performance.budgets.length} budgets: **${performance.status}**. Times are in ms; the raw metrics are in \`performance/\`.
+${table}${violations}
+`;
+  }
+
+  /**
+   * README section with a run's request counts and its failed and slow requests
+   * @param {Object} network - testResult.network, if a HAR was recorded
+   * @returns {string} - Markdown, empty when the run recorded no HAR
+   */
+  createNetworkSection(network) {
+    if (!network) {
+      return '';
+    }
+
+    const list = (title, requests) => (requests.length > 0
+      ? `
+${title}:
+${requests.map(request =>
+        `- ${request.status !== null ? request.status : `failed (${request.failure})`} ${request.method} ${request.url} · ${request.duration !== null ? `${request.duration} ms` : '—'} · ${request.test} (${request.browser})`).join('\n')}
+`
+      : '');
+
+    return `## Network
+${network.requests} requests, ${network.failed} failed, ${network.status4xx} 4xx, ${network.status5xx} 5xx, ${network.slow} slower than ${network.slowThreshold} ms, ${Math.round(network.transferBytes / 1024)} KB transferred. The HARs are in \`har/\`; open them in browser devtools or any HAR viewer.
+${list('Failed requests', network.failedRequests)}${list('Slowest requests', network.slowRequests)}
+`;
+  }
+
   async getZipInfo(zipPath) {
     try {
       const stats = await fs.promises.stat(zipPath);
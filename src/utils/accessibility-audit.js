@@ -0,0 +1,133 @@
+/**
+ * Accessibility audits for generated specs, run with axe-core inside the
+ * page. `await checkAccessibility(page, name)` audits at a checkpoint; when
+ * the run's accessibility option audits on "navigation", every page.goto and
+ * page.reload is followed by an audit too. Violations do not fail the test
+ * here: each audit is saved for the server, which applies the project's
+ * impact threshold once the run has finished.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('@playwright/test');
+const { DEFAULT_ACCESSIBILITY_TAGS } = require('./runOptions');
+
+const CHECKPOINT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _.-]{0,99}$/;
+
+// Elements recorded per violated rule, and how much of each one's HTML
+const MAX_NODES = 20;
+const MAX_HTML_LENGTH = 300;
+
+let axeSource = null;
+
+// The run's accessibility option, passed in by the server
+function getConfig() {
+  return {
+    audit: 'checkpoint',
+    tags: DEFAULT_ACCESSIBILITY_TAGS,
+    disableRules: [],
+    ...JSON.parse(process.env.E2E_ACCESSIBILITY || '{}')
+  };
+}
+
+async function audit(page, checkpoint) {
+  const testInfo = test.info();
+  const { tags, disableRules } = getConfig();
+  const result = {
+    // Same test identity as visual snapshots: below the run's describe block
+    test: testInfo.titlePath.slice(2).join(' › '),
+    browser: testInfo.project.name,
+    retry: testInfo.retry,
+    checkpoint,
+    url: page.url(),
+    timestamp: new Date().toISOString()
+  };
+
+  try {
+    if (!axeSource) {
+      axeSource = await fs.promises.readFile(require.resolve('axe-core/axe.min.js'), 'utf8');
+    }
+    if (!(await page.evaluate(() => typeof window.axe === 'object'))) {
+      await page.evaluate(axeSource);
+    }
+
+    Object.assign(result, await page.evaluate(async ({ tags, disableRules, maxNodes, maxHtmlLength }) => {
+      const { violations, passes, incomplete } = await window.axe.run(document, {
+        runOnly: { type: 'tag', values: tags },
+        rules: Object.fromEntries(disableRules.map(rule => [rule, { enabled: false }]))
+      });
+      return {
+        passes: passes.length,
+        incomplete: incomplete.length,
+        violations: violations.map(violation => ({
+          rule: violation.id,
+          impact: violation.impact,
+          description: violation.description,
+          help: violation.help,
+          helpUrl: violation.helpUrl,
+          wcag: violation.tags.filter(tag => tag.startsWith('wcag')),
+          nodeCount: violation.nodes.length,
+          nodes: violation.nodes.slice(0, maxNodes).map(node => ({
+            // Targets inside iframes or shadow roots are lists of selectors
+            selector: node.target.map(part => [].concat(part).join(' >>> ')).join(' '),
+            html: node.html.slice(0, maxHtmlLength),
+            failureSummary: node.failureSummary
+          }))
+        }))
+      };
+    }, { tags, disableRules, maxNodes: MAX_NODES, maxHtmlLength: MAX_HTML_LENGTH }));
+  } catch (error) {
+    result.error = error.message.split('\n')[0];
+  }
+
+  const dir = process.env.E2E_ACCESSIBILITY_DIR || testInfo.outputPath('accessibility');
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, `${crypto.randomUUID()}.json`), JSON.stringify(result));
+  await testInfo.attach(`accessibility: ${checkpoint}`, {
+    body: JSON.stringify(result, null, 2),
+    contentType: 'application/json'
+  });
+
+  return result;
+}
+
+/**
+ * Audit the page at a checkpoint
+ * @param {Object} page - Playwright page
+ * @param {string} name - Checkpoint name
+ * @returns {Promise<Object>} - { checkpoint, url, violations, passes, incomplete }
+ */
+async function checkAccessibility(page, name) {
+  if (typeof name !== 'string' || !CHECKPOINT_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid accessibility checkpoint "${name}": use up to 100 letters, digits, spaces, dots, dashes and underscores`);
+  }
+  return audit(page, name);
+}
+
+/**
+ * Audit after every page.goto and page.reload when the run asks for
+ * navigation audits
+ * @param {Object} testType - The spec's Playwright test object
+ */
+function installAccessibilityAudits(testType) {
+  if (getConfig().audit !== 'navigation') {
+    return;
+  }
+
+  testType.beforeEach(async ({ page }) => {
+    for (const method of ['goto', 'reload']) {
+      const navigate = page[method].bind(page);
+      page[method] = async (...args) => {
+        const response = await navigate(...args);
+        await audit(page, 'navigation');
+        return response;
+      };
+    }
+  });
+}
+
+module.exports = {
+  checkAccessibility,
+  installAccessibilityAudits
+};
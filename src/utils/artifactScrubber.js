@@ -0,0 +1,194 @@
+/**
+ * Removes secret values from a run's artifacts on disk (JSON/XML reports,
+ * the HTML report, traces) before they are served or zipped. Zip archives,
+ * including the one embedded in the HTML report, are unpacked, masked and
+ * repacked.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const archiver = require('archiver');
+const logger = require('./logger');
+
+// Media files never carry typed values as text; leave them untouched
+const BINARY_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webm', '.mp4', '.woff', '.woff2', '.ttf'];
+
+const EMBEDDED_ZIP_PATTERN = /data:application\/zip;base64,([A-Za-z0-9+/=]+)/g;
+
+/**
+ * Read the entries of a zip archive
+ * @param {Buffer} buffer - Zip file content
+ * @returns {Array|null} - [{ name, date, data }], or null if the archive
+ *   uses features this reader does not handle (zip64, other compression)
+ */
+function readZipEntries(buffer) {
+  // End of central directory record, searched from the end (it may be
+  // followed by a comment of up to 64KB)
+  let eocd = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    return null;
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    return null;
+  }
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      return null;
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const dosTime = buffer.readUInt16LE(offset + 12);
+    const dosDate = buffer.readUInt16LE(offset + 14);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff || ![0, 8].includes(method)) {
+      return null;
+    }
+    if (name.endsWith('/')) {
+      continue;
+    }
+
+    const dataStart = localOffset + 30 +
+      buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    entries.push({
+      name,
+      date: new Date(1980 + (dosDate >> 9), ((dosDate >> 5) & 15) - 1, dosDate & 31,
+        dosTime >> 11, (dosTime >> 5) & 63, (dosTime & 31) * 2),
+      data: method === 8 ? zlib.inflateRawSync(raw) : raw
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Build a zip archive in memory
+ * @param {Array} entries - [{ name, date, data }]
+ * @returns {Promise<Buffer>} - Zip file content
+ */
+function writeZip(entries) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const chunks = [];
+
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+
+    for (const { name, date, data } of entries) {
+      archive.append(data, { name, date });
+    }
+    archive.finalize();
+  });
+}
+
+/**
+ * Mask secrets in one file's content
+ * @param {string} name - File or entry name (decides how it is handled)
+ * @param {Buffer} data - Content
+ * @param {Object} masker - Masker from createSecretMasker()
+ * @returns {Promise<Buffer>} - Masked content (the same buffer when unchanged)
+ */
+async function scrubContent(name, data, masker) {
+  const extension = path.extname(name).toLowerCase();
+
+  if (BINARY_EXTENSIONS.includes(extension)) {
+    return data;
+  }
+
+  if (extension === '.zip') {
+    const entries = readZipEntries(data);
+    if (!entries) {
+      logger.warn('Could not scrub secrets from archive; unsupported zip format', { name });
+      return data;
+    }
+
+    let changed = false;
+    for (const entry of entries) {
+      const scrubbed = await scrubContent(entry.name, entry.data, masker);
+      changed = changed || scrubbed !== entry.data;
+      entry.data = scrubbed;
+    }
+    return changed ? writeZip(entries) : data;
+  }
+
+  let masked = masker.maskBuffer(data);
+
+  // The HTML report inlines its data as a base64 zip
+  if (extension === '.html' && masked.includes('data:application/zip;base64,')) {
+    const html = masked.toString('utf8');
+    const replacements = [];
+    for (const match of html.matchAll(EMBEDDED_ZIP_PATTERN)) {
+      const zip = Buffer.from(match[1], 'base64');
+      const scrubbed = await scrubContent('embedded.zip', zip, masker);
+      if (scrubbed !== zip) {
+        replacements.push([match[1], scrubbed.toString('base64')]);
+      }
+    }
+    if (replacements.length > 0) {
+      masked = Buffer.from(replacements.reduce((text, [from, to]) => text.replace(from, to), html));
+    }
+  }
+
+  return masked.equals(data) ? data : masked;
+}
+
+/**
+ * Mask secrets in every file under a directory, rewriting changed files
+ * @param {string} dir - Directory to scrub
+ * @param {Object} masker - Masker from createSecretMasker()
+ * @param {Array} skip - Entry names to leave alone at the top level
+ * @returns {Promise<number>} - Number of files rewritten
+ */
+async function scrubArtifacts(dir, masker, skip = []) {
+  if (!masker.hasSecrets) {
+    return 0;
+  }
+
+  let rewritten = 0;
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+
+  for (const entry of entries) {
+    if (skip.includes(entry.name)) {
+      continue;
+    }
+
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      rewritten += await scrubArtifacts(entryPath, masker);
+    } else if (entry.isFile()) {
+      const data = await fs.readFile(entryPath);
+      const scrubbed = await scrubContent(entry.name, data, masker);
+      if (scrubbed !== data) {
+        await fs.writeFile(entryPath, scrubbed);
+        rewritten++;
+      }
+    }
+  }
+
+  return rewritten;
+}
+
+module.exports = {
+  scrubArtifacts
+};
@@ -0,0 +1,143 @@
+/**
+ * API key authentication and role-based access control. Roles are the
+ * catalog user roles; each grants a fixed set of permissions that routes
+ * require with authorize().
+ */
+
+const TESTER_PERMISSIONS = ['runs:read', 'runs:execute', 'catalog:read', 'testCases:write'];
+
+const ROLE_PERMISSIONS = {
+  tester: TESTER_PERMISSIONS,
+  lead_tester: [
+    ...TESTER_PERMISSIONS,
+    'reports:delete', 'settings:write', 'secrets:manage', 'webhooks:manage', 'schedules:manage', 'baselines:approve'
+  ],
+  manager: [...TESTER_PERMISSIONS, 'projects:write', 'webhooks:manage', 'schedules:manage'],
+  admin: [
+    ...TESTER_PERMISSIONS,
+    'reports:delete', 'settings:write', 'secrets:manage', 'webhooks:manage', 'schedules:manage', 'baselines:approve',
+    'projects:write', 'users:write', 'apiKeys:manage', 'quotas:manage'
+  ]
+};
+
+// Routes under /api that stay open: the docs, and the sink the n8n
+// endpoint points its runs' callbacks at
+const PUBLIC_PATHS = ['/api/docs', '/api/webhook/callback'];
+
+// Cookie set by the web pages so report views and downloads opened by
+// navigation are authenticated too
+const KEY_COOKIE = 'e2e_api_key';
+
+function hasPermission(principal, permission) {
+  return !!principal && (ROLE_PERMISSIONS[principal.role] || []).includes(permission);
+}
+
+/**
+ * Whether a principal may act on a project
+ * @param {Object} principal - Authenticated principal
+ * @param {string} projectId - Project identifier
+ * @returns {boolean}
+ */
+function canAccessProject(principal, projectId) {
+  return !!principal && (principal.projects === null || principal.projects.includes(projectId));
+}
+
+/**
+ * Whether a principal may create a key for projects: a project-scoped key
+ * cannot hand out access beyond its own projects
+ * @param {Object} principal - Authenticated principal
+ * @param {Array|null} projects - Requested project IDs, or null for all projects
+ * @returns {boolean}
+ */
+function canGrantProjects(principal, projects) {
+  if (!principal) {
+    return false;
+  }
+  return principal.projects === null ||
+    (Array.isArray(projects) && projects.every(projectId => principal.projects.includes(projectId)));
+}
+
+function readCookie(req, name) {
+  const header = req.get('Cookie') || '';
+  const match = header.split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+/**
+ * The API key a request presents: Authorization: Bearer, X-API-Key, or
+ * (for GET requests only) the web pages' cookie
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getPresentedKey(req) {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  if (req.get('X-API-Key')) {
+    return req.get('X-API-Key');
+  }
+  return ['GET', 'HEAD'].includes(req.method) ? readCookie(req, KEY_COOKIE) : null;
+}
+
+/**
+ * Create the authentication middleware and per-route authorization
+ * @param {Object} options - { apiKeys (ApiKeyService) }
+ * @returns {Object} - { authenticate, authorize(permission) }
+ */
+function createAuthMiddleware({ apiKeys }) {
+  async function authenticate(req, res, next) {
+    if (PUBLIC_PATHS.includes(req.originalUrl.split('?')[0])) {
+      return next();
+    }
+
+    const token = getPresentedKey(req);
+    if (!token) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Send an API key in the Authorization: Bearer or X-API-Key header'
+      });
+    }
+
+    try {
+      req.principal = await apiKeys.authenticate(token);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!req.principal) {
+      return res.status(401).json({
+        error: 'Invalid API key',
+        message: 'The API key is unknown, revoked or expired'
+      });
+    }
+    next();
+  }
+
+  function authorize(permission) {
+    return (req, res, next) => {
+      if (!hasPermission(req.principal, permission)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `Role ${req.principal ? req.principal.role : 'anonymous'} lacks the ${permission} permission`,
+          permission
+        });
+      }
+      next();
+    };
+  }
+
+  return { authenticate, authorize };
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  KEY_COOKIE,
+  hasPermission,
+  canAccessProject,
+  canGrantProjects,
+  getPresentedKey,
+  createAuthMiddleware
+};
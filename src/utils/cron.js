@@ -0,0 +1,232 @@
+/**
+ * Five-field cron expressions (minute hour day-of-month month day-of-week)
+ * evaluated in an IANA time zone
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 7 is Sunday too
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Give up looking for a match after this long (e.g. "0 0 30 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function parseValue(value, field) {
+  const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  if (index !== -1) {
+    return index + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    return NaN;
+  }
+  const number = parseInt(value, 10);
+  return number >= field.min && number <= field.max ? number : NaN;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (extra !== undefined || !(step >= 1) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      return null;
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else {
+      const [first, last, rest] = range.split('-');
+      start = parseValue(first, field);
+      // "5/15" means 5 to the end of the range in steps of 15
+      end = last === undefined ? (stepText === undefined ? start : field.max) : parseValue(last, field);
+      if (rest !== undefined || Number.isNaN(start) || Number.isNaN(end) || start > end) {
+        return null;
+      }
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields, or a macro such as @daily
+ * @returns {Object} - { issues, cron }; cron holds a Set of allowed values
+ *   per field
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    return { issues: ['cron must be a cron expression such as "0 6 * * 1-5"'], cron: null };
+  }
+
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    return { issues: ['cron must have 5 fields: minute hour day-of-month month day-of-week'], cron: null };
+  }
+
+  const issues = [];
+  const sets = parts.map((part, index) => {
+    const values = parseField(part, FIELDS[index]);
+    if (!values) {
+      const { name, min, max } = FIELDS[index];
+      issues.push(`Invalid cron ${name} "${part}" (allowed: ${min}-${max}, *, lists, ranges and /steps)`);
+    }
+    return values;
+  });
+  if (issues.length > 0) {
+    return { issues, cron: null };
+  }
+
+  const [minutes, hours, days, months, weekdays] = sets;
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    issues: [],
+    cron: {
+      minutes,
+      hours,
+      days,
+      months,
+      weekdays,
+      // As in Vixie cron: when either day field starts with '*' (also '*/2')
+      // both must match; when both are restricted, either one matches.
+      // '0 0 */2 * 1' runs on Mondays that are odd days of the month.
+      anyDay: parts[2].startsWith('*') || parts[4].startsWith('*')
+    }
+  };
+}
+
+/**
+ * Whether a string is an IANA time zone this runtime knows
+ * @param {string} timeZone - e.g. Europe/Berlin
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const formatters = new Map();
+
+// Offset of a time zone from UTC at an instant, in ms
+function getOffset(time, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(time))
+    .map(({ type, value }) => [type, parseInt(value, 10)]));
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return wallTime - (time - (time % MINUTE_MS));
+}
+
+// Instant at which a zone's clock shows a wall time (given as a UTC
+// timestamp). Wall times repeated by a DST change map to their first
+// occurrence, wall times skipped by one to just after it.
+function fromWallTime(wallTime, timeZone) {
+  // The zone's offsets on either side of any change near this wall time
+  const instants = [wallTime - DAY_MS, wallTime + DAY_MS]
+    .map(time => wallTime - getOffset(time, timeZone))
+    .filter(time => time + getOffset(time, timeZone) === wallTime);
+  if (instants.length > 0) {
+    return Math.min(...instants);
+  }
+
+  const guess = wallTime - getOffset(wallTime, timeZone);
+  return wallTime - getOffset(guess, timeZone);
+}
+
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.days.has(date.getUTCDate());
+  const dayOfWeek = cron.weekdays.has(date.getUTCDay());
+  return cron.anyDay ? dayOfMonth && dayOfWeek : dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Next time a cron expression fires after an instant
+ * @param {Object} cron - From parseCron()
+ * @param {string} timeZone - IANA time zone the expression is read in
+ * @param {Date} after - Exclusive lower bound
+ * @returns {Date|null} - null when it never fires (e.g. "0 0 31 2 *")
+ */
+function nextCronTime(cron, timeZone, after) {
+  const afterTime = after.getTime();
+  // Walk the zone's wall clock, represented as UTC dates
+  const wall = new Date(afterTime + getOffset(afterTime, timeZone));
+  wall.setUTCSeconds(0, 0);
+  wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+  const limit = wall.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * MINUTE_MS;
+
+  while (wall.getTime() < limit) {
+    if (!cron.months.has(wall.getUTCMonth() + 1)) {
+      wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+      wall.setUTCHours(0, 0);
+    } else if (!matchesDay(cron, wall)) {
+      wall.setUTCDate(wall.getUTCDate() + 1);
+      wall.setUTCHours(0, 0);
+    } else if (!cron.hours.has(wall.getUTCHours())) {
+      wall.setUTCHours(wall.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(wall.getUTCMinutes())) {
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+    } else {
+      const time = fromWallTime(wall.getTime(), timeZone);
+      // A wall time repeated by a DST change fires only once, at its first
+      // occurrence
+      if (time > afterTime) {
+        return new Date(time);
+      }
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isValidTimeZone,
+  nextCronTime
+};
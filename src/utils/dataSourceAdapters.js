@@ -0,0 +1,171 @@
+/**
+ * Adapters the /api/data/* routes read dropdown data through. Each adapter
+ * has a name, whether its results may be cached, and fetchResource(resource)
+ * resolving to an array.
+ */
+
+// Resources served under /api/data/<resource>
+const DATA_RESOURCES = ['users', 'projects', 'project-testers', 'test-cases', 'test-automation', 'test-results'];
+
+// Field naming the project of each record, for resources that belong to a
+// project; local records use the first name, remote sources either
+const DATA_RESOURCE_PROJECT_FIELDS = {
+  projects: ['id'],
+  'project-testers': ['project_id', 'projectId'],
+  'test-cases': ['project_id', 'projectId'],
+  'test-automation': ['project_id', 'projectId'],
+  'test-results': ['projectId', 'project_id']
+};
+
+// n8n webhook path and the key its response may wrap the array in
+const N8N_RESOURCES = {
+  users: { path: 'user', key: 'users' },
+  projects: { path: 'project', key: 'projects' },
+  'project-testers': { path: 'project-tester', key: 'testers' },
+  'test-cases': { path: 'test-cases', key: 'test_cases' },
+  'test-automation': { path: 'test-automation', key: 'automation' },
+  'test-results': { path: 'test-results', key: 'results' }
+};
+
+const DEFAULT_N8N_URL = 'https://dipv-digiflux-4.app.n8n.cloud/webhook/data';
+
+/**
+ * Parse an auth header setting of the form "Name: value"
+ * @param {string} setting - Header setting
+ * @returns {Object} - { [name]: value }, {} when unset
+ */
+function parseAuthHeader(setting) {
+  if (!setting) {
+    return {};
+  }
+
+  const separator = setting.indexOf(':');
+  const name = setting.slice(0, separator).trim();
+  if (separator === -1 || !/^[A-Za-z0-9-]+$/.test(name)) {
+    throw new Error('DATA_SOURCE_AUTH_HEADER must look like "Header-Name: value"');
+  }
+  return { [name]: setting.slice(separator + 1).trim() };
+}
+
+async function fetchJson(url, { headers, timeout }) {
+  const response = await fetch(url, {
+    headers: { Accept: 'application/json', ...headers },
+    signal: AbortSignal.timeout(timeout)
+  });
+
+  if (!response.ok) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    // Client errors will not go away on retry
+    error.retryable = response.status >= 500 || response.status === 429;
+    throw error;
+  }
+
+  return response.json();
+}
+
+/**
+ * Local catalog and run history
+ * @param {Object} services - { catalog, runHistory }
+ * @returns {Object} - Adapter
+ */
+function createLocalAdapter({ catalog, runHistory }) {
+  const readers = {
+    users: () => catalog.listUsers(),
+    projects: () => catalog.listProjects(),
+    'project-testers': () => catalog.listProjectTesters(),
+    'test-cases': () => catalog.listTestCases(),
+    'test-automation': async () => (await catalog.listTestCases())
+      .filter(testCase => testCase.script_json.trim() !== ''),
+    'test-results': async () => runHistory.listRuns({ limit: 100 }).runs
+  };
+
+  return {
+    name: 'local',
+    // Reads are cheap and must reflect edits immediately
+    cacheable: false,
+    fetchResource: resource => readers[resource]()
+  };
+}
+
+/**
+ * n8n data webhooks: <baseUrl>/<path> per resource
+ * @param {Object} config - { baseUrl, headers, timeout }
+ * @returns {Object} - Adapter
+ */
+function createN8nAdapter({ baseUrl = DEFAULT_N8N_URL, headers = {}, timeout }) {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  return {
+    name: 'n8n',
+    cacheable: true,
+    fetchResource: async (resource) => {
+      const { path, key } = N8N_RESOURCES[resource];
+      const data = await fetchJson(`${base}/${path}`, { headers, timeout });
+
+      // n8n returns either the array or an object wrapping it
+      if (Array.isArray(data)) {
+        return data;
+      }
+      if (data && Array.isArray(data[key])) {
+        return data[key];
+      }
+      throw new Error(`Unexpected response shape for ${resource}`);
+    }
+  };
+}
+
+/**
+ * Generic REST API: GET <baseUrl>/<resource> returning an array, or an
+ * object with the array in `data`
+ * @param {Object} config - { baseUrl, headers, timeout }
+ * @returns {Object} - Adapter
+ */
+function createRestAdapter({ baseUrl, headers = {}, timeout }) {
+  if (!baseUrl) {
+    throw new Error('DATA_SOURCE_URL is required for the rest data source');
+  }
+  const base = baseUrl.replace(/\/+$/, '');
+
+  return {
+    name: 'rest',
+    cacheable: true,
+    fetchResource: async (resource) => {
+      const data = await fetchJson(`${base}/${resource}`, { headers, timeout });
+
+      if (Array.isArray(data)) {
+        return data;
+      }
+      if (data && Array.isArray(data.data)) {
+        return data.data;
+      }
+      throw new Error(`Unexpected response shape for ${resource}`);
+    }
+  };
+}
+
+/**
+ * Create the adapter configured for this deployment
+ * @param {Object} config - { type: local | n8n | rest, baseUrl, authHeader, timeout }
+ * @param {Object} services - { catalog, runHistory } for the local adapter
+ * @returns {Object} - Adapter
+ */
+function createDataSourceAdapter(config, services) {
+  const headers = parseAuthHeader(config.authHeader);
+
+  switch (config.type) {
+    case 'local':
+      return createLocalAdapter(services);
+    case 'n8n':
+      return createN8nAdapter({ baseUrl: config.baseUrl || undefined, headers, timeout: config.timeout });
+    case 'rest':
+      return createRestAdapter({ baseUrl: config.baseUrl, headers, timeout: config.timeout });
+    default:
+      throw new Error(`Unknown DATA_SOURCE "${config.type}"; use local, n8n or rest`);
+  }
+}
+
+module.exports = {
+  DATA_RESOURCES,
+  DATA_RESOURCE_PROJECT_FIELDS,
+  createDataSourceAdapter
+};
@@ -0,0 +1,53 @@
+/**
+ * HAR recording for generated specs. When the run's har option is set,
+ * every test's browser context records a HAR of its network traffic
+ * (Playwright's recordHar), written when the context closes. An index entry
+ * next to each HAR names the test, browser and attempt it belongs to; the
+ * server summarizes the HARs once the run has finished.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Record a HAR for each test of the spec
+ * @param {Object} testType - The spec's Playwright test object
+ */
+function installHarRecording(testType) {
+  const config = JSON.parse(process.env.E2E_HAR || 'null');
+  if (!config) {
+    return;
+  }
+
+  testType.use({
+    contextOptions: async ({ contextOptions }, use, testInfo) => {
+      const dir = process.env.E2E_HAR_DIR || testInfo.outputPath('har');
+      const file = `${crypto.randomUUID()}.har`;
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, file.replace(/\.har$/, '.json')), JSON.stringify({
+        // Same test identity as visual snapshots: below the run's describe block
+        test: testInfo.titlePath.slice(2).join(' › '),
+        browser: testInfo.project.name,
+        retry: testInfo.retry,
+        file,
+        timestamp: new Date().toISOString()
+      }));
+
+      await use({
+        ...contextOptions,
+        recordHar: {
+          path: path.join(dir, file),
+          mode: 'full',
+          content: config.content,
+          ...(config.urlFilter ? { urlFilter: config.urlFilter } : {})
+        }
+      });
+    }
+  });
+}
+
+module.exports = {
+  installHarRecording
+};
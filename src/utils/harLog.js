@@ -0,0 +1,178 @@
+/**
+ * Reading the HARs a run recorded (har option): flattened request lists,
+ * the summary kept in result.json and the filters of
+ * GET /api/report/:testId/network
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Failed and slow requests listed in the summary, worst first
+const MAX_LISTED_REQUESTS = 20;
+
+const HAR_TIMINGS = ['blocked', 'dns', 'connect', 'ssl', 'send', 'wait', 'receive'];
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Flatten a HAR into request records
+ * @param {Object} har - Parsed HAR file
+ * @param {Object} source - { test, browser } the HAR was recorded for
+ * @returns {Array} - Requests in the order they were made
+ */
+function parseHar(har, { test, browser }) {
+  const entries = (har && har.log && Array.isArray(har.log.entries)) ? har.log.entries : [];
+
+  return entries.map(entry => {
+    const request = entry.request || {};
+    const response = entry.response || {};
+    const status = response.status > 0 ? response.status : null;
+    const timings = Object.fromEntries(HAR_TIMINGS
+      .filter(name => entry.timings && entry.timings[name] >= 0)
+      .map(name => [name, round(entry.timings[name])]));
+
+    return {
+      test,
+      browser,
+      method: request.method,
+      url: request.url,
+      status,
+      statusText: response.statusText || '',
+      failure: response._failureText || (status === null ? 'No response' : null),
+      resourceType: entry._resourceType || null,
+      mimeType: (response.content && response.content.mimeType) || null,
+      startedAt: entry.startedDateTime,
+      duration: entry.time >= 0 ? round(entry.time) : null,
+      transferSize: response._transferSize >= 0
+        ? response._transferSize
+        : Math.max(0, response.headersSize || 0) + Math.max(0, response.bodySize || 0),
+      timings
+    };
+  });
+}
+
+/**
+ * Read and flatten the HARs of a run
+ * @param {string} harDir - The run's har/ directory
+ * @param {Array} hars - [{ test, browser, file }] from result.json's network.hars
+ * @returns {Promise<Object>} - { requests, unreadable: [file] }
+ */
+async function readRunRequests(harDir, hars) {
+  const requests = [];
+  const unreadable = [];
+
+  for (const har of hars) {
+    try {
+      const content = JSON.parse(await fs.readFile(path.join(harDir, path.basename(har.file)), 'utf8'));
+      requests.push(...parseHar(content, har));
+    } catch (error) {
+      // A test whose context never opened records no HAR
+      unreadable.push(har.file);
+    }
+  }
+
+  return { requests, unreadable };
+}
+
+function isFailed(request) {
+  return request.failure !== null;
+}
+
+/**
+ * Counts and the worst failed and slow requests of a run
+ * @param {Array} requests - From parseHar()
+ * @param {number} slowThreshold - Duration in ms from which a request is slow
+ * @returns {Object} - Summary
+ */
+function summarizeRequests(requests, slowThreshold) {
+  const listed = request => ({
+    test: request.test,
+    browser: request.browser,
+    method: request.method,
+    url: request.url,
+    status: request.status,
+    failure: request.failure,
+    duration: request.duration
+  });
+  const byDuration = (a, b) => (b.duration || 0) - (a.duration || 0);
+
+  const failed = requests.filter(isFailed);
+  const slow = requests.filter(request => request.duration !== null && request.duration >= slowThreshold);
+  const errors = requests.filter(request => request.status >= 400);
+
+  return {
+    requests: requests.length,
+    failed: failed.length,
+    status4xx: errors.filter(request => request.status < 500).length,
+    status5xx: errors.filter(request => request.status >= 500).length,
+    slow: slow.length,
+    slowThreshold,
+    transferBytes: requests.reduce((total, request) => total + request.transferSize, 0),
+    // Network failures first, then server errors, then client errors
+    failedRequests: [...failed, ...errors.sort((a, b) => b.status - a.status)]
+      .slice(0, MAX_LISTED_REQUESTS)
+      .map(listed),
+    slowRequests: slow.sort(byDuration).slice(0, MAX_LISTED_REQUESTS).map(listed)
+  };
+}
+
+// "*" matches anything and the whole URL must match; otherwise a substring
+function matchesUrl(pattern, url) {
+  if (!pattern.includes('*')) {
+    return url.toLowerCase().includes(pattern.toLowerCase());
+  }
+  const source = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i').test(url);
+}
+
+function matchesStatus(statuses, request) {
+  return statuses.some(status => {
+    if (status === 'failed') {
+      return isFailed(request);
+    }
+    if (/^[1-5]xx$/.test(status)) {
+      return request.status !== null && Math.floor(request.status / 100) === Number(status[0]);
+    }
+    return request.status === Number(status);
+  });
+}
+
+/**
+ * Filter, sort and page a run's requests
+ * @param {Array} requests - From parseHar()
+ * @param {Object} filters - From parseNetworkQuery(): statuses, url, method,
+ *   minDuration, maxDuration, test, browser, sort, order, limit, offset
+ * @returns {Object} - { total (matching requests), requests }
+ */
+function filterRequests(requests, filters = {}) {
+  const matching = requests.filter(request =>
+    (!filters.statuses || matchesStatus(filters.statuses, request)) &&
+    (filters.url === undefined || matchesUrl(filters.url, request.url)) &&
+    (filters.method === undefined || request.method === filters.method) &&
+    (filters.minDuration === undefined || (request.duration !== null && request.duration >= filters.minDuration)) &&
+    (filters.maxDuration === undefined || (request.duration !== null && request.duration <= filters.maxDuration)) &&
+    (filters.test === undefined || request.test === filters.test) &&
+    (filters.browser === undefined || request.browser === filters.browser));
+
+  if (filters.sort === 'duration') {
+    matching.sort((a, b) => (a.duration || 0) - (b.duration || 0));
+  } else {
+    matching.sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+  }
+  if (filters.order === 'desc') {
+    matching.reverse();
+  }
+
+  const offset = filters.offset || 0;
+  return {
+    total: matching.length,
+    requests: matching.slice(offset, offset + (filters.limit || 100))
+  };
+}
+
+module.exports = {
+  parseHar,
+  readRunRequests,
+  summarizeRequests,
+  filterRequests
+};
@@ -0,0 +1,105 @@
+/**
+ * Idempotency-Key support for run-creating endpoints. The first successful
+ * response to a key is stored in the run history; repeats of the request
+ * within the window get that response back instead of starting another run.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+function hashBody(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+/**
+ * Create the idempotency middleware
+ * @param {Object} options - { history (RunHistoryService), windowMs }
+ * @returns {Function} - Express middleware
+ */
+function createIdempotencyMiddleware({ history, windowMs }) {
+  // Keys whose first request is still being handled
+  const inFlight = new Set();
+
+  return function idempotency(req, res, next) {
+    const key = req.get(HEADER);
+    if (key === undefined) {
+      return next();
+    }
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        error: 'Invalid Idempotency-Key',
+        message: 'Idempotency-Key must be 1 to 255 printable ASCII characters without spaces'
+      });
+    }
+
+    // Keys are per caller and endpoint
+    const caller = req.principal && req.principal.keyId ? `key:${req.principal.keyId}` : 'anonymous';
+    const scope = `${caller} ${req.method} ${req.originalUrl.split('?')[0]}`;
+    const requestHash = hashBody(req.body);
+    const since = new Date(Date.now() - windowMs).toISOString();
+
+    let stored;
+    try {
+      stored = history.getIdempotentResponse(scope, key, since);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (stored) {
+      if (stored.requestHash !== requestHash) {
+        return res.status(422).json({
+          error: 'Idempotency key reused',
+          message: 'This Idempotency-Key was already used with a different request body',
+          idempotencyKey: key
+        });
+      }
+      logger.info('Replaying idempotent response', { idempotencyKey: key, testId: stored.testId });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.statusCode).json(stored.body);
+    }
+
+    const inFlightKey = `${scope} ${key}`;
+    if (inFlight.has(inFlightKey)) {
+      res.set('Retry-After', '1');
+      return res.status(409).json({
+        error: 'Request in progress',
+        message: 'A request with this Idempotency-Key is still being handled; retry shortly',
+        idempotencyKey: key
+      });
+    }
+    inFlight.add(inFlightKey);
+    res.on('close', () => inFlight.delete(inFlightKey));
+
+    // Only successful responses are stored, so a rejected request (invalid
+    // body, rate limit, quota) can be retried with the same key
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        try {
+          history.saveIdempotentResponse({
+            scope,
+            key,
+            requestHash,
+            statusCode: res.statusCode,
+            body,
+            testId: body && (body.testId || body.run_id)
+          });
+          history.pruneIdempotencyKeys(since);
+        } catch (error) {
+          logger.error('Failed to store idempotent response', { idempotencyKey: key, error: error.message });
+        }
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  HEADER,
+  createIdempotencyMiddleware
+};
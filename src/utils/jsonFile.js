@@ -0,0 +1,43 @@
+/**
+ * Helpers for small JSON data files persisted under data/
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value returned when the file does not exist yet
+ * @returns {Promise<*>} - Parsed content
+ */
+async function readJsonFile(filePath, fallback) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file atomically (write to a temp file, then rename) so a
+ * crash mid-write never leaves a truncated file behind
+ * @param {string} filePath - File to write
+ * @param {*} data - Value to serialize
+ * @param {Object} options - mode (file permissions, default 0o644)
+ */
+async function writeJsonFile(filePath, data, { mode = 0o644 } = {}) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2), { mode });
+  await fs.rename(tempPath, filePath);
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile
+};
@@ -0,0 +1,330 @@
+/**
+ * Parsing of run history list queries (GET /api/test/list, the performance
+ * trend endpoints and a run's network requests)
+ */
+
+const RUN_STATUSES = ['queued', 'running', 'passed', 'failed', 'flaky', 'cancelled', 'timedOut'];
+
+// How a run was started
+const TRIGGER_SOURCES = ['api', 'convert', 'webhook', 'n8n', 'schedule'];
+
+const SORT_FIELDS = ['createdAt', 'duration', 'testName', 'status'];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Network request list: sort fields and page size bounds
+const NETWORK_SORT_FIELDS = ['start', 'duration'];
+const MAX_NETWORK_LIMIT = 1000;
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {*} value - Sort field value of the last row
+ * @param {string} testId - Test ID of the last row (tie breaker)
+ * @returns {string} - Cursor
+ */
+function encodeCursor(value, testId) {
+  return Buffer.from(JSON.stringify([value, testId])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, testId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof testId === 'string' && ['string', 'number'].includes(typeof value)) {
+      return { value, testId };
+    }
+  } catch (error) {
+    // Fall through to invalid
+  }
+  return null;
+}
+
+function parseDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// A query parameter given at most once; undefined when absent or empty
+function singleValue(query, name, issues) {
+  const value = query[name];
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    issues.push(`${name} must be given once`);
+    return undefined;
+  }
+  return value;
+}
+
+// Validate the from/to range parameters into filters
+function parseDateRange(query, filters, issues) {
+  for (const name of ['from', 'to']) {
+    const value = singleValue(query, name, issues);
+    if (value !== undefined) {
+      const date = parseDate(value);
+      if (!date) {
+        issues.push(`${name} must be an ISO 8601 date`);
+      } else {
+        filters[name] = date;
+      }
+    }
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    issues.push('from must not be after to');
+  }
+}
+
+/**
+ * Validate list query parameters and turn them into history filters
+ * @param {Object} query - req.query
+ * @returns {Object} - { issues, filters }
+ */
+function parseRunListQuery(query) {
+  const issues = [];
+  const filters = {
+    sort: 'createdAt',
+    order: 'desc',
+    limit: DEFAULT_LIMIT
+  };
+
+  const single = name => singleValue(query, name, issues);
+
+  const projectId = single('projectId');
+  if (projectId !== undefined) {
+    filters.projectId = projectId;
+  }
+
+  const status = single('status');
+  if (status !== undefined) {
+    const statuses = status.split(',').map(item => item.trim()).filter(Boolean);
+    const invalid = statuses.filter(item => !RUN_STATUSES.includes(item));
+    if (invalid.length > 0) {
+      issues.push(`status must be a comma-separated list of: ${RUN_STATUSES.join(', ')}`);
+    } else {
+      filters.statuses = statuses;
+    }
+  }
+
+  const browser = single('browser');
+  if (browser !== undefined) {
+    filters.browser = browser;
+  }
+
+  const testName = single('testName');
+  if (testName !== undefined) {
+    if (testName.length > 200) {
+      issues.push('testName must be at most 200 characters');
+    } else {
+      filters.testName = testName;
+    }
+  }
+
+  parseDateRange(query, filters, issues);
+
+  const tag = single('tag');
+  if (tag !== undefined) {
+    filters.tag = tag;
+  }
+
+  const source = single('source');
+  if (source !== undefined) {
+    if (!TRIGGER_SOURCES.includes(source)) {
+      issues.push(`source must be one of: ${TRIGGER_SOURCES.join(', ')}`);
+    } else {
+      filters.source = source;
+    }
+  }
+
+  const scheduleId = single('scheduleId');
+  if (scheduleId !== undefined) {
+    filters.scheduleId = scheduleId;
+  }
+
+  const sort = single('sort');
+  if (sort !== undefined) {
+    if (!SORT_FIELDS.includes(sort)) {
+      issues.push(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+    } else {
+      filters.sort = sort;
+    }
+  }
+
+  const order = single('order');
+  if (order !== undefined) {
+    if (!['asc', 'desc'].includes(order)) {
+      issues.push('order must be asc or desc');
+    } else {
+      filters.order = order;
+    }
+  }
+
+  const limit = single('limit');
+  if (limit !== undefined) {
+    const parsed = Number(limit);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_LIMIT) {
+      issues.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    } else {
+      filters.limit = parsed;
+    }
+  }
+
+  const cursor = single('cursor');
+  if (cursor !== undefined) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) {
+      issues.push('cursor is invalid');
+    } else {
+      filters.cursor = decoded;
+    }
+  }
+
+  return { issues, filters };
+}
+
+/**
+ * Validate performance trend query parameters
+ * @param {Object} query - req.query
+ * @param {boolean} requireUrl - Whether the page URL is required
+ * @returns {Object} - { issues, filters: { url, browser, from, to, limit } }
+ */
+function parsePerformanceQuery(query, requireUrl = true) {
+  const issues = [];
+  const filters = { limit: MAX_LIMIT };
+
+  const url = singleValue(query, 'url', issues);
+  if (url !== undefined) {
+    if (url.length > 2000) {
+      issues.push('url must be at most 2000 characters');
+    } else {
+      filters.url = url;
+    }
+  } else if (requireUrl) {
+    issues.push('url is required');
+  }
+
+  const browser = singleValue(query, 'browser', issues);
+  if (browser !== undefined) {
+    filters.browser = browser;
+  }
+
+  parseDateRange(query, filters, issues);
+
+  const limit = singleValue(query, 'limit', issues);
+  if (limit !== undefined) {
+    const parsed = Number(limit);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_LIMIT) {
+      issues.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    } else {
+      filters.limit = parsed;
+    }
+  }
+
+  return { issues, filters };
+}
+
+/**
+ * Validate network request query parameters (GET /api/report/:testId/network)
+ * @param {Object} query - req.query
+ * @returns {Object} - { issues, filters }
+ */
+function parseNetworkQuery(query) {
+  const issues = [];
+  const filters = { sort: 'start', order: 'asc', limit: DEFAULT_LIMIT, offset: 0 };
+
+  const status = singleValue(query, 'status', issues);
+  if (status !== undefined) {
+    const statuses = status.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+    if (statuses.length === 0 || !statuses.every(item => /^(failed|[1-5]xx|[1-5]\d\d)$/.test(item))) {
+      issues.push('status must be a comma-separated list of status codes (404), classes (4xx) or "failed"');
+    } else {
+      filters.statuses = statuses;
+    }
+  }
+
+  const url = singleValue(query, 'url', issues);
+  if (url !== undefined) {
+    if (url.length > 2000) {
+      issues.push('url must be at most 2000 characters');
+    } else {
+      filters.url = url;
+    }
+  }
+
+  const method = singleValue(query, 'method', issues);
+  if (method !== undefined) {
+    filters.method = method.toUpperCase();
+  }
+
+  for (const name of ['test', 'browser']) {
+    const value = singleValue(query, name, issues);
+    if (value !== undefined) {
+      filters[name] = value;
+    }
+  }
+
+  for (const name of ['minDuration', 'maxDuration']) {
+    const value = singleValue(query, name, issues);
+    if (value !== undefined) {
+      const parsed = Number(value);
+      if (!Number.isFinite(parsed) || parsed < 0) {
+        issues.push(`${name} must be a non-negative number of milliseconds`);
+      } else {
+        filters[name] = parsed;
+      }
+    }
+  }
+  if (filters.minDuration !== undefined && filters.maxDuration !== undefined && filters.minDuration > filters.maxDuration) {
+    issues.push('minDuration must not be above maxDuration');
+  }
+
+  const sort = singleValue(query, 'sort', issues);
+  if (sort !== undefined) {
+    if (!NETWORK_SORT_FIELDS.includes(sort)) {
+      issues.push(`sort must be one of: ${NETWORK_SORT_FIELDS.join(', ')}`);
+    } else {
+      filters.sort = sort;
+    }
+  }
+
+  const order = singleValue(query, 'order', issues);
+  if (order !== undefined) {
+    if (!['asc', 'desc'].includes(order)) {
+      issues.push('order must be asc or desc');
+    } else {
+      filters.order = order;
+    }
+  }
+
+  const limit = singleValue(query, 'limit', issues);
+  if (limit !== undefined) {
+    const parsed = Number(limit);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_NETWORK_LIMIT) {
+      issues.push(`limit must be an integer between 1 and ${MAX_NETWORK_LIMIT}`);
+    } else {
+      filters.limit = parsed;
+    }
+  }
+
+  const offset = singleValue(query, 'offset', issues);
+  if (offset !== undefined) {
+    const parsed = Number(offset);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+      issues.push('offset must be a non-negative integer');
+    } else {
+      filters.offset = parsed;
+    }
+  }
+
+  return { issues, filters };
+}
+
+module.exports = {
+  RUN_STATUSES,
+  TRIGGER_SOURCES,
+  SORT_FIELDS,
+  encodeCursor,
+  parseRunListQuery,
+  parsePerformanceQuery,
+  parseNetworkQuery
+};
@@ -1,5 +1,6 @@
 const winston = require('winston');
 const path = require('path');
+const { getActiveSecretMasker } = require('./secretMask');
 
 // Create logs directory if it doesn't exist
 const fs = require('fs');
@@ -8,8 +9,20 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// Mask secret values of running tests in messages and metadata
+const maskSecrets = winston.format((info) => {
+  const masker = getActiveSecretMasker();
+  if (masker.hasSecrets) {
+    for (const key of Object.keys(info)) {
+      info[key] = masker.maskDeep(info[key]);
+    }
+  }
+  return info;
+});
+
 // Custom format for console output
 const consoleFormat = winston.format.combine(
+  maskSecrets(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.colorize(),
   winston.format.printf(({ timestamp, level, message, ...meta }) => {
@@ -23,6 +36,7 @@ const consoleFormat = winston.format.combine(
 
 // Custom format for file output
 const fileFormat = winston.format.combine(
+  maskSecrets(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.errors({ stack: true }),
   winston.format.json()
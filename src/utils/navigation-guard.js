@@ -0,0 +1,59 @@
+/**
+ * Navigation guard for generated specs: page.goto and frame.goto refuse
+ * local URLs (file:, view-source:), which the browser would otherwise open
+ * with the test process's file access. Pages can't reach them on their own;
+ * browsers block local URLs from web content.
+ */
+
+const BLOCKED_PROTOCOLS = ['file:', 'view-source:'];
+
+// Frame prototypes whose goto is already guarded
+const guarded = new WeakSet();
+
+/**
+ * Throw when a URL would navigate to a local resource
+ * @param {string} url - URL as passed to goto, possibly relative
+ */
+function assertNavigable(url) {
+  let protocol;
+  try {
+    ({ protocol } = new URL(String(url), 'http://localhost'));
+  } catch (error) {
+    // Invalid URLs are left to Playwright to reject
+    return;
+  }
+
+  if (BLOCKED_PROTOCOLS.includes(protocol.toLowerCase())) {
+    throw new Error(`Navigation to ${protocol} URLs is not allowed in test runs`);
+  }
+}
+
+/**
+ * Guard every navigation of the run. page.goto delegates to the main
+ * frame's goto, so wrapping the Frame prototype covers pages, frames and
+ * pages opened later; the wrapper can't be reassigned by testCode.
+ * @param {Object} testType - The spec's `test` object
+ */
+function installNavigationGuard(testType) {
+  testType.beforeEach(async ({ page }) => {
+    const frameProto = Object.getPrototypeOf(page.mainFrame());
+    if (guarded.has(frameProto)) {
+      return;
+    }
+
+    const goto = frameProto.goto;
+    Object.defineProperty(frameProto, 'goto', {
+      value: async function guardedGoto(url, options) {
+        assertNavigable(url);
+        return goto.call(this, url, options);
+      },
+      writable: false,
+      configurable: false
+    });
+    guarded.add(frameProto);
+  });
+}
+
+module.exports = {
+  installNavigationGuard
+};
@@ -0,0 +1,94 @@
+/**
+ * Payload templates for webhook subscriptions. A template is any JSON
+ * value; strings in it may reference the event context with {{path}}
+ * placeholders, e.g. { "text": "{{run.testName}} {{run.status}}" }.
+ */
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+// Top-level names a placeholder may start with
+const TEMPLATE_ROOTS = ['event', 'timestamp', 'webhook', 'run', 'links'];
+
+const MAX_TEMPLATE_LENGTH = 16 * 1024;
+
+function lookup(context, pathExpression) {
+  return pathExpression.split('.').reduce(
+    (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+    context
+  );
+}
+
+function collectPlaceholders(template, found = []) {
+  if (typeof template === 'string') {
+    for (const match of template.matchAll(PLACEHOLDER)) {
+      found.push(match[1]);
+    }
+  } else if (Array.isArray(template)) {
+    template.forEach(item => collectPlaceholders(item, found));
+  } else if (template !== null && typeof template === 'object') {
+    Object.values(template).forEach(value => collectPlaceholders(value, found));
+  }
+  return found;
+}
+
+/**
+ * Validate a payload template
+ * @param {*} template - Template (object or array)
+ * @returns {Array} - Validation issues (empty when valid)
+ */
+function validatePayloadTemplate(template) {
+  if (template === null || typeof template !== 'object') {
+    return ['payloadTemplate must be a JSON object or array'];
+  }
+  if (JSON.stringify(template).length > MAX_TEMPLATE_LENGTH) {
+    return [`payloadTemplate must be at most ${MAX_TEMPLATE_LENGTH} characters of JSON`];
+  }
+
+  const unknown = collectPlaceholders(template)
+    .filter(placeholder => !TEMPLATE_ROOTS.includes(placeholder.split('.')[0]));
+  if (unknown.length > 0) {
+    return [`payloadTemplate placeholders must start with one of: ${TEMPLATE_ROOTS.join(', ')} (got ${[...new Set(unknown)].join(', ')})`];
+  }
+  return [];
+}
+
+/**
+ * Fill a template's placeholders from a context. A string that is a single
+ * placeholder takes the value as is (numbers, arrays and objects stay
+ * JSON); placeholders inside longer strings are inserted as text. Missing
+ * values become null or an empty string.
+ * @param {*} template - Template
+ * @param {Object} context - { event, timestamp, webhook, run, links }
+ * @returns {*} - Rendered payload
+ */
+function renderPayloadTemplate(template, context) {
+  if (typeof template === 'string') {
+    const single = template.match(SINGLE_PLACEHOLDER);
+    if (single) {
+      const value = lookup(context, single[1]);
+      return value === undefined ? null : value;
+    }
+    return template.replace(PLACEHOLDER, (match, pathExpression) => {
+      const value = lookup(context, pathExpression);
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderPayloadTemplate(item, context));
+  }
+  if (template !== null && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template)
+      .map(([key, value]) => [key, renderPayloadTemplate(value, context)]));
+  }
+  return template;
+}
+
+module.exports = {
+  TEMPLATE_ROOTS,
+  validatePayloadTemplate,
+  renderPayloadTemplate
+};
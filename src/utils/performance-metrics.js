@@ -0,0 +1,266 @@
+/**
+ * Page performance metrics for generated specs. Every page.goto is measured:
+ * navigation timing and paints once the page has loaded, Web Vitals (LCP, CLS,
+ * INP) until the next page.goto or the end of the test, and the requests the
+ * page made in that time. On chromium requests and transfer sizes come from
+ * the DevTools protocol; other browsers count Playwright request events and
+ * sum Resource Timing transfer sizes. Budgets are applied by the server once
+ * the run has finished.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('@playwright/test');
+
+// Navigation being measured on each page
+const measurements = new WeakMap();
+
+/**
+ * Runs in every document before its own scripts: buffers the entries the
+ * Web Vitals are derived from. LCP, layout shifts, long tasks and event
+ * timing are only reported by Chromium-based browsers; elsewhere the
+ * metrics stay null.
+ */
+function observeVitals() {
+  if (window.__e2ePerformance) {
+    return;
+  }
+  const supported = (typeof PerformanceObserver !== 'undefined' && PerformanceObserver.supportedEntryTypes) || [];
+  const state = {
+    lcp: null,
+    cls: supported.includes('layout-shift') ? 0 : null,
+    longTasks: supported.includes('longtask') ? [] : null,
+    interactions: supported.includes('event') ? {} : null
+  };
+  Object.defineProperty(window, '__e2ePerformance', { value: state });
+
+  const observe = (type, callback, options = {}) => {
+    if (supported.includes(type)) {
+      new PerformanceObserver(list => list.getEntries().forEach(callback))
+        .observe({ type, buffered: true, ...options });
+    }
+  };
+
+  observe('largest-contentful-paint', entry => { state.lcp = entry.startTime; });
+
+  // CLS: the largest burst of unexpected shifts less than 1s apart, at most 5s long
+  let session = 0;
+  let sessionStart = 0;
+  let lastShift = 0;
+  observe('layout-shift', entry => {
+    if (entry.hadRecentInput) {
+      return;
+    }
+    if (session > 0 && entry.startTime - lastShift < 1000 && entry.startTime - sessionStart < 5000) {
+      session += entry.value;
+    } else {
+      session = entry.value;
+      sessionStart = entry.startTime;
+    }
+    lastShift = entry.startTime;
+    state.cls = Math.max(state.cls, session);
+  });
+
+  observe('longtask', entry => { state.longTasks.push([entry.startTime, entry.duration]); });
+
+  // Slowest event of each user interaction, for INP
+  observe('event', entry => {
+    if (entry.interactionId) {
+      state.interactions[entry.interactionId] = Math.max(state.interactions[entry.interactionId] || 0, entry.duration);
+    }
+  }, { durationThreshold: 16 });
+}
+
+// Read the current document's metrics; `loadedAt` ends the TBT window
+function readMetrics(loadedAt) {
+  const state = window.__e2ePerformance || {};
+  const [navigation] = performance.getEntriesByType('navigation');
+  const [paint] = performance.getEntriesByName('first-contentful-paint');
+  const fcp = paint ? paint.startTime : null;
+  const end = loadedAt ?? performance.now();
+
+  // TBT approximation: long-task time beyond 50ms between FCP and load
+  const tbt = state.longTasks && fcp !== null
+    ? state.longTasks
+      .filter(([start]) => start >= fcp && start < end)
+      .reduce((total, [, duration]) => total + Math.max(0, duration - 50), 0)
+    : null;
+
+  // INP approximation: the slowest interaction, skipping one outlier per 50
+  let inp = null;
+  if (state.interactions) {
+    const durations = Object.values(state.interactions).sort((a, b) => b - a);
+    inp = durations.length > 0 ? durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)] : null;
+  }
+
+  return {
+    timeOrigin: performance.timeOrigin,
+    loadedAt: end,
+    url: location.href,
+    ttfb: navigation ? navigation.responseStart : null,
+    domContentLoaded: navigation ? navigation.domContentLoadedEventEnd : null,
+    load: navigation && navigation.loadEventEnd > 0 ? navigation.loadEventEnd : null,
+    fcp,
+    lcp: state.lcp ?? null,
+    cls: state.cls ?? null,
+    tbt,
+    inp,
+    transferBytes: [navigation, ...performance.getEntriesByType('resource')]
+      .reduce((total, entry) => total + ((entry && entry.transferSize) || 0), 0)
+  };
+}
+
+// Count the page's requests from now until the measurement ends
+async function countRequests(page, browserName) {
+  const counts = { requests: 0, failedRequests: 0, transferBytes: 0 };
+
+  let session = null;
+  if (browserName === 'chromium') {
+    try {
+      session = await page.context().newCDPSession(page);
+      await session.send('Network.enable');
+    } catch (error) {
+      // No DevTools session (e.g. a Chromium-based browser over a remote
+      // connection): fall back to Playwright's request events
+      session = null;
+    }
+  }
+
+  if (session) {
+    session.on('Network.requestWillBeSent', () => { counts.requests++; });
+    session.on('Network.responseReceived', ({ response }) => {
+      if (response.status >= 400) {
+        counts.failedRequests++;
+      }
+    });
+    session.on('Network.loadingFailed', ({ canceled }) => {
+      if (!canceled) {
+        counts.failedRequests++;
+      }
+    });
+    session.on('Network.loadingFinished', ({ encodedDataLength }) => { counts.transferBytes += encodedDataLength; });
+    return { counts, source: 'cdp', stop: () => session.detach().catch(() => {}) };
+  }
+
+  const onRequest = () => { counts.requests++; };
+  const onResponse = response => {
+    if (response.status() >= 400) {
+      counts.failedRequests++;
+    }
+  };
+  const onFailed = () => { counts.failedRequests++; };
+  page.on('request', onRequest);
+  page.on('response', onResponse);
+  page.on('requestfailed', onFailed);
+  return {
+    counts,
+    source: 'resource-timing',
+    stop: async () => {
+      page.off('request', onRequest);
+      page.off('response', onResponse);
+      page.off('requestfailed', onFailed);
+    }
+  };
+}
+
+// Save the navigation's metrics, refreshing the vitals that kept changing
+// after load if the page still shows the same document
+async function finish(page) {
+  const measurement = measurements.get(page);
+  if (!measurement) {
+    return;
+  }
+  measurements.delete(page);
+  await measurement.network.stop();
+
+  const { entry, loaded, network } = measurement;
+  if (loaded) {
+    let metrics = loaded;
+    try {
+      const latest = await page.evaluate(readMetrics, loaded.loadedAt);
+      if (latest.timeOrigin === loaded.timeOrigin) {
+        metrics = { ...loaded, lcp: latest.lcp, cls: latest.cls, inp: latest.inp };
+      }
+    } catch (error) {
+      // Page closed or navigated away mid-read: keep the values from load
+    }
+
+    const round = value => (value === null ? null : Math.round(value));
+    entry.url = loaded.url;
+    entry.metrics = {
+      ttfb: round(metrics.ttfb),
+      domContentLoaded: round(metrics.domContentLoaded),
+      load: round(metrics.load),
+      fcp: round(metrics.fcp),
+      lcp: round(metrics.lcp),
+      cls: metrics.cls === null ? null : Math.round(metrics.cls * 10000) / 10000,
+      tbt: round(metrics.tbt),
+      inp: round(metrics.inp),
+      requests: network.counts.requests,
+      failedRequests: network.counts.failedRequests,
+      transferBytes: network.source === 'cdp' ? network.counts.transferBytes : metrics.transferBytes
+    };
+  }
+
+  const testInfo = test.info();
+  const dir = process.env.E2E_PERFORMANCE_DIR || testInfo.outputPath('performance');
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, `${crypto.randomUUID()}.json`), JSON.stringify(entry));
+}
+
+/**
+ * Measure every page.goto of the spec's tests
+ * @param {Object} testType - The spec's Playwright test object
+ */
+function installPerformanceMetrics(testType) {
+  testType.beforeEach(async ({ page, browserName }) => {
+    await page.addInitScript(observeVitals);
+
+    const goto = page.goto.bind(page);
+    page.goto = async (url, options) => {
+      await finish(page);
+
+      const testInfo = test.info();
+      const measurement = {
+        entry: {
+          // Same test identity as visual snapshots: below the run's describe block
+          test: testInfo.titlePath.slice(2).join(' › '),
+          browser: testInfo.project.name,
+          retry: testInfo.retry,
+          requestedUrl: url,
+          url: null,
+          status: null,
+          timestamp: new Date().toISOString(),
+          source: null,
+          metrics: null
+        },
+        loaded: null,
+        network: await countRequests(page, browserName)
+      };
+      measurement.entry.source = measurement.network.source;
+      measurements.set(page, measurement);
+
+      let response;
+      try {
+        response = await goto(url, options);
+      } catch (error) {
+        measurement.entry.error = error.message.split('\n')[0];
+        await finish(page);
+        throw error;
+      }
+
+      measurement.entry.status = response ? response.status() : null;
+      measurement.loaded = await page.evaluate(readMetrics, null).catch(() => null);
+      return response;
+    };
+  });
+
+  testType.afterEach(async ({ page }) => {
+    await finish(page);
+  });
+}
+
+module.exports = {
+  installPerformanceMetrics
+};
@@ -0,0 +1,100 @@
+/**
+ * Server-rendered SVG line charts for the performance trend view
+ */
+
+// How each page metric is labelled and formatted on a chart
+const METRIC_LABELS = {
+  ttfb: { title: 'Time to first byte', unit: 'ms' },
+  domContentLoaded: { title: 'DOMContentLoaded', unit: 'ms' },
+  load: { title: 'Load event', unit: 'ms' },
+  fcp: { title: 'First Contentful Paint', unit: 'ms' },
+  lcp: { title: 'Largest Contentful Paint', unit: 'ms' },
+  cls: { title: 'Cumulative Layout Shift', unit: '' },
+  tbt: { title: 'Total Blocking Time (approx.)', unit: 'ms' },
+  inp: { title: 'Interaction to Next Paint (approx.)', unit: 'ms' },
+  requests: { title: 'Requests', unit: '' },
+  failedRequests: { title: 'Failed requests', unit: '' },
+  transferBytes: { title: 'Transferred', unit: 'KB', scale: 1 / 1024 }
+};
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 20, right: 20, bottom: 30, left: 60 };
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatValue(metric, value) {
+  const { unit, scale = 1 } = METRIC_LABELS[metric];
+  const scaled = value * scale;
+  const text = Number.isInteger(scaled) ? String(scaled) : String(Math.round(scaled * 1000) / 1000);
+  return unit ? `${text} ${unit}` : text;
+}
+
+/**
+ * Chart one metric of a page over time
+ * @param {Array} points - From RunHistoryService.listPageMetrics, oldest first
+ * @param {string} metric - Metric name (PERFORMANCE_METRICS)
+ * @param {Array} budgets - Budgets for this metric and page, drawn as lines
+ * @returns {string} - SVG markup, or a note when nothing was measured
+ */
+function renderTrendChart(points, metric, budgets = []) {
+  const { scale = 1 } = METRIC_LABELS[metric];
+  const measured = points.filter(point => typeof point.metrics[metric] === 'number');
+  if (measured.length === 0) {
+    return '<p class="empty">Not measured</p>';
+  }
+
+  const values = measured.map(point => point.metrics[metric] * scale);
+  const limits = budgets.map(budget => budget.max * scale);
+  const top = Math.max(...values, ...limits) * 1.1 || 1;
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = index => PADDING.left + (measured.length === 1 ? plotWidth / 2 : (index / (measured.length - 1)) * plotWidth);
+  const y = value => PADDING.top + plotHeight - (value / top) * plotHeight;
+
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+    const value = top * fraction;
+    const label = value >= 10 ? Math.round(value) : Math.round(value * 1000) / 1000;
+    return `<line x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y(value)}" y2="${y(value)}" stroke="#eee"/>
+      <text x="${PADDING.left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="11" fill="#666">${label}</text>`;
+  }).join('');
+
+  const budgetLines = budgets.map(budget => {
+    const color = budget.level === 'warn' ? '#fd7e14' : '#dc3545';
+    return `<line x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y(budget.max * scale)}" y2="${y(budget.max * scale)}"
+        stroke="${color}" stroke-dasharray="6 4"><title>${escapeHtml(`${budget.level || 'fail'} budget: ${formatValue(metric, budget.max)}${budget.url ? ` (${budget.url})` : ''}`)}</title></line>`;
+  }).join('');
+
+  const line = measured.map((point, index) => `${x(index)},${y(values[index])}`).join(' ');
+  const dots = measured.map((point, index) => {
+    const overBudget = budgets.some(budget => point.metrics[metric] > budget.max);
+    return `<circle cx="${x(index)}" cy="${y(values[index])}" r="3.5" fill="${overBudget ? '#dc3545' : '#007bff'}">
+        <title>${escapeHtml(`${formatValue(metric, point.metrics[metric])} · ${point.measuredAt} · ${point.browser} · ${point.testId}`)}</title></circle>`;
+  }).join('');
+
+  const first = measured[0].measuredAt.slice(0, 10);
+  const last = measured[measured.length - 1].measuredAt.slice(0, 10);
+
+  return `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" width="100%" role="img" aria-label="${escapeHtml(METRIC_LABELS[metric].title)} over time">
+      ${ticks}
+      ${budgetLines}
+      <polyline points="${line}" fill="none" stroke="#007bff" stroke-width="2"/>
+      ${dots}
+      <text x="${PADDING.left}" y="${HEIGHT - 8}" font-size="11" fill="#666">${first}</text>
+      <text x="${WIDTH - PADDING.right}" y="${HEIGHT - 8}" font-size="11" fill="#666" text-anchor="end">${last}</text>
+    </svg>`;
+}
+
+module.exports = {
+  METRIC_LABELS,
+  escapeHtml,
+  formatValue,
+  renderTrendChart
+};
@@ -0,0 +1,70 @@
+/**
+ * Reading files that test code could have planted. Run directories belong
+ * to the sandbox user while a run executes, so any name in them may be a
+ * symlink to a server file, a FIFO or a device.
+ */
+
+const { constants } = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Read a file without following a symlink at its name, refusing anything
+ * that is not a regular file
+ * @param {string} filePath - File to read
+ * @param {string} [encoding] - Encoding; a Buffer is returned without one
+ * @returns {Promise<Buffer|string>} - Content
+ * @throws {Error} - ENOENT when missing, EINVAL when not a regular file
+ */
+async function readRegularFile(filePath, encoding) {
+  let handle;
+  try {
+    // O_NONBLOCK: opening a FIFO must not wait for a writer
+    handle = await fs.open(filePath, constants.O_RDONLY | constants.O_NOFOLLOW | constants.O_NONBLOCK);
+  } catch (error) {
+    if (error.code === 'ELOOP') {
+      throw Object.assign(new Error(`Not a regular file: ${path.basename(filePath)}`), { code: 'EINVAL' });
+    }
+    throw error;
+  }
+
+  try {
+    if (!(await handle.stat()).isFile()) {
+      throw Object.assign(new Error(`Not a regular file: ${path.basename(filePath)}`), { code: 'EINVAL' });
+    }
+    return await handle.readFile(encoding ? { encoding } : {});
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Resolve a file to serve from a directory: symlinks are resolved and the
+ * target must be a regular file inside that directory
+ * @param {string} rootDir - Directory the file must stay in
+ * @param {string} filePath - Requested file
+ * @returns {Promise<string|null>} - Real path, or null when missing or not allowed
+ */
+async function resolveRegularFile(rootDir, filePath) {
+  let root;
+  let real;
+  try {
+    [root, real] = await Promise.all([fs.realpath(rootDir), fs.realpath(filePath)]);
+  } catch (error) {
+    if (['ENOENT', 'ENOTDIR', 'ELOOP'].includes(error.code)) {
+      return null;
+    }
+    throw error;
+  }
+
+  if (!real.startsWith(root + path.sep)) {
+    return null;
+  }
+  const stats = await fs.stat(real);
+  return stats.isFile() ? real : null;
+}
+
+module.exports = {
+  readRegularFile,
+  resolveRegularFile
+};
@@ -0,0 +1,521 @@
+/**
+ * Validation for per-run Playwright options supplied through the API
+ */
+
+// Browser context options a run request may set
+const CONTEXT_OPTION_KEYS = [
+  'locale',
+  'timezoneId',
+  'geolocation',
+  'permissions',
+  'colorScheme',
+  'userAgent',
+  'extraHTTPHeaders',
+  'httpCredentials'
+];
+
+const VALID_PERMISSIONS = [
+  'geolocation',
+  'midi',
+  'midi-sysex',
+  'notifications',
+  'camera',
+  'microphone',
+  'background-sync',
+  'ambient-light-sensor',
+  'accelerometer',
+  'gyroscope',
+  'magnetometer',
+  'accessibility-events',
+  'clipboard-read',
+  'clipboard-write',
+  'payment-handler',
+  'storage-access'
+];
+
+const VALID_COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+
+// Upper bound for retries so one run cannot occupy a worker indefinitely
+const MAX_RETRIES = parseInt(process.env.MAX_TEST_RETRIES, 10) || 5;
+
+// Playwright timeouts (ms) used when neither the run nor its project sets them
+const DEFAULT_TIMEOUTS = {
+  test: 30000,
+  expect: 5000,
+  action: 10000,
+  navigation: 30000
+};
+
+// Server-enforced upper bounds for the timeouts above
+const MAX_TIMEOUTS = {
+  test: parseInt(process.env.MAX_TEST_TIMEOUT, 10) || 10 * 60 * 1000,
+  expect: parseInt(process.env.MAX_EXPECT_TIMEOUT, 10) || 60000,
+  action: parseInt(process.env.MAX_ACTION_TIMEOUT, 10) || 2 * 60 * 1000,
+  navigation: parseInt(process.env.MAX_NAVIGATION_TIMEOUT, 10) || 2 * 60 * 1000
+};
+
+const MAX_TAGS = 20;
+
+// Largest viewport side in pixels
+const MAX_VIEWPORT_SIZE = 10000;
+
+// Upper bound for a project's daily run-minute quota: all workers busy all day
+const MAX_DAILY_RUN_MINUTES = 100 * 24 * 60;
+
+// axe-core impact levels, least to most severe
+const ACCESSIBILITY_IMPACTS = ['minor', 'moderate', 'serious', 'critical'];
+
+// Lowest impact that fails a run unless the project sets accessibilityFailOn
+const DEFAULT_ACCESSIBILITY_FAIL_ON = 'serious';
+
+// axe rule tags audited unless the run names others: WCAG 2.0 and 2.1, A and AA
+const DEFAULT_ACCESSIBILITY_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+
+// When audits run: after every page.goto/page.reload, or only at checkAccessibility() calls
+const ACCESSIBILITY_AUDIT_MODES = ['navigation', 'checkpoint'];
+
+// Page metrics recorded for each page.goto that performance budgets can cap:
+// timings in ms, CLS unitless, transfer size in bytes
+const PERFORMANCE_METRICS = [
+  'ttfb',
+  'domContentLoaded',
+  'load',
+  'fcp',
+  'lcp',
+  'cls',
+  'tbt',
+  'inp',
+  'requests',
+  'failedRequests',
+  'transferBytes'
+];
+
+// What exceeding a budget does to the run
+const PERFORMANCE_BUDGET_LEVELS = ['fail', 'warn'];
+
+const MAX_PERFORMANCE_BUDGETS = 50;
+
+// Response bodies in recorded HARs: left out (default) or embedded
+const HAR_CONTENT_MODES = ['omit', 'embed'];
+
+// Requests taking at least this long (ms) count as slow unless the run sets slowThreshold
+const DEFAULT_SLOW_REQUEST_MS = 1000;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate browser context options and keep only the supported keys
+ * @param {Object} options - Raw contextOptions from the request
+ * @returns {Object} - { issues, contextOptions }
+ */
+function validateContextOptions(options) {
+  const issues = [];
+  const contextOptions = {};
+
+  if (options === undefined || options === null) {
+    return { issues, contextOptions };
+  }
+
+  if (!isPlainObject(options)) {
+    return { issues: ['contextOptions must be an object'], contextOptions };
+  }
+
+  const unknownKeys = Object.keys(options).filter(key => !CONTEXT_OPTION_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    issues.push(`Unsupported context options: ${unknownKeys.join(', ')}`);
+  }
+
+  const {
+    locale,
+    timezoneId,
+    geolocation,
+    permissions,
+    colorScheme,
+    userAgent,
+    extraHTTPHeaders,
+    httpCredentials
+  } = options;
+
+  if (locale !== undefined) {
+    if (typeof locale !== 'string' || !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(locale)) {
+      issues.push('locale must be a BCP 47 language tag such as "en-US"');
+    } else {
+      contextOptions.locale = locale;
+    }
+  }
+
+  if (timezoneId !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezoneId });
+      contextOptions.timezoneId = timezoneId;
+    } catch (error) {
+      issues.push('timezoneId must be an IANA time zone such as "Europe/Paris"');
+    }
+  }
+
+  if (geolocation !== undefined) {
+    const { latitude, longitude, accuracy } = isPlainObject(geolocation) ? geolocation : {};
+    if (typeof latitude !== 'number' || latitude < -90 || latitude > 90 ||
+        typeof longitude !== 'number' || longitude < -180 || longitude > 180 ||
+        (accuracy !== undefined && (typeof accuracy !== 'number' || accuracy < 0))) {
+      issues.push('geolocation must be { latitude: -90..90, longitude: -180..180, accuracy?: >= 0 }');
+    } else {
+      contextOptions.geolocation = accuracy === undefined ? { latitude, longitude } : { latitude, longitude, accuracy };
+    }
+  }
+
+  if (permissions !== undefined) {
+    const invalid = Array.isArray(permissions)
+      ? permissions.filter(permission => !VALID_PERMISSIONS.includes(permission))
+      : null;
+    if (!invalid || invalid.length > 0) {
+      issues.push(`permissions must be an array of: ${VALID_PERMISSIONS.join(', ')}`);
+    } else {
+      contextOptions.permissions = [...new Set(permissions)];
+    }
+  }
+
+  if (colorScheme !== undefined) {
+    if (!VALID_COLOR_SCHEMES.includes(colorScheme)) {
+      issues.push(`colorScheme must be one of: ${VALID_COLOR_SCHEMES.join(', ')}`);
+    } else {
+      contextOptions.colorScheme = colorScheme;
+    }
+  }
+
+  if (userAgent !== undefined) {
+    if (typeof userAgent !== 'string' || userAgent.length === 0 || userAgent.length > 512 || /[\r\n]/.test(userAgent)) {
+      issues.push('userAgent must be a single-line string of at most 512 characters');
+    } else {
+      contextOptions.userAgent = userAgent;
+    }
+  }
+
+  if (extraHTTPHeaders !== undefined) {
+    const entries = isPlainObject(extraHTTPHeaders) ? Object.entries(extraHTTPHeaders) : null;
+    const valid = entries && entries.every(([name, value]) =>
+      /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name) && typeof value === 'string' && !/[\r\n]/.test(value));
+    if (!valid) {
+      issues.push('extraHTTPHeaders must be an object of header names to single-line string values');
+    } else {
+      contextOptions.extraHTTPHeaders = extraHTTPHeaders;
+    }
+  }
+
+  if (httpCredentials !== undefined) {
+    const { username, password, origin } = isPlainObject(httpCredentials) ? httpCredentials : {};
+    if (typeof username !== 'string' || typeof password !== 'string' ||
+        (origin !== undefined && typeof origin !== 'string')) {
+      issues.push('httpCredentials must be { username, password, origin? } strings');
+    } else {
+      contextOptions.httpCredentials = origin === undefined ? { username, password } : { username, password, origin };
+    }
+  }
+
+  return { issues, contextOptions };
+}
+
+/**
+ * Validate a retries value
+ * @param {*} retries - Requested retries
+ * @returns {Array} - Validation issues (empty when valid)
+ */
+function validateRetries(retries) {
+  if (!Number.isInteger(retries) || retries < 0 || retries > MAX_RETRIES) {
+    return [`retries must be an integer between 0 and ${MAX_RETRIES}`];
+  }
+  return [];
+}
+
+/**
+ * Validate a headless value
+ * @param {*} headless - Requested headless mode
+ * @returns {Array} - Validation issues (empty when valid)
+ */
+function validateHeadless(headless) {
+  return typeof headless === 'boolean' ? [] : ['headless must be a boolean'];
+}
+
+/**
+ * Validate a viewport ({ width, height } in pixels)
+ * @param {*} viewport - Requested viewport
+ * @returns {Array} - Validation issues (empty when valid)
+ */
+function validateViewport(viewport) {
+  const valid = isPlainObject(viewport) && [viewport.width, viewport.height]
+    .every(size => Number.isInteger(size) && size > 0 && size <= MAX_VIEWPORT_SIZE);
+  return valid ? [] : [`viewport must be { width, height } in pixels (1 to ${MAX_VIEWPORT_SIZE})`];
+}
+
+/**
+ * Validate a timeouts object ({ test, expect, action, navigation } in ms)
+ * @param {Object} timeouts - Raw timeouts from the request
+ * @returns {Object} - { issues, timeouts }
+ */
+function validateTimeouts(timeouts) {
+  if (!isPlainObject(timeouts)) {
+    return { issues: ['timeouts must be an object'], timeouts: {} };
+  }
+
+  const issues = [];
+  const validTimeouts = {};
+
+  for (const [key, value] of Object.entries(timeouts)) {
+    if (!MAX_TIMEOUTS[key]) {
+      issues.push(`Unsupported timeout: ${key}`);
+    } else if (!Number.isInteger(value) || value < 1 || value > MAX_TIMEOUTS[key]) {
+      issues.push(`timeouts.${key} must be an integer between 1 and ${MAX_TIMEOUTS[key]} (ms)`);
+    } else {
+      validTimeouts[key] = value;
+    }
+  }
+
+  return { issues, timeouts: validTimeouts };
+}
+
+/**
+ * Validate run tags (labels used to filter run history)
+ * @param {*} tags - Requested tags
+ * @returns {Array} - Validation issues (empty when valid)
+ */
+function validateTags(tags) {
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS ||
+      !tags.every(tag => typeof tag === 'string' && /^[\w.:-]{1,50}$/.test(tag))) {
+    return [`tags must be an array of at most ${MAX_TAGS} strings of letters, digits, "_", ".", ":" or "-" (max 50 characters each)`];
+  }
+  return [];
+}
+
+/**
+ * Validate a run's accessibility option. true audits after every navigation
+ * against the default tags.
+ * @param {*} accessibility - true, false or { audit, tags, disableRules }
+ * @returns {Object} - { issues, accessibility } (null when disabled)
+ */
+function validateAccessibility(accessibility) {
+  if (accessibility === undefined || accessibility === null || accessibility === false) {
+    return { issues: [], accessibility: null };
+  }
+
+  const options = accessibility === true ? {} : accessibility;
+  if (!isPlainObject(options)) {
+    return { issues: ['accessibility must be true or an object'], accessibility: null };
+  }
+
+  const issues = Object.keys(options)
+    .filter(key => !['audit', 'tags', 'disableRules'].includes(key))
+    .map(key => `accessibility.${key} is not a supported option`);
+  const { audit = 'navigation', tags = DEFAULT_ACCESSIBILITY_TAGS, disableRules = [] } = options;
+  const isIdList = value => Array.isArray(value) && value.length <= 50 &&
+    value.every(item => typeof item === 'string' && /^[a-z0-9.-]{1,50}$/i.test(item));
+
+  if (!ACCESSIBILITY_AUDIT_MODES.includes(audit)) {
+    issues.push(`accessibility.audit must be one of: ${ACCESSIBILITY_AUDIT_MODES.join(', ')}`);
+  }
+  if (!isIdList(tags) || tags.length === 0) {
+    issues.push('accessibility.tags must be a non-empty array of axe tags, e.g. ["wcag2a", "wcag2aa"]');
+  }
+  if (!isIdList(disableRules)) {
+    issues.push('accessibility.disableRules must be an array of axe rule IDs, e.g. ["color-contrast"]');
+  }
+
+  return { issues, accessibility: issues.length > 0 ? null : { audit, tags, disableRules } };
+}
+
+/**
+ * Validate a run's har option. true records every request of each test
+ * without response bodies.
+ * @param {*} har - true, false or { content, urlFilter, slowThreshold }
+ * @returns {Object} - { issues, har } (null when disabled)
+ */
+function validateHar(har) {
+  if (har === undefined || har === null || har === false) {
+    return { issues: [], har: null };
+  }
+
+  const options = har === true ? {} : har;
+  if (!isPlainObject(options)) {
+    return { issues: ['har must be true or an object'], har: null };
+  }
+
+  const issues = Object.keys(options)
+    .filter(key => !['content', 'urlFilter', 'slowThreshold'].includes(key))
+    .map(key => `har.${key} is not a supported option`);
+  const { content = 'omit', urlFilter, slowThreshold = DEFAULT_SLOW_REQUEST_MS } = options;
+
+  if (!HAR_CONTENT_MODES.includes(content)) {
+    issues.push(`har.content must be one of: ${HAR_CONTENT_MODES.join(', ')}`);
+  }
+  if (urlFilter !== undefined && (typeof urlFilter !== 'string' || urlFilter.length === 0 || urlFilter.length > 500)) {
+    issues.push('har.urlFilter must be a URL glob pattern of at most 500 characters, e.g. "**/api/**"');
+  }
+  if (!Number.isInteger(slowThreshold) || slowThreshold < 1 || slowThreshold > 10 * 60 * 1000) {
+    issues.push('har.slowThreshold must be a whole number of milliseconds between 1 and 600000');
+  }
+
+  if (issues.length > 0) {
+    return { issues, har: null };
+  }
+  return { issues, har: { content, slowThreshold, ...(urlFilter !== undefined ? { urlFilter } : {}) } };
+}
+
+/**
+ * Validate a project's performance budgets. Each caps one metric, on every
+ * page or on pages whose URL matches a pattern ("*" matches anything; without
+ * a scheme the pattern is matched against the path).
+ * @param {*} budgets - [{ metric, max, level, url }]
+ * @returns {Array} - Validation issues (empty when valid)
+ */
+function validatePerformanceBudgets(budgets) {
+  if (!Array.isArray(budgets) || budgets.length > MAX_PERFORMANCE_BUDGETS) {
+    return [`performanceBudgets must be an array of at most ${MAX_PERFORMANCE_BUDGETS} budgets`];
+  }
+
+  const issues = [];
+  budgets.forEach((budget, index) => {
+    const name = `performanceBudgets[${index}]`;
+    if (!isPlainObject(budget)) {
+      issues.push(`${name} must be an object`);
+      return;
+    }
+    issues.push(...Object.keys(budget)
+      .filter(key => !['metric', 'max', 'level', 'url'].includes(key))
+      .map(key => `${name}.${key} is not a supported option`));
+    if (!PERFORMANCE_METRICS.includes(budget.metric)) {
+      issues.push(`${name}.metric must be one of: ${PERFORMANCE_METRICS.join(', ')}`);
+    }
+    if (typeof budget.max !== 'number' || !Number.isFinite(budget.max) || budget.max < 0) {
+      issues.push(`${name}.max must be a non-negative number`);
+    }
+    if (budget.level !== undefined && !PERFORMANCE_BUDGET_LEVELS.includes(budget.level)) {
+      issues.push(`${name}.level must be one of: ${PERFORMANCE_BUDGET_LEVELS.join(', ')}`);
+    }
+    if (budget.url !== undefined && (typeof budget.url !== 'string' || budget.url.length === 0 || budget.url.length > 500)) {
+      issues.push(`${name}.url must be a URL or path pattern of at most 500 characters`);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Whether a performance budget covers a measured page
+ * @param {Object} budget - Validated budget; without url it covers every page
+ * @param {string|null} url - Page URL after navigation
+ * @returns {boolean}
+ */
+function performanceBudgetApplies(budget, url) {
+  if (!budget.url) {
+    return true;
+  }
+  if (!url) {
+    return false;
+  }
+
+  let target = url;
+  if (!budget.url.includes('://')) {
+    try {
+      target = new URL(url).pathname;
+    } catch (error) {
+      return false;
+    }
+  }
+  const source = budget.url.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(target);
+}
+
+/**
+ * Validate a URL results are POSTed to
+ * @param {*} url - Callback URL
+ * @param {string} name - Field name used in messages
+ * @returns {Array} - Validation issues (empty when valid)
+ */
+function validateCallbackUrl(url, name = 'callbackUrl') {
+  try {
+    if (['http:', 'https:'].includes(new URL(url).protocol)) {
+      return [];
+    }
+  } catch (error) {
+    // Fall through to invalid
+  }
+  return [`${name} must be an http(s) URL`];
+}
+
+/**
+ * Validate per-project run defaults. A null value clears a setting.
+ * @param {Object} settings - Settings to store
+ * @returns {Array} - Validation issues (empty when valid)
+ */
+function validateProjectSettings(settings) {
+  if (!isPlainObject(settings)) {
+    return ['settings must be an object'];
+  }
+
+  const validators = {
+    retries: validateRetries,
+    timeouts: value => validateTimeouts(value).issues,
+    allowSystemAccess: value => (typeof value === 'boolean' ? [] : ['allowSystemAccess must be a boolean']),
+    dailyRunMinutes: value => (Number.isInteger(value) && value >= 1 && value <= MAX_DAILY_RUN_MINUTES
+      ? []
+      : [`dailyRunMinutes must be an integer between 1 and ${MAX_DAILY_RUN_MINUTES}`]),
+    visualThreshold: value => (typeof value === 'number' && value >= 0 && value <= 100
+      ? []
+      : ['visualThreshold must be a percentage between 0 and 100']),
+    accessibilityFailOn: value => ([...ACCESSIBILITY_IMPACTS, 'none'].includes(value)
+      ? []
+      : [`accessibilityFailOn must be one of: ${ACCESSIBILITY_IMPACTS.join(', ')}, none`]),
+    performanceBudgets: validatePerformanceBudgets
+  };
+
+  const issues = [];
+  for (const [key, value] of Object.entries(settings)) {
+    if (!validators[key]) {
+      issues.push(`Unknown project setting: ${key}`);
+    } else if (value !== null) {
+      issues.push(...validators[key](value));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Copy of context options that is safe to store in results and logs
+ * @param {Object} contextOptions - Validated context options
+ * @returns {Object} - Options with credentials masked
+ */
+function maskContextOptions(contextOptions = {}) {
+  if (!contextOptions.httpCredentials) {
+    return contextOptions;
+  }
+
+  return {
+    ...contextOptions,
+    httpCredentials: { ...contextOptions.httpCredentials, password: '********' }
+  };
+}
+
+module.exports = {
+  CONTEXT_OPTION_KEYS,
+  MAX_RETRIES,
+  DEFAULT_TIMEOUTS,
+  MAX_TIMEOUTS,
+  ACCESSIBILITY_IMPACTS,
+  DEFAULT_ACCESSIBILITY_FAIL_ON,
+  DEFAULT_ACCESSIBILITY_TAGS,
+  PERFORMANCE_METRICS,
+  DEFAULT_SLOW_REQUEST_MS,
+  validateContextOptions,
+  maskContextOptions,
+  validateRetries,
+  validateHeadless,
+  validateViewport,
+  validateTimeouts,
+  validateTags,
+  validateAccessibility,
+  validateHar,
+  validatePerformanceBudgets,
+  performanceBudgetApplies,
+  validateCallbackUrl,
+  validateProjectSettings
+};
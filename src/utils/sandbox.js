@@ -0,0 +1,381 @@
+/**
+ * Isolation for Playwright runs executing caller-supplied testCode. The
+ * boundary is the operating system: test processes run as a dedicated
+ * unprivileged user that cannot read the server's data, with a scrubbed
+ * environment and limits on the whole process tree (a cgroup for memory and
+ * process count, rlimits for CPU time and file size). The static check of
+ * testCode only rejects obvious attempts early with a clear message.
+ */
+
+const { spawnSync } = require('child_process');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Server environment variables passed through to test processes; everything
+// else (API keys, database URLs, ...) is dropped
+const ENV_ALLOW_LIST = [
+  'PATH',
+  'LANG',
+  'LC_ALL',
+  'TZ',
+  'DISPLAY',
+  'PLAYWRIGHT_BROWSERS_PATH',
+  ...(process.env.SANDBOX_ENV_ALLOW || '').split(',').map(name => name.trim()).filter(Boolean)
+];
+
+const SANDBOX_LIMITS = {
+  // CPU seconds per process (test worker, each browser process)
+  cpuSeconds: parseInt(process.env.SANDBOX_MAX_CPU_SECONDS, 10) || 600,
+  // Memory of the whole run (Playwright, workers and browsers); also the
+  // heap limit of the Node processes running the spec
+  memoryMb: parseInt(process.env.SANDBOX_MAX_MEMORY_MB, 10) || 2048,
+  // Processes and threads the run may have at once
+  maxProcesses: parseInt(process.env.SANDBOX_MAX_PROCESSES, 10) || 1024,
+  // Largest file a run may write (traces and videos included)
+  fileSizeMb: parseInt(process.env.SANDBOX_MAX_FILE_SIZE_MB, 10) || 512
+};
+
+// Dedicated unprivileged user test processes run as. "none" runs them as
+// the server user, which gives testCode the server's file access: for local
+// development only.
+const SANDBOX_USER = process.env.SANDBOX_USER || 'e2e-sandbox';
+
+// cgroup v2 directory the runs' cgroups are created under
+const CGROUP_ROOT = process.env.SANDBOX_CGROUP_ROOT || '/sys/fs/cgroup/e2e-sandbox';
+const CGROUP_CONTROLLERS = ['memory', 'pids'];
+
+// Whether per-run cgroups can be created, settled by setupCgroups()
+let cgroupsReady = false;
+
+// Patterns testCode may not contain unless its project sets
+// allowSystemAccess. Not a security boundary (dynamic property access gets
+// past any pattern): it turns away obvious attempts with a clear error, and
+// the sandbox user's permissions and limits apply to whatever gets past it.
+const RESTRICTED_PATTERNS = [
+  { pattern: /['"`](?:node:)?child_process['"`]/, message: 'child_process access is not allowed' },
+  { pattern: /['"`](?:node:)?fs(?:\/promises)?['"`]/, message: 'fs access is not allowed' },
+  { pattern: /\bprocess\s*(?:\.\s*env\b|\[)/, message: 'process.env access is not allowed' },
+  { pattern: /\b(?:require|import)\s*\(\s*(?!['"][^'"`]*['"]\s*\))/, message: 'require/import must use a string literal' }
+];
+
+/**
+ * Check testCode against the restricted patterns
+ * @param {string} testCode - Code to check
+ * @returns {Array} - Validation issues (empty when allowed)
+ */
+function checkTestCode(testCode) {
+  return RESTRICTED_PATTERNS
+    .filter(({ pattern }) => pattern.test(testCode))
+    .map(({ message }) => message);
+}
+
+/**
+ * Where Playwright looks for browsers when PLAYWRIGHT_BROWSERS_PATH is
+ * unset. Pinned explicitly because test processes get their own HOME.
+ * @returns {string} - Browser cache directory
+ */
+function defaultBrowsersPath() {
+  if (process.platform === 'win32') {
+    return path.join(process.env.LOCALAPPDATA || os.homedir(), 'ms-playwright');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Caches', 'ms-playwright');
+  }
+  return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'ms-playwright');
+}
+
+/**
+ * Build the environment for a sandboxed run
+ * @param {string} runDir - The run's working directory
+ * @param {Object} variables - Run-specific variables to add
+ * @returns {Object} - Environment for the child process
+ */
+function buildSandboxEnv(runDir, variables = {}) {
+  const env = {};
+  for (const name of ENV_ALLOW_LIST) {
+    if (process.env[name] !== undefined) {
+      env[name] = process.env[name];
+    }
+  }
+
+  return {
+    ...env,
+    PLAYWRIGHT_BROWSERS_PATH: env.PLAYWRIGHT_BROWSERS_PATH || defaultBrowsersPath(),
+    HOME: path.join(runDir, 'home'),
+    TMPDIR: path.join(runDir, 'tmp'),
+    NODE_OPTIONS: `--max-old-space-size=${SANDBOX_LIMITS.memoryMb}`,
+    ...variables
+  };
+}
+
+/**
+ * Wrap a command so it runs under the sandbox's CPU and file size limits.
+ * The wrapper waits for a line on stdin before starting the command, so the
+ * caller can move it into the run's cgroup before anything is spawned.
+ * @param {string} command - Executable
+ * @param {Array} args - Arguments
+ * @returns {Object} - { command, args } to spawn
+ */
+function buildSandboxCommand(command, args) {
+  if (process.platform === 'win32') {
+    return { command, args };
+  }
+
+  // POSIX ulimit -f counts 512-byte blocks
+  const fileBlocks = SANDBOX_LIMITS.fileSizeMb * 2048;
+  const script = `read -r _ && ulimit -t ${SANDBOX_LIMITS.cpuSeconds} && ulimit -f ${fileBlocks} && exec "$@"`;
+
+  return { command: '/bin/sh', args: ['-c', script, 'sandbox', command, ...args] };
+}
+
+/**
+ * Look up a user in /etc/passwd
+ * @param {string} name - User name
+ * @returns {Object|null} - { uid, gid }, or null when there is no such user
+ */
+function lookupUser(name) {
+  let passwd = '';
+  try {
+    passwd = fsSync.readFileSync('/etc/passwd', 'utf8');
+  } catch (error) {
+    return null;
+  }
+
+  const entry = passwd.split('\n').map(line => line.split(':')).find(fields => fields[0] === name);
+  return entry ? { uid: parseInt(entry[2], 10), gid: parseInt(entry[3], 10) } : null;
+}
+
+/**
+ * Unprivileged user test processes run as: SANDBOX_UID/SANDBOX_GID when
+ * set, else the SANDBOX_USER account
+ * @returns {Object|null} - { uid, gid }, or null to run as the server user
+ *   (SANDBOX_USER=none, Windows) or when the account does not exist
+ */
+function getSandboxUser() {
+  if (process.platform === 'win32') {
+    return null;
+  }
+
+  const uid = parseInt(process.env.SANDBOX_UID, 10);
+  if (!Number.isNaN(uid)) {
+    const gid = parseInt(process.env.SANDBOX_GID, 10);
+    return { uid, gid: Number.isNaN(gid) ? uid : gid };
+  }
+
+  return SANDBOX_USER === 'none' ? null : lookupUser(SANDBOX_USER);
+}
+
+/**
+ * Check that test processes can run as the sandbox user, and set up the
+ * cgroups limiting each run's process tree
+ * @returns {Array} - Warnings about weaker isolation
+ * @throws {Error} - When the sandbox user is missing or cannot be switched to
+ */
+function checkSandbox() {
+  if (process.platform === 'win32') {
+    return ['Test sandbox is not supported on Windows: testCode runs as the server user'];
+  }
+
+  const user = getSandboxUser();
+  if (!user) {
+    if (SANDBOX_USER === 'none') {
+      return ['SANDBOX_USER=none: testCode runs as the server user and can read the server\'s files'];
+    }
+    throw new Error(`Sandbox user ${SANDBOX_USER} does not exist; create it (useradd --system ${SANDBOX_USER}) or set SANDBOX_UID`);
+  }
+  if (user.uid === 0 || user.uid === process.getuid()) {
+    throw new Error('The sandbox user must be an unprivileged user other than the server user');
+  }
+
+  const probe = spawnSync('/bin/sh', ['-c', 'exit 0'], { uid: user.uid, gid: user.gid });
+  if (probe.error || probe.status !== 0) {
+    throw new Error(`Cannot run test processes as uid ${user.uid} (${probe.error ? probe.error.code : `exit ${probe.status}`}); start the server as root`);
+  }
+
+  const warnings = [];
+  const cgroupIssue = setupCgroups();
+  if (cgroupIssue) {
+    warnings.push(`${cgroupIssue}: runs are not limited in memory and process count as a whole`);
+  }
+  return warnings;
+}
+
+/**
+ * Prepare CGROUP_ROOT with the memory and pids controllers enabled for the
+ * runs' cgroups. cgroup v2 only lets a group hand controllers to its
+ * children while it has no processes of its own; when the server shares its
+ * group with the controllers' parent (a container's root group), it moves
+ * itself into a sibling group first.
+ * @returns {string|null} - Why cgroups are unavailable, or null when ready
+ */
+function setupCgroups() {
+  const parent = path.dirname(CGROUP_ROOT);
+  const enable = (dir) => {
+    const enabled = fsSync.readFileSync(path.join(dir, 'cgroup.subtree_control'), 'utf8').split(/\s+/);
+    const missing = CGROUP_CONTROLLERS.filter(controller => !enabled.includes(controller));
+    if (missing.length > 0) {
+      fsSync.writeFileSync(path.join(dir, 'cgroup.subtree_control'), missing.map(controller => `+${controller}`).join(' '));
+    }
+  };
+
+  try {
+    if (!fsSync.existsSync(path.join(parent, 'cgroup.controllers'))) {
+      return `cgroup v2 is not mounted at ${parent}`;
+    }
+    fsSync.mkdirSync(CGROUP_ROOT, { recursive: true });
+
+    try {
+      enable(parent);
+    } catch (error) {
+      if (error.code !== 'EBUSY') {
+        throw error;
+      }
+      const serverGroup = path.join(parent, 'e2e-server');
+      fsSync.mkdirSync(serverGroup, { recursive: true });
+      fsSync.writeFileSync(path.join(serverGroup, 'cgroup.procs'), String(process.pid));
+      enable(parent);
+    }
+    enable(CGROUP_ROOT);
+    cgroupsReady = true;
+    return null;
+  } catch (error) {
+    return `Cannot set up cgroups under ${CGROUP_ROOT} (${error.code || error.message})`;
+  }
+}
+
+/**
+ * Create a run's cgroup with its memory and process limits
+ * @param {string} testId - Test ID
+ * @returns {Promise<string|null>} - cgroup directory, or null without cgroups
+ */
+async function createRunCgroup(testId) {
+  if (!cgroupsReady) {
+    return null;
+  }
+
+  const dir = path.join(CGROUP_ROOT, testId);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'memory.max'), String(SANDBOX_LIMITS.memoryMb * 1024 * 1024));
+  await fs.writeFile(path.join(dir, 'memory.swap.max'), '0').catch(() => {});
+  await fs.writeFile(path.join(dir, 'pids.max'), String(SANDBOX_LIMITS.maxProcesses));
+  return dir;
+}
+
+/**
+ * Move a process into a run's cgroup; processes it starts afterwards stay in it
+ * @param {string} dir - From createRunCgroup()
+ * @param {number} pid - Process ID
+ */
+async function joinRunCgroup(dir, pid) {
+  await fs.writeFile(path.join(dir, 'cgroup.procs'), String(pid));
+}
+
+/**
+ * Kill whatever is left in a run's cgroup and remove it
+ * @param {string} dir - From createRunCgroup()
+ * @returns {Promise<Object>} - { oomKills } processes killed for exceeding memory.max
+ */
+async function removeRunCgroup(dir) {
+  let oomKills = 0;
+  try {
+    const events = await fs.readFile(path.join(dir, 'memory.events'), 'utf8');
+    const match = events.match(/^oom_kill (\d+)$/m);
+    oomKills = match ? parseInt(match[1], 10) : 0;
+  } catch (error) {
+    // No memory accounting: nothing to report
+  }
+
+  await fs.writeFile(path.join(dir, 'cgroup.kill'), '1').catch(() => {});
+  for (let attempt = 0; attempt < 20; attempt++) {
+    try {
+      await fs.rmdir(dir);
+      break;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  return { oomKills };
+}
+
+/**
+ * Create the run's private home and temp directories and hand the run
+ * directory over to the sandbox user
+ * @param {string} runDir - The run's working directory
+ * @param {Object|null} user - Sandbox user from getSandboxUser()
+ */
+async function prepareSandboxDir(runDir, user) {
+  await fs.mkdir(path.join(runDir, 'home'), { recursive: true, mode: 0o700 });
+  await fs.mkdir(path.join(runDir, 'tmp'), { recursive: true, mode: 0o700 });
+  await fs.chmod(runDir, 0o700);
+
+  if (!user) {
+    return;
+  }
+
+  const chownTree = async (target) => {
+    await fs.chown(target, user.uid, user.gid);
+    const entries = await fs.readdir(target, { withFileTypes: true });
+    for (const entry of entries) {
+      const entryPath = path.join(target, entry.name);
+      if (entry.isDirectory()) {
+        await chownTree(entryPath);
+      } else {
+        await fs.chown(entryPath, user.uid, user.gid);
+      }
+    }
+  };
+
+  await chownTree(runDir);
+}
+
+/**
+ * Take a run directory back from the sandbox user once its processes are
+ * gone, before the server reads or serves anything in it. Ownership returns
+ * to the server top-down, so nothing can be added behind the walk, and
+ * anything that is not a regular file or directory (symlinks, FIFOs,
+ * sockets) is removed.
+ * @param {string} runDir - Run directory
+ * @param {Object|null} user - From getSandboxUser()
+ */
+async function reclaimSandboxDir(runDir, user) {
+  const reclaim = async (dir) => {
+    if (user) {
+      await fs.lchown(dir, process.getuid(), process.getgid());
+    }
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await reclaim(entryPath);
+      } else if (entry.isFile()) {
+        if (user) {
+          await fs.lchown(entryPath, process.getuid(), process.getgid());
+        }
+      } else {
+        await fs.rm(entryPath, { force: true });
+      }
+    }
+  };
+
+  await reclaim(runDir);
+}
+
+module.exports = {
+  ENV_ALLOW_LIST,
+  SANDBOX_LIMITS,
+  checkTestCode,
+  buildSandboxEnv,
+  buildSandboxCommand,
+  getSandboxUser,
+  checkSandbox,
+  createRunCgroup,
+  joinRunCgroup,
+  removeRunCgroup,
+  prepareSandboxDir,
+  reclaimSandboxDir
+};
@@ -0,0 +1,124 @@
+/**
+ * Masking of secret values in run output, results and logs
+ */
+
+const MASK = '********';
+
+// Secret values of runs in progress, masked in every log line. Counted so
+// two runs sharing a value do not unmask it for each other.
+const activeSecrets = new Map();
+
+/**
+ * Forms a secret value can take in output: as typed, JSON-escaped (reports,
+ * traces) and URL-encoded (form posts in network traces)
+ * @param {string} value - Secret value
+ * @returns {Array} - Distinct variants, longest first
+ */
+function secretVariants(value) {
+  const variants = new Set([
+    value,
+    JSON.stringify(value).slice(1, -1),
+    encodeURIComponent(value)
+  ]);
+  return [...variants].filter(Boolean).sort((a, b) => b.length - a.length);
+}
+
+function replaceAllBuffer(buffer, search, replacement) {
+  let index = buffer.indexOf(search);
+  if (index === -1) {
+    return buffer;
+  }
+
+  const parts = [];
+  let start = 0;
+  while (index !== -1) {
+    parts.push(buffer.subarray(start, index), replacement);
+    start = index + search.length;
+    index = buffer.indexOf(search, start);
+  }
+  parts.push(buffer.subarray(start));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Create a masker for a set of secret values
+ * @param {Array} values - Secret values to hide
+ * @returns {Object} - { hasSecrets, maskText, maskBuffer, maskDeep }
+ */
+function createSecretMasker(values = []) {
+  const variants = [...new Set(values.filter(Boolean).flatMap(secretVariants))]
+    .sort((a, b) => b.length - a.length);
+  const bufferVariants = variants.map(variant => Buffer.from(variant));
+  const maskBytes = Buffer.from(MASK);
+
+  const maskText = (text) => {
+    if (typeof text !== 'string' || variants.length === 0) {
+      return text;
+    }
+    return variants.reduce((masked, variant) => masked.split(variant).join(MASK), text);
+  };
+
+  const maskBuffer = buffer => bufferVariants
+    .reduce((masked, variant) => replaceAllBuffer(masked, variant, maskBytes), buffer);
+
+  const maskDeep = (value) => {
+    if (typeof value === 'string') {
+      return maskText(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(maskDeep);
+    }
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskDeep(item)]));
+    }
+    return value;
+  };
+
+  return {
+    hasSecrets: variants.length > 0,
+    maskText,
+    maskBuffer,
+    maskDeep
+  };
+}
+
+/**
+ * Start masking values in log output
+ * @param {Array} values - Secret values
+ */
+function registerSecrets(values) {
+  for (const value of values.filter(Boolean)) {
+    activeSecrets.set(value, (activeSecrets.get(value) || 0) + 1);
+  }
+}
+
+/**
+ * Stop masking values registered with registerSecrets()
+ * @param {Array} values - Secret values
+ */
+function unregisterSecrets(values) {
+  for (const value of values.filter(Boolean)) {
+    const count = (activeSecrets.get(value) || 0) - 1;
+    if (count > 0) {
+      activeSecrets.set(value, count);
+    } else {
+      activeSecrets.delete(value);
+    }
+  }
+}
+
+/**
+ * Masker for every value currently registered
+ * @returns {Object} - Masker from createSecretMasker()
+ */
+function getActiveSecretMasker() {
+  return createSecretMasker([...activeSecrets.keys()]);
+}
+
+module.exports = {
+  MASK,
+  createSecretMasker,
+  registerSecrets,
+  unregisterSecrets,
+  getActiveSecretMasker
+};
@@ -0,0 +1,90 @@
+// stream-reporter.js
+/**
+ * Playwright reporter that writes test and step progress to stdout as
+ * prefixed JSON lines. TestRunner picks these lines out of the child
+ * process output and republishes them as live run events.
+ */
+
+const EVENT_PREFIX = '@@e2e-event@@';
+
+// Step categories worth streaming (skips hooks, fixtures and internals)
+const STEP_CATEGORIES = ['test.step', 'pw:api', 'expect'];
+
+function errorMessage(error) {
+  // Strip ANSI colour codes Playwright adds to assertion messages
+  return error ? (error.message || '').replace(/\u001b\[[0-9;]*m/g, '') : undefined;
+}
+
+class StreamReporter {
+  onBegin(config, suite) {
+    this.emit('runBegin', {
+      totalTests: suite.allTests().length
+    });
+  }
+
+  onTestBegin(test, result) {
+    this.emit('testBegin', {
+      id: test.id,
+      title: test.title,
+      titlePath: test.titlePath().filter(Boolean),
+      retry: result.retry
+    });
+  }
+
+  onStepBegin(test, result, step) {
+    if (!STEP_CATEGORIES.includes(step.category)) {
+      return;
+    }
+
+    this.emit('stepBegin', {
+      testId: test.id,
+      title: step.title,
+      category: step.category
+    });
+  }
+
+  onStepEnd(test, result, step) {
+    if (!STEP_CATEGORIES.includes(step.category)) {
+      return;
+    }
+
+    this.emit('stepEnd', {
+      testId: test.id,
+      title: step.title,
+      category: step.category,
+      duration: step.duration,
+      error: errorMessage(step.error)
+    });
+  }
+
+  onTestEnd(test, result) {
+    this.emit('testEnd', {
+      id: test.id,
+      title: test.title,
+      status: result.status,
+      duration: result.duration,
+      retry: result.retry,
+      error: errorMessage(result.error)
+    });
+  }
+
+  onEnd(result) {
+    this.emit('runEnd', {
+      status: result.status,
+      duration: result.duration
+    });
+  }
+
+  printsToStdio() {
+    // Let Playwright keep its default line/dot output alongside our events
+    return false;
+  }
+
+  emit(type, data) {
+    process.stdout.write(`${EVENT_PREFIX}${JSON.stringify({ type, data })}\n`);
+  }
+}
+
+StreamReporter.EVENT_PREFIX = EVENT_PREFIX;
+
+module.exports = StreamReporter;
@@ -0,0 +1,75 @@
+/**
+ * Visual snapshot helper for generated specs. `await snapshot(page, name)`
+ * saves a screenshot together with the test, browser and viewport it
+ * belongs to; the server compares it against the project's approved
+ * baseline once the run has finished.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { test } = require('@playwright/test');
+
+// Names end up in file metadata and the report viewer
+const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _.-]{0,99}$/;
+
+/**
+ * Key a snapshot is stored and compared under within a project
+ * @param {Object} snapshotInfo - { test, name, browser, viewport }
+ * @returns {string} - 24 hex characters
+ */
+function snapshotKey({ test: testTitle, name, browser, viewport }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([testTitle, name, browser, viewport]))
+    .digest('hex')
+    .slice(0, 24);
+}
+
+/**
+ * Capture a visual snapshot of the page
+ * @param {Object} page - Playwright page
+ * @param {string} name - Snapshot name, unique within the test
+ * @param {Object} options - { fullPage, mask (locators to paint over) }
+ */
+async function snapshot(page, name, options = {}) {
+  if (typeof name !== 'string' || !SNAPSHOT_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid snapshot name "${name}": use up to 100 letters, digits, spaces, dots, dashes and underscores`);
+  }
+
+  const testInfo = test.info();
+  const size = page.viewportSize();
+  const entry = {
+    // Title path below the spec file and the run's describe block, so the
+    // same test matches across runs with different names
+    test: testInfo.titlePath.slice(2).join(' › '),
+    name,
+    browser: testInfo.project.name,
+    viewport: size ? `${size.width}x${size.height}` : 'default'
+  };
+  entry.key = snapshotKey(entry);
+
+  const image = await page.screenshot({
+    fullPage: options.fullPage === true,
+    mask: options.mask,
+    animations: 'disabled',
+    caret: 'hide'
+  });
+
+  // A retry overwrites the failed attempt's snapshot
+  const dir = process.env.E2E_SNAPSHOT_DIR || testInfo.outputPath('snapshots');
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${entry.key}.png`), image);
+  await fs.writeFile(path.join(dir, `${entry.key}.json`), JSON.stringify({
+    ...entry,
+    retry: testInfo.retry,
+    capturedAt: new Date().toISOString()
+  }));
+
+  await testInfo.attach(`snapshot: ${name}`, { body: image, contentType: 'image/png' });
+}
+
+module.exports = {
+  SNAPSHOT_NAME_PATTERN,
+  snapshotKey,
+  snapshot
+};
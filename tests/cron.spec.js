@@ -0,0 +1,53 @@
+const { test, expect } = require('@playwright/test');
+const { parseCron, nextCronTime } = require('../src/utils/cron');
+
+// The next `count` times an expression fires after an instant
+function nextTimes(expression, timeZone, after, count) {
+  const { cron } = parseCron(expression);
+  const times = [];
+  let time = new Date(after);
+  for (let index = 0; index < count; index++) {
+    time = nextCronTime(cron, timeZone, time);
+    times.push(time.toISOString());
+  }
+  return times;
+}
+
+test.describe('cron day fields', () => {
+  test('both restricted day fields match either one', () => {
+    // The 1st of the month or any Monday
+    expect(nextTimes('0 0 1 * 1', 'UTC', '2026-10-25T00:00:00Z', 3)).toEqual([
+      '2026-10-26T00:00:00.000Z',
+      '2026-11-01T00:00:00.000Z',
+      '2026-11-02T00:00:00.000Z'
+    ]);
+  });
+
+  test('a day field starting with * makes both match', () => {
+    // Mondays that are odd days of the month
+    expect(nextTimes('0 0 */2 * 1', 'UTC', '2026-10-01T00:00:00Z', 3)).toEqual([
+      '2026-10-05T00:00:00.000Z',
+      '2026-10-19T00:00:00.000Z',
+      '2026-11-09T00:00:00.000Z'
+    ]);
+    expect(nextTimes('0 0 1 * *', 'UTC', '2026-10-25T00:00:00Z', 1)).toEqual(['2026-11-01T00:00:00.000Z']);
+  });
+});
+
+test.describe('cron time zones', () => {
+  test('fires a wall time a spring-forward gap removes just after the gap', () => {
+    // 02:30 does not exist in Berlin on 2026-03-29; 03:30 CEST does
+    expect(nextTimes('30 2 * * *', 'Europe/Berlin', '2026-03-28T12:00:00Z', 2)).toEqual([
+      '2026-03-29T01:30:00.000Z',
+      '2026-03-30T00:30:00.000Z'
+    ]);
+  });
+
+  test('fires a repeated fall-back wall time once, at its first occurrence', () => {
+    // 02:30 happens twice in Berlin on 2026-10-25
+    expect(nextTimes('30 2 * * *', 'Europe/Berlin', '2026-10-24T12:00:00Z', 2)).toEqual([
+      '2026-10-25T00:30:00.000Z',
+      '2026-10-26T01:30:00.000Z'
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+// Report zip downloads are authorized against the project of the run the
+// zip belongs to, which the route looks up with getRunByZip
+const { test, expect } = require('@playwright/test');
+const RunHistoryService = require('../src/services/RunHistoryService');
+const { canAccessProject } = require('../src/utils/auth');
+
+const PROJECT_ID = '2ac475d3-c598-405d-806e-f445e9afc423';
+const TEST_ID = 'ab01acc1-e86d-459a-8e45-0224104f9a13';
+const OTHER_TEST_ID = 'f1bf02a6-f48e-417b-99ce-7d1b3c744675';
+const TIMESTAMP = '2026-10-19T19-14-38-251Z';
+
+test.describe('getRunByZip', () => {
+  let history;
+
+  test.beforeEach(() => {
+    history = new RunHistoryService({ dbPath: ':memory:' });
+  });
+
+  test.afterEach(() => {
+    history.close();
+  });
+
+  function recordRun(testId, projectId, downloadUrl) {
+    history.recordRun({
+      testId,
+      projectId,
+      testName: 'Checkout',
+      status: 'passed',
+      createdAt: new Date().toISOString(),
+      downloadUrl
+    });
+  }
+
+  test('finds the run whose download URL the zip is', () => {
+    const zipFileName = `${PROJECT_ID}_${TEST_ID}_${TIMESTAMP}.zip`;
+    recordRun(TEST_ID, PROJECT_ID, `/api/download/${zipFileName}`);
+
+    expect(history.getRunByZip(zipFileName)).toMatchObject({ testId: TEST_ID, projectId: PROJECT_ID });
+  });
+
+  test('takes the test ID after the project prefix for unrecorded zips', () => {
+    recordRun(TEST_ID, PROJECT_ID);
+    recordRun(OTHER_TEST_ID, 'other');
+
+    // A project ID that is a UUID must not be taken for the test ID
+    expect(history.getRunByZip(`${PROJECT_ID}_${TEST_ID}_${TIMESTAMP}.zip`))
+      .toMatchObject({ testId: TEST_ID, projectId: PROJECT_ID });
+    expect(history.getRunByZip(`my_project_${TEST_ID}_${TIMESTAMP}.zip`)).toMatchObject({ testId: TEST_ID });
+    expect(history.getRunByZip(`${OTHER_TEST_ID}_${TEST_ID}_${TIMESTAMP}.zip`)).toMatchObject({ testId: TEST_ID });
+  });
+
+  test('finds nothing for zips of unknown runs', () => {
+    recordRun(TEST_ID, PROJECT_ID);
+
+    expect(history.getRunByZip(`${PROJECT_ID}_${OTHER_TEST_ID}_${TIMESTAMP}.zip`)).toBeNull();
+    expect(history.getRunByZip(`${TEST_ID}.zip`)).toBeNull();
+    expect(history.getRunByZip('report.zip')).toBeNull();
+  });
+
+  test('authorizes keys scoped to the run\'s project only', () => {
+    const zipFileName = `${PROJECT_ID}_${TEST_ID}_${TIMESTAMP}.zip`;
+    recordRun(TEST_ID, PROJECT_ID, `/api/download/${zipFileName}`);
+    const zipRun = history.getRunByZip(zipFileName);
+
+    expect(canAccessProject({ projects: [PROJECT_ID] }, zipRun.projectId)).toBe(true);
+    expect(canAccessProject({ projects: [TEST_ID] }, zipRun.projectId)).toBe(false);
+    expect(canAccessProject({ projects: null }, zipRun.projectId)).toBe(true);
+  });
+});
@@ -0,0 +1,107 @@
+// Generated playwright.config.js: run options end up in code that runs
+// outside the testCode check, so they must never change what it executes
+const { test, expect } = require('@playwright/test');
+const TestRunner = require('../src/services/TestRunner');
+const { validateHeadless, validateViewport } = require('../src/utils/runOptions');
+
+const INJECTION = "1'); globalThis.injected = true; ('";
+
+const baseOptions = {
+  testDir: '/srv/test-runs/run',
+  outputDir: '/srv/test-runs/run/test-results',
+  reportDir: '/srv/test-runs/run/playwright-report',
+  streamReporterPath: '/srv/src/utils/stream-reporter.js',
+  browsers: ['chromium'],
+  headless: true,
+  viewport: { width: 1280, height: 720 },
+  retries: 1,
+  timeouts: { test: 30000, expect: 5000, action: 10000, navigation: 30000 }
+};
+
+// Evaluate a generated config the way Playwright loads it
+function loadConfig(source) {
+  const module = { exports: {} };
+  new Function('require', 'module', 'process', source)(require, module, process);
+  return module.exports;
+}
+
+test.describe('generatePlaywrightConfig', () => {
+  test.afterEach(() => {
+    delete globalThis.injected;
+  });
+
+  test('writes run options as they were requested', () => {
+    const config = loadConfig(new TestRunner().generatePlaywrightConfig({
+      ...baseOptions,
+      browsers: ['firefox', 'iPhone 13'],
+      baseUrl: 'https://shop.example.com'
+    }));
+
+    expect(config.testDir).toBe(baseOptions.testDir);
+    expect(config.retries).toBe(1);
+    expect(config.timeout).toBe(30000);
+    expect(config.use.headless).toBe(true);
+    expect(config.use.viewport).toEqual({ width: 1280, height: 720 });
+    expect(config.use.baseURL).toBe('https://shop.example.com');
+    expect(config.projects.map(project => project.name)).toEqual(['firefox', 'iPhone 13']);
+    expect(config.projects[0].use.viewport).toEqual({ width: 1280, height: 720 });
+    expect(config.projects[1].use.isMobile).toBe(true);
+  });
+
+  test('keeps unvalidated values inert', () => {
+    const config = loadConfig(new TestRunner().generatePlaywrightConfig({
+      ...baseOptions,
+      testDir: INJECTION,
+      headless: INJECTION,
+      viewport: { width: INJECTION, height: 720, extra: INJECTION },
+      retries: INJECTION,
+      timeouts: { test: INJECTION, expect: INJECTION, action: INJECTION, navigation: INJECTION },
+      baseUrl: `https://example.com/${INJECTION}`
+    }));
+
+    expect(globalThis.injected).toBeUndefined();
+    expect(config.testDir).toBe(INJECTION);
+    expect(config.use.headless).toBe(INJECTION);
+    expect(config.use.viewport).toEqual({ width: INJECTION, height: 720 });
+    expect(config.retries).toBe(INJECTION);
+    expect(config.use.navigationTimeout).toBe(INJECTION);
+  });
+
+  test('keeps browser names inert', () => {
+    const config = loadConfig(new TestRunner().generatePlaywrightConfig({
+      ...baseOptions,
+      browsers: [INJECTION]
+    }));
+
+    expect(globalThis.injected).toBeUndefined();
+    expect(config.projects[0].name).toBe(INJECTION);
+  });
+});
+
+test.describe('browser option validation', () => {
+  test('accepts booleans for headless only', () => {
+    expect(validateHeadless(true)).toEqual([]);
+    expect(validateHeadless(false)).toEqual([]);
+    for (const headless of ['true', 1, null, undefined, {}]) {
+      expect(validateHeadless(headless)).toEqual(['headless must be a boolean']);
+    }
+  });
+
+  test('accepts integer viewports within bounds', () => {
+    expect(validateViewport({ width: 1280, height: 720 })).toEqual([]);
+    expect(validateViewport({ width: 1, height: 10000 })).toEqual([]);
+
+    for (const viewport of [
+      null,
+      [1280, 720],
+      { width: 1280 },
+      { width: '1280', height: 720 },
+      { width: 1280.5, height: 720 },
+      { width: 0, height: 720 },
+      { width: 1280, height: 10001 },
+      { width: INJECTION, height: 720 }
+    ]) {
+      expect(validateViewport(viewport)).toHaveLength(1);
+    }
+  });
+});
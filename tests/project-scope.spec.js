@@ -0,0 +1,119 @@
+// Project scopes of API keys: what a scoped key can see, and which keys it
+// can hand out
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ApiKeyService = require('../src/services/ApiKeyService');
+const CatalogService = require('../src/services/CatalogService');
+const DataSourceService = require('../src/services/DataSourceService');
+const RunHistoryService = require('../src/services/RunHistoryService');
+const { canAccessProject, canGrantProjects } = require('../src/utils/auth');
+const { parseRunListQuery } = require('../src/utils/listQuery');
+
+const unscoped = { keyId: 'admin', role: 'admin', projects: null };
+const scoped = { keyId: 'key', role: 'admin', projects: ['shop', 'blog'] };
+
+function recordRun(history, testId, projectId) {
+  history.recordRun({
+    testId,
+    projectId,
+    testName: `${projectId} smoke`,
+    status: 'passed',
+    createdAt: new Date().toISOString()
+  });
+}
+
+test.describe('project access', () => {
+  test('scoped keys reach their own projects only', () => {
+    expect(canAccessProject(unscoped, 'shop')).toBe(true);
+    expect(canAccessProject(scoped, 'shop')).toBe(true);
+    expect(canAccessProject(scoped, 'admin')).toBe(false);
+    expect(canAccessProject(null, 'shop')).toBe(false);
+  });
+
+  test('scoped keys only create keys within their projects', () => {
+    expect(canGrantProjects(unscoped, null)).toBe(true);
+    expect(canGrantProjects(unscoped, ['admin'])).toBe(true);
+    expect(canGrantProjects(scoped, ['shop'])).toBe(true);
+    expect(canGrantProjects(scoped, ['shop', 'blog'])).toBe(true);
+    expect(canGrantProjects(scoped, ['shop', 'admin'])).toBe(false);
+    expect(canGrantProjects(scoped, null)).toBe(false);
+    expect(canGrantProjects(scoped, 'shop')).toBe(false);
+    expect(canGrantProjects(null, ['shop'])).toBe(false);
+  });
+});
+
+test.describe('ApiKeyService', () => {
+  let dir;
+  let catalog;
+  let apiKeys;
+  let userId;
+
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-keys-'));
+    catalog = new CatalogService({ filePath: path.join(dir, 'catalog.json') });
+    apiKeys = new ApiKeyService({ filePath: path.join(dir, 'api-keys.json'), catalog, adminKey: 'admin-key' });
+    ({ user: { id: userId } } = await catalog.createUser({ name: 'Tess', email: 'tess@example.com', role: 'tester' }));
+  });
+
+  test.afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('authenticates a key with its projects and its user\'s role', async () => {
+    const { token } = await apiKeys.createKey({ name: 'ci', userId, projects: ['shop', 'shop'] }, 'admin');
+
+    expect(await apiKeys.authenticate(token)).toMatchObject({ userId, role: 'tester', projects: ['shop'] });
+    expect(await apiKeys.authenticate('admin-key')).toMatchObject({ role: 'admin', projects: null });
+    expect(await apiKeys.authenticate(`${token}x`)).toBeNull();
+  });
+
+  test('rejects empty or malformed project scopes', async () => {
+    for (const projects of [[], 'shop', [''], [42]]) {
+      const { issues, token } = await apiKeys.createKey({ name: 'ci', userId, projects }, 'admin');
+      expect(token).toBeNull();
+      expect(issues).toHaveLength(1);
+    }
+  });
+
+  test('stops authenticating a deleted key', async () => {
+    const { key, token } = await apiKeys.createKey({ name: 'ci', userId, projects: ['shop'] }, 'admin');
+    await apiKeys.deleteKey(key.id);
+
+    expect(await apiKeys.authenticate(token)).toBeNull();
+  });
+});
+
+test.describe('scoped listings', () => {
+  test('run history lists the given projects only', () => {
+    const history = new RunHistoryService({ dbPath: ':memory:' });
+    try {
+      recordRun(history, 'run-shop', 'shop');
+      recordRun(history, 'run-blog', 'blog');
+      recordRun(history, 'run-admin', 'admin');
+
+      const { filters } = parseRunListQuery({});
+      const { total, runs } = history.listRuns({ ...filters, projectIds: ['shop', 'blog'] });
+
+      expect(total).toBe(2);
+      expect(runs.map(run => run.projectId).sort()).toEqual(['blog', 'shop']);
+    } finally {
+      history.close();
+    }
+  });
+
+  test('data source records are filtered by project', () => {
+    const dataSource = new DataSourceService({ adapter: { name: 'test', cacheable: false } });
+    const testCases = [
+      { id: 1, project_id: 'shop' },
+      { id: 2, projectId: 'admin' },
+      { id: 3 }
+    ];
+
+    expect(dataSource.filterByProjects('test-cases', testCases, scoped.projects)).toEqual([testCases[0]]);
+    expect(dataSource.filterByProjects('test-cases', testCases, null)).toEqual(testCases);
+    expect(dataSource.filterByProjects('projects', [{ id: 'shop' }, { id: 'admin' }], scoped.projects))
+      .toEqual([{ id: 'shop' }]);
+  });
+});